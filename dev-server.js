@@ -3,6 +3,27 @@ import { Hono } from 'hono'
 import { serve } from '@hono/node-server'
 import { cors } from 'hono/cors'
 import { createClient } from '@supabase/supabase-js'
+import { searchParamsToView } from './src/lib/lead-views.js'
+import { viewToLeadQuery, buildLeadQueryParams } from './src/lib/lead-query.js'
+import {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  iterateLeadChunks,
+  leadToRow,
+  toCsvLine,
+  buildXlsx
+} from './src/lib/lead-export.js'
+import {
+  MAX_IMPORT_ROWS,
+  cleanImportRow,
+  buildAddressKey,
+  planLeadImport
+} from './src/lib/lead-import.js'
+import { runLeadAging } from './src/lib/lead-aging.js'
+import { runLeadScoring } from './src/lib/lead-scoring.js'
+import { validateStatusReason } from './src/lib/lead-reasons.js'
+import { toHistoryParam } from './src/lib/lead-history.js'
+import { getTrashRetentionDays } from './src/lib/lead-trash.js'
 
 // Load environment variables
 config()
@@ -31,6 +52,72 @@ const isValidUUID = (uuid) => {
   return uuidRegex.test(uuid)
 }
 
+// Sets columns of the caller's lead through update_property_lead_fields, which writes the history
+// row in the same transaction (see lib/lead-history). data is the updated row, or null when the
+// lead isn't found or isn't the caller's.
+const updateLeadFields = (userSupabase, leadId, changes, history) => {
+  return userSupabase.rpc('update_property_lead_fields', {
+    p_lead_id: leadId,
+    p_changes: changes,
+    p_history: toHistoryParam(history)
+  })
+}
+
+// Lead statuses accepted by set_property_lead_status
+const LEAD_STATUS_VALUES = [
+  'prospect_found', 'contacted', 'responded', 'proposal_sent',
+  'booked', 'shoot_completed', 'delivered', 'paid',
+  'closed_won', 'closed_lost'
+]
+
+// Actions supported by the batch endpoint
+const BATCH_ACTIONS = ['status', 'archive', 'restore', 'delete', 'untrash', 'purge']
+const MAX_BATCH_SIZE = 100
+
+// Verifies the bearer token and returns the user plus a client scoped to their session for RLS.
+// Returns { errorResponse } instead when the request is not authenticated.
+const authenticateRequest = async (c) => {
+  const authHeader = c.req.header('Authorization')
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return {
+      errorResponse: c.json({
+        success: false,
+        error: 'Missing or invalid authorization header'
+      }, 401)
+    }
+  }
+
+  const token = authHeader.substring(7) // Remove 'Bearer ' prefix
+  const supabase = getSupabaseClient()
+
+  // Verify the JWT token and get user
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token)
+
+  if (authError || !user) {
+    console.error('Auth error:', authError)
+    return {
+      errorResponse: c.json({
+        success: false,
+        error: 'Invalid or expired token'
+      }, 401)
+    }
+  }
+
+  const userSupabase = createClient(
+    process.env.VITE_SUPABASE_URL,
+    process.env.VITE_SUPABASE_ANON_KEY,
+    {
+      global: {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    }
+  )
+
+  return { user, userSupabase }
+}
+
 // PATCH /api/lead/:lead_id/archive
 app.patch('/api/lead/:lead_id/archive', async (c) => {
   try {
@@ -80,16 +167,8 @@ app.patch('/api/lead/:lead_id/archive', async (c) => {
       }
     )
 
-    // Update the lead to set is_active = false (archive)
-    const { data, error } = await userSupabase
-      .from('property_leads')
-      .update({
-        is_active: false,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .eq('user_id', user.id)
-      .select()
+    // Archive the lead (is_active = false)
+    const { data, error } = await updateLeadFields(userSupabase, leadId, { is_active: false }, { action: 'archived' })
 
     if (error) {
       console.error('Supabase error in archive lead:', error)
@@ -99,7 +178,7 @@ app.patch('/api/lead/:lead_id/archive', async (c) => {
       }, 500)
     }
 
-    if (!data || data.length === 0) {
+    if (!data) {
       return c.json({
         success: false,
         error: 'Property lead not found or you do not have permission to archive it'
@@ -110,7 +189,7 @@ app.patch('/api/lead/:lead_id/archive', async (c) => {
     return c.json({
       success: true,
       message: 'Lead archived successfully',
-      data: data[0]
+      data
     })
 
   } catch (error) {
@@ -123,6 +202,7 @@ app.patch('/api/lead/:lead_id/archive', async (c) => {
 })
 
 // DELETE /api/lead/:lead_id
+// Moves the lead to the trash; it is purged after the retention window
 app.delete('/api/lead/:lead_id', async (c) => {
   try {
     const leadId = c.req.param('lead_id')
@@ -135,49 +215,101 @@ app.delete('/api/lead/:lead_id', async (c) => {
       }, 400)
     }
 
-    // Get authorization header
-    const authHeader = c.req.header('Authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    // Soft delete by stamping deleted_at
+    const { data, error } = await updateLeadFields(userSupabase, leadId, { deleted_at: new Date().toISOString() }, { action: 'trashed' })
+
+    if (error) {
+      console.error('Supabase error in delete lead:', error)
       return c.json({
         success: false,
-        error: 'Missing or invalid authorization header'
-      }, 401)
+        error: `Failed to delete property lead: ${error.message}`
+      }, 500)
     }
 
-    const token = authHeader.substring(7) // Remove 'Bearer ' prefix
-    const supabase = getSupabaseClient()
+    if (!data) {
+      return c.json({
+        success: false,
+        error: 'Property lead not found or you do not have permission to delete it'
+      }, 404)
+    }
 
-    // Set the session token to use RLS with the user's permissions
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
+    // Return success response
+    return c.json({
+      success: true,
+      message: 'Lead moved to trash',
+      data
+    })
 
-    if (authError || !user) {
-      console.error('Auth error:', authError)
+  } catch (error) {
+    console.error('Error in DELETE /api/lead:', error)
+    return c.json({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// DELETE /api/lead/:lead_id/permanent
+// Permanently deletes a lead that is already in the trash
+app.delete('/api/lead/:lead_id/permanent', async (c) => {
+  try {
+    const leadId = c.req.param('lead_id')
+
+    // Validate lead_id parameter
+    if (!leadId || !isValidUUID(leadId)) {
       return c.json({
         success: false,
-        error: 'Invalid or expired token'
-      }, 401)
+        error: 'Invalid or missing lead_id parameter'
+      }, 400)
     }
 
-    // Create a client with the user's session for RLS
-    const userSupabase = createClient(
-      process.env.VITE_SUPABASE_URL,
-      process.env.VITE_SUPABASE_ANON_KEY,
-      {
-        global: {
-          headers: {
-            Authorization: `Bearer ${token}`
-          }
-        }
-      }
-    )
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const { data: existingLead, error: lookupError } = await userSupabase
+      .from('property_leads')
+      .select('id, deleted_at')
+      .eq('id', leadId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (lookupError) {
+      console.error('Supabase error in permanent delete lookup:', lookupError)
+      return c.json({
+        success: false,
+        error: `Failed to look up property lead: ${lookupError.message}`
+      }, 500)
+    }
+
+    if (!existingLead) {
+      return c.json({
+        success: false,
+        error: 'Property lead not found or you do not have permission to delete it'
+      }, 404)
+    }
+
+    if (!existingLead.deleted_at) {
+      return c.json({
+        success: false,
+        error: 'Only leads in the trash can be permanently deleted'
+      }, 409)
+    }
 
     // Call the RPC function to delete the lead using user's permissions
     const { data, error } = await userSupabase.rpc('delete_property_lead', {
-      p_lead_id: leadId
+      p_lead_id: leadId,
+      p_history: toHistoryParam({ action: 'deleted' })
     })
 
     if (error) {
-      console.error('Supabase RPC error in delete lead:', error)
+      console.error('Supabase RPC error in permanent delete lead:', error)
       return c.json({
         success: false,
         error: `Failed to delete property lead: ${error.message}`
@@ -187,12 +319,12 @@ app.delete('/api/lead/:lead_id', async (c) => {
     // Return success response
     return c.json({
       success: true,
-      message: 'Lead deleted successfully',
+      message: 'Lead deleted permanently',
       data
     })
 
   } catch (error) {
-    console.error('Error in DELETE /api/lead:', error)
+    console.error('Error in DELETE /api/lead/permanent:', error)
     return c.json({
       success: false,
       error: 'Internal server error'
@@ -200,6 +332,610 @@ app.delete('/api/lead/:lead_id', async (c) => {
   }
 })
 
+// Shared handler for routes that flip a single lead column back or forth
+const updateLeadFlag = (updates, { verb, message, action }) => async (c) => {
+  try {
+    const leadId = c.req.param('lead_id')
+
+    // Validate lead_id parameter
+    if (!leadId || !isValidUUID(leadId)) {
+      return c.json({
+        success: false,
+        error: 'Invalid or missing lead_id parameter'
+      }, 400)
+    }
+
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const { data, error } = await updateLeadFields(userSupabase, leadId, updates, { action })
+
+    if (error) {
+      console.error(`Supabase error in ${verb} lead:`, error)
+      return c.json({
+        success: false,
+        error: `Failed to ${verb} property lead: ${error.message}`
+      }, 500)
+    }
+
+    if (!data) {
+      return c.json({
+        success: false,
+        error: `Property lead not found or you do not have permission to ${verb} it`
+      }, 404)
+    }
+
+    // Return success response
+    return c.json({
+      success: true,
+      message,
+      data
+    })
+
+  } catch (error) {
+    console.error(`Error in ${c.req.method} /api/lead/${verb}:`, error)
+    return c.json({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+}
+
+// PATCH /api/lead/:lead_id/unarchive (PUT supported for compatibility, like archive)
+const unarchiveLead = updateLeadFlag({ is_active: true }, { verb: 'unarchive', message: 'Lead unarchived successfully', action: 'unarchived' })
+app.patch('/api/lead/:lead_id/unarchive', unarchiveLead)
+app.put('/api/lead/:lead_id/unarchive', unarchiveLead)
+
+// PATCH /api/lead/:lead_id/restore
+// Moves a lead out of the trash
+app.patch('/api/lead/:lead_id/restore', updateLeadFlag({ deleted_at: null }, { verb: 'restore', message: 'Lead restored from trash', action: 'restored' }))
+
+// GET /api/trash
+// Mirrors the Worker route in src/index.js, whose scheduled run purges expired leads
+app.get('/api/trash', (c) => {
+  return c.json({
+    success: true,
+    data: { retention_days: getTrashRetentionDays(process.env) }
+  })
+})
+
+// POST /api/lead/batch
+// Applies one action to many leads and reports the outcome for each lead
+app.post('/api/lead/batch', async (c) => {
+  try {
+    let body
+    try {
+      body = await c.req.json()
+    } catch (parseError) {
+      return c.json({
+        success: false,
+        error: 'Request body must be valid JSON'
+      }, 400)
+    }
+
+    const { action, lead_ids: leadIds, status, reason_code: reasonCode, reason_comment: reasonComment } = body || {}
+
+    // Validate action and lead_ids
+    if (!BATCH_ACTIONS.includes(action)) {
+      return c.json({
+        success: false,
+        error: `Invalid action. Must be one of: ${BATCH_ACTIONS.join(', ')}`
+      }, 400)
+    }
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return c.json({
+        success: false,
+        error: 'lead_ids must be a non-empty array'
+      }, 400)
+    }
+
+    if (leadIds.length > MAX_BATCH_SIZE) {
+      return c.json({
+        success: false,
+        error: `Cannot process more than ${MAX_BATCH_SIZE} leads per request`
+      }, 400)
+    }
+
+    if (action === 'status' && !LEAD_STATUS_VALUES.includes(status)) {
+      return c.json({
+        success: false,
+        error: `Invalid status. Must be one of: ${LEAD_STATUS_VALUES.join(', ')}`
+      }, 400)
+    }
+
+    // Checked here as well as in the dashboard, since the reason is required for closed_lost
+    let reason = null
+    if (action === 'status') {
+      try {
+        reason = validateStatusReason(status, reasonCode, reasonComment)
+      } catch (validationError) {
+        return c.json({
+          success: false,
+          error: validationError.message
+        }, 400)
+      }
+    }
+
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const uniqueLeadIds = [...new Set(leadIds)]
+    const validLeadIds = uniqueLeadIds.filter(isValidUUID)
+
+    // Look up the leads up front so ownership is checked once and previous statuses can be reported
+    const { data: ownedLeads, error: lookupError } = await userSupabase
+      .from('property_leads')
+      .select('id, status, is_active, deleted_at')
+      .in('id', validLeadIds)
+      .eq('user_id', user.id)
+
+    if (lookupError) {
+      console.error('Supabase error in batch lead lookup:', lookupError)
+      return c.json({
+        success: false,
+        error: `Failed to look up property leads: ${lookupError.message}`
+      }, 500)
+    }
+
+    const ownedLeadMap = new Map((ownedLeads || []).map(lead => [lead.id, lead]))
+    const results = []
+
+    for (const leadId of uniqueLeadIds) {
+      if (!isValidUUID(leadId)) {
+        results.push({ lead_id: leadId, success: false, error: 'Invalid lead_id' })
+        continue
+      }
+
+      const existingLead = ownedLeadMap.get(leadId)
+      if (!existingLead) {
+        results.push({ lead_id: leadId, success: false, error: 'Property lead not found or you do not have permission to modify it' })
+        continue
+      }
+
+      try {
+        if (action === 'status') {
+          // The history row is written by the RPC, in the same transaction as the status
+          const { data, error } = await userSupabase.rpc('set_property_lead_status', {
+            p_lead_id: leadId,
+            p_new_status: status,
+            p_history: toHistoryParam({ action: 'status_change', ...reason })
+          })
+
+          if (error || data?.success === false) {
+            results.push({ lead_id: leadId, success: false, error: error?.message || data?.error || 'Failed to update status' })
+          } else {
+            results.push({ lead_id: leadId, success: true, previous_status: existingLead.status, data })
+          }
+        } else if (action === 'archive' || action === 'restore') {
+          const { data, error } = await updateLeadFields(userSupabase, leadId, {
+            is_active: action === 'restore'
+          }, { action: action === 'restore' ? 'unarchived' : 'archived' })
+
+          if (error || !data) {
+            results.push({ lead_id: leadId, success: false, error: error?.message || `Failed to ${action} lead` })
+          } else {
+            results.push({ lead_id: leadId, success: true, data })
+          }
+        } else if (action === 'delete' || action === 'untrash') {
+          const { data, error } = await updateLeadFields(userSupabase, leadId, {
+            deleted_at: action === 'delete' ? new Date().toISOString() : null
+          }, { action: action === 'delete' ? 'trashed' : 'restored' })
+
+          if (error || !data) {
+            results.push({ lead_id: leadId, success: false, error: error?.message || `Failed to ${action} lead` })
+          } else {
+            results.push({ lead_id: leadId, success: true, data })
+          }
+        } else if (action === 'purge') {
+          if (!existingLead.deleted_at) {
+            results.push({ lead_id: leadId, success: false, error: 'Only leads in the trash can be permanently deleted' })
+            continue
+          }
+
+          const { data, error } = await userSupabase.rpc('delete_property_lead', {
+            p_lead_id: leadId,
+            p_history: toHistoryParam({ action: 'deleted' })
+          })
+
+          if (error) {
+            results.push({ lead_id: leadId, success: false, error: error.message })
+          } else {
+            results.push({ lead_id: leadId, success: true, data })
+          }
+        }
+      } catch (leadError) {
+        console.error(`Error processing batch ${action} for lead ${leadId}:`, leadError)
+        results.push({ lead_id: leadId, success: false, error: 'Internal server error' })
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length
+
+    // Return per-lead results; the request itself succeeds even if some leads failed
+    return c.json({
+      success: true,
+      message: `Processed ${results.length} leads (${succeeded} succeeded, ${results.length - succeeded} failed)`,
+      data: {
+        action,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    })
+
+  } catch (error) {
+    console.error('Error in POST /api/lead/batch:', error)
+    return c.json({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// GET /api/lead/export
+// Streams every lead matching a lead view (same query string as /listings/leads) as CSV or XLSX.
+// Extra params: format=csv|xlsx, columns=comma-separated LEAD_EXPORT_COLUMNS keys
+app.get('/api/lead/export', async (c) => {
+  try {
+    const { errorResponse, userSupabase } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const params = new URL(c.req.url).searchParams
+    const format = params.get('format') || 'csv'
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return c.json({
+        success: false,
+        error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+      }, 400)
+    }
+
+    const columns = resolveExportColumns(params.get('columns'))
+    if (columns.length === 0) {
+      return c.json({
+        success: false,
+        error: 'At least one valid column is required'
+      }, 400)
+    }
+
+    let rpcParams
+    try {
+      rpcParams = buildLeadQueryParams(viewToLeadQuery(searchParamsToView(params)))
+    } catch (validationError) {
+      return c.json({
+        success: false,
+        error: `Invalid filter: ${validationError.message}`
+      }, 400)
+    }
+
+    const fetchChunk = async (offset, limit) => {
+      const { data, error } = await userSupabase.rpc('get_property_leads_paginated', {
+        ...rpcParams,
+        p_limit: limit,
+        p_offset: offset
+      })
+
+      if (error) {
+        throw new Error(`Failed to fetch leads for export: ${error.message}`)
+      }
+
+      return data?.leads || []
+    }
+
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`
+
+    if (format === 'xlsx') {
+      // The ZIP container needs every row before it can be written, so XLSX is built in memory
+      const rows = []
+      for await (const leads of iterateLeadChunks(fetchChunk)) {
+        leads.forEach(lead => rows.push(leadToRow(lead, columns)))
+      }
+
+      return new Response(buildXlsx(columns, rows), {
+        headers: {
+          'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'Content-Disposition': `attachment; filename="${filename}"`
+        }
+      })
+    }
+
+    // CSV is streamed one chunk at a time so large exports never sit in memory
+    const encoder = new TextEncoder()
+    const chunks = iterateLeadChunks(fetchChunk)
+    let headerSent = false
+
+    const stream = new ReadableStream({
+      async pull(controller) {
+        try {
+          if (!headerSent) {
+            headerSent = true
+            controller.enqueue(encoder.encode('\uFEFF' + toCsvLine(columns.map(column => column.label))))
+            return
+          }
+
+          const { value: leads, done } = await chunks.next()
+          if (done) {
+            controller.close()
+            return
+          }
+
+          controller.enqueue(encoder.encode(leads.map(lead => toCsvLine(leadToRow(lead, columns))).join('')))
+        } catch (error) {
+          console.error('Error streaming lead export:', error)
+          controller.error(error)
+        }
+      }
+    })
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    })
+
+  } catch (error) {
+    console.error('Error in GET /api/lead/export:', error)
+    return c.json({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// POST /api/lead/import
+// Imports mapped spreadsheet rows as prospect_found leads. Body: { rows, dry_run }.
+// With dry_run the plan (create / merge / skip per row) is returned without writing anything.
+app.post('/api/lead/import', async (c) => {
+  try {
+    let body
+    try {
+      body = await c.req.json()
+    } catch (parseError) {
+      return c.json({
+        success: false,
+        error: 'Request body must be valid JSON'
+      }, 400)
+    }
+
+    const { rows, dry_run: dryRun = false } = body || {}
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return c.json({
+        success: false,
+        error: 'rows must be a non-empty array'
+      }, 400)
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return c.json({
+        success: false,
+        error: `Cannot import more than ${MAX_IMPORT_ROWS} rows per request`
+      }, 400)
+    }
+
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const cleanedRows = rows.map(cleanImportRow)
+    const zpids = [...new Set(cleanedRows.map(row => row.zpid).filter(Boolean))]
+    const zipcodes = [...new Set(cleanedRows.map(row => row.zipcode).filter(Boolean))]
+
+    // Look up existing listings by zpid and existing properties in the same zip codes,
+    // then compare normalized addresses here so "Street" and "St." match
+    const listingsByZpid = new Map()
+    if (zpids.length > 0) {
+      const { data: listings, error: listingsError } = await userSupabase
+        .from('listings')
+        .select('zpid, property_id')
+        .in('zpid', zpids)
+
+      if (listingsError) {
+        console.error('Supabase error in import listing lookup:', listingsError)
+        return c.json({
+          success: false,
+          error: `Failed to look up listings: ${listingsError.message}`
+        }, 500)
+      }
+
+      for (const listing of listings || []) {
+        listingsByZpid.set(String(listing.zpid), listing)
+      }
+    }
+
+    const propertiesByAddressKey = new Map()
+    if (zipcodes.length > 0) {
+      const { data: properties, error: propertiesError } = await userSupabase
+        .from('properties')
+        .select('id, street_address, zipcode')
+        .in('zipcode', zipcodes)
+
+      if (propertiesError) {
+        console.error('Supabase error in import property lookup:', propertiesError)
+        return c.json({
+          success: false,
+          error: `Failed to look up properties: ${propertiesError.message}`
+        }, 500)
+      }
+
+      for (const property of properties || []) {
+        const key = buildAddressKey(property.street_address, property.zipcode)
+        if (key) propertiesByAddressKey.set(key, property)
+      }
+    }
+
+    const plan = planLeadImport(cleanedRows, { listingsByZpid, propertiesByAddressKey })
+
+    if (dryRun) {
+      return c.json({
+        success: true,
+        message: 'Import preview generated',
+        data: {
+          dry_run: true,
+          created: plan.filter(entry => entry.action === 'create').length,
+          merged: plan.filter(entry => entry.action === 'merge').length,
+          skipped: plan.filter(entry => entry.action === 'skip').length,
+          results: plan
+        }
+      })
+    }
+
+    const results = []
+
+    for (const entry of plan) {
+      if (entry.action === 'skip') {
+        results.push(entry)
+        continue
+      }
+
+      const { row } = entry
+
+      try {
+        // import_property_lead creates or reuses the property, listing, agent and broker
+        // in one transaction and reports when the user already tracks the listing
+        const { data, error } = await userSupabase.rpc('import_property_lead', {
+          p_user_id: user.id,
+          p_status: 'prospect_found',
+          p_property_id: entry.property_id,
+          p_zpid: row.zpid,
+          p_property: {
+            street_address: row.street_address,
+            city: row.city,
+            state: row.state,
+            zipcode: row.zipcode,
+            bedrooms: row.bedrooms,
+            bathrooms: row.bathrooms,
+            home_type: row.home_type,
+            year_built: row.year_built
+          },
+          p_listing: {
+            price: row.price,
+            image_urls: row.image_url ? [row.image_url] : []
+          },
+          p_agent: {
+            full_name: row.agent_name,
+            phone_number: row.agent_phone,
+            email: row.agent_email,
+            license_number: row.agent_license
+          },
+          p_broker_name: row.broker_name,
+          p_history: toHistoryParam({ action: 'imported' })
+        })
+
+        if (error || data?.success === false) {
+          results.push({ ...entry, action: 'skip', reason: error?.message || data?.error || 'Failed to import row' })
+        } else if (data?.already_tracked) {
+          results.push({ ...entry, action: 'skip', reason: 'Already in your leads', lead_id: data.lead_id })
+        } else {
+          results.push({ ...entry, lead_id: data?.lead_id })
+        }
+      } catch (rowError) {
+        console.error(`Error importing row ${entry.row_number}:`, rowError)
+        results.push({ ...entry, action: 'skip', reason: 'Internal server error' })
+      }
+    }
+
+    const created = results.filter(result => result.action === 'create').length
+    const merged = results.filter(result => result.action === 'merge').length
+    const skipped = results.length - created - merged
+
+    return c.json({
+      success: true,
+      message: `Imported ${created + merged} leads (${created} created, ${merged} merged, ${skipped} skipped)`,
+      data: {
+        dry_run: false,
+        created,
+        merged,
+        skipped,
+        results
+      }
+    })
+
+  } catch (error) {
+    console.error('Error in POST /api/lead/import:', error)
+    return c.json({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// POST /api/lead/aging/run
+// Runs the user's lead aging rules now. Body: { dry_run } - with dry_run the matching leads
+// are reported without changing them. The Worker cron (src/index.js) runs the same engine daily.
+app.post('/api/lead/aging/run', async (c) => {
+  try {
+    let body = {}
+    try {
+      body = await c.req.json()
+    } catch (parseError) {
+      // An empty body means a real run
+    }
+
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const dryRun = Boolean(body?.dry_run)
+    const summary = await runLeadAging(userSupabase, user.id, { dryRun })
+
+    return c.json({
+      success: true,
+      message: dryRun
+        ? `${summary.matched} leads match your aging rules`
+        : `Applied aging rules to ${summary.applied} leads (${summary.failed} failed)`,
+      data: {
+        dry_run: dryRun,
+        ...summary
+      }
+    })
+
+  } catch (error) {
+    console.error('Error in POST /api/lead/aging/run:', error)
+    return c.json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, 500)
+  }
+})
+
+// POST /api/lead/scores/refresh
+// Recalculates the score of every lead of the user with their current weights and stores the
+// ones that changed in bulk
+app.post('/api/lead/scores/refresh', async (c) => {
+  try {
+    const { user, userSupabase, errorResponse } = await authenticateRequest(c)
+    if (errorResponse) {
+      return errorResponse
+    }
+
+    const summary = await runLeadScoring(userSupabase, user.id)
+
+    return c.json({
+      success: true,
+      message: `Scored ${summary.scored} leads (${summary.updated} changed)`,
+      data: summary
+    })
+
+  } catch (error) {
+    console.error('Error in POST /api/lead/scores/refresh:', error)
+    return c.json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, 500)
+  }
+})
+
 // Health check endpoint
 app.get('/api/health', (c) => {
   return c.json({ status: 'ok', timestamp: new Date().toISOString() })
@@ -82,6 +82,56 @@ function App() {
             )
           }
         />
+        <Route
+          path="/follow-ups"
+          element={
+            session ? (
+              <Dashboard user={session.user} onSignOut={handleSignOut} />
+            ) : (
+              <Navigate to="/" replace />
+            )
+          }
+        />
+        <Route
+          path="/settings"
+          element={
+            session ? (
+              <Dashboard user={session.user} onSignOut={handleSignOut} />
+            ) : (
+              <Navigate to="/" replace />
+            )
+          }
+        />
+        <Route
+          path="/duplicates"
+          element={
+            session ? (
+              <Dashboard user={session.user} onSignOut={handleSignOut} />
+            ) : (
+              <Navigate to="/" replace />
+            )
+          }
+        />
+        <Route
+          path="/calendar"
+          element={
+            session ? (
+              <Dashboard user={session.user} onSignOut={handleSignOut} />
+            ) : (
+              <Navigate to="/" replace />
+            )
+          }
+        />
+        <Route
+          path="/reports/lost"
+          element={
+            session ? (
+              <Dashboard user={session.user} onSignOut={handleSignOut} />
+            ) : (
+              <Navigate to="/" replace />
+            )
+          }
+        />
         <Route
           path="/directory"
           element={
@@ -0,0 +1,118 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { LEAD_STATUS_VALUES } from './properties'
+import { AGING_RULE_COLUMNS, validateAgingRule } from '../lib/lead-aging'
+
+/**
+ * Lead aging rule API functions. Rules are evaluated by the daily Worker cron and by
+ * POST /api/lead/aging/run (see runLeadAgingRules in properties.js for previews).
+ */
+
+/**
+ * Internal function to get the current user's aging rules in the order they are applied
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Array>} Aging rules
+ */
+const _getLeadAgingRules = async (user) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_aging_rules')
+      .select(AGING_RULE_COLUMNS)
+      .eq('user_id', user.id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to fetch aging rules: ${error.message}`)
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in _getLeadAgingRules:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to create or update an aging rule
+ * @param {Object} user - Authenticated user object
+ * @param {Object} rule - Rule fields; updates the rule when rule.id is set
+ * @returns {Promise<Object>} Saved rule
+ */
+const _saveLeadAgingRule = async (user, rule = {}) => {
+  const validationError = validateAgingRule(rule, LEAD_STATUS_VALUES)
+  if (validationError) {
+    throw new Error(validationError)
+  }
+
+  const fields = {
+    name: validateInput.string(rule.name, { maxLength: 100 }) || null,
+    from_status: rule.from_status,
+    basis: rule.basis,
+    days: validateInput.number(rule.days, { required: true, min: 1, max: 3650, integer: true }),
+    action: rule.action,
+    to_status: rule.action === 'status' ? rule.to_status : null,
+    enabled: rule.enabled !== false,
+    position: validateInput.number(rule.position, { min: 0, integer: true }) ?? 0
+  }
+
+  try {
+    const query = rule.id
+      ? supabase
+        .from('lead_aging_rules')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', validateInput.uuid(rule.id, true))
+        .eq('user_id', user.id)
+      : supabase
+        .from('lead_aging_rules')
+        .insert({ ...fields, user_id: user.id })
+
+    const { data, error } = await query.select(AGING_RULE_COLUMNS).single()
+
+    if (error) {
+      throw new Error(`Failed to save aging rule: ${error.message}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in _saveLeadAgingRule:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to delete an aging rule
+ * @param {Object} user - Authenticated user object
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object>} Deleted rule row
+ */
+const _deleteLeadAgingRule = async (user, ruleId) => {
+  const validRuleId = validateInput.uuid(ruleId, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_aging_rules')
+      .delete()
+      .eq('id', validRuleId)
+      .eq('user_id', user.id)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to delete aging rule: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Aging rule not found')
+    }
+
+    return data[0]
+  } catch (error) {
+    console.error('Error in _deleteLeadAgingRule:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLeadAgingRules = withAuth(withRateLimit(_getLeadAgingRules, { maxRequests: 50, windowMs: 60000 }))
+export const saveLeadAgingRule = withAuth(withRateLimit(_saveLeadAgingRule, { maxRequests: 20, windowMs: 60000 }))
+export const deleteLeadAgingRule = withAuth(withRateLimit(_deleteLeadAgingRule, { maxRequests: 20, windowMs: 60000 }))
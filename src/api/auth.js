@@ -117,83 +117,5 @@ export const withRateLimit = (apiFunction, options = {}) => {
   }
 }
 
-/**
- * Input validation utilities
- */
-export const validateInput = {
-  /**
-   * Validates string input
-   * @param {any} value - Value to validate
-   * @param {Object} options - Validation options
-   * @returns {string} Sanitized string
-   */
-  string: (value, options = {}) => {
-    const { required = false, minLength = 0, maxLength = 1000, pattern = null } = options
-
-    if (value === null || value === undefined) {
-      if (required) {
-        throw new Error('String value is required')
-      }
-      return ''
-    }
-
-    const strValue = String(value).trim()
-
-    if (required && !strValue) {
-      throw new Error('String value cannot be empty')
-    }
-
-    if (strValue.length < minLength) {
-      throw new Error(`String must be at least ${minLength} characters`)
-    }
-
-    if (strValue.length > maxLength) {
-      throw new Error(`String cannot exceed ${maxLength} characters`)
-    }
-
-    if (pattern && !pattern.test(strValue)) {
-      throw new Error('String format is invalid')
-    }
-
-    return strValue
-  },
-
-  /**
-   * Validates enum values
-   * @param {any} value - Value to validate
-   * @param {Array} allowedValues - Array of allowed values
-   * @param {boolean} required - Whether value is required
-   * @returns {string} Validated enum value
-   */
-  enum: (value, allowedValues, required = true) => {
-    if (!value && !required) {
-      return null
-    }
-
-    if (!allowedValues.includes(value)) {
-      throw new Error(`Value must be one of: ${allowedValues.join(', ')}`)
-    }
-
-    return value
-  },
-
-  /**
-   * Validates UUID format
-   * @param {string} value - UUID string to validate
-   * @param {boolean} required - Whether UUID is required
-   * @returns {string} Validated UUID
-   */
-  uuid: (value, required = true) => {
-    if (!value && !required) {
-      return null
-    }
-
-    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-
-    if (!uuidPattern.test(value)) {
-      throw new Error('Invalid UUID format')
-    }
-
-    return value
-  }
-}
\ No newline at end of file
+// Input validation lives in lib/validation so the lead routes can share it
+export { validateInput } from '../lib/validation'
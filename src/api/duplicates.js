@@ -0,0 +1,140 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { diffMetadata } from './timeline'
+import { toHistoryParam } from '../lib/lead-history'
+import { buildLeadQueryParams } from '../lib/lead-query'
+import { iterateLeadChunks } from '../lib/lead-export'
+import { findDuplicateLeadGroups, pickPrimaryLead, mergeLeadFields } from '../lib/lead-duplicates'
+
+/**
+ * Duplicate lead API functions: find leads for the same home and merge them into one
+ */
+
+const MERGE_LEAD_COLUMNS = 'id, status, metadata, is_active, next_action_at, next_action_note, created_at, deleted_at'
+const MAX_MERGE_SIZE = 20
+
+/**
+ * Internal function to find groups of duplicate leads across active and archived leads
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Array>} Groups of { key, reasons, leads, suggestedPrimaryId }
+ */
+const _getDuplicateLeadGroups = async (user) => {
+  try {
+    // Active and archived leads, oldest first
+    const rpcParams = buildLeadQueryParams({ sortBy: 'created_at', sortDir: 'asc' })
+
+    const fetchChunk = async (offset, limit) => {
+      const { data, error } = await supabase.rpc('get_property_leads_paginated', {
+        ...rpcParams,
+        p_limit: limit,
+        p_offset: offset
+      })
+
+      if (error) {
+        throw new Error(`Failed to fetch property leads: ${error.message}`)
+      }
+
+      return data?.leads || []
+    }
+
+    const leads = []
+    for await (const chunk of iterateLeadChunks(fetchChunk)) {
+      leads.push(...chunk)
+    }
+
+    return findDuplicateLeadGroups(leads).map(group => ({
+      ...group,
+      suggestedPrimaryId: pickPrimaryLead(group.leads).id
+    }))
+  } catch (error) {
+    console.error('Error in _getDuplicateLeadGroups:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to merge duplicate leads into one. The kept lead gets the most advanced
+ * status, combined message metadata and the soonest follow-up; history and notes of the
+ * duplicates move over, and the duplicates go to the trash.
+ *
+ * The merge_property_leads RPC does all of it in one transaction, along with the kept lead's
+ * history row, so a failed merge leaves every lead as it was. It moves the status through the
+ * same checks as set_property_lead_status, and stamps each duplicate's metadata with merged_into
+ * plus the ids of the history rows and notes it moved (merged_history_ids, merged_note_ids), so
+ * the merge can be reversed by restoring the duplicates and moving those rows back. It returns
+ * { success, error, lead } with lead holding MERGE_LEAD_COLUMNS of the kept lead.
+ * @param {Object} user - Authenticated user object
+ * @param {string} primaryLeadId - Lead to keep
+ * @param {Array<string>} duplicateLeadIds - Leads to merge into it
+ * @returns {Promise<Object>} { lead, mergedLeadIds }
+ */
+const _mergePropertyLeads = async (user, primaryLeadId, duplicateLeadIds) => {
+  const validPrimaryId = validateInput.uuid(primaryLeadId, true)
+  const validDuplicateIds = [...new Set((duplicateLeadIds || []).map(id => validateInput.uuid(id, true)))]
+    .filter(id => id !== validPrimaryId)
+
+  if (validDuplicateIds.length === 0) {
+    throw new Error('Select at least one lead to merge')
+  }
+
+  if (validDuplicateIds.length > MAX_MERGE_SIZE) {
+    throw new Error(`Cannot merge more than ${MAX_MERGE_SIZE} leads at once`)
+  }
+
+  try {
+    const { data: rows, error: lookupError } = await supabase
+      .from('property_leads')
+      .select(MERGE_LEAD_COLUMNS)
+      .in('id', [validPrimaryId, ...validDuplicateIds])
+      .eq('user_id', user.id)
+
+    if (lookupError) {
+      throw new Error(`Failed to fetch leads: ${lookupError.message}`)
+    }
+
+    const primary = (rows || []).find(row => row.id === validPrimaryId)
+    const duplicates = (rows || []).filter(row => validDuplicateIds.includes(row.id))
+
+    if (!primary || duplicates.length !== validDuplicateIds.length) {
+      throw new Error('Lead not found or you do not have permission to merge it')
+    }
+
+    if ([primary, ...duplicates].some(row => row.deleted_at)) {
+      throw new Error('Leads in the trash cannot be merged')
+    }
+
+    const merged = mergeLeadFields(primary, duplicates)
+
+    const { data: result, error: mergeError } = await supabase.rpc('merge_property_leads', {
+      p_primary_lead_id: validPrimaryId,
+      p_duplicate_lead_ids: validDuplicateIds,
+      p_status: merged.status,
+      p_metadata: merged.metadata,
+      p_is_active: merged.is_active,
+      p_next_action_at: merged.next_action_at,
+      p_next_action_note: merged.next_action_note,
+      p_history: toHistoryParam({
+        action: 'merged',
+        metadataDiff: diffMetadata(primary.metadata, merged.metadata)
+      })
+    })
+
+    if (mergeError) {
+      throw new Error(`Failed to merge leads: ${mergeError.message}`)
+    }
+
+    // The RPC reports business-rule failures in its payload rather than as an error
+    if (result?.success === false) {
+      throw new Error(result.error || 'Failed to merge leads')
+    }
+
+    return { lead: result.lead, mergedLeadIds: validDuplicateIds }
+  } catch (error) {
+    console.error('Error in _mergePropertyLeads:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getDuplicateLeadGroups = withAuth(withRateLimit(_getDuplicateLeadGroups, { maxRequests: 10, windowMs: 60000 }))
+export const mergePropertyLeads = withAuth(withRateLimit(_mergePropertyLeads, { maxRequests: 20, windowMs: 60000 }))
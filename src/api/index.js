@@ -7,6 +7,18 @@ export * from './auth'
 export * from './properties'
 export * from './messaging'
 export * from './agents'
+export * from './timeline'
+export * from './views'
+export * from './reminders'
+export * from './notes'
+export * from './duplicates'
+export * from './aging'
+export * from './transitions'
+export * from './reasons'
+export * from './invoices'
+export * from './shoots'
+export * from './scoring'
+export * from './offline'
 
 /**
  * Global error handler for API calls
@@ -0,0 +1,337 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { toHistoryParam } from '../lib/lead-history'
+import { LEAD_STATUS_VALUES, _setPropertyLeadStatus } from './properties'
+import { DEAL_FIELD_KEYS } from '../lib/lead-deals'
+import {
+  INVOICE_STATUSES,
+  INVOICEABLE_STATUSES,
+  INVOICE_DUE_DAYS,
+  MAX_INVOICE_LINE_ITEMS,
+  formatInvoiceNumber,
+  buildInvoiceFromLead,
+  getInvoiceTotal
+} from '../lib/invoices'
+
+/**
+ * Lead invoice API functions. Invoices are numbered per user and move draft → sent → paid;
+ * marking one paid also moves its lead to the paid status.
+ */
+
+const INVOICE_COLUMNS = 'id, lead_id, invoice_number, sequence, status, issued_at, due_at, sent_at, paid_at, bill_to, property, issuer, line_items, total, notes, share_token, created_at, updated_at'
+
+// Inserts retried when another invoice took the same number first
+const MAX_NUMBERING_ATTEMPTS = 3
+const UNIQUE_VIOLATION = '23505'
+
+// Allowed status changes; a paid invoice is final
+const INVOICE_STATUS_CHANGES = {
+  draft: ['sent', 'paid'],
+  sent: ['draft', 'paid'],
+  paid: []
+}
+
+// Printable invoices are served by the Worker (src/index.js), which may live on another origin
+const INVOICE_BASE_URL = import.meta.env.VITE_WORKER_URL || window.location.origin
+
+/**
+ * Link to the printable invoice page
+ * @param {Object} invoice - Invoice with id and share_token
+ * @returns {string} Absolute URL
+ */
+export const getInvoiceUrl = (invoice) => {
+  return `${INVOICE_BASE_URL}/invoices/${invoice.id}?token=${invoice.share_token}`
+}
+
+const validateLineItems = (lineItems) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw new Error('An invoice needs at least one line item')
+  }
+
+  if (lineItems.length > MAX_INVOICE_LINE_ITEMS) {
+    throw new Error(`An invoice can have at most ${MAX_INVOICE_LINE_ITEMS} line items`)
+  }
+
+  return lineItems.map(item => ({
+    description: validateInput.string(item.description, { required: true, maxLength: 200 }),
+    amount: validateInput.number(item.amount, { required: true, min: 0, max: 1000000 })
+  }))
+}
+
+const fetchOwnInvoice = async (user, invoiceId) => {
+  const { data, error } = await supabase
+    .from('lead_invoices')
+    .select(INVOICE_COLUMNS)
+    .eq('id', invoiceId)
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch invoice: ${error.message}`)
+  }
+
+  if (!data) {
+    throw new Error('Invoice not found or you do not have permission to change it')
+  }
+
+  return data
+}
+
+/**
+ * Internal function to list the invoices of a lead
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Array>} Invoices, newest first
+ */
+const _getLeadInvoices = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_invoices')
+      .select(INVOICE_COLUMNS)
+      .eq('lead_id', validLeadId)
+      .eq('user_id', user.id)
+      .order('sequence', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to fetch invoices: ${error.message}`)
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in _getLeadInvoices:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to create a draft invoice for a delivered lead. Amounts come from the
+ * lead's deal fields; agent, broker and property details are copied from the lead as shown.
+ * @param {Object} user - Authenticated user object
+ * @param {Object} lead - Lead from getPropertyLeads
+ * @returns {Promise<Object>} Created invoice
+ */
+const _createLeadInvoice = async (user, lead) => {
+  const validLeadId = validateInput.uuid(lead?.id, true)
+
+  try {
+    const { data: current, error: leadError } = await supabase
+      .from('property_leads')
+      .select(['id', 'status', ...DEAL_FIELD_KEYS].join(', '))
+      .eq('id', validLeadId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (leadError) {
+      throw new Error(`Failed to fetch lead: ${leadError.message}`)
+    }
+
+    if (!current) {
+      throw new Error('Lead not found or you do not have permission to invoice it')
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(current.status)) {
+      throw new Error('Only delivered leads can be invoiced')
+    }
+
+    const snapshot = buildInvoiceFromLead({ ...lead, deal: current })
+    let data = null
+
+    for (let attempt = 1; !data; attempt++) {
+      // next_invoice_sequence locks the caller's invoice_counters row and returns the next
+      // number, so concurrent creates get different ones; the unique (user_id, sequence)
+      // constraint on lead_invoices catches anything numbered outside it, retried below
+      const { data: sequence, error: sequenceError } = await supabase.rpc('next_invoice_sequence')
+
+      if (sequenceError) {
+        throw new Error(`Failed to number invoice: ${sequenceError.message}`)
+      }
+
+      const issuedAt = new Date()
+      const dueAt = new Date(issuedAt.getTime() + INVOICE_DUE_DAYS * 24 * 60 * 60 * 1000)
+
+      const invoiceNumber = formatInvoiceNumber(sequence, issuedAt)
+
+      // create_lead_invoice inserts the invoice and the lead's history row in one transaction
+      const { data: created, error } = await supabase.rpc('create_lead_invoice', {
+        p_invoice: {
+          user_id: user.id,
+          lead_id: validLeadId,
+          sequence,
+          invoice_number: invoiceNumber,
+          status: 'draft',
+          issued_at: issuedAt.toISOString(),
+          due_at: dueAt.toISOString(),
+          issuer: { email: user.email || null },
+          ...snapshot,
+          total: getInvoiceTotal(snapshot.line_items),
+          share_token: crypto.randomUUID()
+        },
+        p_history: toHistoryParam({
+          action: 'invoice_created',
+          metadataDiff: { invoice: { from: null, to: invoiceNumber } }
+        })
+      })
+
+      if (error?.code === UNIQUE_VIOLATION && attempt < MAX_NUMBERING_ATTEMPTS) {
+        continue
+      }
+
+      if (error) {
+        throw new Error(`Failed to create invoice: ${error.message}`)
+      }
+
+      data = created
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in _createLeadInvoice:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to edit a draft invoice
+ * @param {Object} user - Authenticated user object
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} fields - { line_items, notes, due_at }
+ * @returns {Promise<Object>} Updated invoice
+ */
+const _updateInvoiceDraft = async (user, invoiceId, fields = {}) => {
+  const validInvoiceId = validateInput.uuid(invoiceId, true)
+  const lineItems = validateLineItems(fields.line_items)
+  const notes = validateInput.string(fields.notes, { maxLength: 2000 }) || null
+  const dueAt = validateInput.date(fields.due_at)
+
+  try {
+    const invoice = await fetchOwnInvoice(user, validInvoiceId)
+
+    if (invoice.status !== 'draft') {
+      throw new Error('Only draft invoices can be edited')
+    }
+
+    const { data, error } = await supabase
+      .from('lead_invoices')
+      .update({
+        line_items: lineItems,
+        total: getInvoiceTotal(lineItems),
+        notes,
+        due_at: dueAt,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', validInvoiceId)
+      .eq('user_id', user.id)
+      .select(INVOICE_COLUMNS)
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to update invoice: ${error.message}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in _updateInvoiceDraft:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to move an invoice to draft, sent or paid. Paying an invoice moves its lead
+ * to the paid status unless the lead is already there or further along; if the lead can't be
+ * moved, the invoice is put back as it was.
+ * @param {Object} user - Authenticated user object
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} status - One of INVOICE_STATUSES
+ * @returns {Promise<Object>} { invoice, leadStatus } where leadStatus is the lead's new status, if it changed
+ */
+const _setInvoiceStatus = async (user, invoiceId, status) => {
+  const validInvoiceId = validateInput.uuid(invoiceId, true)
+  const validStatus = validateInput.enum(status, INVOICE_STATUSES, true)
+
+  try {
+    const invoice = await fetchOwnInvoice(user, validInvoiceId)
+
+    if (!INVOICE_STATUS_CHANGES[invoice.status].includes(validStatus)) {
+      throw new Error(`A ${invoice.status} invoice cannot be marked ${validStatus}`)
+    }
+
+    const now = new Date().toISOString()
+    const { data, error } = await supabase
+      .from('lead_invoices')
+      .update({
+        status: validStatus,
+        sent_at: validStatus === 'draft' ? null : invoice.sent_at || now,
+        paid_at: validStatus === 'paid' ? now : null,
+        updated_at: now
+      })
+      .eq('id', validInvoiceId)
+      .eq('user_id', user.id)
+      .select(INVOICE_COLUMNS)
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to update invoice: ${error.message}`)
+    }
+
+    if (validStatus !== 'paid') {
+      return { invoice: data, leadStatus: null }
+    }
+
+    let leadStatus = null
+    try {
+      const { data: lead, error: leadError } = await supabase
+        .from('property_leads')
+        .select('id, status')
+        .eq('id', invoice.lead_id)
+        .single()
+
+      if (leadError) {
+        throw new Error(`Failed to fetch its lead: ${leadError.message}`)
+      }
+
+      if (LEAD_STATUS_VALUES.indexOf(lead.status) < LEAD_STATUS_VALUES.indexOf('paid')) {
+        const statusResult = await _setPropertyLeadStatus(user, lead.id, 'paid', {
+          metadataDiff: { invoice: { from: null, to: `${data.invoice_number} paid` } }
+        })
+
+        if (statusResult?.success === false) {
+          throw new Error(`The lead could not be moved to Paid: ${statusResult.error || 'unknown error'}`)
+        }
+
+        leadStatus = 'paid'
+      }
+    } catch (leadError) {
+      // An invoice is only paid together with its lead, so put it back the way it was
+      const { error: rollbackError } = await supabase
+        .from('lead_invoices')
+        .update({
+          status: invoice.status,
+          sent_at: invoice.sent_at,
+          paid_at: invoice.paid_at,
+          updated_at: invoice.updated_at
+        })
+        .eq('id', validInvoiceId)
+        .eq('user_id', user.id)
+
+      if (rollbackError) {
+        console.error('Error rolling back paid invoice:', rollbackError)
+        throw new Error(`Invoice paid, but its lead could not be moved to Paid: ${leadError.message}`)
+      }
+
+      throw new Error(`Invoice not marked paid: ${leadError.message}`)
+    }
+
+    return { invoice: data, leadStatus }
+  } catch (error) {
+    console.error('Error in _setInvoiceStatus:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLeadInvoices = withAuth(withRateLimit(_getLeadInvoices, { maxRequests: 50, windowMs: 60000 }))
+export const createLeadInvoice = withAuth(withRateLimit(_createLeadInvoice, { maxRequests: 10, windowMs: 60000 }))
+export const updateInvoiceDraft = withAuth(withRateLimit(_updateInvoiceDraft, { maxRequests: 30, windowMs: 60000 }))
+export const setInvoiceStatus = withAuth(withRateLimit(_setInvoiceStatus, { maxRequests: 20, windowMs: 60000 }))
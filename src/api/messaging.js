@@ -1,5 +1,6 @@
 import { supabase } from '../lib/supabase'
 import { withAuth, withRateLimit, validateInput } from './auth'
+import { withOfflineCache } from './offline'
 
 /**
  * SMS and messaging API functions with authentication and validation
@@ -234,8 +235,17 @@ const getMockAllSMSDetails = (templateIds, leadId) => {
 }
 
 // Export public API functions with authentication and rate limiting
-export const getMessageTemplates = withAuth(withRateLimit(_getMessageTemplates, { maxRequests: 50, windowMs: 60000 }))
-export const getSMSDetails = withAuth(withRateLimit(_getSMSDetails, { maxRequests: 100, windowMs: 60000 }))
-export const getAllSMSDetails = withAuth(withRateLimit(_getAllSMSDetails, { maxRequests: 50, windowMs: 60000 }))
+export const getMessageTemplates = withOfflineCache(
+  withAuth(withRateLimit(_getMessageTemplates, { maxRequests: 50, windowMs: 60000 })),
+  { group: 'templates', limit: 5 }
+)
+export const getSMSDetails = withOfflineCache(
+  withAuth(withRateLimit(_getSMSDetails, { maxRequests: 100, windowMs: 60000 })),
+  { group: 'sms-details', limit: 200 }
+)
+export const getAllSMSDetails = withOfflineCache(
+  withAuth(withRateLimit(_getAllSMSDetails, { maxRequests: 50, windowMs: 60000 })),
+  { group: 'all-sms-details', limit: 200 }
+)
 export const sendSMSMessage = withAuth(withRateLimit(_sendSMSMessage, { maxRequests: 10, windowMs: 60000 }))
 export const getSMSHistory = withAuth(withRateLimit(_getSMSHistory, { maxRequests: 30, windowMs: 60000 }))
\ No newline at end of file
@@ -0,0 +1,186 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+
+/**
+ * Lead notes API functions with authentication and validation.
+ * Notes live in their own lead_notes table so they can't be clobbered by metadata updates.
+ */
+
+const NOTE_COLUMNS = 'id, lead_id, body, author_id, author_email, created_at, updated_at'
+const MAX_NOTE_LENGTH = 5000
+
+// Flags notes the current user wrote, since only authors may edit or delete them
+const withOwnership = (user, note) => ({
+  ...note,
+  is_own: note.author_id === user.id
+})
+
+/**
+ * Internal function to get all notes for a lead
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Array>} Notes, newest first
+ */
+const _getLeadNotes = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_notes')
+      .select(NOTE_COLUMNS)
+      .eq('lead_id', validLeadId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to fetch lead notes: ${error.message}`)
+    }
+
+    return (data || []).map(note => withOwnership(user, note))
+  } catch (error) {
+    console.error('Error in _getLeadNotes:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to count notes for several leads in a single call
+ * @param {Object} user - Authenticated user object
+ * @param {Array<string>} leadIds - Lead IDs
+ * @returns {Promise<Object>} Object with lead IDs as keys and note counts as values
+ */
+const _getLeadNoteCounts = async (user, leadIds) => {
+  const validLeadIds = (leadIds || []).map(id => validateInput.uuid(id, true))
+
+  if (validLeadIds.length === 0) {
+    return {}
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_notes')
+      .select('lead_id')
+      .in('lead_id', validLeadIds)
+
+    if (error) {
+      throw new Error(`Failed to fetch lead note counts: ${error.message}`)
+    }
+
+    return (data || []).reduce((counts, note) => {
+      counts[note.lead_id] = (counts[note.lead_id] || 0) + 1
+      return counts
+    }, {})
+  } catch (error) {
+    console.error('Error in _getLeadNoteCounts:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to add a note to a lead
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @param {string} body - Note text
+ * @returns {Promise<Object>} Created note
+ */
+const _addLeadNote = async (user, leadId, body) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+  const validBody = validateInput.string(body, { required: true, maxLength: MAX_NOTE_LENGTH })
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_notes')
+      .insert({
+        lead_id: validLeadId,
+        body: validBody,
+        author_id: user.id,
+        author_email: user.email || null
+      })
+      .select(NOTE_COLUMNS)
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to add note: ${error.message}`)
+    }
+
+    return withOwnership(user, data)
+  } catch (error) {
+    console.error('Error in _addLeadNote:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to edit one of the current user's notes
+ * @param {Object} user - Authenticated user object
+ * @param {string} noteId - Note ID
+ * @param {string} body - New note text
+ * @returns {Promise<Object>} Updated note
+ */
+const _updateLeadNote = async (user, noteId, body) => {
+  const validNoteId = validateInput.uuid(noteId, true)
+  const validBody = validateInput.string(body, { required: true, maxLength: MAX_NOTE_LENGTH })
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_notes')
+      .update({
+        body: validBody,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', validNoteId)
+      .eq('author_id', user.id)
+      .select(NOTE_COLUMNS)
+
+    if (error) {
+      throw new Error(`Failed to update note: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Note not found or you are not its author')
+    }
+
+    return withOwnership(user, data[0])
+  } catch (error) {
+    console.error('Error in _updateLeadNote:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to delete one of the current user's notes
+ * @param {Object} user - Authenticated user object
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} Deleted note ID
+ */
+const _deleteLeadNote = async (user, noteId) => {
+  const validNoteId = validateInput.uuid(noteId, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_notes')
+      .delete()
+      .eq('id', validNoteId)
+      .eq('author_id', user.id)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to delete note: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Note not found or you are not its author')
+    }
+
+    return data[0]
+  } catch (error) {
+    console.error('Error in _deleteLeadNote:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLeadNotes = withAuth(withRateLimit(_getLeadNotes, { maxRequests: 50, windowMs: 60000 }))
+export const getLeadNoteCounts = withAuth(withRateLimit(_getLeadNoteCounts, { maxRequests: 50, windowMs: 60000 }))
+export const addLeadNote = withAuth(withRateLimit(_addLeadNote, { maxRequests: 30, windowMs: 60000 }))
+export const updateLeadNote = withAuth(withRateLimit(_updateLeadNote, { maxRequests: 30, windowMs: 60000 }))
+export const deleteLeadNote = withAuth(withRateLimit(_deleteLeadNote, { maxRequests: 20, windowMs: 60000 }))
@@ -0,0 +1,327 @@
+import { supabase } from '../lib/supabase'
+import { getLeadSnapshot, diffMetadata } from './timeline'
+import {
+  readCachedValue,
+  listCachedValues,
+  writeCachedValue,
+  addQueuedMutation,
+  listQueuedMutations,
+  removeQueuedMutation
+} from '../lib/offline-store'
+
+/**
+ * Offline support for the API functions. Read calls wrapped in withOfflineCache keep their last
+ * response in IndexedDB and fall back to it when there is no connection. Changes wrapped in
+ * withOfflineQueue are queued instead of failing, and replayQueuedMutations later sends them
+ * through the same API functions, skipping any the lead has moved on from in the meantime.
+ * Both wrappers go outside withAuth, since checking the session needs the network too.
+ */
+
+export const OFFLINE_QUEUE_CHANGED_EVENT = 'offline-queue-changed'
+export const OFFLINE_SYNC_COMPLETE_EVENT = 'offline-sync-complete'
+
+const ALREADY_APPLIED = 'already_applied'
+
+const formatStatusLabel = (status) => {
+  return status
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+/**
+ * Whether the browser knows it has no connection
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Checks whether an error means the request never reached the server. The API functions wrap
+ * fetch errors in their own messages, so this goes by the wording browsers use.
+ * @param {Error|Object} error - Error thrown by an API function
+ * @returns {boolean} True for network failures
+ */
+export const isNetworkError = (error) => {
+  if (isOffline()) return true
+
+  const message = error?.message || ''
+  return /Failed to fetch|NetworkError|Load failed|Network request failed|ERR_INTERNET_DISCONNECTED/i.test(message)
+}
+
+const notifyQueueChanged = () => {
+  window.dispatchEvent(new Event(OFFLINE_QUEUE_CHANGED_EVENT))
+}
+
+/**
+ * Finds the last loaded copy of a lead
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Object|null>} Lead from the newest cached leads page that has it
+ */
+const findCachedLead = async (leadId) => {
+  const pages = await listCachedValues('leads').catch(() => [])
+  for (const page of pages) {
+    const lead = page.value?.leads?.find(item => item.id === leadId)
+    if (lead) return lead
+  }
+  return null
+}
+
+const describeLead = (lead) => lead?.property?.street_address || 'A lead'
+
+/**
+ * Changes that can be made offline. For each kind:
+ *   describe      - what to remember when queuing, beyond the call arguments
+ *   checkConflict - compares the lead as it is now with what the user saw; returns a message
+ *                   when the change should not be applied, or ALREADY_APPLIED
+ *   isRefused     - whether the API result reports the change as refused
+ *   applyToLead   - shows a queued change on a cached lead (null removes it from the list)
+ *   queuedResult  - what the wrapped call returns when the change was queued
+ */
+const OFFLINE_MUTATIONS = {
+  status: {
+    describe: async ([leadId, status], queue) => {
+      const lead = await findCachedLead(leadId)
+      // A second offline change expects the status the first one left behind
+      const earlier = queue.filter(entry => entry.kind === 'status' && entry.leadId === leadId).pop()
+      return {
+        leadId,
+        label: `${describeLead(lead)} → ${formatStatusLabel(status)}`,
+        expected: { status: earlier ? earlier.args[1] : lead?.status || null }
+      }
+    },
+    checkConflict: (entry, snapshot) => {
+      const target = entry.args[1]
+      if (snapshot.status === target) return ALREADY_APPLIED
+      if (entry.expected.status && snapshot.status !== entry.expected.status) {
+        return `It was moved to ${formatStatusLabel(snapshot.status)} while you were offline, so it was not changed to ${formatStatusLabel(target)}`
+      }
+      return null
+    },
+    isRefused: (result) => result?.success === false,
+    applyToLead: (lead, entry) => ({ ...lead, status: entry.args[1] }),
+    queuedResult: { success: true, queued: true }
+  },
+  metadata: {
+    describe: async ([leadId], queue) => {
+      const lead = await findCachedLead(leadId)
+      // The metadata is saved as a whole, so a second offline change expects what the first set
+      const earlier = queue.filter(entry => entry.kind === 'metadata' && entry.leadId === leadId).pop()
+      return {
+        leadId,
+        label: `${describeLead(lead)} (message details)`,
+        expected: { metadata: earlier ? earlier.args[1] || {} : lead?.metadata || null }
+      }
+    },
+    checkConflict: (entry, snapshot) => {
+      if (!diffMetadata(snapshot.metadata, entry.args[1] || {})) return ALREADY_APPLIED
+      if (entry.expected.metadata && diffMetadata(entry.expected.metadata, snapshot.metadata)) {
+        return 'Its message details were changed while you were offline, so your changes to them were not saved'
+      }
+      return null
+    },
+    isRefused: () => false,
+    applyToLead: (lead, entry) => ({ ...lead, metadata: entry.args[1] || {} }),
+    queuedResult: { queued: true }
+  },
+  archive: {
+    describe: async ([leadId]) => {
+      const lead = await findCachedLead(leadId)
+      return { leadId, label: `${describeLead(lead)} → Archived`, expected: {} }
+    },
+    checkConflict: (entry, snapshot) => (snapshot.is_active === false ? ALREADY_APPLIED : null),
+    isRefused: () => false,
+    applyToLead: () => null,
+    queuedResult: { success: true, queued: true }
+  }
+}
+
+// Online API function of each kind, registered by withOfflineQueue
+const mutationHandlers = new Map()
+
+/**
+ * Keeps the last response of a read call for use without a connection
+ * @param {Function} apiFunction - Public API function
+ * @param {Object} options - Cache options
+ * @param {string} options.group - Cache group
+ * @param {Function} options.getKey - (...args) => key of the response within the group
+ * @param {number} options.limit - Responses kept for the group (default: 20)
+ * @param {Function} options.fromCache - (value, queue, savedAt) => value returned from the cache
+ *   (default: value as saved)
+ * @returns {Function} Wrapped function
+ */
+export const withOfflineCache = (apiFunction, options) => {
+  const { group, getKey = (...args) => JSON.stringify(args), limit = 20, fromCache = value => value } = options
+
+  return async (...args) => {
+    const key = `${group}:${getKey(...args)}`
+
+    try {
+      if (isOffline()) {
+        throw new Error('NetworkError: device is offline')
+      }
+
+      const value = await apiFunction(...args)
+      writeCachedValue(group, key, value, limit).catch(error => {
+        console.warn('Could not cache response for offline use:', error)
+      })
+      return value
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error
+      }
+
+      const cached = await readCachedValue(key).catch(() => null)
+      if (!cached) {
+        throw new Error('You are offline and this has not been loaded on this device yet')
+      }
+
+      const queue = await listQueuedMutations().catch(() => [])
+      return fromCache(cached.value, queue, cached.saved_at)
+    }
+  }
+}
+
+/**
+ * Queues a change made without a connection instead of failing it
+ * @param {string} kind - Key of OFFLINE_MUTATIONS
+ * @param {Function} apiFunction - Public API function making the change
+ * @returns {Function} Wrapped function; resolves to the kind's queuedResult when queued
+ */
+export const withOfflineQueue = (kind, apiFunction) => {
+  mutationHandlers.set(kind, apiFunction)
+
+  return async (...args) => {
+    if (!isOffline()) {
+      try {
+        return await apiFunction(...args)
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          throw error
+        }
+      }
+    }
+
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session?.user) {
+      throw new Error('Authentication required: sign in again to save changes offline')
+    }
+
+    const queue = await listQueuedMutations()
+    const details = await OFFLINE_MUTATIONS[kind].describe(args, queue)
+
+    await addQueuedMutation({
+      kind,
+      args,
+      userId: session.user.id,
+      queued_at: new Date().toISOString(),
+      ...details
+    })
+    notifyQueueChanged()
+
+    return OFFLINE_MUTATIONS[kind].queuedResult
+  }
+}
+
+/**
+ * Shows queued changes on a cached leads page
+ * @param {Object} result - Cached getPropertyLeads response
+ * @param {Array<Object>} queue - Queued changes
+ * @param {string} savedAt - When the page was cached
+ * @returns {Object} The page as it will look once the queue is sent, with cachedAt set
+ */
+export const applyQueuedMutationsToLeads = (result, queue, savedAt) => {
+  const leads = (result.leads || [])
+    .map(lead => queue
+      .filter(entry => entry.leadId === lead.id)
+      .reduce((current, entry) => (current ? OFFLINE_MUTATIONS[entry.kind].applyToLead(current, entry) : null), lead))
+    .filter(Boolean)
+
+  return { ...result, leads, cachedAt: savedAt }
+}
+
+/**
+ * Counts the changes waiting to be sent
+ * @returns {Promise<number>} Queue length
+ */
+export const getQueuedMutationCount = async () => {
+  const queue = await listQueuedMutations().catch(() => [])
+  return queue.length
+}
+
+let replayPromise = null
+
+const replay = async () => {
+  const report = { synced: [], conflicts: [], failed: [] }
+
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session?.user) {
+    return report
+  }
+
+  const queue = (await listQueuedMutations()).filter(entry => entry.userId === session.user.id)
+
+  for (const entry of queue) {
+    if (isOffline()) break
+
+    const mutation = OFFLINE_MUTATIONS[entry.kind]
+    const apiFunction = mutationHandlers.get(entry.kind)
+
+    try {
+      if (!mutation || !apiFunction) {
+        report.failed.push({ ...entry, message: 'This kind of change can no longer be sent' })
+      } else {
+        // A lead that can't be read is left for the API call itself to accept or refuse
+        const snapshot = await getLeadSnapshot(entry.leadId)
+        const conflict = snapshot ? mutation.checkConflict(entry, snapshot) : null
+
+        if (conflict === ALREADY_APPLIED) {
+          report.synced.push(entry)
+        } else if (conflict) {
+          report.conflicts.push({ ...entry, message: conflict })
+        } else {
+          const result = await apiFunction(...entry.args)
+          if (mutation.isRefused(result)) {
+            report.failed.push({ ...entry, message: result.error || result.message || 'The change was refused' })
+          } else {
+            report.synced.push(entry)
+          }
+        }
+      }
+
+      await removeQueuedMutation(entry.id)
+    } catch (error) {
+      // Keep this and everything after it for the next attempt, in order
+      if (isNetworkError(error) || /Rate limit/i.test(error.message)) break
+
+      console.error('Error replaying offline change:', error)
+      report.failed.push({ ...entry, message: error.message })
+      await removeQueuedMutation(entry.id)
+    }
+  }
+
+  return report
+}
+
+/**
+ * Sends the changes queued while offline, oldest first. Stops at the first network failure so
+ * the rest keep their order for the next attempt. Concurrent calls share one run.
+ * @returns {Promise<Object>} { synced, conflicts, failed } lists of queue entries, conflicts and
+ *   failures with a message
+ */
+export const replayQueuedMutations = () => {
+  if (!replayPromise) {
+    replayPromise = replay()
+      .then(report => {
+        if (report.synced.length + report.conflicts.length + report.failed.length > 0) {
+          notifyQueueChanged()
+          window.dispatchEvent(new CustomEvent(OFFLINE_SYNC_COMPLETE_EVENT, { detail: report }))
+        }
+        return report
+      })
+      .finally(() => {
+        replayPromise = null
+      })
+  }
+
+  return replayPromise
+}
@@ -1,18 +1,79 @@
 import { supabase } from '../lib/supabase'
 import { withAuth, withRateLimit, validateInput } from './auth'
-
-// Constants for lead status validation
-const LEAD_STATUS_VALUES = [
-  'prospect_found', 'contacted', 'responded', 'proposal_sent',
-  'booked', 'shoot_completed', 'delivered', 'paid',
-  'closed_won', 'closed_lost'
-]
+import { getLeadSnapshot, diffMetadata } from './timeline'
+import { viewToSearchParams } from '../lib/lead-views'
+import { LEAD_STATUS_VALUES, HOME_TYPE_VALUES, LEAD_SORT_FIELDS, buildLeadFilterParams, buildLeadQueryParams, resolveLeadFilterDates } from '../lib/lead-query'
+import { EXPORT_FORMATS, resolveExportColumns } from '../lib/lead-export'
+import { MAX_IMPORT_ROWS } from '../lib/lead-import'
+import { validateStatusReason } from '../lib/lead-reasons'
+import { toHistoryParam } from '../lib/lead-history'
+import { DEAL_FIELDS, DEAL_FIELD_KEYS, PAYMENT_METHODS, MAX_DEAL_AMOUNT, pickDealFields, sumLeadRevenue } from '../lib/lead-deals'
+import { SHOOT_FIELD_KEYS, pickShootFields } from '../lib/shoot-schedule'
+import { withOfflineCache, withOfflineQueue, applyQueuedMutationsToLeads } from './offline'
 
 const ACTIVE_STATUS_VALUES = [
   'prospect_found', 'contacted', 'responded', 'proposal_sent',
   'booked', 'shoot_completed', 'delivered', 'paid'
 ]
 
+const BULK_LEAD_ACTIONS = ['status', 'archive', 'restore', 'delete', 'untrash', 'purge']
+
+// Trash settings are served by the Worker (src/index.js), which may live on another origin
+const WORKER_BASE_URL = import.meta.env.VITE_WORKER_URL || window.location.origin
+
+const DEAL_COLUMNS = ['id', 'status', ...DEAL_FIELD_KEYS].join(', ')
+const LEAD_DETAIL_COLUMNS = [
+  'id', 'status', ...DEAL_FIELD_KEYS, ...SHOOT_FIELD_KEYS, 'lead_score', 'lead_score_factors', 'lead_scored_at'
+].join(', ')
+
+/**
+ * Adds the typed deal and shoot fields of each lead as lead.deal and lead.shoot, and its stored
+ * score as lead.score ({ score, factors, scored_at }, or null until the lead is first scored)
+ * @param {Array<Object>} leads - Leads returned by get_property_leads_paginated
+ * @returns {Promise<Array<Object>>} Leads with deal, shoot and score
+ */
+const attachLeadDetails = async (leads) => {
+  if (leads.length === 0) return leads
+
+  const { data, error } = await supabase
+    .from('property_leads')
+    .select(LEAD_DETAIL_COLUMNS)
+    .in('id', leads.map(lead => lead.id))
+
+  if (error) {
+    throw new Error(`Failed to fetch lead details: ${error.message}`)
+  }
+
+  const rowsById = new Map((data || []).map(row => [row.id, row]))
+  return leads.map(lead => withLeadDetails(lead, rowsById.get(lead.id) || lead))
+}
+
+/**
+ * Sets lead.deal, lead.shoot and lead.score from a property_leads row
+ * @param {Object} lead - Lead to update
+ * @param {Object} row - property_leads row holding the deal, shoot and score columns
+ * @returns {Object} Copy of the lead with deal, shoot and score
+ */
+export const withLeadDetails = (lead, row) => {
+  const score = row.lead_score === null || row.lead_score === undefined
+    ? null
+    : { score: row.lead_score, factors: row.lead_score_factors || [], scored_at: row.lead_scored_at || null }
+  return { ...lead, deal: pickDealFields(row), shoot: pickShootFields(row), score }
+}
+
+/**
+ * Reads the revenue totals get_property_leads_paginated sums over every lead matching the query
+ * ({ quoted, booked, received, deal_count }), in the shape of sumLeadRevenue
+ * @param {Object} totals - revenue field of the RPC result
+ * @returns {Object} { quoted, booked, received, dealCount } in dollars
+ */
+const toRevenueTotals = (totals) => ({
+  quoted: Number(totals?.quoted) || 0,
+  booked: Number(totals?.booked) || 0,
+  received: Number(totals?.received) || 0,
+  dealCount: Number(totals?.deal_count) || 0
+})
+
 /**
  * Property-related API functions with authentication and validation
  */
@@ -23,21 +84,38 @@ const ACTIVE_STATUS_VALUES = [
  * @param {Object} options - Query options
  * @param {string} options.status - Lead status filter (optional)
  * @param {boolean} options.isActive - Active status filter (optional)
+ * @param {boolean} options.isDeleted - Return trashed leads instead of live ones (default: false)
+ * @param {string} options.city - City name filter (optional)
+ * @param {Array<string>|string} options.zipcodes - Zip codes, as an array or comma-separated string (optional)
+ * @param {number} options.minPrice - Minimum listing price (optional)
+ * @param {number} options.maxPrice - Maximum listing price (optional)
+ * @param {number} options.minBedrooms - Minimum bedrooms (optional)
+ * @param {number} options.minBathrooms - Minimum bathrooms (optional)
+ * @param {string} options.homeType - One of HOME_TYPE_VALUES (optional)
+ * @param {number} options.minYearBuilt - Earliest year built (optional)
+ * @param {number} options.maxYearBuilt - Latest year built (optional)
+ * @param {string} options.agentLicense - Agent license number (optional)
+ * @param {string} options.brokerName - Broker name, partial match (optional)
+ * @param {string} options.createdAfter - Only leads created on or after this date (optional)
+ * @param {string} options.createdBefore - Only leads created on or before this date; a timestamp is exclusive (optional)
+ * @param {string} options.dueBefore - Only leads with a follow-up reminder due by this time (optional)
+ * @param {number} options.minScore - Only leads scoring at least this much, 0-100, plus leads not scored yet (optional)
+ * @param {string} options.sortBy - One of LEAD_SORT_FIELDS (optional, RPC default order when omitted)
+ * @param {string} options.sortDir - 'asc' or 'desc' (default: 'desc')
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Results per page (default: 20)
- * @returns {Promise<Object>} Object with leads array and pagination info
+ * @returns {Promise<Object>} Object with leads array (each with deal, shoot and score), revenue totals
+ *   over every lead matching the query, not just this page (see sumLeadRevenue) and pagination info
  */
 const _getPropertyLeads = async (user, options = {}) => {
   const {
-    status = null,
-    isActive = null,
     page = 1,
-    limit = 20
+    limit = 20,
+    ...query
   } = options
 
   // Validate inputs
-  const validStatus = status ? validateInput.enum(status, LEAD_STATUS_VALUES, false) : null
-  const validIsActive = isActive !== null ? Boolean(isActive) : null
+  const queryParams = buildLeadQueryParams(query)
   const validPage = Math.max(1, parseInt(page) || 1)
   const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 20)) // Max 100 per page
   const offset = (validPage - 1) * validLimit
@@ -45,8 +123,7 @@ const _getPropertyLeads = async (user, options = {}) => {
   try {
     // Get the paginated and filtered lead IDs with count
     const { data: result, error: leadsError } = await supabase.rpc('get_property_leads_paginated', {
-      p_status: validStatus,
-      p_is_active: validIsActive,
+      ...queryParams,
       p_limit: validLimit,
       p_offset: offset
     })
@@ -59,6 +136,7 @@ const _getPropertyLeads = async (user, options = {}) => {
     if (!result || !result.leads || result.leads.length === 0) {
       return {
         leads: [],
+        revenue: toRevenueTotals(result?.revenue),
         pagination: {
           page: validPage,
           limit: validLimit,
@@ -70,9 +148,12 @@ const _getPropertyLeads = async (user, options = {}) => {
       }
     }
 
-    // The RPC now returns full lead data, no need for additional calls
+    // The RPC returns full lead data; deal and shoot fields are read alongside it
+    const leads = await attachLeadDetails(result.leads)
+
     return {
-      leads: result.leads,
+      leads,
+      revenue: toRevenueTotals(result.revenue),
       pagination: {
         page: validPage,
         limit: validLimit,
@@ -88,9 +169,10 @@ const _getPropertyLeads = async (user, options = {}) => {
     // For development, return mock data on error
     if (process.env.NODE_ENV === 'development') {
       console.warn('Returning mock data due to error in development')
-      const mockLeads = getMockPropertyLeads(validStatus || 'active')
+      const mockLeads = queryParams.p_is_deleted ? [] : getMockPropertyLeads(queryParams.p_status || 'active')
       return {
         leads: mockLeads,
+        revenue: sumLeadRevenue(mockLeads),
         pagination: {
           page: validPage,
           limit: validLimit,
@@ -106,6 +188,55 @@ const _getPropertyLeads = async (user, options = {}) => {
   }
 }
 
+/**
+ * Internal function to get lead counts and summed listing price per status
+ * @param {Object} user - Authenticated user object
+ * @param {Object} options - Same isActive, isDeleted and filter options as _getPropertyLeads
+ * @returns {Promise<Object>} Object with statuses as keys and { count, totalPrice } as values
+ */
+const _getPropertyLeadStatusSummary = async (user, options = {}) => {
+  const {
+    isActive = null,
+    isDeleted = false,
+    ...filters
+  } = options
+
+  const validIsActive = isActive !== null ? Boolean(isActive) : null
+  const filterParams = buildLeadFilterParams(filters)
+
+  try {
+    const { data, error } = await supabase.rpc('get_property_lead_status_summary', {
+      p_is_active: validIsActive,
+      p_is_deleted: Boolean(isDeleted),
+      ...filterParams
+    })
+
+    if (error) {
+      throw new Error(`Failed to fetch lead status summary: ${error.message}`)
+    }
+
+    const summary = {}
+    LEAD_STATUS_VALUES.forEach(status => {
+      summary[status] = { count: 0, totalPrice: 0 }
+    })
+
+    const rows = data || []
+    rows.forEach(row => {
+      if (summary[row.status]) {
+        summary[row.status] = {
+          count: Number(row.lead_count) || 0,
+          totalPrice: Number(row.total_price) || 0
+        }
+      }
+    })
+
+    return summary
+  } catch (error) {
+    console.error('Error in _getPropertyLeadStatusSummary:', error)
+    throw error
+  }
+}
+
 /**
  * Internal function to update property lead status
  * @param {Object} user - Authenticated user object
@@ -120,11 +251,19 @@ const _updatePropertyLead = async (user, leadId, status, metadata = {}) => {
   const validStatus = validateInput.enum(status, LEAD_STATUS_VALUES, true)
 
   try {
+    const before = await getLeadSnapshot(validLeadId)
+    const metadataDiff = diffMetadata(before?.metadata, metadata)
+
     const { data, error } = await supabase.rpc('set_property_lead', {
       p_lead_id: validLeadId,
       p_status: validStatus,
       p_metadata: metadata,
-      p_user_id: user.id
+      p_user_id: user.id,
+      p_history: toHistoryParam({
+        action: 'lead_update',
+        metadataDiff,
+        templateUsed: metadataDiff?.last_template_used?.to || null
+      })
     })
 
     if (error) {
@@ -177,10 +316,18 @@ const _updatePropertyLeadMetadata = async (user, leadId, metadata = {}) => {
   const validLeadId = validateInput.uuid(leadId, true)
 
   try {
+    const before = await getLeadSnapshot(validLeadId)
+    const metadataDiff = diffMetadata(before?.metadata, metadata)
+
     const { data, error } = await supabase.rpc('set_property_lead', {
       p_lead_id: validLeadId,
       p_metadata: metadata,
-      p_user_id: user.id
+      p_user_id: user.id,
+      p_history: toHistoryParam({
+        action: 'metadata_update',
+        metadataDiff,
+        templateUsed: metadataDiff?.last_template_used?.to || null
+      })
     })
 
     if (error) {
@@ -195,6 +342,75 @@ const _updatePropertyLeadMetadata = async (user, leadId, metadata = {}) => {
   }
 }
 
+/**
+ * Internal function to update the deal fields of a lead. Only the given fields change;
+ * pass null to clear one.
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID to update
+ * @param {Object} fields - Any of DEAL_FIELD_KEYS (see lib/lead-deals)
+ * @returns {Promise<Object>} The lead's deal after the update
+ */
+const _updateLeadDeal = async (user, leadId, fields = {}) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  const updates = {}
+  DEAL_FIELDS
+    .filter(field => fields[field.key] !== undefined)
+    .forEach(field => {
+      const value = fields[field.key]
+      if (field.type === 'money') {
+        updates[field.key] = validateInput.number(value, { min: 0, max: MAX_DEAL_AMOUNT })
+      } else if (field.type === 'payment_method') {
+        updates[field.key] = validateInput.enum(value, Object.keys(PAYMENT_METHODS), false)
+      } else {
+        updates[field.key] = validateInput.string(value, { maxLength: 100 }) || null
+      }
+    })
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('No deal fields to update')
+  }
+
+  try {
+    const { data: before, error: lookupError } = await supabase
+      .from('property_leads')
+      .select(DEAL_COLUMNS)
+      .eq('id', validLeadId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (lookupError) {
+      throw new Error(`Failed to fetch lead: ${lookupError.message}`)
+    }
+
+    if (!before) {
+      throw new Error('Lead not found or you do not have permission to change it')
+    }
+
+    const previous = pickDealFields(before)
+    const dealDiff = diffMetadata(previous, { ...previous, ...updates })
+
+    const { data, error } = await supabase.rpc('update_property_lead_fields', {
+      p_lead_id: validLeadId,
+      p_changes: updates,
+      p_history: dealDiff ? toHistoryParam({ action: 'deal_update', metadataDiff: dealDiff }) : null
+    })
+
+    if (error) {
+      throw new Error(`Failed to update deal: ${error.message}`)
+    }
+
+    if (!data) {
+      throw new Error('Lead not found or you do not have permission to change it')
+    }
+
+    return pickDealFields(data)
+  } catch (error) {
+    console.error('Error in _updateLeadDeal:', error)
+    throw error
+  }
+}
+
 /**
  * Internal function to get leads with suggested next status
  * @param {Object} user - Authenticated user object
@@ -257,17 +473,30 @@ const _getValidTransitions = async (user, fromStatus) => {
  * @param {Object} user - Authenticated user object
  * @param {string} leadId - Lead ID to update
  * @param {string} status - New status
+ * @param {Object} context - Extra details recorded in the lead history (optional)
+ * @param {string} context.templateUsed - Message template that triggered the change
+ * @param {string} context.reasonCode - Why the status changed (required for closed_lost, see lib/lead-reasons)
+ * @param {string} context.reasonComment - Free-text detail for the reason
+ * @param {Object} context.metadataDiff - What else came with the change, e.g. the invoice that was paid
  * @returns {Promise<Object>} Update result
  */
-const _setPropertyLeadStatus = async (user, leadId, status) => {
+const _setPropertyLeadStatus = async (user, leadId, status, context = {}) => {
   // Validate inputs
   const validLeadId = validateInput.uuid(leadId, true)
   const validStatus = validateInput.enum(status, LEAD_STATUS_VALUES, true)
+  const reason = validateStatusReason(validStatus, context.reasonCode, context.reasonComment)
 
   try {
+    // The RPC records the change in the lead history unless it refuses it
     const { data, error } = await supabase.rpc('set_property_lead_status', {
       p_lead_id: validLeadId,
-      p_new_status: validStatus
+      p_new_status: validStatus,
+      p_history: toHistoryParam({
+        action: 'status_change',
+        metadataDiff: context.metadataDiff || null,
+        templateUsed: context.templateUsed || null,
+        ...reason
+      })
     })
 
     if (error) {
@@ -413,7 +642,47 @@ const getMockPropertyLeads = (status) => {
 }
 
 /**
- * Internal function to delete a property lead via API endpoint
+ * Calls one of the /api/lead endpoints with the current session token
+ * @param {string} path - Endpoint path
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - JSON body (optional)
+ * @param {string} options.errorMessage - Message used when the endpoint reports failure
+ * @returns {Promise<Object>} Parsed response body
+ */
+const callLeadEndpoint = async (path, { method, body = null, errorMessage }) => {
+  // Get the current session to obtain the access token
+  const { data: { session } } = await supabase.auth.getSession()
+
+  if (!session?.access_token) {
+    throw new Error('No valid session found')
+  }
+
+  // Call the API endpoint
+  const response = await fetch(path, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  })
+
+  const result = await response.json()
+
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP error! status: ${response.status}`)
+  }
+
+  if (!result.success) {
+    throw new Error(result.error || errorMessage)
+  }
+
+  return result
+}
+
+/**
+ * Internal function to move a property lead to the trash via API endpoint
  * @param {Object} user - Authenticated user object (used for session token)
  * @param {string} leadId - Lead ID to delete
  * @returns {Promise<Object>} Success/error response
@@ -422,35 +691,132 @@ const _deletePropertyLead = async (user, leadId) => {
   const validLeadId = validateInput.uuid(leadId, true)
 
   try {
-    // Get the current session to obtain the access token
+    const result = await callLeadEndpoint(`/api/lead/${validLeadId}`, {
+      method: 'DELETE',
+      errorMessage: 'Failed to delete property lead'
+    })
+
+    return { success: true, data: result.data }
+  } catch (error) {
+    console.error('Error in _deletePropertyLead:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to permanently delete a property lead that is in the trash
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {string} leadId - Lead ID to delete forever
+ * @returns {Promise<Object>} Success/error response
+ */
+const _permanentlyDeletePropertyLead = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  try {
+    const result = await callLeadEndpoint(`/api/lead/${validLeadId}/permanent`, {
+      method: 'DELETE',
+      errorMessage: 'Failed to permanently delete property lead'
+    })
+
+    return { success: true, data: result.data }
+  } catch (error) {
+    console.error('Error in _permanentlyDeletePropertyLead:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to restore a property lead from the trash
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {string} leadId - Lead ID to restore
+ * @returns {Promise<Object>} Success/error response
+ */
+const _restoreDeletedPropertyLead = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  try {
+    const result = await callLeadEndpoint(`/api/lead/${validLeadId}/restore`, {
+      method: 'PATCH',
+      errorMessage: 'Failed to restore property lead'
+    })
+
+    return { success: true, data: result.data }
+  } catch (error) {
+    console.error('Error in _restoreDeletedPropertyLead:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to get how long deleted leads stay in the trash. Expired leads are purged
+ * by the Worker's daily scheduled run.
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Object>} { retention_days }
+ */
+const _getTrashSettings = async (user) => {
+  try {
+    const response = await fetch(`${WORKER_BASE_URL}/api/trash`)
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Failed to fetch trash settings')
+    }
+
+    return result.data
+  } catch (error) {
+    console.error('Error in _getTrashSettings:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to export every lead matching a view via API endpoint
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {Object} view - Lead view ({ tab, status, filters, sort }) to export
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' or 'xlsx' (default: 'csv')
+ * @param {Array<string>} options.columns - LEAD_EXPORT_COLUMNS keys, in output order
+ * @returns {Promise<Object>} Object with the file blob and its filename
+ */
+const _exportPropertyLeads = async (user, view, options = {}) => {
+  const validFormat = validateInput.enum(options.format || 'csv', EXPORT_FORMATS, true)
+  const validColumns = resolveExportColumns((options.columns || []).join(','))
+
+  if (validColumns.length === 0) {
+    throw new Error('Select at least one column to export')
+  }
+
+  try {
     const { data: { session } } = await supabase.auth.getSession()
 
     if (!session?.access_token) {
       throw new Error('No valid session found')
     }
 
-    // Call the API endpoint
-    const response = await fetch(`/api/lead/${validLeadId}`, {
-      method: 'DELETE',
+    const params = viewToSearchParams({ ...view, filters: resolveLeadFilterDates(view.filters) })
+    params.set('format', validFormat)
+    params.set('columns', validColumns.map(column => column.key).join(','))
+
+    const response = await fetch(`/api/lead/export?${params.toString()}`, {
       headers: {
-        'Authorization': `Bearer ${session.access_token}`,
-        'Content-Type': 'application/json'
+        'Authorization': `Bearer ${session.access_token}`
       }
     })
 
-    const result = await response.json()
-
     if (!response.ok) {
+      const result = await response.json().catch(() => ({}))
       throw new Error(result.error || `HTTP error! status: ${response.status}`)
     }
 
-    if (!result.success) {
-      throw new Error(result.error || 'Failed to delete property lead')
-    }
+    const disposition = response.headers.get('Content-Disposition') || ''
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `leads.${validFormat}`
 
-    return { success: true, data: result.data }
+    return {
+      blob: await response.blob(),
+      filename
+    }
   } catch (error) {
-    console.error('Error in _deletePropertyLead:', error)
+    console.error('Error in _exportPropertyLeads:', error)
     throw error
   }
 }
@@ -465,51 +831,164 @@ const _archivePropertyLead = async (user, leadId) => {
   const validLeadId = validateInput.uuid(leadId, true)
 
   try {
-    // Get the current session to obtain the access token
-    const { data: { session } } = await supabase.auth.getSession()
+    const result = await callLeadEndpoint(`/api/lead/${validLeadId}/archive`, {
+      method: 'PATCH',
+      errorMessage: 'Failed to archive property lead'
+    })
 
-    if (!session?.access_token) {
-      throw new Error('No valid session found')
-    }
+    return { success: true, data: result.data }
+  } catch (error) {
+    console.error('Error in _archivePropertyLead:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to unarchive a property lead via API endpoint
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {string} leadId - Lead ID to unarchive
+ * @returns {Promise<Object>} Success/error response
+ */
+const _unarchivePropertyLead = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
 
-    // Call the API endpoint
-    const response = await fetch(`/api/lead/${validLeadId}/archive`, {
+  try {
+    const result = await callLeadEndpoint(`/api/lead/${validLeadId}/unarchive`, {
       method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${session.access_token}`,
-        'Content-Type': 'application/json'
-      }
+      errorMessage: 'Failed to unarchive property lead'
     })
 
-    const result = await response.json()
+    return { success: true, data: result.data }
+  } catch (error) {
+    console.error('Error in _unarchivePropertyLead:', error)
+    throw error
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(result.error || `HTTP error! status: ${response.status}`)
-    }
+/**
+ * Internal function to apply one action to many property leads via the batch API endpoint
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {Array<string>} leadIds - Lead IDs to update
+ * @param {string} action - One of BULK_LEAD_ACTIONS ('delete' moves to trash, 'untrash' restores, 'purge' deletes forever)
+ * @param {Object} options - Action options
+ * @param {string} options.status - New status (required for the 'status' action)
+ * @param {string} options.reasonCode - Why the status changed (required when the new status is closed_lost)
+ * @param {string} options.reasonComment - Free-text detail for the reason
+ * @returns {Promise<Object>} Summary with succeeded/failed counts and per-lead results
+ */
+const _bulkUpdatePropertyLeads = async (user, leadIds, action, options = {}) => {
+  const validLeadIds = leadIds.map(id => validateInput.uuid(id, true))
+  const validAction = validateInput.enum(action, BULK_LEAD_ACTIONS, true)
+  const validStatus = validAction === 'status' ? validateInput.enum(options.status, LEAD_STATUS_VALUES, true) : null
+  const reason = validAction === 'status' ? validateStatusReason(validStatus, options.reasonCode, options.reasonComment) : null
 
-    if (!result.success) {
-      throw new Error(result.error || 'Failed to archive property lead')
-    }
+  try {
+    const result = await callLeadEndpoint('/api/lead/batch', {
+      method: 'POST',
+      body: {
+        action: validAction,
+        lead_ids: validLeadIds,
+        status: validStatus,
+        reason_code: reason?.reasonCode || null,
+        reason_comment: reason?.reasonComment || null
+      },
+      errorMessage: `Failed to ${validAction} property leads`
+    })
 
-    return { success: true, data: result.data }
+    return result.data
   } catch (error) {
-    console.error('Error in _archivePropertyLead:', error)
+    console.error('Error in _bulkUpdatePropertyLeads:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to import spreadsheet rows as prospect_found leads via the import API endpoint
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {Array<Object>} rows - Rows keyed by IMPORT_FIELDS keys (see lib/lead-import)
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Only plan the import (create/merge/skip per row) without writing
+ * @returns {Promise<Object>} Report with created/merged/skipped counts and per-row results
+ */
+const _importPropertyLeads = async (user, rows, options = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('No rows to import')
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Cannot import more than ${MAX_IMPORT_ROWS} rows at once`)
+  }
+
+  try {
+    const result = await callLeadEndpoint('/api/lead/import', {
+      method: 'POST',
+      body: {
+        rows,
+        dry_run: !!options.dryRun
+      },
+      errorMessage: 'Failed to import property leads'
+    })
+
+    return result.data
+  } catch (error) {
+    console.error('Error in _importPropertyLeads:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to run the user's lead aging rules via the aging API endpoint
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Only report which leads the rules would change
+ * @returns {Promise<Object>} Summary with matched/applied/failed counts and per-lead results
+ */
+const _runLeadAgingRules = async (user, options = {}) => {
+  try {
+    const result = await callLeadEndpoint('/api/lead/aging/run', {
+      method: 'POST',
+      body: {
+        dry_run: !!options.dryRun
+      },
+      errorMessage: 'Failed to run lead aging rules'
+    })
+
+    return result.data
+  } catch (error) {
+    console.error('Error in _runLeadAgingRules:', error)
     throw error
   }
 }
 
 // Export public API functions with authentication and rate limiting
-export const getPropertyLeads = withAuth(withRateLimit(_getPropertyLeads, { maxRequests: 50, windowMs: 60000 }))
+export const getPropertyLeads = withOfflineCache(
+  withAuth(withRateLimit(_getPropertyLeads, { maxRequests: 50, windowMs: 60000 })),
+  { group: 'leads', fromCache: applyQueuedMutationsToLeads }
+)
+export const getPropertyLeadStatusSummary = withAuth(withRateLimit(_getPropertyLeadStatusSummary, { maxRequests: 50, windowMs: 60000 }))
 export const updatePropertyLead = withAuth(withRateLimit(_updatePropertyLead, { maxRequests: 20, windowMs: 60000 }))
-export const updatePropertyLeadMetadata = withAuth(withRateLimit(_updatePropertyLeadMetadata, { maxRequests: 20, windowMs: 60000 }))
+export const updatePropertyLeadMetadata = withOfflineQueue('metadata', withAuth(withRateLimit(_updatePropertyLeadMetadata, { maxRequests: 20, windowMs: 60000 })))
+export const updateLeadDeal = withAuth(withRateLimit(_updateLeadDeal, { maxRequests: 30, windowMs: 60000 }))
 export const getPropertyDetails = withAuth(withRateLimit(_getPropertyDetails, { maxRequests: 100, windowMs: 60000 }))
 export const getLeadsWithSuggestions = withAuth(withRateLimit(_getLeadsWithSuggestions, { maxRequests: 50, windowMs: 60000 }))
 export const getValidTransitions = withAuth(withRateLimit(_getValidTransitions, { maxRequests: 100, windowMs: 60000 }))
-export const setPropertyLeadStatus = withAuth(withRateLimit(_setPropertyLeadStatus, { maxRequests: 30, windowMs: 60000 }))
+export const setPropertyLeadStatus = withOfflineQueue('status', withAuth(withRateLimit(_setPropertyLeadStatus, { maxRequests: 30, windowMs: 60000 })))
 export const getAllStatusOptions = withAuth(withRateLimit(_getAllStatusOptions, { maxRequests: 100, windowMs: 60000 }))
 export const getLeadTransitionsBatch = withAuth(withRateLimit(_getLeadTransitionsBatch, { maxRequests: 50, windowMs: 60000 }))
 export const deletePropertyLead = withAuth(withRateLimit(_deletePropertyLead, { maxRequests: 10, windowMs: 60000 }))
-export const archivePropertyLead = withAuth(withRateLimit(_archivePropertyLead, { maxRequests: 20, windowMs: 60000 }))
+export const archivePropertyLead = withOfflineQueue('archive', withAuth(withRateLimit(_archivePropertyLead, { maxRequests: 20, windowMs: 60000 })))
+export const unarchivePropertyLead = withAuth(withRateLimit(_unarchivePropertyLead, { maxRequests: 20, windowMs: 60000 }))
+export const restoreDeletedPropertyLead = withAuth(withRateLimit(_restoreDeletedPropertyLead, { maxRequests: 20, windowMs: 60000 }))
+export const permanentlyDeletePropertyLead = withAuth(withRateLimit(_permanentlyDeletePropertyLead, { maxRequests: 10, windowMs: 60000 }))
+export const getTrashSettings = withAuth(withRateLimit(_getTrashSettings, { maxRequests: 20, windowMs: 60000 }))
+export const exportPropertyLeads = withAuth(withRateLimit(_exportPropertyLeads, { maxRequests: 5, windowMs: 60000 }))
+export const bulkUpdatePropertyLeads = withAuth(withRateLimit(_bulkUpdatePropertyLeads, { maxRequests: 10, windowMs: 60000 }))
+export const importPropertyLeads = withAuth(withRateLimit(_importPropertyLeads, { maxRequests: 10, windowMs: 60000 }))
+export const runLeadAgingRules = withAuth(withRateLimit(_runLeadAgingRules, { maxRequests: 10, windowMs: 60000 }))
+
+// For API modules that move a lead or call the lead routes as part of their own authenticated
+// call (see invoices.js, scoring.js)
+export { _setPropertyLeadStatus, callLeadEndpoint }
 
 // Export constants for use in components
-export { LEAD_STATUS_VALUES, ACTIVE_STATUS_VALUES }
\ No newline at end of file
+export { LEAD_STATUS_VALUES, ACTIVE_STATUS_VALUES, BULK_LEAD_ACTIONS, HOME_TYPE_VALUES, LEAD_SORT_FIELDS }
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { buildLeadQueryParams } from '../lib/lead-query'
+import { iterateLeadChunks } from '../lib/lead-export'
+import { LOST_STATUS, LOST_REPORT_PERIODS, summarizeLostReasons } from '../lib/lead-reasons'
+
+/**
+ * Lost reasons report API functions. Reasons come from the property_lead_history entry that
+ * moved each closed_lost lead into that status.
+ */
+
+const HISTORY_CHUNK_SIZE = 200
+
+/**
+ * Loads the latest closed_lost history entry of each lead
+ * @param {Array<string>} leadIds - Lead IDs
+ * @returns {Promise<Map<string, Object>>} Lead ID to { reason_code, reason_comment, created_at }
+ */
+const loadLossEntries = async (leadIds) => {
+  const entries = new Map()
+
+  for (let i = 0; i < leadIds.length; i += HISTORY_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('property_lead_history')
+      .select('lead_id, reason_code, reason_comment, created_at')
+      .in('lead_id', leadIds.slice(i, i + HISTORY_CHUNK_SIZE))
+      .eq('to_status', LOST_STATUS)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to fetch lead history: ${error.message}`)
+    }
+
+    for (const entry of data || []) {
+      if (!entries.has(entry.lead_id)) {
+        entries.set(entry.lead_id, entry)
+      }
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Internal function to report why leads were lost, by period, agent and price band
+ * @param {Object} user - Authenticated user object
+ * @param {Object} options - Report options
+ * @param {string} options.period - One of LOST_REPORT_PERIODS keys (default 'month')
+ * @param {string} options.since - Only count leads lost on or after this date (optional)
+ * @returns {Promise<Object>} Result of summarizeLostReasons plus the individual losses
+ */
+const _getLostReasonsReport = async (user, options = {}) => {
+  const period = validateInput.enum(options.period || 'month', Object.keys(LOST_REPORT_PERIODS), true)
+  const since = options.since ? new Date(options.since) : null
+
+  if (since && Number.isNaN(since.getTime())) {
+    throw new Error('Invalid start date')
+  }
+
+  try {
+    // Lost leads, active and archived
+    const rpcParams = buildLeadQueryParams({ status: LOST_STATUS })
+
+    const fetchChunk = async (offset, limit) => {
+      const { data, error } = await supabase.rpc('get_property_leads_paginated', {
+        ...rpcParams,
+        p_limit: limit,
+        p_offset: offset
+      })
+
+      if (error) {
+        throw new Error(`Failed to fetch property leads: ${error.message}`)
+      }
+
+      return data?.leads || []
+    }
+
+    const leads = []
+    for await (const chunk of iterateLeadChunks(fetchChunk)) {
+      leads.push(...chunk)
+    }
+
+    const entries = await loadLossEntries(leads.map(lead => lead.id))
+
+    const losses = leads
+      .map(lead => {
+        const entry = entries.get(lead.id)
+        return {
+          lead,
+          reason_code: entry?.reason_code || null,
+          reason_comment: entry?.reason_comment || null,
+          lost_at: entry?.created_at || lead.updated_at || lead.created_at
+        }
+      })
+      .filter(loss => !since || new Date(loss.lost_at) >= since)
+      .sort((a, b) => new Date(b.lost_at) - new Date(a.lost_at))
+
+    return {
+      period,
+      ...summarizeLostReasons(losses, period),
+      losses
+    }
+  } catch (error) {
+    console.error('Error in _getLostReasonsReport:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLostReasonsReport = withAuth(withRateLimit(_getLostReasonsReport, { maxRequests: 10, windowMs: 60000 }))
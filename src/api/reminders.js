@@ -0,0 +1,133 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { toHistoryParam } from '../lib/lead-history'
+import { getEndOfToday } from '../lib/reminders'
+
+/**
+ * Follow-up reminder API functions (next action date and note on a lead)
+ */
+
+/**
+ * Internal function to write a lead's reminder fields, recorded in the lead history by the RPC
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @param {string|null} nextActionAt - Reminder timestamp, or null to clear
+ * @param {string|null} nextActionNote - Reminder note, or null to clear
+ * @param {string} action - History action name
+ * @returns {Promise<Object>} Updated lead reminder fields
+ */
+const writeLeadReminder = async (user, leadId, nextActionAt, nextActionNote, action) => {
+  const { data: before, error: lookupError } = await supabase
+    .from('property_leads')
+    .select('id, status, next_action_at, next_action_note')
+    .eq('id', leadId)
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (lookupError) {
+    throw new Error(`Failed to fetch lead: ${lookupError.message}`)
+  }
+
+  if (!before) {
+    throw new Error('Lead not found')
+  }
+
+  const { data, error } = await supabase.rpc('update_property_lead_fields', {
+    p_lead_id: leadId,
+    p_changes: {
+      next_action_at: nextActionAt,
+      next_action_note: nextActionNote
+    },
+    p_history: toHistoryParam({
+      action,
+      metadataDiff: {
+        next_action_at: { from: before.next_action_at, to: nextActionAt },
+        next_action_note: { from: before.next_action_note, to: nextActionNote }
+      }
+    })
+  })
+
+  if (error) {
+    throw new Error(`Failed to update reminder: ${error.message}`)
+  }
+
+  if (!data) {
+    throw new Error('Lead not found')
+  }
+
+  return {
+    id: data.id,
+    next_action_at: data.next_action_at,
+    next_action_note: data.next_action_note
+  }
+}
+
+/**
+ * Internal function to set the follow-up reminder on a lead
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @param {Object} reminder - Reminder details
+ * @param {string} reminder.dueAt - When the next action is due
+ * @param {string} reminder.note - What to do, e.g. "Follow up on proposal" (optional)
+ * @returns {Promise<Object>} Updated lead reminder fields
+ */
+const _setLeadReminder = async (user, leadId, reminder = {}) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+  const validDueAt = validateInput.date(reminder.dueAt, true)
+  const validNote = validateInput.string(reminder.note, { maxLength: 500 }) || null
+
+  try {
+    return await writeLeadReminder(user, validLeadId, validDueAt, validNote, 'reminder_set')
+  } catch (error) {
+    console.error('Error in _setLeadReminder:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to clear the follow-up reminder on a lead
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Object>} Updated lead reminder fields
+ */
+const _clearLeadReminder = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  try {
+    return await writeLeadReminder(user, validLeadId, null, null, 'reminder_cleared')
+  } catch (error) {
+    console.error('Error in _clearLeadReminder:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to count active leads with a reminder due today or overdue
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<number>} Number of due reminders
+ */
+const _getDueReminderCount = async (user) => {
+  try {
+    const { count, error } = await supabase
+      .from('property_leads')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('is_active', true)
+      .is('deleted_at', null)
+      .lte('next_action_at', getEndOfToday().toISOString())
+
+    if (error) {
+      throw new Error(`Failed to count due reminders: ${error.message}`)
+    }
+
+    return count || 0
+  } catch (error) {
+    console.error('Error in _getDueReminderCount:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const setLeadReminder = withAuth(withRateLimit(_setLeadReminder, { maxRequests: 30, windowMs: 60000 }))
+export const clearLeadReminder = withAuth(withRateLimit(_clearLeadReminder, { maxRequests: 30, windowMs: 60000 }))
+export const getDueReminderCount = withAuth(withRateLimit(_getDueReminderCount, { maxRequests: 50, windowMs: 60000 }))
@@ -0,0 +1,110 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { callLeadEndpoint } from './properties'
+import {
+  SCORE_FACTOR_KEYS,
+  MAX_SCORE_WEIGHT,
+  normalizeScoreWeights
+} from '../lib/lead-scoring'
+
+/**
+ * Lead scoring API functions. Weights live in lead_score_settings (one row per user); scores are
+ * calculated by the scoring route over all of the user's leads, since the agent_history factor
+ * needs every lead, and stored on property_leads for sorting and filtering.
+ */
+
+// Scores older than this are recalculated when the leads list opens (days on market moves daily)
+export const SCORE_REFRESH_HOURS = 24
+
+/**
+ * Internal function to get the user's score weights
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Object>} { weights, scored_at } with default weights until the user saves their own
+ */
+const _getLeadScoreSettings = async (user) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_score_settings')
+      .select('weights, scored_at')
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to fetch score settings: ${error.message}`)
+    }
+
+    return {
+      weights: normalizeScoreWeights(data?.weights),
+      scored_at: data?.scored_at || null
+    }
+  } catch (error) {
+    console.error('Error in _getLeadScoreSettings:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to save the user's score weights. Stored scores keep the old weights until
+ * refreshLeadScores runs.
+ * @param {Object} user - Authenticated user object
+ * @param {Object} weights - Weight per factor, keyed by SCORE_FACTOR_KEYS
+ * @returns {Promise<Object>} { weights, scored_at }
+ */
+const _updateLeadScoreWeights = async (user, weights = {}) => {
+  const validWeights = {}
+  SCORE_FACTOR_KEYS.forEach(key => {
+    validWeights[key] = validateInput.number(weights[key], { required: true, min: 0, max: MAX_SCORE_WEIGHT, integer: true })
+  })
+
+  if (Object.values(validWeights).every(weight => weight === 0)) {
+    throw new Error('At least one factor needs a weight above zero')
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_score_settings')
+      .upsert(
+        { user_id: user.id, weights: validWeights, updated_at: new Date().toISOString() },
+        { onConflict: 'user_id' }
+      )
+      .select('weights, scored_at')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to save score weights: ${error.message}`)
+    }
+
+    return {
+      weights: normalizeScoreWeights(data.weights),
+      scored_at: data.scored_at || null
+    }
+  } catch (error) {
+    console.error('Error in _updateLeadScoreWeights:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to recalculate and store the score of every lead (active and archived) via
+ * the scoring API endpoint
+ * @param {Object} user - Authenticated user object (used for session token)
+ * @returns {Promise<Object>} { scored, updated, scored_at }
+ */
+const _refreshLeadScores = async (user) => {
+  try {
+    const result = await callLeadEndpoint('/api/lead/scores/refresh', {
+      method: 'POST',
+      errorMessage: 'Failed to refresh lead scores'
+    })
+
+    return result.data
+  } catch (error) {
+    console.error('Error in _refreshLeadScores:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLeadScoreSettings = withAuth(withRateLimit(_getLeadScoreSettings, { maxRequests: 50, windowMs: 60000 }))
+export const updateLeadScoreWeights = withAuth(withRateLimit(_updateLeadScoreWeights, { maxRequests: 10, windowMs: 60000 }))
+export const refreshLeadScores = withAuth(withRateLimit(_refreshLeadScores, { maxRequests: 5, windowMs: 60000 }))
@@ -0,0 +1,286 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { diffMetadata } from './timeline'
+import { toHistoryParam } from '../lib/lead-history'
+import {
+  SHOOT_FIELD_KEYS,
+  UNSCHEDULED_SHOOT_STATUSES,
+  MAX_SHOOT_DURATION,
+  MAX_ACCESS_NOTES_LENGTH,
+  MAX_LOCKBOX_LENGTH,
+  pickShootFields,
+  isValidDateKey,
+  isValidTime,
+  timeToMinutes
+} from '../lib/shoot-schedule'
+
+/**
+ * Shoot scheduling API functions. The schedule of a booked lead lives in shoot_* columns on
+ * property_leads (see lib/shoot-schedule); the calendar reads them back by date range, and
+ * shoot_calendar_feeds holds each user's token for the subscribable ICS feed.
+ */
+
+const SHOOT_COLUMNS = ['id', 'status', ...SHOOT_FIELD_KEYS].join(', ')
+const CALENDAR_COLUMNS = `id, zpid, status, ${SHOOT_FIELD_KEYS.join(', ')}, listings(metadata)`
+
+// The calendar feed is served by the Worker (src/index.js), which may live on another origin
+const CALENDAR_FEED_BASE_URL = import.meta.env.VITE_WORKER_URL || window.location.origin
+
+// Longest range the calendar asks for: a six-week month view
+const MAX_CALENDAR_RANGE_DAYS = 42
+const MAX_UNSCHEDULED_SHOOTS = 100
+
+const SHOOT_TIME_KEYS = ['shoot_window_start', 'shoot_window_end']
+
+const toCalendarEntry = (row) => {
+  const address = row.listings?.metadata?.address || {}
+
+  return {
+    lead_id: row.id,
+    zpid: row.zpid || null,
+    status: row.status,
+    street_address: address.streetAddress || null,
+    city: address.city || null,
+    shoot: pickShootFields(row)
+  }
+}
+
+const validateShootFields = (fields) => {
+  const updates = {}
+
+  if (fields.shoot_date !== undefined) {
+    if (fields.shoot_date !== null && fields.shoot_date !== '' && !isValidDateKey(fields.shoot_date)) {
+      throw new Error('Shoot date must be a valid YYYY-MM-DD date')
+    }
+    updates.shoot_date = fields.shoot_date || null
+  }
+
+  SHOOT_TIME_KEYS.forEach(key => {
+    if (fields[key] === undefined) return
+    if (fields[key] !== null && fields[key] !== '' && !isValidTime(fields[key])) {
+      throw new Error('Shoot window times must be HH:MM')
+    }
+    updates[key] = fields[key] || null
+  })
+
+  if (fields.shoot_duration_minutes !== undefined) {
+    updates.shoot_duration_minutes = validateInput.number(fields.shoot_duration_minutes, {
+      min: 15,
+      max: MAX_SHOOT_DURATION,
+      integer: true
+    })
+  }
+
+  if (fields.shoot_access_notes !== undefined) {
+    updates.shoot_access_notes = validateInput.string(fields.shoot_access_notes, { maxLength: MAX_ACCESS_NOTES_LENGTH }) || null
+  }
+
+  if (fields.shoot_lockbox !== undefined) {
+    updates.shoot_lockbox = validateInput.string(fields.shoot_lockbox, { maxLength: MAX_LOCKBOX_LENGTH }) || null
+  }
+
+  return updates
+}
+
+/**
+ * Internal function to list shoots scheduled within a date range, plus booked leads that
+ * still need a date
+ * @param {Object} user - Authenticated user object
+ * @param {Object} options - Query options
+ * @param {string} options.from - First day, 'YYYY-MM-DD'
+ * @param {string} options.to - Last day, 'YYYY-MM-DD' (inclusive)
+ * @returns {Promise<Object>} { shoots, unscheduled } where each entry is
+ *   { lead_id, zpid, status, street_address, city, shoot }
+ */
+const _getScheduledShoots = async (user, options = {}) => {
+  const { from, to } = options
+
+  if (!isValidDateKey(from) || !isValidDateKey(to) || from > to) {
+    throw new Error('A valid date range is required')
+  }
+
+  const rangeDays = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+  if (rangeDays >= MAX_CALENDAR_RANGE_DAYS) {
+    throw new Error(`Date range cannot exceed ${MAX_CALENDAR_RANGE_DAYS} days`)
+  }
+
+  try {
+    const { data: scheduled, error: scheduledError } = await supabase
+      .from('property_leads')
+      .select(CALENDAR_COLUMNS)
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .gte('shoot_date', from)
+      .lte('shoot_date', to)
+      .order('shoot_date', { ascending: true })
+
+    if (scheduledError) {
+      throw new Error(`Failed to fetch scheduled shoots: ${scheduledError.message}`)
+    }
+
+    const { data: unscheduled, error: unscheduledError } = await supabase
+      .from('property_leads')
+      .select(CALENDAR_COLUMNS)
+      .eq('user_id', user.id)
+      .eq('is_active', true)
+      .is('deleted_at', null)
+      .in('status', UNSCHEDULED_SHOOT_STATUSES)
+      .is('shoot_date', null)
+      .order('updated_at', { ascending: false })
+      .limit(MAX_UNSCHEDULED_SHOOTS)
+
+    if (unscheduledError) {
+      throw new Error(`Failed to fetch unscheduled shoots: ${unscheduledError.message}`)
+    }
+
+    return {
+      shoots: (scheduled || []).map(toCalendarEntry),
+      unscheduled: (unscheduled || []).map(toCalendarEntry)
+    }
+  } catch (error) {
+    console.error('Error in _getScheduledShoots:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to schedule or reschedule a lead's shoot. Only the given fields change;
+ * pass null to clear one.
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @param {Object} fields - Any of SHOOT_FIELD_KEYS (see lib/shoot-schedule)
+ * @returns {Promise<Object>} The lead's shoot after the update
+ */
+const _updateLeadShoot = async (user, leadId, fields = {}) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+  const updates = validateShootFields(fields)
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('No shoot fields to update')
+  }
+
+  try {
+    const { data: before, error: lookupError } = await supabase
+      .from('property_leads')
+      .select(SHOOT_COLUMNS)
+      .eq('id', validLeadId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (lookupError) {
+      throw new Error(`Failed to fetch lead: ${lookupError.message}`)
+    }
+
+    if (!before) {
+      throw new Error('Lead not found or you do not have permission to change it')
+    }
+
+    const previous = pickShootFields(before)
+    const merged = { ...previous, ...updates }
+    if (merged.shoot_window_start && merged.shoot_window_end &&
+      timeToMinutes(merged.shoot_window_end) < timeToMinutes(merged.shoot_window_start)) {
+      throw new Error('The shoot window cannot end before it starts')
+    }
+
+    const shootDiff = diffMetadata(previous, merged)
+
+    const { data, error } = await supabase.rpc('update_property_lead_fields', {
+      p_lead_id: validLeadId,
+      p_changes: updates,
+      p_history: shootDiff
+        ? toHistoryParam({ action: previous.shoot_date ? 'shoot_rescheduled' : 'shoot_scheduled', metadataDiff: shootDiff })
+        : null
+    })
+
+    if (error) {
+      throw new Error(`Failed to update shoot: ${error.message}`)
+    }
+
+    if (!data) {
+      throw new Error('Lead not found or you do not have permission to change it')
+    }
+
+    return pickShootFields(data)
+  } catch (error) {
+    console.error('Error in _updateLeadShoot:', error)
+    throw error
+  }
+}
+
+const toFeed = (row) => ({
+  url: `${CALENDAR_FEED_BASE_URL}/calendar/${row.token}/shoots.ics`,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+})
+
+/**
+ * Internal function to get the user's shoot calendar subscription link, creating it on first use
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Object>} { url, created_at, updated_at }
+ */
+const _getShootCalendarFeed = async (user) => {
+  try {
+    const { data: existing, error: lookupError } = await supabase
+      .from('shoot_calendar_feeds')
+      .select('token, created_at, updated_at')
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (lookupError) {
+      throw new Error(`Failed to fetch calendar feed: ${lookupError.message}`)
+    }
+
+    if (existing) {
+      return toFeed(existing)
+    }
+
+    const { data, error } = await supabase
+      .from('shoot_calendar_feeds')
+      .insert({ user_id: user.id, token: crypto.randomUUID() })
+      .select('token, created_at, updated_at')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to create calendar feed: ${error.message}`)
+    }
+
+    return toFeed(data)
+  } catch (error) {
+    console.error('Error in _getShootCalendarFeed:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to replace the calendar feed token. Calendars subscribed with the old link
+ * stop updating.
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Object>} { url, created_at, updated_at }
+ */
+const _resetShootCalendarFeed = async (user) => {
+  try {
+    const { data, error } = await supabase
+      .from('shoot_calendar_feeds')
+      .upsert(
+        { user_id: user.id, token: crypto.randomUUID(), updated_at: new Date().toISOString() },
+        { onConflict: 'user_id' }
+      )
+      .select('token, created_at, updated_at')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to reset calendar feed: ${error.message}`)
+    }
+
+    return toFeed(data)
+  } catch (error) {
+    console.error('Error in _resetShootCalendarFeed:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getScheduledShoots = withAuth(withRateLimit(_getScheduledShoots, { maxRequests: 50, windowMs: 60000 }))
+export const updateLeadShoot = withAuth(withRateLimit(_updateLeadShoot, { maxRequests: 30, windowMs: 60000 }))
+export const getShootCalendarFeed = withAuth(withRateLimit(_getShootCalendarFeed, { maxRequests: 20, windowMs: 60000 }))
+export const resetShootCalendarFeed = withAuth(withRateLimit(_resetShootCalendarFeed, { maxRequests: 5, windowMs: 60000 }))
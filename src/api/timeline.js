@@ -0,0 +1,86 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+
+/**
+ * Lead activity timeline API functions backed by the property_lead_history audit log. Entries are
+ * written by the RPCs that change a lead, in the same transaction (see lib/lead-history).
+ */
+
+/**
+ * Computes a shallow diff between two metadata objects
+ * @param {Object} before - Metadata before the change
+ * @param {Object} after - Metadata after the change
+ * @returns {Object|null} Map of changed keys to { from, to } pairs, or null if nothing changed
+ */
+export const diffMetadata = (before = {}, after = {}) => {
+  const previous = before || {}
+  const next = after || {}
+  const diff = {}
+
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)])
+  keys.forEach(key => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      diff[key] = {
+        from: previous[key] === undefined ? null : previous[key],
+        to: next[key] === undefined ? null : next[key]
+      }
+    }
+  })
+
+  return Object.keys(diff).length > 0 ? diff : null
+}
+
+/**
+ * Fetches the current status and metadata of a lead, to diff a change against
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Object|null>} Lead snapshot or null if it could not be read
+ */
+export const getLeadSnapshot = async (leadId) => {
+  try {
+    const { data, error } = await supabase
+      .from('property_leads')
+      .select('id, status, metadata, is_active')
+      .eq('id', leadId)
+      .single()
+
+    if (error) {
+      console.error('Supabase error in getLeadSnapshot:', error)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in getLeadSnapshot:', error)
+    return null
+  }
+}
+
+/**
+ * Internal function to get the activity timeline for a lead
+ * @param {Object} user - Authenticated user object
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Array>} History entries, newest first
+ */
+const _getLeadTimeline = async (user, leadId) => {
+  const validLeadId = validateInput.uuid(leadId, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('property_lead_history')
+      .select('id, lead_id, action, from_status, to_status, metadata_diff, template_used, reason_code, reason_comment, changed_by, changed_by_email, created_at')
+      .eq('lead_id', validLeadId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to fetch lead timeline: ${error.message}`)
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in _getLeadTimeline:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLeadTimeline = withAuth(withRateLimit(_getLeadTimeline, { maxRequests: 50, windowMs: 60000 }))
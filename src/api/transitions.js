@@ -0,0 +1,155 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+import { LEAD_STATUS_VALUES } from './properties'
+import { notifyLeadTransitionsChanged } from '../lib/lead-transitions'
+
+/**
+ * Lead transition editor API functions. The lead_transitions table drives getValidTransitions,
+ * getAllStatusOptions and get_lead_transitions_batch; write access is enforced by RLS.
+ * Every successful write invalidates StatusTransitionsContext caches.
+ */
+
+const TRANSITION_COLUMNS = 'from_status, to_status, weight, description'
+
+const validateTransitionFields = (fields) => ({
+  weight: validateInput.number(fields.weight, { required: true, min: 0, max: 100, integer: true }),
+  description: validateInput.string(fields.description, { maxLength: 200 }) || null
+})
+
+/**
+ * Internal function to get every allowed transition
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Array>} Transitions ordered by from_status, then weight
+ */
+const _getLeadTransitions = async (user) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_transitions')
+      .select(TRANSITION_COLUMNS)
+      .order('from_status', { ascending: true })
+      .order('weight', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to fetch transitions: ${error.message}`)
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in _getLeadTransitions:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to allow a new transition
+ * @param {Object} user - Authenticated user object
+ * @param {Object} transition - { from_status, to_status, weight, description }
+ * @returns {Promise<Object>} Inserted transition
+ */
+const _addLeadTransition = async (user, transition = {}) => {
+  const fromStatus = validateInput.enum(transition.from_status, LEAD_STATUS_VALUES, true)
+  const toStatus = validateInput.enum(transition.to_status, LEAD_STATUS_VALUES, true)
+
+  if (fromStatus === toStatus) {
+    throw new Error('A transition must change the status')
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_transitions')
+      .insert({
+        from_status: fromStatus,
+        to_status: toStatus,
+        ...validateTransitionFields(transition)
+      })
+      .select(TRANSITION_COLUMNS)
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to add transition: ${error.message}`)
+    }
+
+    notifyLeadTransitionsChanged()
+    return data
+  } catch (error) {
+    console.error('Error in _addLeadTransition:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to change the weight or description of a transition
+ * @param {Object} user - Authenticated user object
+ * @param {string} fromStatus - Transition source status
+ * @param {string} toStatus - Transition target status
+ * @param {Object} fields - { weight, description }
+ * @returns {Promise<Object>} Updated transition
+ */
+const _updateLeadTransition = async (user, fromStatus, toStatus, fields = {}) => {
+  const validFromStatus = validateInput.enum(fromStatus, LEAD_STATUS_VALUES, true)
+  const validToStatus = validateInput.enum(toStatus, LEAD_STATUS_VALUES, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_transitions')
+      .update(validateTransitionFields(fields))
+      .eq('from_status', validFromStatus)
+      .eq('to_status', validToStatus)
+      .select(TRANSITION_COLUMNS)
+
+    if (error) {
+      throw new Error(`Failed to update transition: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Transition not found or you do not have permission to change it')
+    }
+
+    notifyLeadTransitionsChanged()
+    return data[0]
+  } catch (error) {
+    console.error('Error in _updateLeadTransition:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to remove an allowed transition
+ * @param {Object} user - Authenticated user object
+ * @param {string} fromStatus - Transition source status
+ * @param {string} toStatus - Transition target status
+ * @returns {Promise<Object>} Deleted transition
+ */
+const _deleteLeadTransition = async (user, fromStatus, toStatus) => {
+  const validFromStatus = validateInput.enum(fromStatus, LEAD_STATUS_VALUES, true)
+  const validToStatus = validateInput.enum(toStatus, LEAD_STATUS_VALUES, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('lead_transitions')
+      .delete()
+      .eq('from_status', validFromStatus)
+      .eq('to_status', validToStatus)
+      .select(TRANSITION_COLUMNS)
+
+    if (error) {
+      throw new Error(`Failed to delete transition: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Transition not found or you do not have permission to delete it')
+    }
+
+    notifyLeadTransitionsChanged()
+    return data[0]
+  } catch (error) {
+    console.error('Error in _deleteLeadTransition:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getLeadTransitions = withAuth(withRateLimit(_getLeadTransitions, { maxRequests: 50, windowMs: 60000 }))
+export const addLeadTransition = withAuth(withRateLimit(_addLeadTransition, { maxRequests: 30, windowMs: 60000 }))
+export const updateLeadTransition = withAuth(withRateLimit(_updateLeadTransition, { maxRequests: 30, windowMs: 60000 }))
+export const deleteLeadTransition = withAuth(withRateLimit(_deleteLeadTransition, { maxRequests: 30, windowMs: 60000 }))
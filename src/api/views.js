@@ -0,0 +1,103 @@
+import { supabase } from '../lib/supabase'
+import { withAuth, withRateLimit, validateInput } from './auth'
+
+/**
+ * Saved lead view API functions with authentication and validation
+ */
+
+/**
+ * Internal function to get the current user's saved lead views
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Array>} Saved views ordered by name
+ */
+const _getSavedLeadViews = async (user) => {
+  try {
+    const { data, error } = await supabase
+      .from('saved_lead_views')
+      .select('id, name, view, created_at, updated_at')
+      .eq('user_id', user.id)
+      .order('name', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to fetch saved views: ${error.message}`)
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in _getSavedLeadViews:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to save a lead view for the current user
+ * @param {Object} user - Authenticated user object
+ * @param {string} name - Display name for the view
+ * @param {Object} view - Lead view ({ tab, status, filters, sort })
+ * @returns {Promise<Object>} Saved view row
+ */
+const _saveLeadView = async (user, name, view) => {
+  const validName = validateInput.string(name, { required: true, maxLength: 100 })
+
+  if (!view || typeof view !== 'object') {
+    throw new Error('View definition is required')
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('saved_lead_views')
+      .insert({
+        user_id: user.id,
+        name: validName,
+        view
+      })
+      .select('id, name, view, created_at, updated_at')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to save view: ${error.message}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in _saveLeadView:', error)
+    throw error
+  }
+}
+
+/**
+ * Internal function to delete one of the current user's saved lead views
+ * @param {Object} user - Authenticated user object
+ * @param {string} viewId - Saved view ID
+ * @returns {Promise<Object>} Deleted view row
+ */
+const _deleteSavedLeadView = async (user, viewId) => {
+  const validViewId = validateInput.uuid(viewId, true)
+
+  try {
+    const { data, error } = await supabase
+      .from('saved_lead_views')
+      .delete()
+      .eq('id', validViewId)
+      .eq('user_id', user.id)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to delete saved view: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Saved view not found')
+    }
+
+    return data[0]
+  } catch (error) {
+    console.error('Error in _deleteSavedLeadView:', error)
+    throw error
+  }
+}
+
+// Export public API functions with authentication and rate limiting
+export const getSavedLeadViews = withAuth(withRateLimit(_getSavedLeadViews, { maxRequests: 50, windowMs: 60000 }))
+export const saveLeadView = withAuth(withRateLimit(_saveLeadView, { maxRequests: 20, windowMs: 60000 }))
+export const deleteSavedLeadView = withAuth(withRateLimit(_deleteSavedLeadView, { maxRequests: 20, windowMs: 60000 }))
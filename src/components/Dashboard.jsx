@@ -1,9 +1,23 @@
 import { useState, useEffect } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabase'
+import { safeAPICall } from '../api/index'
+import { getSavedLeadViews, deleteSavedLeadView } from '../api/views'
+import { getDueReminderCount } from '../api/reminders'
+import { viewToSearchParams } from '../lib/lead-views'
 import Sidebar from './Sidebar'
 import PropertyLeads from './PropertyLeads'
+import FollowUpQueue from './FollowUpQueue'
+import DuplicateLeadsReview from './DuplicateLeadsReview'
+import LeadAgingRules from './LeadAgingRules'
+import LeadTransitionsEditor from './LeadTransitionsEditor'
+import LeadScoringSettings from './LeadScoringSettings'
+import LostReasonsReport from './LostReasonsReport'
+import ShootCalendar from './ShootCalendar'
 import Directory from './Directory/Directory'
+import OfflineStatusBar from './OfflineStatusBar'
+import { getQueuedMutationCount } from '../api/offline'
+import { clearOfflineData } from '../lib/offline-store'
 
 const Dashboard = ({ user, onSignOut }) => {
   const location = useLocation()
@@ -11,12 +25,24 @@ const Dashboard = ({ user, onSignOut }) => {
   const [activeSection, setActiveSection] = useState('dashboard')
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768)
   const [isSidebarOpen, setIsSidebarOpen] = useState(false) // Collapsed by default on mobile
+  const [savedViews, setSavedViews] = useState([])
+  const [dueReminderCount, setDueReminderCount] = useState(0)
 
   // Handle URL-based routing
   useEffect(() => {
     const path = location.pathname
     if (path === '/listings/leads') {
       setActiveSection('listings/leads')
+    } else if (path === '/follow-ups') {
+      setActiveSection('follow-ups')
+    } else if (path === '/duplicates') {
+      setActiveSection('duplicates')
+    } else if (path === '/calendar') {
+      setActiveSection('calendar')
+    } else if (path === '/reports/lost') {
+      setActiveSection('lost-reasons')
+    } else if (path === '/settings') {
+      setActiveSection('settings')
     } else if (path.startsWith('/directory')) {
       setActiveSection('directory')
     } else if (path === '/dashboard') {
@@ -29,6 +55,16 @@ const Dashboard = ({ user, onSignOut }) => {
     setActiveSection(section)
     if (section === 'listings/leads') {
       navigate('/listings/leads')
+    } else if (section === 'follow-ups') {
+      navigate('/follow-ups')
+    } else if (section === 'duplicates') {
+      navigate('/duplicates')
+    } else if (section === 'calendar') {
+      navigate('/calendar')
+    } else if (section === 'lost-reasons') {
+      navigate('/reports/lost')
+    } else if (section === 'settings') {
+      navigate('/settings')
     } else if (section === 'directory') {
       navigate('/directory/agents')
     } else if (section === 'dashboard') {
@@ -36,6 +72,59 @@ const Dashboard = ({ user, onSignOut }) => {
     }
   }
 
+  useEffect(() => {
+    loadSavedViews()
+    loadDueReminderCount()
+  }, [])
+
+  // Refresh the sidebar count whenever the user moves between sections
+  useEffect(() => {
+    loadDueReminderCount()
+  }, [activeSection])
+
+  const loadDueReminderCount = async () => {
+    const secureGetCount = safeAPICall(getDueReminderCount, 'Dashboard.loadDueReminderCount')
+    const result = await secureGetCount()
+
+    if (result.success) {
+      setDueReminderCount(result.data)
+    } else {
+      console.error('Failed to load due reminder count:', result.error)
+    }
+  }
+
+  const loadSavedViews = async () => {
+    const secureGetSavedViews = safeAPICall(getSavedLeadViews, 'Dashboard.loadSavedViews')
+    const result = await secureGetSavedViews()
+
+    if (result.success) {
+      setSavedViews(result.data)
+    } else {
+      console.error('Failed to load saved views:', result.error)
+    }
+  }
+
+  const handleOpenView = (savedView) => {
+    const query = viewToSearchParams(savedView.view).toString()
+    setActiveSection('listings/leads')
+    navigate(query ? `/listings/leads?${query}` : '/listings/leads')
+  }
+
+  const handleDeleteView = async (savedView) => {
+    if (!window.confirm(`Delete the saved view "${savedView.name}"?`)) {
+      return
+    }
+
+    const secureDeleteView = safeAPICall(deleteSavedLeadView, 'Dashboard.handleDeleteView')
+    const result = await secureDeleteView(savedView.id)
+
+    if (result.success) {
+      setSavedViews(prev => prev.filter(view => view.id !== savedView.id))
+    } else {
+      alert('Failed to delete saved view. Please try again.')
+    }
+  }
+
   useEffect(() => {
     const handleResize = () => {
       const mobile = window.innerWidth <= 768
@@ -57,7 +146,14 @@ const Dashboard = ({ user, onSignOut }) => {
   }
 
   const handleSignOut = async () => {
+    const queuedCount = await getQueuedMutationCount()
+    if (queuedCount > 0 && !window.confirm(`${queuedCount} change${queuedCount === 1 ? '' : 's'} made offline ha${queuedCount === 1 ? 's' : 've'} not been sent yet and will be lost. Sign out anyway?`)) {
+      return
+    }
+
     try {
+      // Leads saved for offline use should not outlive the session on a shared device
+      await clearOfflineData().catch(error => console.error('Error clearing offline data:', error))
       await supabase.auth.signOut()
       onSignOut()
     } catch (error) {
@@ -75,7 +171,24 @@ const Dashboard = ({ user, onSignOut }) => {
           </div>
         )
       case 'listings/leads':
-        return <PropertyLeads />
+        return <PropertyLeads onViewSaved={loadSavedViews} onRemindersChange={loadDueReminderCount} />
+      case 'follow-ups':
+        return <FollowUpQueue onQueueChange={loadDueReminderCount} />
+      case 'duplicates':
+        return <DuplicateLeadsReview />
+      case 'calendar':
+        return <ShootCalendar />
+      case 'lost-reasons':
+        return <LostReasonsReport />
+      case 'settings':
+        return (
+          <div>
+            <h2 className="page-title">Settings</h2>
+            <LeadAgingRules />
+            <LeadTransitionsEditor />
+            <LeadScoringSettings />
+          </div>
+        )
       case 'directory':
         return <Directory />
       default:
@@ -94,6 +207,16 @@ const Dashboard = ({ user, onSignOut }) => {
         return 'Dashboard'
       case 'listings/leads':
         return 'Property Leads'
+      case 'follow-ups':
+        return 'Follow-ups'
+      case 'duplicates':
+        return 'Duplicate Leads'
+      case 'calendar':
+        return 'Shoot Calendar'
+      case 'lost-reasons':
+        return 'Lost Reasons'
+      case 'settings':
+        return 'Settings'
       case 'directory':
         return 'Directory'
       default:
@@ -108,6 +231,16 @@ const Dashboard = ({ user, onSignOut }) => {
         return 'Dashboard'
       case 'listings/leads':
         return 'Listings / Leads'
+      case 'follow-ups':
+        return 'Follow-ups / Due Today'
+      case 'duplicates':
+        return 'Listings / Duplicates'
+      case 'calendar':
+        return 'Shoots / Calendar'
+      case 'lost-reasons':
+        return 'Reports / Lost Reasons'
+      case 'settings':
+        return 'Settings'
       case 'directory':
         if (path === '/directory/agents') return 'Directory / Agents'
         if (path === '/directory/brokers') return 'Directory / Brokers'
@@ -198,9 +331,15 @@ const Dashboard = ({ user, onSignOut }) => {
           isOpen={isSidebarOpen}
           isMobile={isMobile}
           onClose={() => setIsSidebarOpen(false)}
+          savedViews={savedViews}
+          dueReminderCount={dueReminderCount}
+          activeViewQuery={location.pathname === '/listings/leads' ? location.search.replace(/^\?/, '') : null}
+          onOpenView={handleOpenView}
+          onDeleteView={handleDeleteView}
         />
 
         <div className="main-content">
+          <OfflineStatusBar />
 
           <div className="content">
             {renderContent()}
@@ -0,0 +1,21 @@
+import { describeDeal } from '../lib/lead-deals'
+
+const DealBadge = ({ lead, onClick }) => {
+  const label = describeDeal(lead?.deal)
+
+  if (!label) {
+    return null
+  }
+
+  return (
+    <span
+      className={`deal-badge ${lead.deal.amount_received != null ? 'paid' : ''} ${onClick ? 'clickable' : ''}`}
+      title="Edit deal"
+      onClick={onClick}
+    >
+      {label}
+    </span>
+  )
+}
+
+export default DealBadge
@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react'
+import { getDuplicateLeadGroups, mergePropertyLeads } from '../api/duplicates'
+import { safeAPICall } from '../api/index'
+import { DUPLICATE_REASONS, mergeLeadFields } from '../lib/lead-duplicates'
+import { format_number } from '../lib/generic_functions'
+
+const DuplicateLeadsReview = () => {
+  const [groups, setGroups] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  // Per group: which lead to keep and which leads to fold into it
+  const [selections, setSelections] = useState({})
+  const [mergingGroupKey, setMergingGroupKey] = useState(null)
+
+  useEffect(() => {
+    loadGroups()
+  }, [])
+
+  const loadGroups = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetGroups = safeAPICall(getDuplicateLeadGroups, 'DuplicateLeadsReview.loadGroups')
+      const result = await secureGetGroups()
+
+      if (result.success) {
+        setGroups(result.data)
+        setSelections(Object.fromEntries(result.data.map(group => [group.key, {
+          primaryId: group.suggestedPrimaryId,
+          mergeIds: group.leads.map(lead => lead.id).filter(id => id !== group.suggestedPrimaryId)
+        }])))
+      } else {
+        setError(result.error?.message || 'Failed to find duplicate leads')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading duplicate leads:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSelectPrimary = (group, leadId) => {
+    setSelections(prev => ({
+      ...prev,
+      [group.key]: {
+        primaryId: leadId,
+        mergeIds: group.leads.map(lead => lead.id).filter(id => id !== leadId)
+      }
+    }))
+  }
+
+  const handleToggleMerge = (group, leadId) => {
+    setSelections(prev => {
+      const { primaryId, mergeIds } = prev[group.key]
+      return {
+        ...prev,
+        [group.key]: {
+          primaryId,
+          mergeIds: mergeIds.includes(leadId) ? mergeIds.filter(id => id !== leadId) : [...mergeIds, leadId]
+        }
+      }
+    })
+  }
+
+  const handleDismiss = (group) => {
+    setGroups(prevGroups => prevGroups.filter(g => g.key !== group.key))
+  }
+
+  const handleMerge = async (group) => {
+    const { primaryId, mergeIds } = selections[group.key]
+    if (mergeIds.length === 0) return
+
+    if (!window.confirm(`Merge ${mergeIds.length} lead${mergeIds.length === 1 ? '' : 's'} into the selected lead? Merged leads move to the trash.`)) {
+      return
+    }
+
+    setMergingGroupKey(group.key)
+    try {
+      const secureMerge = safeAPICall(mergePropertyLeads, 'DuplicateLeadsReview.handleMerge')
+      const result = await secureMerge(primaryId, mergeIds)
+
+      if (result.success) {
+        const remaining = group.leads.filter(lead => !mergeIds.includes(lead.id))
+        if (remaining.length > 1) {
+          const updatedGroup = {
+            ...group,
+            leads: remaining.map(lead => (lead.id === primaryId ? { ...lead, ...result.data.lead } : lead))
+          }
+          setGroups(prevGroups => prevGroups.map(g => (g.key === group.key ? updatedGroup : g)))
+          handleSelectPrimary(updatedGroup, primaryId)
+        } else {
+          handleDismiss(group)
+        }
+      } else {
+        throw new Error(result.error?.message || 'Failed to merge leads')
+      }
+    } catch (err) {
+      console.error('Error merging leads:', err)
+      alert(`Failed to merge leads: ${err.message}`)
+    } finally {
+      setMergingGroupKey(null)
+    }
+  }
+
+  const formatStatusLabel = (status) => {
+    return status
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ')
+  }
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })
+  }
+
+  const renderMergePreview = (group) => {
+    const { primaryId, mergeIds } = selections[group.key] || {}
+    const primary = group.leads.find(lead => lead.id === primaryId)
+    const duplicates = group.leads.filter(lead => mergeIds?.includes(lead.id))
+    if (!primary || duplicates.length === 0) return null
+
+    const merged = mergeLeadFields(primary, duplicates)
+
+    return (
+      <div className="duplicate-merge-preview">
+        After merge: <strong>{formatStatusLabel(merged.status)}</strong>
+        {' • '}{merged.metadata.message_count} message{merged.metadata.message_count === 1 ? '' : 's'}
+        {merged.next_action_at && <> • follow-up {formatDate(merged.next_action_at)}</>}
+        {!merged.is_active && <> • archived</>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="duplicate-review">
+      <div className="follow-up-header">
+        <h2 className="page-title">Duplicate Leads</h2>
+        <button className="pagination-btn" onClick={loadGroups} disabled={loading}>
+          Rescan
+        </button>
+      </div>
+
+      {loading && <div className="loading">Scanning leads for duplicates...</div>}
+
+      {!loading && error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadGroups}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && groups.length === 0 && (
+        <div className="no-data">No duplicate leads found.</div>
+      )}
+
+      {!loading && !error && groups.map(group => {
+        const selection = selections[group.key] || { primaryId: null, mergeIds: [] }
+        const first = group.leads[0]
+
+        return (
+          <section key={group.key} className="duplicate-group">
+            <div className="duplicate-group-header">
+              <div>
+                <strong>{first.property?.street_address || 'Property Address'}</strong>
+                {first.property?.city && <>, {first.property.city}</>}
+                <div className="duplicate-reasons">
+                  {group.reasons.map(reason => (
+                    <span key={reason} className="duplicate-reason">{DUPLICATE_REASONS[reason]}</span>
+                  ))}
+                </div>
+              </div>
+              <div className="follow-up-actions">
+                <button
+                  className="pagination-btn"
+                  onClick={() => handleDismiss(group)}
+                  disabled={mergingGroupKey === group.key}
+                >
+                  Not Duplicates
+                </button>
+                <button
+                  className="pagination-btn primary"
+                  onClick={() => handleMerge(group)}
+                  disabled={mergingGroupKey === group.key || selection.mergeIds.length === 0}
+                >
+                  {mergingGroupKey === group.key ? 'Merging...' : `Merge ${selection.mergeIds.length + 1} Leads`}
+                </button>
+              </div>
+            </div>
+
+            <table className="duplicate-table">
+              <thead>
+                <tr>
+                  <th>Keep</th>
+                  <th>Merge</th>
+                  <th>Status</th>
+                  <th>zpid</th>
+                  <th>Agent</th>
+                  <th>Price</th>
+                  <th>Messages</th>
+                  <th>Created</th>
+                </tr>
+              </thead>
+              <tbody>
+                {group.leads.map(lead => {
+                  const isPrimary = selection.primaryId === lead.id
+
+                  return (
+                    <tr key={lead.id} className={isPrimary ? 'primary' : ''}>
+                      <td>
+                        <input
+                          type="radio"
+                          name={`primary-${group.key}`}
+                          checked={isPrimary}
+                          onChange={() => handleSelectPrimary(group, lead.id)}
+                          disabled={mergingGroupKey === group.key}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selection.mergeIds.includes(lead.id)}
+                          onChange={() => handleToggleMerge(group, lead.id)}
+                          disabled={isPrimary || mergingGroupKey === group.key}
+                        />
+                      </td>
+                      <td>
+                        <span className="status-badge">{formatStatusLabel(lead.status)}</span>
+                        {!lead.is_active && <span className="duplicate-archived">Archived</span>}
+                      </td>
+                      <td>{lead.zpid || lead.listing?.zpid || '—'}</td>
+                      <td>
+                        {lead.agent?.full_name || 'Unknown agent'}
+                        {lead.agent?.phone_number && <div className="duplicate-sub">{format_number(lead.agent.phone_number)}</div>}
+                      </td>
+                      <td>{lead.listing?.price ? `$${Number(lead.listing.price).toLocaleString()}` : '—'}</td>
+                      <td>{lead.metadata?.message_count || 0}</td>
+                      <td>{formatDate(lead.created_at)}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+
+            {renderMergePreview(group)}
+          </section>
+        )
+      })}
+    </div>
+  )
+}
+
+export default DuplicateLeadsReview
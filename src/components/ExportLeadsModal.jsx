@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react'
+import { exportPropertyLeads } from '../api/properties'
+import { safeAPICall } from '../api/index'
+import { LEAD_EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMN_KEYS } from '../lib/lead-export'
+
+const EXPORT_COLUMNS_KEY = 'leadExportColumns'
+
+const COLUMN_GROUPS = [...new Set(LEAD_EXPORT_COLUMNS.map(column => column.group))]
+
+// Remembers the last column selection so the weekly export is one click
+const loadSavedColumns = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY))
+    if (Array.isArray(saved) && saved.length > 0) {
+      return saved.filter(key => LEAD_EXPORT_COLUMNS.some(column => column.key === key))
+    }
+  } catch (error) {
+    console.error('Error reading saved export columns:', error)
+  }
+  return DEFAULT_EXPORT_COLUMN_KEYS
+}
+
+const ExportLeadsModal = ({ isOpen, onClose, view, total }) => {
+  const [format, setFormat] = useState('csv')
+  const [selectedColumns, setSelectedColumns] = useState(loadSavedColumns)
+  const [exporting, setExporting] = useState(false)
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && !exporting) {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose, exporting])
+
+  const handleToggleColumn = (key) => {
+    setSelectedColumns(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    )
+  }
+
+  const handleExport = async () => {
+    // Keep the column order of LEAD_EXPORT_COLUMNS rather than click order
+    const columns = LEAD_EXPORT_COLUMNS
+      .map(column => column.key)
+      .filter(key => selectedColumns.includes(key))
+
+    setExporting(true)
+    try {
+      const secureExport = safeAPICall(exportPropertyLeads, 'ExportLeadsModal.handleExport')
+      const result = await secureExport(view, { format, columns })
+
+      if (result.success) {
+        localStorage.setItem(EXPORT_COLUMNS_KEY, JSON.stringify(columns))
+
+        const url = URL.createObjectURL(result.data.blob)
+        const link = document.createElement('a')
+        link.href = url
+        link.download = result.data.filename
+        document.body.appendChild(link)
+        link.click()
+        link.remove()
+        URL.revokeObjectURL(url)
+
+        onClose()
+      } else {
+        throw new Error(result.error?.message || 'Failed to export leads')
+      }
+    } catch (error) {
+      console.error('Error exporting leads:', error)
+      alert(`Failed to export leads: ${error.message}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="export-leads-overlay" onClick={exporting ? undefined : onClose}>
+      <div className="export-leads-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Export Leads</h3>
+          <button className="close-btn" onClick={onClose} disabled={exporting}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <p className="export-summary">
+            Exports all {total ?? ''} leads matching the current tab, status and filters.
+          </p>
+
+          <div className="export-format">
+            <label>
+              <input
+                type="radio"
+                name="export-format"
+                value="csv"
+                checked={format === 'csv'}
+                onChange={() => setFormat('csv')}
+              />
+              CSV
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="export-format"
+                value="xlsx"
+                checked={format === 'xlsx'}
+                onChange={() => setFormat('xlsx')}
+              />
+              Excel (.xlsx)
+            </label>
+          </div>
+
+          <div className="export-columns-header">
+            <strong>Columns ({selectedColumns.length})</strong>
+            <div>
+              <button className="note-action-btn" onClick={() => setSelectedColumns(LEAD_EXPORT_COLUMNS.map(column => column.key))}>
+                All
+              </button>
+              <button className="note-action-btn" onClick={() => setSelectedColumns(DEFAULT_EXPORT_COLUMN_KEYS)}>
+                Default
+              </button>
+              <button className="note-action-btn" onClick={() => setSelectedColumns([])}>
+                None
+              </button>
+            </div>
+          </div>
+
+          <div className="export-columns">
+            {COLUMN_GROUPS.map(group => (
+              <fieldset key={group} className="export-column-group">
+                <legend>{group}</legend>
+                {LEAD_EXPORT_COLUMNS.filter(column => column.group === group).map(column => (
+                  <label key={column.key} className="export-column-option">
+                    <input
+                      type="checkbox"
+                      checked={selectedColumns.includes(column.key)}
+                      onChange={() => handleToggleColumn(column.key)}
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </fieldset>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button className="no-btn" onClick={onClose} disabled={exporting}>
+            Cancel
+          </button>
+          <button className="yes-btn" onClick={handleExport} disabled={exporting || selectedColumns.length === 0}>
+            {exporting ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ExportLeadsModal
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react'
+import { getPropertyLeads } from '../api/properties'
+import { clearLeadReminder } from '../api/reminders'
+import { safeAPICall } from '../api/index'
+import LeadReminderModal from './LeadReminderModal'
+import { getEndOfToday, getReminderState, formatReminderDate } from '../lib/reminders'
+import { format_number, createPhoneCallLink, createSMSLink, isValidPhoneNumber } from '../lib/generic_functions'
+
+const FollowUpQueue = ({ onQueueChange }) => {
+  const [leads, setLeads] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [snoozeLead, setSnoozeLead] = useState(null)
+  const [completingLeadId, setCompletingLeadId] = useState(null)
+
+  useEffect(() => {
+    loadQueue()
+  }, [])
+
+  const loadQueue = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetLeads = safeAPICall(getPropertyLeads, 'FollowUpQueue.loadQueue')
+      const result = await secureGetLeads({
+        isActive: true,
+        dueBefore: getEndOfToday().toISOString(),
+        sortBy: 'next_action_at',
+        sortDir: 'asc',
+        limit: 100
+      })
+
+      if (result.success) {
+        setLeads(result.data.leads || [])
+      } else {
+        setError(result.error?.message || 'Failed to load follow-ups')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading follow-ups:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const removeFromQueue = (leadId) => {
+    setLeads(prevLeads => prevLeads.filter(lead => lead.id !== leadId))
+    if (onQueueChange) {
+      onQueueChange()
+    }
+  }
+
+  const handleComplete = async (lead) => {
+    setCompletingLeadId(lead.id)
+    try {
+      const secureClearReminder = safeAPICall(clearLeadReminder, 'FollowUpQueue.handleComplete')
+      const result = await secureClearReminder(lead.id)
+
+      if (result.success) {
+        removeFromQueue(lead.id)
+      } else {
+        throw new Error(result.error?.message || 'Failed to complete follow-up')
+      }
+    } catch (err) {
+      console.error('Error completing follow-up:', err)
+      alert('Failed to mark follow-up as done. Please try again.')
+    } finally {
+      setCompletingLeadId(null)
+    }
+  }
+
+  const handleSnoozed = (leadId, reminder) => {
+    if (getReminderState(reminder?.next_action_at) === 'upcoming') {
+      removeFromQueue(leadId)
+    } else {
+      setLeads(prevLeads => prevLeads.map(lead => (lead.id === leadId ? { ...lead, ...reminder } : lead)))
+    }
+  }
+
+  const formatStatusLabel = (status) => {
+    return status
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ')
+  }
+
+  const overdueLeads = leads.filter(lead => getReminderState(lead.next_action_at) === 'overdue')
+  const dueTodayLeads = leads.filter(lead => getReminderState(lead.next_action_at) === 'due_today')
+
+  const renderLead = (lead) => {
+    const phoneNumber = lead.agent?.phone_number
+
+    return (
+      <li key={lead.id} className={`follow-up-item ${getReminderState(lead.next_action_at)}`}>
+        <div className="follow-up-main">
+          <div className="follow-up-address">{lead.property?.street_address || 'Property Address'}</div>
+          <div className="follow-up-meta">
+            {lead.agent?.full_name || 'Unknown agent'}
+            {isValidPhoneNumber(phoneNumber) && (
+              <>
+                {' • '}
+                <a href={createPhoneCallLink(phoneNumber)}>{format_number(phoneNumber)}</a>
+                {' • '}
+                <a href={createSMSLink(phoneNumber)}>Text</a>
+              </>
+            )}
+          </div>
+          <div className="follow-up-note">
+            <span className="follow-up-date">{formatReminderDate(lead.next_action_at)}</span>
+            {lead.next_action_note || 'Follow up'}
+          </div>
+        </div>
+        <span className="status-badge">{formatStatusLabel(lead.status)}</span>
+        <div className="follow-up-actions">
+          <button
+            className="pagination-btn"
+            onClick={() => setSnoozeLead(lead)}
+            disabled={completingLeadId === lead.id}
+          >
+            Reschedule
+          </button>
+          <button
+            className="pagination-btn primary"
+            onClick={() => handleComplete(lead)}
+            disabled={completingLeadId === lead.id}
+          >
+            {completingLeadId === lead.id ? 'Saving...' : 'Done'}
+          </button>
+        </div>
+      </li>
+    )
+  }
+
+  return (
+    <div className="follow-up-queue">
+      <div className="follow-up-header">
+        <h2 className="page-title">Due Today / Overdue</h2>
+        <button className="pagination-btn" onClick={loadQueue} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {loading && <div className="loading">Loading follow-ups...</div>}
+
+      {!loading && error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadQueue}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && leads.length === 0 && (
+        <div className="no-data">Nothing due. Set a follow-up on any lead to see it here.</div>
+      )}
+
+      {!loading && !error && overdueLeads.length > 0 && (
+        <section className="follow-up-section">
+          <h3>Overdue ({overdueLeads.length})</h3>
+          <ul className="follow-up-list">{overdueLeads.map(renderLead)}</ul>
+        </section>
+      )}
+
+      {!loading && !error && dueTodayLeads.length > 0 && (
+        <section className="follow-up-section">
+          <h3>Due Today ({dueTodayLeads.length})</h3>
+          <ul className="follow-up-list">{dueTodayLeads.map(renderLead)}</ul>
+        </section>
+      )}
+
+      <LeadReminderModal
+        isOpen={!!snoozeLead}
+        onClose={() => setSnoozeLead(null)}
+        lead={snoozeLead}
+        title="Reschedule Follow-up"
+        onReminderUpdate={handleSnoozed}
+      />
+    </div>
+  )
+}
+
+export default FollowUpQueue
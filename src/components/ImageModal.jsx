@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react'
+import { createPortal } from 'react-dom'
 import ImageCarousel from './ImageCarousel'
 
 const ImageModal = ({ isOpen, onClose, imageUrls, initialIndex = 0 }) => {
@@ -15,10 +16,10 @@ const ImageModal = ({ isOpen, onClose, imageUrls, initialIndex = 0 }) => {
       }
     }
 
-    if (isOpen) {
-      document.addEventListener('keydown', handleEscape)
-      document.body.style.overflow = 'hidden' // Prevent background scrolling
-    }
+    if (!isOpen) return
+
+    document.addEventListener('keydown', handleEscape)
+    document.body.style.overflow = 'hidden' // Prevent background scrolling
 
     return () => {
       document.removeEventListener('keydown', handleEscape)
@@ -28,7 +29,9 @@ const ImageModal = ({ isOpen, onClose, imageUrls, initialIndex = 0 }) => {
 
   if (!isOpen) return null
 
-  return (
+  // Rendered on the body so scrolling over it can't reach the list behind it, which may unmount
+  // the carousel (and this modal) once its row scrolls out of view
+  return createPortal(
     <div className="image-modal-overlay" onClick={onClose}>
       <div className="image-modal-container" onClick={(e) => e.stopPropagation()}>
         <button className="image-modal-close" onClick={onClose}>
@@ -167,7 +170,8 @@ const ImageModal = ({ isOpen, onClose, imageUrls, initialIndex = 0 }) => {
           }
         }
       `}</style>
-    </div>
+    </div>,
+    document.body
   )
 }
 
@@ -0,0 +1,317 @@
+import { useState, useEffect } from 'react'
+import { importPropertyLeads } from '../api/properties'
+import { safeAPICall } from '../api/index'
+import { IMPORT_FIELDS, MAX_IMPORT_ROWS, parseCsv, autoMapColumns, applyColumnMapping } from '../lib/lead-import'
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'mapping', label: 'Map Columns' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'report', label: 'Report' }
+]
+
+const ACTION_LABELS = {
+  create: 'Create',
+  merge: 'Merge',
+  skip: 'Skip'
+}
+
+const REPORT_LABELS = {
+  create: 'Created',
+  merge: 'Merged',
+  skip: 'Skipped'
+}
+
+// Count fields on the import response for each row action
+const COUNT_KEYS = {
+  create: 'created',
+  merge: 'merged',
+  skip: 'skipped'
+}
+
+const PREVIEW_ROW_LIMIT = 200
+
+const ImportLeadsWizard = ({ isOpen, onClose, onImported }) => {
+  const [step, setStep] = useState('upload')
+  const [fileName, setFileName] = useState('')
+  const [csv, setCsv] = useState({ headers: [], rows: [] })
+  const [mapping, setMapping] = useState({})
+  const [plan, setPlan] = useState(null)
+  const [report, setReport] = useState(null)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (isOpen) {
+      setStep('upload')
+      setFileName('')
+      setCsv({ headers: [], rows: [] })
+      setMapping({})
+      setPlan(null)
+      setReport(null)
+      setError('')
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && !working) {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose, working])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setError('')
+
+    try {
+      const parsed = parseCsv(await file.text())
+
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        setError('The file has no data rows. The first row must contain column headers.')
+        return
+      }
+
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        setError(`The file has ${parsed.rows.length} rows. Split it into files of ${MAX_IMPORT_ROWS} rows or fewer.`)
+        return
+      }
+
+      setFileName(file.name)
+      setCsv(parsed)
+      setMapping(autoMapColumns(parsed.headers))
+      setStep('mapping')
+    } catch (err) {
+      console.error('Error reading import file:', err)
+      setError('Could not read the file. Make sure it is a CSV export.')
+    }
+  }
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping(prev => {
+      const next = { ...prev }
+      if (value === '') {
+        delete next[fieldKey]
+      } else {
+        next[fieldKey] = Number(value)
+      }
+      return next
+    })
+  }
+
+  const hasRequiredMapping = mapping.zpid !== undefined || mapping.street_address !== undefined
+
+  const runImport = async (dryRun) => {
+    setWorking(true)
+    setError('')
+
+    try {
+      const secureImport = safeAPICall(importPropertyLeads, 'ImportLeadsWizard.runImport')
+      const result = await secureImport(applyColumnMapping(csv.rows, mapping), { dryRun })
+
+      if (result.success) {
+        if (dryRun) {
+          setPlan(result.data)
+          setStep('preview')
+        } else {
+          setReport(result.data)
+          setStep('report')
+          if (onImported) {
+            onImported(result.data)
+          }
+        }
+      } else {
+        setError(result.error?.message || 'Failed to import leads')
+      }
+    } catch (err) {
+      console.error('Error importing leads:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const renderSummary = (data, labels) => (
+    <div className="import-summary">
+      {Object.entries(COUNT_KEYS).map(([action, countKey]) => (
+        <div key={action} className={`import-summary-item ${action}`}>
+          <span className="import-summary-count">{data[countKey]}</span>
+          <span>{labels[action]}</span>
+        </div>
+      ))}
+    </div>
+  )
+
+  const renderResults = (results, labels) => (
+    <div className="import-results">
+      <table className="import-table">
+        <thead>
+          <tr>
+            <th>Row</th>
+            <th>Address</th>
+            <th>zpid</th>
+            <th>Agent</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.slice(0, PREVIEW_ROW_LIMIT).map(result => (
+            <tr key={result.row_number} className={`import-row ${result.action}`}>
+              <td>{result.row_number}</td>
+              <td>{[result.row.street_address, result.row.city, result.row.zipcode].filter(Boolean).join(', ') || '—'}</td>
+              <td>{result.row.zpid || '—'}</td>
+              <td>{result.row.agent_name || '—'}</td>
+              <td>
+                <span className={`import-action-badge ${result.action}`}>{labels[result.action]}</span>
+                {result.reason && <div className="import-reason">{result.reason}</div>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {results.length > PREVIEW_ROW_LIMIT && (
+        <div className="import-more">Showing the first {PREVIEW_ROW_LIMIT} of {results.length} rows</div>
+      )}
+    </div>
+  )
+
+  if (!isOpen) return null
+
+  const stepIndex = STEPS.findIndex(s => s.key === step)
+
+  return (
+    <div className="import-leads-overlay" onClick={working ? undefined : onClose}>
+      <div className="import-leads-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Import Leads</h3>
+          <button className="close-btn" onClick={onClose} disabled={working}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <ol className="import-steps">
+          {STEPS.map((s, index) => (
+            <li
+              key={s.key}
+              className={`import-step ${index === stepIndex ? 'active' : ''} ${index < stepIndex ? 'done' : ''}`}
+            >
+              {s.label}
+            </li>
+          ))}
+        </ol>
+
+        <div className="modal-content">
+          {error && <p className="error-message">{error}</p>}
+
+          {step === 'upload' && (
+            <div className="import-upload">
+              <p>
+                Upload a CSV of listings (for example a Zillow or MLS export). Each row becomes a
+                Prospect Found lead; properties, listings and agents that already exist are reused.
+              </p>
+              <label className="import-file-label">
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+              </label>
+              <p className="import-hint">Up to {MAX_IMPORT_ROWS} rows per file. The first row must contain column headers.</p>
+            </div>
+          )}
+
+          {step === 'mapping' && (
+            <div className="import-mapping">
+              <p>
+                <strong>{fileName}</strong> — {csv.rows.length} rows. Match each field to a column;
+                a zpid or street address is required to detect duplicates.
+              </p>
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key} className="import-mapping-row">
+                  <label htmlFor={`import-field-${field.key}`}>{field.label}</label>
+                  <select
+                    id={`import-field-${field.key}`}
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  >
+                    <option value="">— Not imported —</option>
+                    {csv.headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="import-sample">
+                    {mapping[field.key] !== undefined ? csv.rows[0]?.[mapping[field.key]] || '' : ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {step === 'preview' && plan && (
+            <>
+              {renderSummary(plan, ACTION_LABELS)}
+              <p className="import-hint">
+                Merged rows add a lead to a property or listing that already exists. Rows you already
+                track as leads are skipped when the import runs.
+              </p>
+              {renderResults(plan.results, ACTION_LABELS)}
+            </>
+          )}
+
+          {step === 'report' && report && (
+            <>
+              {renderSummary(report, REPORT_LABELS)}
+              {renderResults(report.results, REPORT_LABELS)}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {step === 'mapping' && (
+            <>
+              <button className="no-btn" onClick={() => setStep('upload')} disabled={working}>
+                Back
+              </button>
+              <button className="yes-btn" onClick={() => runImport(true)} disabled={working || !hasRequiredMapping}>
+                {working ? 'Checking...' : 'Preview'}
+              </button>
+            </>
+          )}
+
+          {step === 'preview' && plan && (
+            <>
+              <button className="no-btn" onClick={() => setStep('mapping')} disabled={working}>
+                Back
+              </button>
+              <button
+                className="yes-btn"
+                onClick={() => runImport(false)}
+                disabled={working || plan.created + plan.merged === 0}
+              >
+                {working ? 'Importing...' : `Import ${plan.created + plan.merged} Leads`}
+              </button>
+            </>
+          )}
+
+          {(step === 'upload' || step === 'report') && (
+            <button className="no-btn" onClick={onClose} disabled={working}>
+              {step === 'report' ? 'Done' : 'Cancel'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportLeadsWizard
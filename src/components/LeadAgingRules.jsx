@@ -0,0 +1,369 @@
+import { useState, useEffect } from 'react'
+import { getLeadAgingRules, saveLeadAgingRule, deleteLeadAgingRule } from '../api/aging'
+import { runLeadAgingRules, LEAD_STATUS_VALUES } from '../api/properties'
+import { safeAPICall } from '../api/index'
+import { AGING_BASES, describeAgingRule, validateAgingRule } from '../lib/lead-aging'
+
+const EMPTY_RULE = {
+  name: '',
+  from_status: 'contacted',
+  basis: 'status_age',
+  days: 14,
+  action: 'status',
+  to_status: 'closed_lost',
+  enabled: true
+}
+
+const LeadAgingRules = () => {
+  const [rules, setRules] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [editingRule, setEditingRule] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [run, setRun] = useState(null)
+  const [running, setRunning] = useState(false)
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const loadRules = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetRules = safeAPICall(getLeadAgingRules, 'LeadAgingRules.loadRules')
+      const result = await secureGetRules()
+
+      if (result.success) {
+        setRules(result.data)
+      } else {
+        setError(result.error?.message || 'Failed to load aging rules')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading aging rules:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveRule = async (rule) => {
+    const secureSaveRule = safeAPICall(saveLeadAgingRule, 'LeadAgingRules.saveRule')
+    const result = await secureSaveRule(rule)
+
+    if (!result.success) {
+      throw new Error(result.error?.message || 'Failed to save aging rule')
+    }
+
+    // Any earlier preview no longer reflects the rules
+    setRun(null)
+    return result.data
+  }
+
+  const handleSubmitRule = async (e) => {
+    e.preventDefault()
+
+    const validationError = validateAgingRule(editingRule, LEAD_STATUS_VALUES)
+    if (validationError) {
+      alert(validationError)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const position = editingRule.id
+        ? editingRule.position
+        : rules.reduce((max, rule) => Math.max(max, rule.position || 0), 0) + 1
+      const saved = await saveRule({ ...editingRule, position })
+
+      setRules(prevRules => (editingRule.id
+        ? prevRules.map(rule => (rule.id === saved.id ? saved : rule))
+        : [...prevRules, saved]))
+      setEditingRule(null)
+    } catch (err) {
+      console.error('Error saving aging rule:', err)
+      alert(`Failed to save rule: ${err.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleEnabled = async (rule) => {
+    try {
+      const saved = await saveRule({ ...rule, enabled: !rule.enabled })
+      setRules(prevRules => prevRules.map(r => (r.id === saved.id ? saved : r)))
+    } catch (err) {
+      console.error('Error toggling aging rule:', err)
+      alert('Failed to update rule. Please try again.')
+    }
+  }
+
+  // Rules run top to bottom and the first match wins, so order matters
+  const handleMoveRule = async (index, direction) => {
+    const other = rules[index + direction]
+    const rule = rules[index]
+    if (!other) return
+
+    try {
+      const [savedRule, savedOther] = await Promise.all([
+        saveRule({ ...rule, position: index + direction }),
+        saveRule({ ...other, position: index })
+      ])
+
+      setRules(prevRules => {
+        const next = [...prevRules]
+        next[index + direction] = savedRule
+        next[index] = savedOther
+        return next
+      })
+    } catch (err) {
+      console.error('Error reordering aging rules:', err)
+      alert('Failed to reorder rules. Please try again.')
+      loadRules()
+    }
+  }
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name || describeAgingRule(rule)}"?`)) {
+      return
+    }
+
+    try {
+      const secureDeleteRule = safeAPICall(deleteLeadAgingRule, 'LeadAgingRules.handleDeleteRule')
+      const result = await secureDeleteRule(rule.id)
+
+      if (result.success) {
+        setRules(prevRules => prevRules.filter(r => r.id !== rule.id))
+        setRun(null)
+      } else {
+        throw new Error(result.error?.message || 'Failed to delete aging rule')
+      }
+    } catch (err) {
+      console.error('Error deleting aging rule:', err)
+      alert('Failed to delete rule. Please try again.')
+    }
+  }
+
+  const handleRun = async (dryRun) => {
+    if (!dryRun && !window.confirm('Apply the enabled rules to your leads now? This changes statuses and archives leads.')) {
+      return
+    }
+
+    setRunning(true)
+    try {
+      const secureRun = safeAPICall(runLeadAgingRules, 'LeadAgingRules.handleRun')
+      const result = await secureRun({ dryRun })
+
+      if (result.success) {
+        setRun(result.data)
+      } else {
+        throw new Error(result.error?.message || 'Failed to run aging rules')
+      }
+    } catch (err) {
+      console.error('Error running aging rules:', err)
+      alert(`Failed to run aging rules: ${err.message}`)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const formatStatusLabel = (status) => {
+    return status
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ')
+  }
+
+  const updateEditingRule = (field, value) => {
+    setEditingRule(prev => ({ ...prev, [field]: value }))
+  }
+
+  const renderRuleForm = () => (
+    <form className="aging-rule-form" onSubmit={handleSubmitRule}>
+      <div className="aging-rule-fields">
+        <label>
+          Name (optional)
+          <input
+            type="text"
+            maxLength={100}
+            value={editingRule.name || ''}
+            onChange={(e) => updateEditingRule('name', e.target.value)}
+            placeholder="e.g. Give up on silent agents"
+          />
+        </label>
+        <label>
+          When a lead is
+          <select value={editingRule.from_status} onChange={(e) => updateEditingRule('from_status', e.target.value)}>
+            {LEAD_STATUS_VALUES.map(status => (
+              <option key={status} value={status}>{formatStatusLabel(status)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          and
+          <select value={editingRule.basis} onChange={(e) => updateEditingRule('basis', e.target.value)}>
+            {Object.entries(AGING_BASES).map(([basis, label]) => (
+              <option key={basis} value={basis}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Days
+          <input
+            type="number"
+            min={1}
+            max={3650}
+            value={editingRule.days}
+            onChange={(e) => updateEditingRule('days', e.target.value)}
+          />
+        </label>
+        <label>
+          Then
+          <select value={editingRule.action} onChange={(e) => updateEditingRule('action', e.target.value)}>
+            <option value="status">Change status</option>
+            <option value="archive">Archive</option>
+          </select>
+        </label>
+        {editingRule.action === 'status' && (
+          <label>
+            To
+            <select value={editingRule.to_status || ''} onChange={(e) => updateEditingRule('to_status', e.target.value)}>
+              {LEAD_STATUS_VALUES.map(status => (
+                <option key={status} value={status}>{formatStatusLabel(status)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      <div className="note-actions">
+        <button type="button" className="note-action-btn" onClick={() => setEditingRule(null)} disabled={saving}>
+          Cancel
+        </button>
+        <button type="submit" className="note-action-btn primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Rule'}
+        </button>
+      </div>
+    </form>
+  )
+
+  return (
+    <div className="lead-aging">
+      <div className="follow-up-header">
+        <div>
+          <h3>Lead Aging Rules</h3>
+          <p className="aging-help">
+            Rules run every morning against active leads. They are checked top to bottom and the first
+            matching rule wins. Status changes follow the same rules as changing a status by hand.
+          </p>
+        </div>
+        <div className="follow-up-actions">
+          <button className="pagination-btn" onClick={() => handleRun(true)} disabled={running || rules.length === 0}>
+            {running ? 'Checking...' : 'Preview'}
+          </button>
+          <button className="pagination-btn primary" onClick={() => handleRun(false)} disabled={running || rules.length === 0}>
+            Run Now
+          </button>
+        </div>
+      </div>
+
+      {loading && <div className="loading">Loading rules...</div>}
+
+      {!loading && error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadRules}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && (
+        <>
+          {rules.length === 0 && !editingRule && (
+            <div className="no-data">No aging rules yet.</div>
+          )}
+
+          <ul className="aging-rule-list">
+            {rules.map((rule, index) => (
+              <li key={rule.id} className={`aging-rule ${rule.enabled ? '' : 'disabled'}`}>
+                {editingRule?.id === rule.id ? renderRuleForm() : (
+                  <>
+                    <label className="aging-rule-toggle" title={rule.enabled ? 'Disable rule' : 'Enable rule'}>
+                      <input type="checkbox" checked={rule.enabled} onChange={() => handleToggleEnabled(rule)} />
+                    </label>
+                    <div className="aging-rule-main">
+                      {rule.name && <strong>{rule.name}</strong>}
+                      <div>{describeAgingRule(rule)}</div>
+                    </div>
+                    <div className="note-actions">
+                      <button className="note-action-btn" onClick={() => handleMoveRule(index, -1)} disabled={index === 0} title="Move up">
+                        ↑
+                      </button>
+                      <button className="note-action-btn" onClick={() => handleMoveRule(index, 1)} disabled={index === rules.length - 1} title="Move down">
+                        ↓
+                      </button>
+                      <button className="note-action-btn" onClick={() => setEditingRule(rule)}>
+                        Edit
+                      </button>
+                      <button className="note-action-btn delete" onClick={() => handleDeleteRule(rule)}>
+                        Delete
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {editingRule && !editingRule.id && renderRuleForm()}
+
+          {!editingRule && (
+            <button className="pagination-btn" onClick={() => setEditingRule(EMPTY_RULE)}>
+              Add Rule
+            </button>
+          )}
+        </>
+      )}
+
+      {run && (
+        <section className="aging-run">
+          <h4>
+            {run.dry_run
+              ? `Preview: ${run.matched} of ${run.evaluated} checked leads would change`
+              : `Applied to ${run.applied} leads${run.failed > 0 ? `, ${run.failed} failed` : ''}`}
+          </h4>
+          {run.results.length > 0 && (
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Lead</th>
+                  <th>Status</th>
+                  <th>Age</th>
+                  <th>Rule</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {run.results.map(result => (
+                  <tr key={result.lead_id} className={result.success === false ? 'import-row skip' : ''}>
+                    <td>{result.street_address || (result.zpid ? `zpid ${result.zpid}` : result.lead_id)}</td>
+                    <td>{formatStatusLabel(result.status)}</td>
+                    <td>{result.age_days} days</td>
+                    <td>{result.rule}</td>
+                    <td>
+                      {result.action === 'archive' ? 'Archive' : `→ ${formatStatusLabel(result.to_status)}`}
+                      {result.error && <div className="import-reason">{result.error}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default LeadAgingRules
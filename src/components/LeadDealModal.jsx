@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react'
+import { updateLeadDeal, LEAD_STATUS_VALUES } from '../api/properties'
+import { safeAPICall } from '../api/index'
+import { DEAL_FIELDS, PAYMENT_METHODS, MAX_DEAL_AMOUNT, getDealFieldsForStatus, pickDealFields } from '../lib/lead-deals'
+
+const LeadDealModal = ({ isOpen, onClose, lead, onDealUpdate }) => {
+  const [values, setValues] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && lead) {
+      const deal = pickDealFields(lead.deal)
+      const initial = {}
+      DEAL_FIELDS.forEach(field => {
+        initial[field.key] = deal[field.key] === null ? '' : String(deal[field.key])
+      })
+
+      // Carry the last known amount forward so each stage starts from the previous number
+      if (!initial.final_amount) initial.final_amount = initial.quoted_price
+      if (!initial.amount_received) initial.amount_received = initial.final_amount
+
+      setValues(initial)
+    }
+  }, [isOpen, lead?.id, lead?.status])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  if (!isOpen || !lead) return null
+
+  // Earlier stages stay editable; later ones appear once the lead gets there
+  const fields = getDealFieldsForStatus(lead.status, LEAD_STATUS_VALUES)
+  const visibleFields = fields.length > 0 ? fields : DEAL_FIELDS.filter(field => field.status === 'proposal_sent')
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    const changes = {}
+    visibleFields.forEach(field => {
+      changes[field.key] = values[field.key] === '' ? null : values[field.key]
+    })
+
+    setSaving(true)
+    try {
+      const secureUpdateDeal = safeAPICall(updateLeadDeal, 'LeadDealModal.handleSave')
+      const result = await secureUpdateDeal(lead.id, changes)
+
+      if (result.success) {
+        if (onDealUpdate) {
+          onDealUpdate(lead.id, result.data)
+        }
+        onClose()
+      } else {
+        throw new Error(result.error?.message || 'Failed to save deal')
+      }
+    } catch (error) {
+      console.error('Error saving deal:', error)
+      alert(`Failed to save deal: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const renderInput = (field) => {
+    const inputId = `deal-${field.key}`
+
+    if (field.type === 'payment_method') {
+      return (
+        <select
+          id={inputId}
+          value={values[field.key] || ''}
+          onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+          disabled={saving}
+        >
+          <option value="">Not set</option>
+          {Object.entries(PAYMENT_METHODS).map(([method, label]) => (
+            <option key={method} value={method}>{label}</option>
+          ))}
+        </select>
+      )
+    }
+
+    if (field.type === 'money') {
+      return (
+        <input
+          id={inputId}
+          type="number"
+          min={0}
+          max={MAX_DEAL_AMOUNT}
+          step="0.01"
+          value={values[field.key] || ''}
+          onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+          placeholder="$"
+          disabled={saving}
+        />
+      )
+    }
+
+    return (
+      <input
+        id={inputId}
+        type="text"
+        maxLength={100}
+        value={values[field.key] || ''}
+        onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+        placeholder="e.g. Photos + drone"
+        disabled={saving}
+      />
+    )
+  }
+
+  return (
+    <div className="lead-reminder-overlay" onClick={onClose}>
+      <form className="lead-reminder-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSave}>
+        <div className="modal-header">
+          <h3>Deal</h3>
+          <button type="button" className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || 'Property Address'}</strong>
+            <br />
+            {lead.agent?.full_name || 'Agent Name'}
+          </div>
+
+          <div className="deal-fields">
+            {visibleFields.map(field => (
+              <div key={field.key} className="reminder-field">
+                <label htmlFor={`deal-${field.key}`}>{field.label}</label>
+                {renderInput(field)}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="no-btn" onClick={onClose} disabled={saving}>
+            Skip
+          </button>
+          <button type="submit" className="yes-btn" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Deal'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default LeadDealModal
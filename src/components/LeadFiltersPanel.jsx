@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react'
+import { HOME_TYPE_VALUES } from '../api/properties'
+import { EMPTY_LEAD_FILTERS } from '../lib/lead-views'
+
+const formatHomeType = (homeType) => {
+  return homeType
+    .split('_')
+    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+    .join(' ')
+}
+
+const LeadFiltersPanel = ({ filters, onApply, onReset }) => {
+  // Edit a draft so typing doesn't refetch leads on every keystroke
+  const [draft, setDraft] = useState(filters)
+
+  useEffect(() => {
+    setDraft(filters)
+  }, [filters])
+
+  const handleChange = (field) => (e) => {
+    setDraft(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onApply(draft)
+  }
+
+  const handleReset = () => {
+    setDraft(EMPTY_LEAD_FILTERS)
+    onReset()
+  }
+
+  return (
+    <form className="lead-filters-panel" onSubmit={handleSubmit}>
+      <div className="lead-filters-grid">
+        <div className="lead-filter-field">
+          <label htmlFor="filter-city">City</label>
+          <input id="filter-city" type="text" value={draft.city} onChange={handleChange('city')} placeholder="e.g. Irvine" />
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-zipcodes">Zip codes</label>
+          <input id="filter-zipcodes" type="text" value={draft.zipcodes} onChange={handleChange('zipcodes')} placeholder="92602, 92618" />
+        </div>
+        <div className="lead-filter-field">
+          <label>Price</label>
+          <div className="lead-filter-range">
+            <input type="number" min="0" step="10000" value={draft.minPrice} onChange={handleChange('minPrice')} placeholder="Min" aria-label="Minimum price" />
+            <span>–</span>
+            <input type="number" min="0" step="10000" value={draft.maxPrice} onChange={handleChange('maxPrice')} placeholder="Max" aria-label="Maximum price" />
+          </div>
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-bedrooms">Beds (min)</label>
+          <input id="filter-bedrooms" type="number" min="0" step="1" value={draft.minBedrooms} onChange={handleChange('minBedrooms')} placeholder="Any" />
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-bathrooms">Baths (min)</label>
+          <input id="filter-bathrooms" type="number" min="0" step="0.5" value={draft.minBathrooms} onChange={handleChange('minBathrooms')} placeholder="Any" />
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-home-type">Home type</label>
+          <select id="filter-home-type" value={draft.homeType} onChange={handleChange('homeType')}>
+            <option value="">Any</option>
+            {HOME_TYPE_VALUES.map(homeType => (
+              <option key={homeType} value={homeType}>
+                {formatHomeType(homeType)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="lead-filter-field">
+          <label>Year built</label>
+          <div className="lead-filter-range">
+            <input type="number" min="1700" max="2100" value={draft.minYearBuilt} onChange={handleChange('minYearBuilt')} placeholder="From" aria-label="Built from year" />
+            <span>–</span>
+            <input type="number" min="1700" max="2100" value={draft.maxYearBuilt} onChange={handleChange('maxYearBuilt')} placeholder="To" aria-label="Built to year" />
+          </div>
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-agent-license">Agent license</label>
+          <input id="filter-agent-license" type="text" value={draft.agentLicense} onChange={handleChange('agentLicense')} placeholder="DRE #" />
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-broker">Broker</label>
+          <input id="filter-broker" type="text" value={draft.brokerName} onChange={handleChange('brokerName')} placeholder="Broker name" />
+        </div>
+        <div className="lead-filter-field">
+          <label>Created</label>
+          <div className="lead-filter-range">
+            <input type="date" value={draft.createdAfter} onChange={handleChange('createdAfter')} aria-label="Created on or after" />
+            <span>–</span>
+            <input type="date" value={draft.createdBefore} onChange={handleChange('createdBefore')} aria-label="Created on or before" />
+          </div>
+        </div>
+        <div className="lead-filter-field">
+          <label htmlFor="filter-min-score">Score (min)</label>
+          <input id="filter-min-score" type="number" min="0" max="100" step="5" value={draft.minScore} onChange={handleChange('minScore')} placeholder="0–100" />
+        </div>
+      </div>
+
+      <div className="lead-filters-actions">
+        <button type="button" className="pagination-btn" onClick={handleReset}>
+          Reset
+        </button>
+        <button type="submit" className="pagination-btn primary">
+          Apply Filters
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default LeadFiltersPanel
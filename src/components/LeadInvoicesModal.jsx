@@ -0,0 +1,347 @@
+import { useState, useEffect } from 'react'
+import { getLeadInvoices, createLeadInvoice, updateInvoiceDraft, setInvoiceStatus, getInvoiceUrl } from '../api/invoices'
+import { safeAPICall } from '../api/index'
+import { INVOICEABLE_STATUSES, MAX_INVOICE_LINE_ITEMS, formatInvoiceAmount, getInvoiceTotal } from '../lib/invoices'
+import { toDateInputValue, fromDateInputValue } from '../lib/reminders'
+
+const LeadInvoicesModal = ({ isOpen, onClose, lead, onStatusUpdate }) => {
+  const [invoices, setInvoices] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [savingId, setSavingId] = useState(null)
+  const [draft, setDraft] = useState(null)
+
+  useEffect(() => {
+    if (isOpen && lead?.id) {
+      setDraft(null)
+      loadInvoices()
+    }
+  }, [isOpen, lead?.id])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  const loadInvoices = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetInvoices = safeAPICall(getLeadInvoices, 'LeadInvoicesModal.loadInvoices')
+      const result = await secureGetInvoices(lead.id)
+
+      if (result.success) {
+        setInvoices(result.data)
+      } else {
+        setError(result.error?.message || 'Failed to load invoices')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading invoices:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const replaceInvoice = (invoice) => {
+    setInvoices(prev => prev.map(i => (i.id === invoice.id ? invoice : i)))
+  }
+
+  const handleCreate = async () => {
+    setSavingId('new')
+    try {
+      const secureCreate = safeAPICall(createLeadInvoice, 'LeadInvoicesModal.handleCreate')
+      const result = await secureCreate(lead)
+
+      if (result.success) {
+        setInvoices(prev => [result.data, ...prev])
+        startEditing(result.data)
+      } else {
+        throw new Error(result.error?.message || 'Failed to create invoice')
+      }
+    } catch (err) {
+      console.error('Error creating invoice:', err)
+      alert(`Failed to create invoice: ${err.message}`)
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const startEditing = (invoice) => {
+    setDraft({
+      id: invoice.id,
+      line_items: invoice.line_items.map(item => ({ ...item, amount: String(item.amount) })),
+      notes: invoice.notes || '',
+      due_at: invoice.due_at ? toDateInputValue(invoice.due_at) : ''
+    })
+  }
+
+  const updateLineItem = (index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      line_items: prev.line_items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }))
+  }
+
+  const handleSaveDraft = async (e) => {
+    e.preventDefault()
+
+    setSavingId(draft.id)
+    try {
+      const secureUpdate = safeAPICall(updateInvoiceDraft, 'LeadInvoicesModal.handleSaveDraft')
+      const result = await secureUpdate(draft.id, {
+        line_items: draft.line_items,
+        notes: draft.notes.trim(),
+        due_at: draft.due_at ? fromDateInputValue(draft.due_at) : null
+      })
+
+      if (result.success) {
+        replaceInvoice(result.data)
+        setDraft(null)
+      } else {
+        throw new Error(result.error?.message || 'Failed to save invoice')
+      }
+    } catch (err) {
+      console.error('Error saving invoice:', err)
+      alert(`Failed to save invoice: ${err.message}`)
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const handleStatusChange = async (invoice, status) => {
+    if (status === 'paid' && !window.confirm(`Mark ${invoice.invoice_number} as paid? The lead moves to Paid and the invoice can no longer be changed.`)) {
+      return
+    }
+
+    setSavingId(invoice.id)
+    try {
+      const secureSetStatus = safeAPICall(setInvoiceStatus, 'LeadInvoicesModal.handleStatusChange')
+      const result = await secureSetStatus(invoice.id, status)
+
+      if (result.success) {
+        replaceInvoice(result.data.invoice)
+        if (result.data.leadStatus && onStatusUpdate) {
+          onStatusUpdate(lead.id, result.data.leadStatus)
+        }
+      } else {
+        throw new Error(result.error?.message || 'Failed to update invoice')
+      }
+    } catch (err) {
+      console.error('Error updating invoice status:', err)
+      alert(err.message)
+      loadInvoices()
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const handleCopyLink = async (invoice) => {
+    try {
+      await navigator.clipboard.writeText(getInvoiceUrl(invoice))
+      alert('Invoice link copied.')
+    } catch (err) {
+      console.error('Error copying invoice link:', err)
+      window.prompt('Copy the invoice link:', getInvoiceUrl(invoice))
+    }
+  }
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return ''
+    return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  }
+
+  if (!isOpen || !lead) return null
+
+  const canInvoice = INVOICEABLE_STATUSES.includes(lead.status)
+
+  const renderDraftForm = () => (
+    <form className="invoice-draft-form" onSubmit={handleSaveDraft}>
+      {draft.line_items.map((item, index) => (
+        <div key={index} className="invoice-line-item">
+          <input
+            type="text"
+            maxLength={200}
+            value={item.description}
+            onChange={(e) => updateLineItem(index, 'description', e.target.value)}
+            placeholder="Description"
+            required
+          />
+          <input
+            type="number"
+            min={0}
+            step="0.01"
+            value={item.amount}
+            onChange={(e) => updateLineItem(index, 'amount', e.target.value)}
+            placeholder="$"
+            required
+          />
+          <button
+            type="button"
+            className="note-action-btn delete"
+            onClick={() => setDraft(prev => ({ ...prev, line_items: prev.line_items.filter((_, i) => i !== index) }))}
+            disabled={draft.line_items.length === 1}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="note-action-btn"
+        onClick={() => setDraft(prev => ({ ...prev, line_items: [...prev.line_items, { description: '', amount: '' }] }))}
+        disabled={draft.line_items.length >= MAX_INVOICE_LINE_ITEMS}
+      >
+        Add line
+      </button>
+
+      <div className="reminder-field">
+        <label htmlFor="invoice-due">Due</label>
+        <input
+          id="invoice-due"
+          type="date"
+          value={draft.due_at}
+          onChange={(e) => setDraft(prev => ({ ...prev, due_at: e.target.value }))}
+        />
+      </div>
+
+      <div className="reminder-field">
+        <label htmlFor="invoice-notes">Notes</label>
+        <textarea
+          id="invoice-notes"
+          rows={3}
+          maxLength={2000}
+          value={draft.notes}
+          onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+          placeholder="e.g. Payment by Zelle to ..."
+        />
+      </div>
+
+      <div className="note-actions">
+        <span className="invoice-total">Total {formatInvoiceAmount(getInvoiceTotal(draft.line_items))}</span>
+        <button type="button" className="note-action-btn" onClick={() => setDraft(null)} disabled={savingId === draft.id}>
+          Cancel
+        </button>
+        <button type="submit" className="note-action-btn primary" disabled={savingId === draft.id}>
+          {savingId === draft.id ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  )
+
+  return (
+    <div className="lead-notes-overlay" onClick={onClose}>
+      <div className="lead-notes-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Invoices</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || 'Property Address'}</strong>
+            <br />
+            {lead.agent?.full_name || 'Agent Name'}
+          </div>
+
+          {loading && <div className="loading">Loading invoices...</div>}
+
+          {!loading && error && (
+            <div className="error-state">
+              <p className="error-message">{error}</p>
+              <button className="retry-btn" onClick={loadInvoices}>
+                Retry
+              </button>
+            </div>
+          )}
+
+          {!loading && !error && invoices.length === 0 && (
+            <div className="no-data">
+              {canInvoice ? 'No invoices for this lead yet.' : 'Invoices can be created once the shoot is delivered.'}
+            </div>
+          )}
+
+          {!loading && !error && invoices.length > 0 && (
+            <ul className="invoice-list">
+              {invoices.map(invoice => (
+                <li key={invoice.id} className="invoice-item">
+                  <div className="invoice-summary">
+                    <div>
+                      <strong>{invoice.invoice_number}</strong>{' '}
+                      <span className={`invoice-status ${invoice.status}`}>{invoice.status}</span>
+                      <div className="timeline-meta">
+                        Issued {formatDate(invoice.issued_at)}
+                        {invoice.due_at && ` • Due ${formatDate(invoice.due_at)}`}
+                        {invoice.paid_at && ` • Paid ${formatDate(invoice.paid_at)}`}
+                      </div>
+                    </div>
+                    <div className="invoice-amount">{formatInvoiceAmount(invoice.total)}</div>
+                  </div>
+
+                  {draft?.id === invoice.id ? renderDraftForm() : (
+                    <div className="note-actions">
+                      <a className="note-action-btn" href={getInvoiceUrl(invoice)} target="_blank" rel="noopener noreferrer">
+                        Open
+                      </a>
+                      <button className="note-action-btn" onClick={() => handleCopyLink(invoice)}>
+                        Copy link
+                      </button>
+                      {invoice.status === 'draft' && (
+                        <>
+                          <button className="note-action-btn" onClick={() => startEditing(invoice)} disabled={savingId === invoice.id}>
+                            Edit
+                          </button>
+                          <button className="note-action-btn" onClick={() => handleStatusChange(invoice, 'sent')} disabled={savingId === invoice.id}>
+                            Mark sent
+                          </button>
+                        </>
+                      )}
+                      {invoice.status === 'sent' && (
+                        <button className="note-action-btn" onClick={() => handleStatusChange(invoice, 'draft')} disabled={savingId === invoice.id}>
+                          Back to draft
+                        </button>
+                      )}
+                      {invoice.status !== 'paid' && (
+                        <button className="note-action-btn primary" onClick={() => handleStatusChange(invoice, 'paid')} disabled={savingId === invoice.id}>
+                          Mark paid
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="no-btn" onClick={onClose}>
+            Close
+          </button>
+          {canInvoice && (
+            <button className="yes-btn" onClick={handleCreate} disabled={savingId === 'new' || loading}>
+              {savingId === 'new' ? 'Creating...' : 'New Invoice'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LeadInvoicesModal
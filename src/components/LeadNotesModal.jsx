@@ -0,0 +1,254 @@
+import { useState, useEffect } from 'react'
+import { getLeadNotes, addLeadNote, updateLeadNote, deleteLeadNote } from '../api/notes'
+import { safeAPICall } from '../api/index'
+
+const LeadNotesModal = ({ isOpen, onClose, lead, onNotesChange }) => {
+  const [notes, setNotes] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [newNote, setNewNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [editingNoteId, setEditingNoteId] = useState(null)
+  const [editingBody, setEditingBody] = useState('')
+
+  useEffect(() => {
+    if (isOpen && lead?.id) {
+      setNewNote('')
+      setEditingNoteId(null)
+      loadNotes()
+    }
+  }, [isOpen, lead?.id])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  const loadNotes = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetNotes = safeAPICall(getLeadNotes, 'LeadNotesModal.loadNotes')
+      const result = await secureGetNotes(lead.id)
+
+      if (result.success) {
+        setNotes(result.data)
+      } else {
+        setError(result.error?.message || 'Failed to load notes')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading lead notes:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateNotes = (nextNotes) => {
+    setNotes(nextNotes)
+    if (onNotesChange) {
+      onNotesChange(lead.id, nextNotes.length)
+    }
+  }
+
+  const handleAddNote = async (e) => {
+    e.preventDefault()
+    if (!newNote.trim()) return
+
+    setSaving(true)
+    try {
+      const secureAddNote = safeAPICall(addLeadNote, 'LeadNotesModal.handleAddNote')
+      const result = await secureAddNote(lead.id, newNote)
+
+      if (result.success) {
+        updateNotes([result.data, ...notes])
+        setNewNote('')
+      } else {
+        throw new Error(result.error?.message || 'Failed to add note')
+      }
+    } catch (err) {
+      console.error('Error adding note:', err)
+      alert('Failed to add note. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleStartEdit = (note) => {
+    setEditingNoteId(note.id)
+    setEditingBody(note.body)
+  }
+
+  const handleSaveEdit = async (noteId) => {
+    if (!editingBody.trim()) return
+
+    setSaving(true)
+    try {
+      const secureUpdateNote = safeAPICall(updateLeadNote, 'LeadNotesModal.handleSaveEdit')
+      const result = await secureUpdateNote(noteId, editingBody)
+
+      if (result.success) {
+        updateNotes(notes.map(note => (note.id === noteId ? result.data : note)))
+        setEditingNoteId(null)
+      } else {
+        throw new Error(result.error?.message || 'Failed to update note')
+      }
+    } catch (err) {
+      console.error('Error updating note:', err)
+      alert('Failed to update note. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteNote = async (noteId) => {
+    if (!window.confirm('Delete this note?')) {
+      return
+    }
+
+    setSaving(true)
+    try {
+      const secureDeleteNote = safeAPICall(deleteLeadNote, 'LeadNotesModal.handleDeleteNote')
+      const result = await secureDeleteNote(noteId)
+
+      if (result.success) {
+        updateNotes(notes.filter(note => note.id !== noteId))
+      } else {
+        throw new Error(result.error?.message || 'Failed to delete note')
+      }
+    } catch (err) {
+      console.error('Error deleting note:', err)
+      alert('Failed to delete note. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const formatTimestamp = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+  }
+
+  const isEdited = (note) => {
+    return note.updated_at && new Date(note.updated_at) - new Date(note.created_at) > 1000
+  }
+
+  if (!isOpen || !lead) return null
+
+  return (
+    <div className="lead-notes-overlay" onClick={onClose}>
+      <div className="lead-notes-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Notes</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || 'Property Address'}</strong>
+            <br />
+            {lead.agent?.full_name || 'Agent Name'}
+          </div>
+
+          <form className="note-form" onSubmit={handleAddNote}>
+            <textarea
+              rows={3}
+              maxLength={5000}
+              value={newNote}
+              onChange={(e) => setNewNote(e.target.value)}
+              placeholder="Add a note, e.g. Agent prefers texts after 5pm"
+              disabled={saving}
+            />
+            <button type="submit" className="pagination-btn primary" disabled={saving || !newNote.trim()}>
+              Add Note
+            </button>
+          </form>
+
+          {loading && <div className="loading">Loading notes...</div>}
+
+          {!loading && error && (
+            <div className="error-state">
+              <p className="error-message">{error}</p>
+              <button className="retry-btn" onClick={loadNotes}>
+                Retry
+              </button>
+            </div>
+          )}
+
+          {!loading && !error && notes.length === 0 && (
+            <div className="no-data">No notes for this lead yet.</div>
+          )}
+
+          {!loading && !error && notes.length > 0 && (
+            <ul className="note-list">
+              {notes.map(note => (
+                <li key={note.id} className="note-entry">
+                  <div className="note-meta">
+                    {note.author_email || 'Unknown user'} • {formatTimestamp(note.created_at)}
+                    {isEdited(note) && <span className="note-edited"> (edited {formatTimestamp(note.updated_at)})</span>}
+                  </div>
+
+                  {editingNoteId === note.id ? (
+                    <div className="note-edit">
+                      <textarea
+                        rows={3}
+                        maxLength={5000}
+                        value={editingBody}
+                        onChange={(e) => setEditingBody(e.target.value)}
+                        disabled={saving}
+                      />
+                      <div className="note-actions">
+                        <button className="note-action-btn" onClick={() => setEditingNoteId(null)} disabled={saving}>
+                          Cancel
+                        </button>
+                        <button className="note-action-btn primary" onClick={() => handleSaveEdit(note.id)} disabled={saving || !editingBody.trim()}>
+                          Save
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="note-body">{note.body}</div>
+                      {note.is_own && (
+                        <div className="note-actions">
+                          <button className="note-action-btn" onClick={() => handleStartEdit(note)} disabled={saving}>
+                            Edit
+                          </button>
+                          <button className="note-action-btn delete" onClick={() => handleDeleteNote(note.id)} disabled={saving}>
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LeadNotesModal
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react'
+import { setLeadReminder, clearLeadReminder } from '../api/reminders'
+import { safeAPICall } from '../api/index'
+import { toDateInputValue, fromDateInputValue, daysFromToday } from '../lib/reminders'
+
+const QUICK_PICKS = [
+  { label: 'Tomorrow', days: 1 },
+  { label: 'In 3 days', days: 3 },
+  { label: 'Next week', days: 7 },
+  { label: 'In 2 weeks', days: 14 }
+]
+
+const LeadReminderModal = ({
+  isOpen,
+  onClose,
+  lead,
+  onReminderUpdate,
+  title = 'Follow-up Reminder',
+  defaultDays = 3,
+  defaultNote = ''
+}) => {
+  const [dueDate, setDueDate] = useState('')
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && lead) {
+      setDueDate(lead.next_action_at ? toDateInputValue(lead.next_action_at) : daysFromToday(defaultDays))
+      setNote(lead.next_action_note || defaultNote)
+    }
+  }, [isOpen, lead?.id])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  const handleSave = async () => {
+    if (!dueDate) {
+      alert('Pick a date for the follow-up.')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const secureSetReminder = safeAPICall(setLeadReminder, 'LeadReminderModal.handleSave')
+      const result = await secureSetReminder(lead.id, {
+        dueAt: fromDateInputValue(dueDate),
+        note: note.trim()
+      })
+
+      if (result.success) {
+        if (onReminderUpdate) {
+          onReminderUpdate(lead.id, result.data)
+        }
+        onClose()
+      } else {
+        throw new Error(result.error?.message || 'Failed to save reminder')
+      }
+    } catch (error) {
+      console.error('Error saving reminder:', error)
+      alert('Failed to save reminder. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleClear = async () => {
+    setSaving(true)
+    try {
+      const secureClearReminder = safeAPICall(clearLeadReminder, 'LeadReminderModal.handleClear')
+      const result = await secureClearReminder(lead.id)
+
+      if (result.success) {
+        if (onReminderUpdate) {
+          onReminderUpdate(lead.id, result.data)
+        }
+        onClose()
+      } else {
+        throw new Error(result.error?.message || 'Failed to clear reminder')
+      }
+    } catch (error) {
+      console.error('Error clearing reminder:', error)
+      alert('Failed to clear reminder. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!isOpen || !lead) return null
+
+  return (
+    <div className="lead-reminder-overlay" onClick={onClose}>
+      <div className="lead-reminder-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{title}</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || 'Property Address'}</strong>
+            <br />
+            {lead.agent?.full_name || 'Agent Name'}
+          </div>
+
+          <div className="reminder-quick-picks">
+            {QUICK_PICKS.map(pick => (
+              <button
+                key={pick.days}
+                type="button"
+                className={`reminder-quick-pick ${dueDate === daysFromToday(pick.days) ? 'active' : ''}`}
+                onClick={() => setDueDate(daysFromToday(pick.days))}
+                disabled={saving}
+              >
+                {pick.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="reminder-date">Follow up on</label>
+            <input
+              id="reminder-date"
+              type="date"
+              value={dueDate}
+              onChange={(e) => setDueDate(e.target.value)}
+              disabled={saving}
+            />
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="reminder-note">Next action</label>
+            <textarea
+              id="reminder-note"
+              rows={3}
+              maxLength={500}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Follow up if no reply"
+              disabled={saving}
+            />
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          {lead.next_action_at && (
+            <button className="no-btn" onClick={handleClear} disabled={saving}>
+              Clear Reminder
+            </button>
+          )}
+          <button className="no-btn" onClick={onClose} disabled={saving}>
+            {lead.next_action_at ? 'Cancel' : 'Skip'}
+          </button>
+          <button className="yes-btn" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Reminder'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LeadReminderModal
@@ -0,0 +1,26 @@
+import { getScoreBand } from '../lib/lead-scoring'
+
+const LeadScoreBadge = ({ lead, onClick }) => {
+  const band = getScoreBand(lead?.score?.score)
+
+  // New leads are scored with the next scoring run; until then they pass any score filter
+  if (!band) {
+    return lead && !lead.deleted_at ? (
+      <span className="lead-score-badge pending" title="Scored with the next scoring run">
+        Score pending
+      </span>
+    ) : null
+  }
+
+  return (
+    <span
+      className={`lead-score-badge ${band.key} ${onClick ? 'clickable' : ''}`}
+      title={`${band.label} lead – see why`}
+      onClick={onClick}
+    >
+      Score {lead.score.score}
+    </span>
+  )
+}
+
+export default LeadScoreBadge
@@ -0,0 +1,93 @@
+import { useEffect } from 'react'
+import { getScoreBand } from '../lib/lead-scoring'
+
+const LeadScoreModal = ({ isOpen, onClose, lead }) => {
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  if (!isOpen || !lead?.score) return null
+
+  const band = getScoreBand(lead.score.score)
+  const totalWeight = lead.score.factors.reduce((sum, factor) => sum + factor.weight, 0)
+
+  return (
+    <div className="lead-reminder-overlay" onClick={onClose}>
+      <div className="lead-reminder-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Lead Score</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || 'Property Address'}</strong>
+            <br />
+            {lead.agent?.full_name || 'Agent Name'}
+          </div>
+
+          <div className="lead-score-total">
+            <span className={`lead-score-badge ${band.key}`}>{band.label}</span>
+            <strong>{lead.score.score}</strong> / 100
+          </div>
+
+          <table className="import-table lead-score-factors">
+            <thead>
+              <tr>
+                <th>Factor</th>
+                <th>Why</th>
+                <th>Weight</th>
+                <th>Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lead.score.factors.map(factor => (
+                <tr key={factor.key}>
+                  <td>{factor.label}</td>
+                  <td>{factor.detail}</td>
+                  <td>{totalWeight > 0 ? `${Math.round((factor.weight / totalWeight) * 100)}%` : '—'}</td>
+                  <td>
+                    <div className="lead-score-bar" title={`Rated ${Math.round(factor.value * 100)}% on this factor`}>
+                      <div className="lead-score-bar-fill" style={{ width: `${Math.round(factor.value * 100)}%` }}></div>
+                    </div>
+                    {factor.points}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {lead.score.scored_at && (
+            <p className="timeline-meta">
+              Scored {new Date(lead.score.scored_at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}.
+              Weights can be changed in Settings.
+            </p>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="no-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LeadScoreModal
@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react'
+import { getLeadScoreSettings, updateLeadScoreWeights, refreshLeadScores } from '../api/scoring'
+import { safeAPICall } from '../api/index'
+import { SCORE_FACTORS, DEFAULT_SCORE_WEIGHTS, MAX_SCORE_WEIGHT } from '../lib/lead-scoring'
+
+const LeadScoringSettings = () => {
+  const [weights, setWeights] = useState(DEFAULT_SCORE_WEIGHTS)
+  const [scoredAt, setScoredAt] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [lastRun, setLastRun] = useState(null)
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const loadSettings = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetSettings = safeAPICall(getLeadScoreSettings, 'LeadScoringSettings.loadSettings')
+      const result = await secureGetSettings()
+
+      if (result.success) {
+        setWeights(result.data.weights)
+        setScoredAt(result.data.scored_at)
+      } else {
+        setError(result.error?.message || 'Failed to load score weights')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading score weights:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const rescore = async () => {
+    const secureRefresh = safeAPICall(refreshLeadScores, 'LeadScoringSettings.rescore')
+    const result = await secureRefresh()
+
+    if (!result.success) {
+      throw new Error(result.error?.message || 'Failed to score leads')
+    }
+
+    setScoredAt(result.data.scored_at)
+    setLastRun(result.data)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    setSaving(true)
+    try {
+      const secureUpdate = safeAPICall(updateLeadScoreWeights, 'LeadScoringSettings.handleSave')
+      const result = await secureUpdate(weights)
+
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to save score weights')
+      }
+
+      setWeights(result.data.weights)
+      await rescore()
+    } catch (err) {
+      console.error('Error saving score weights:', err)
+      alert(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRescore = async () => {
+    setSaving(true)
+    try {
+      await rescore()
+    } catch (err) {
+      console.error('Error scoring leads:', err)
+      alert(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + (Number(weight) || 0), 0)
+
+  return (
+    <div className="lead-aging lead-scoring">
+      <div className="follow-up-header">
+        <div>
+          <h3>Lead Scoring</h3>
+          <p className="aging-help">
+            Every lead gets a 0–100 score from these factors. A factor's share of the score is its weight
+            divided by the total, so only the weights relative to each other matter. Scores are refreshed
+            daily when the leads list opens, and right away when the weights are saved.
+          </p>
+        </div>
+        <div className="follow-up-actions">
+          <button className="pagination-btn" onClick={handleRescore} disabled={saving || loading}>
+            {saving ? 'Scoring...' : 'Rescore Now'}
+          </button>
+        </div>
+      </div>
+
+      {loading && <div className="loading">Loading score weights...</div>}
+
+      {!loading && error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadSettings}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && (
+        <form onSubmit={handleSave}>
+          <div className="aging-rule-fields">
+            {SCORE_FACTORS.map(factor => (
+              <label key={factor.key}>
+                {factor.label}
+                <input
+                  type="number"
+                  min={0}
+                  max={MAX_SCORE_WEIGHT}
+                  step={1}
+                  value={weights[factor.key]}
+                  onChange={(e) => setWeights(prev => ({ ...prev, [factor.key]: e.target.value }))}
+                  disabled={saving}
+                />
+                <span className="timeline-meta">
+                  {totalWeight > 0 ? `${Math.round(((Number(weights[factor.key]) || 0) / totalWeight) * 100)}% of score` : '—'}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="note-actions">
+            <span className="timeline-meta">
+              {scoredAt ? `Last scored ${new Date(scoredAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}` : 'Leads have not been scored yet'}
+              {lastRun && ` • ${lastRun.updated} of ${lastRun.scored} scores changed`}
+            </span>
+            <button type="button" className="note-action-btn" onClick={() => setWeights(DEFAULT_SCORE_WEIGHTS)} disabled={saving}>
+              Reset to defaults
+            </button>
+            <button type="submit" className="note-action-btn primary" disabled={saving || totalWeight === 0}>
+              {saving ? 'Saving...' : 'Save & Rescore'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default LeadScoringSettings
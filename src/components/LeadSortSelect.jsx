@@ -0,0 +1,54 @@
+import { DEFAULT_LEAD_SORT } from '../lib/lead-views'
+
+const SORT_OPTIONS = [
+  { sortBy: 'created_at', sortDir: 'desc', label: 'Newest first' },
+  { sortBy: 'created_at', sortDir: 'asc', label: 'Oldest first' },
+  { sortBy: 'price', sortDir: 'desc', label: 'Price: high to low' },
+  { sortBy: 'price', sortDir: 'asc', label: 'Price: low to high' },
+  { sortBy: 'updated_at', sortDir: 'desc', label: 'Recently updated' },
+  { sortBy: 'updated_at', sortDir: 'asc', label: 'Least recently updated' },
+  { sortBy: 'last_message_date', sortDir: 'desc', label: 'Recently messaged' },
+  { sortBy: 'last_message_date', sortDir: 'asc', label: 'Least recently messaged' },
+  { sortBy: 'bedrooms', sortDir: 'desc', label: 'Most bedrooms' },
+  { sortBy: 'bedrooms', sortDir: 'asc', label: 'Fewest bedrooms' },
+  { sortBy: 'suggested_weight', sortDir: 'desc', label: 'Strongest next step' },
+  { sortBy: 'suggested_weight', sortDir: 'asc', label: 'Weakest next step' },
+  { sortBy: 'next_action_at', sortDir: 'asc', label: 'Follow-up due soonest' },
+  { sortBy: 'lead_score', sortDir: 'desc', label: 'Highest score' },
+  { sortBy: 'lead_score', sortDir: 'asc', label: 'Lowest score' }
+]
+
+const LeadSortSelect = ({ sort, onSortChange, className = '' }) => {
+  const value = sort?.sortBy ? `${sort.sortBy}:${sort.sortDir}` : ''
+
+  const handleChange = (e) => {
+    if (!e.target.value) {
+      onSortChange(DEFAULT_LEAD_SORT)
+      return
+    }
+
+    const [sortBy, sortDir] = e.target.value.split(':')
+    onSortChange({ sortBy, sortDir })
+  }
+
+  return (
+    <div className={`sort-controls ${className}`}>
+      <label htmlFor="lead-sort-select">Sort by:</label>
+      <select
+        id="lead-sort-select"
+        className="sort-select"
+        value={value}
+        onChange={handleChange}
+      >
+        <option value="">Default</option>
+        {SORT_OPTIONS.map(option => (
+          <option key={`${option.sortBy}:${option.sortDir}`} value={`${option.sortBy}:${option.sortDir}`}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+export default LeadSortSelect
@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import { getLeadTimeline } from '../api/timeline'
+import { safeAPICall } from '../api/index'
+import { formatReason } from '../lib/lead-reasons'
+
+const LeadTimelineModal = ({ isOpen, onClose, lead }) => {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (isOpen && lead?.id) {
+      loadTimeline()
+    }
+  }, [isOpen, lead?.id])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  const loadTimeline = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetTimeline = safeAPICall(getLeadTimeline, 'LeadTimelineModal.loadTimeline')
+      const result = await secureGetTimeline(lead.id)
+
+      if (result.success) {
+        setEntries(result.data)
+      } else {
+        setError(result.error?.message || 'Failed to load lead activity')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading lead timeline:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatStatusLabel = (status) => {
+    if (!status) return 'None'
+    return status
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ')
+  }
+
+  const formatTimestamp = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+  }
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—'
+    if (typeof value === 'object') return JSON.stringify(value)
+    return String(value)
+  }
+
+  const getEntryTitle = (entry) => {
+    if (entry.from_status !== entry.to_status) {
+      return `${formatStatusLabel(entry.from_status)} → ${formatStatusLabel(entry.to_status)}`
+    }
+
+    switch (entry.action) {
+      case 'metadata_update':
+        return 'Details updated'
+      case 'lead_update':
+        return 'Lead updated'
+      case 'aging_rule':
+        return 'Archived by aging rule'
+      case 'deal_update':
+        return 'Deal updated'
+      case 'trashed':
+        return 'Moved to trash'
+      case 'restored':
+        return 'Restored from trash'
+      default:
+        return formatStatusLabel(entry.action)
+    }
+  }
+
+  if (!isOpen || !lead) return null
+
+  return (
+    <div className="lead-timeline-overlay" onClick={onClose}>
+      <div className="lead-timeline-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Activity</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || 'Property Address'}</strong>
+            <br />
+            {lead.agent?.full_name || 'Agent Name'}
+          </div>
+
+          {loading && <div className="loading">Loading activity...</div>}
+
+          {!loading && error && (
+            <div className="error-state">
+              <p className="error-message">{error}</p>
+              <button className="retry-btn" onClick={loadTimeline}>
+                Retry
+              </button>
+            </div>
+          )}
+
+          {!loading && !error && entries.length === 0 && (
+            <div className="no-data">No activity recorded for this lead yet.</div>
+          )}
+
+          {!loading && !error && entries.length > 0 && (
+            <ul className="timeline-list">
+              {entries.map((entry) => (
+                <li key={entry.id} className="timeline-entry">
+                  <div className="timeline-marker"></div>
+                  <div className="timeline-body">
+                    <div className="timeline-title">{getEntryTitle(entry)}</div>
+                    <div className="timeline-meta">
+                      {formatTimestamp(entry.created_at)} • {entry.changed_by_email || (entry.action === 'aging_rule' ? 'Aging rule' : 'Unknown user')}
+                    </div>
+                    {entry.template_used && (
+                      <div className="timeline-template">Template: {entry.template_used}</div>
+                    )}
+                    {entry.reason_code && (
+                      <div className="timeline-reason">
+                        Reason: {formatReason(entry.reason_code)}
+                        {entry.reason_comment && <span className="timeline-reason-comment"> — {entry.reason_comment}</span>}
+                      </div>
+                    )}
+                    {entry.metadata_diff && (
+                      <ul className="timeline-diff">
+                        {Object.entries(entry.metadata_diff).map(([key, change]) => (
+                          <li key={key}>
+                            <span className="timeline-diff-key">{key}</span>: {formatValue(change.from)} → {formatValue(change.to)}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LeadTimelineModal
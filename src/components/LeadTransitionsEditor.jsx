@@ -0,0 +1,418 @@
+import { useState, useEffect } from 'react'
+import { getLeadTransitions, addLeadTransition, updateLeadTransition, deleteLeadTransition } from '../api/transitions'
+import { LEAD_STATUS_VALUES } from '../api/properties'
+import { safeAPICall } from '../api/index'
+import { findUnreachableStatuses, findDeadEndStatuses, PIPELINE_START_STATUS } from '../lib/lead-transitions'
+
+// Pipeline graph geometry: statuses sit on a circle in pipeline order
+const GRAPH_WIDTH = 560
+const GRAPH_HEIGHT = 440
+const GRAPH_RADIUS = 170
+const NODE_WIDTH = 112
+const NODE_HEIGHT = 28
+
+const EMPTY_TRANSITION = {
+  from_status: PIPELINE_START_STATUS,
+  to_status: 'contacted',
+  weight: 50,
+  description: ''
+}
+
+const transitionKey = (transition) => `${transition.from_status}>${transition.to_status}`
+
+const getNodePosition = (status) => {
+  const index = LEAD_STATUS_VALUES.indexOf(status)
+  const angle = (index / LEAD_STATUS_VALUES.length) * 2 * Math.PI - Math.PI / 2
+  return {
+    x: GRAPH_WIDTH / 2 + GRAPH_RADIUS * Math.cos(angle),
+    y: GRAPH_HEIGHT / 2 + GRAPH_RADIUS * Math.sin(angle)
+  }
+}
+
+// Curved edge that stops at the node border; the curve keeps A→B and B→A apart
+const getEdgePath = (transition) => {
+  const from = getNodePosition(transition.from_status)
+  const to = getNodePosition(transition.to_status)
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const length = Math.sqrt(dx * dx + dy * dy) || 1
+  const inset = NODE_HEIGHT * 0.9
+  const start = { x: from.x + (dx / length) * inset, y: from.y + (dy / length) * inset }
+  const end = { x: to.x - (dx / length) * inset, y: to.y - (dy / length) * inset }
+  const control = {
+    x: (start.x + end.x) / 2 - (dy / length) * 24,
+    y: (start.y + end.y) / 2 + (dx / length) * 24
+  }
+  return `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`
+}
+
+const formatStatusLabel = (status) => {
+  return status
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+const LeadTransitionsEditor = () => {
+  const [transitions, setTransitions] = useState([])
+  const [drafts, setDrafts] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [selectedStatus, setSelectedStatus] = useState(null)
+  const [selectedKey, setSelectedKey] = useState(null)
+  const [newTransition, setNewTransition] = useState(EMPTY_TRANSITION)
+  const [savingKey, setSavingKey] = useState(null)
+
+  useEffect(() => {
+    loadTransitions()
+  }, [])
+
+  const loadTransitions = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetTransitions = safeAPICall(getLeadTransitions, 'LeadTransitionsEditor.loadTransitions')
+      const result = await secureGetTransitions()
+
+      if (result.success) {
+        setTransitions(result.data)
+        setDrafts({})
+      } else {
+        setError(result.error?.message || 'Failed to load transitions')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading transitions:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateDraft = (transition, field, value) => {
+    const key = transitionKey(transition)
+    setDrafts(prev => ({
+      ...prev,
+      [key]: { ...(prev[key] || { weight: transition.weight, description: transition.description || '' }), [field]: value }
+    }))
+  }
+
+  const handleSave = async (transition) => {
+    const key = transitionKey(transition)
+    const draft = drafts[key]
+    if (!draft) return
+
+    setSavingKey(key)
+    try {
+      const secureUpdate = safeAPICall(updateLeadTransition, 'LeadTransitionsEditor.handleSave')
+      const result = await secureUpdate(transition.from_status, transition.to_status, draft)
+
+      if (result.success) {
+        setTransitions(prev => prev.map(t => (transitionKey(t) === key ? result.data : t)))
+        setDrafts(prev => {
+          const next = { ...prev }
+          delete next[key]
+          return next
+        })
+      } else {
+        throw new Error(result.error?.message || 'Failed to update transition')
+      }
+    } catch (err) {
+      console.error('Error updating transition:', err)
+      alert(`Failed to update transition: ${err.message}`)
+    } finally {
+      setSavingKey(null)
+    }
+  }
+
+  const handleRemove = async (transition) => {
+    const remaining = transitions.filter(t => transitionKey(t) !== transitionKey(transition))
+    const alreadyUnreachable = findUnreachableStatuses(transitions, LEAD_STATUS_VALUES)
+    const newlyUnreachable = findUnreachableStatuses(remaining, LEAD_STATUS_VALUES)
+      .filter(status => !alreadyUnreachable.includes(status))
+    const warning = newlyUnreachable.length > 0
+      ? `\n\nThis makes ${newlyUnreachable.map(formatStatusLabel).join(', ')} unreachable.`
+      : ''
+
+    if (!window.confirm(`Remove ${formatStatusLabel(transition.from_status)} → ${formatStatusLabel(transition.to_status)}?${warning}`)) {
+      return
+    }
+
+    const key = transitionKey(transition)
+    setSavingKey(key)
+    try {
+      const secureDelete = safeAPICall(deleteLeadTransition, 'LeadTransitionsEditor.handleRemove')
+      const result = await secureDelete(transition.from_status, transition.to_status)
+
+      if (result.success) {
+        setTransitions(remaining)
+        if (selectedKey === key) setSelectedKey(null)
+      } else {
+        throw new Error(result.error?.message || 'Failed to remove transition')
+      }
+    } catch (err) {
+      console.error('Error removing transition:', err)
+      alert(`Failed to remove transition: ${err.message}`)
+    } finally {
+      setSavingKey(null)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+
+    if (newTransition.from_status === newTransition.to_status) {
+      alert('Choose two different statuses.')
+      return
+    }
+
+    if (transitions.some(t => transitionKey(t) === transitionKey(newTransition))) {
+      alert('That transition already exists. Edit its weight in the table instead.')
+      return
+    }
+
+    setSavingKey('new')
+    try {
+      const secureAdd = safeAPICall(addLeadTransition, 'LeadTransitionsEditor.handleAdd')
+      const result = await secureAdd(newTransition)
+
+      if (result.success) {
+        setTransitions(prev => [...prev, result.data])
+        setSelectedKey(transitionKey(result.data))
+        setNewTransition(prev => ({ ...prev, description: '' }))
+      } else {
+        throw new Error(result.error?.message || 'Failed to add transition')
+      }
+    } catch (err) {
+      console.error('Error adding transition:', err)
+      alert(`Failed to add transition: ${err.message}`)
+    } finally {
+      setSavingKey(null)
+    }
+  }
+
+  const unreachableStatuses = findUnreachableStatuses(transitions, LEAD_STATUS_VALUES)
+  const deadEndStatuses = findDeadEndStatuses(transitions, LEAD_STATUS_VALUES)
+
+  const visibleTransitions = transitions
+    .filter(t => !selectedStatus || t.from_status === selectedStatus || t.to_status === selectedStatus)
+    .sort((a, b) =>
+      LEAD_STATUS_VALUES.indexOf(a.from_status) - LEAD_STATUS_VALUES.indexOf(b.from_status) || b.weight - a.weight
+    )
+
+  const getNodeClass = (status) => {
+    const classes = ['transition-node']
+    if (status === selectedStatus) classes.push('selected')
+    if (unreachableStatuses.includes(status)) classes.push('unreachable')
+    else if (deadEndStatuses.includes(status)) classes.push('dead-end')
+    return classes.join(' ')
+  }
+
+  const getEdgeClass = (transition) => {
+    const classes = ['transition-edge']
+    if (transitionKey(transition) === selectedKey) classes.push('selected')
+    if (selectedStatus && transition.from_status !== selectedStatus && transition.to_status !== selectedStatus) {
+      classes.push('dimmed')
+    }
+    return classes.join(' ')
+  }
+
+  return (
+    <div className="lead-aging transitions-editor">
+      <div className="follow-up-header">
+        <div>
+          <h3>Pipeline Transitions</h3>
+          <p className="aging-help">
+            Allowed status changes and how strongly each is suggested. Other changes are still possible
+            but are flagged as off-path. Click a status to focus on it, or an arrow to edit it.
+          </p>
+        </div>
+        <button className="pagination-btn" onClick={loadTransitions} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {loading && <div className="loading">Loading transitions...</div>}
+
+      {!loading && error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadTransitions}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && (
+        <>
+          {(unreachableStatuses.length > 0 || deadEndStatuses.length > 0) && (
+            <div className="transition-warnings">
+              {unreachableStatuses.length > 0 && (
+                <p>
+                  <strong>Unreachable from {formatStatusLabel(PIPELINE_START_STATUS)}:</strong>{' '}
+                  {unreachableStatuses.map(formatStatusLabel).join(', ')}
+                </p>
+              )}
+              {deadEndStatuses.length > 0 && (
+                <p>
+                  <strong>No way out of:</strong> {deadEndStatuses.map(formatStatusLabel).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          <svg className="transition-graph" viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`} role="img" aria-label="Lead pipeline graph">
+            <defs>
+              <marker id="transition-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor" />
+              </marker>
+            </defs>
+
+            {transitions.map(transition => (
+              <path
+                key={transitionKey(transition)}
+                d={getEdgePath(transition)}
+                className={getEdgeClass(transition)}
+                strokeWidth={1 + (transition.weight || 0) / 25}
+                markerEnd="url(#transition-arrow)"
+                onClick={() => setSelectedKey(transitionKey(transition))}
+              >
+                <title>
+                  {`${formatStatusLabel(transition.from_status)} → ${formatStatusLabel(transition.to_status)} (${transition.weight}%)${transition.description ? `: ${transition.description}` : ''}`}
+                </title>
+              </path>
+            ))}
+
+            {LEAD_STATUS_VALUES.map(status => {
+              const { x, y } = getNodePosition(status)
+              return (
+                <g
+                  key={status}
+                  className={getNodeClass(status)}
+                  transform={`translate(${x - NODE_WIDTH / 2}, ${y - NODE_HEIGHT / 2})`}
+                  onClick={() => setSelectedStatus(selectedStatus === status ? null : status)}
+                >
+                  <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="6" />
+                  <text x={NODE_WIDTH / 2} y={NODE_HEIGHT / 2} dominantBaseline="middle" textAnchor="middle">
+                    {formatStatusLabel(status)}
+                  </text>
+                </g>
+              )
+            })}
+          </svg>
+
+          <form className="aging-rule-form" onSubmit={handleAdd}>
+            <div className="aging-rule-fields">
+              <label>
+                From
+                <select value={newTransition.from_status} onChange={(e) => setNewTransition(prev => ({ ...prev, from_status: e.target.value }))}>
+                  {LEAD_STATUS_VALUES.map(status => (
+                    <option key={status} value={status}>{formatStatusLabel(status)}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                To
+                <select value={newTransition.to_status} onChange={(e) => setNewTransition(prev => ({ ...prev, to_status: e.target.value }))}>
+                  {LEAD_STATUS_VALUES.map(status => (
+                    <option key={status} value={status}>{formatStatusLabel(status)}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Weight (%)
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={newTransition.weight}
+                  onChange={(e) => setNewTransition(prev => ({ ...prev, weight: e.target.value }))}
+                />
+              </label>
+              <label>
+                Description
+                <input
+                  type="text"
+                  maxLength={200}
+                  value={newTransition.description}
+                  onChange={(e) => setNewTransition(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="e.g. Agent replied"
+                />
+              </label>
+            </div>
+            <div className="note-actions">
+              <button type="submit" className="note-action-btn primary" disabled={savingKey === 'new'}>
+                {savingKey === 'new' ? 'Adding...' : 'Add Transition'}
+              </button>
+            </div>
+          </form>
+
+          {selectedStatus && (
+            <div className="transition-filter">
+              Showing transitions into and out of <strong>{formatStatusLabel(selectedStatus)}</strong>{' '}
+              <button className="note-action-btn" onClick={() => setSelectedStatus(null)}>Show all</button>
+            </div>
+          )}
+
+          <table className="import-table transitions-table">
+            <thead>
+              <tr>
+                <th>From</th>
+                <th>To</th>
+                <th>Weight (%)</th>
+                <th>Description</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleTransitions.map(transition => {
+                const key = transitionKey(transition)
+                const draft = drafts[key]
+
+                return (
+                  <tr
+                    key={key}
+                    className={key === selectedKey ? 'selected' : ''}
+                    onClick={() => setSelectedKey(key)}
+                  >
+                    <td>{formatStatusLabel(transition.from_status)}</td>
+                    <td>{formatStatusLabel(transition.to_status)}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min={0}
+                        max={100}
+                        value={draft ? draft.weight : transition.weight}
+                        onChange={(e) => updateDraft(transition, 'weight', e.target.value)}
+                        disabled={savingKey === key}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        maxLength={200}
+                        value={draft ? draft.description : transition.description || ''}
+                        onChange={(e) => updateDraft(transition, 'description', e.target.value)}
+                        disabled={savingKey === key}
+                      />
+                    </td>
+                    <td className="note-actions">
+                      <button className="note-action-btn primary" onClick={() => handleSave(transition)} disabled={!draft || savingKey === key}>
+                        Save
+                      </button>
+                      <button className="note-action-btn delete" onClick={() => handleRemove(transition)} disabled={savingKey === key}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LeadTransitionsEditor
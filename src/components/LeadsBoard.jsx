@@ -0,0 +1,203 @@
+import { useState } from 'react'
+import { LEAD_STATUS_VALUES } from '../api/properties'
+import { useStatusTransitions } from '../contexts/StatusTransitionsContext'
+import { requiresTransitionReason } from '../lib/lead-reasons'
+import TransitionReasonModal from './TransitionReasonModal'
+import { sumLeadRevenue, formatMoney } from '../lib/lead-deals'
+
+const LeadsBoard = ({ leads, summary, highlightedLeadIds = new Set(), onStatusChange, onTimelineClick }) => {
+  const [draggedLead, setDraggedLead] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  const [savingLeadIds, setSavingLeadIds] = useState(new Set())
+  const [pendingMove, setPendingMove] = useState(null)
+  const { getTransitionsForLead } = useStatusTransitions()
+
+  const formatStatusLabel = (status) => {
+    return status
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ')
+  }
+
+  const formatPrice = (price) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(price || 0)
+  }
+
+  // Totals come from the server summary so they cover every lead, not just the loaded ones
+  const getColumnTotals = (status, columnLeads) => {
+    if (summary?.[status]) {
+      return summary[status]
+    }
+
+    return {
+      count: columnLeads.length,
+      totalPrice: columnLeads.reduce((sum, lead) => sum + (lead.listing?.price || 0), 0)
+    }
+  }
+
+  // Same lead_transitions data StatusDropdown uses: listed transitions are valid, anything else is manual
+  const getTransition = (lead, status) => {
+    const transitions = getTransitionsForLead(lead.id) || []
+    return transitions.find(t => t.to_status === status) || null
+  }
+
+  // Deal values are only known for loaded leads, so this is labelled separately from the totals
+  const getColumnRevenueLabel = (columnLeads) => {
+    const revenue = sumLeadRevenue(columnLeads)
+    if (revenue.received > 0) return `Received ${formatMoney(revenue.received)}`
+    if (revenue.booked > 0) return `Booked ${formatMoney(revenue.booked)}`
+    if (revenue.quoted > 0) return `Quoted ${formatMoney(revenue.quoted)}`
+    return null
+  }
+
+  const getColumnState = (status) => {
+    if (!draggedLead) return ''
+    if (status === draggedLead.status) return 'source'
+    return getTransition(draggedLead, status) ? 'valid-target' : 'dimmed'
+  }
+
+  const handleDragStart = (e, lead) => {
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', lead.id)
+    setDraggedLead(lead)
+  }
+
+  const handleDragEnd = () => {
+    setDraggedLead(null)
+    setDropTarget(null)
+  }
+
+  const handleDragOver = (e, status) => {
+    if (!draggedLead || status === draggedLead.status) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+    if (dropTarget !== status) {
+      setDropTarget(status)
+    }
+  }
+
+  const handleDrop = async (e, status) => {
+    e.preventDefault()
+    const lead = draggedLead
+    handleDragEnd()
+
+    if (!lead || status === lead.status) return
+
+    // Off-path moves and closing as lost need a reason before they are saved
+    if (requiresTransitionReason(status, !!getTransition(lead, status))) {
+      setPendingMove({ lead, status })
+      return
+    }
+
+    moveLead(lead, status)
+  }
+
+  // The card moves right away; onStatusChange saves it and moves it back if the save fails
+  const moveLead = async (lead, status, reason = null) => {
+    setPendingMove(null)
+    if (!onStatusChange) return
+
+    setSavingLeadIds(prev => new Set(prev).add(lead.id))
+    try {
+      await onStatusChange(lead, status, reason)
+    } finally {
+      setSavingLeadIds(prev => {
+        const next = new Set(prev)
+        next.delete(lead.id)
+        return next
+      })
+    }
+  }
+
+  return (
+    <div className="leads-board">
+      {LEAD_STATUS_VALUES.map(status => {
+        const columnLeads = leads.filter(lead => lead.status === status)
+        const totals = getColumnTotals(status, columnLeads)
+        const columnState = getColumnState(status)
+        const revenueLabel = getColumnRevenueLabel(columnLeads)
+
+        return (
+          <div
+            key={status}
+            data-status={status}
+            className={`board-column ${columnState} ${dropTarget === status ? 'drop-hover' : ''}`}
+            onDragOver={(e) => handleDragOver(e, status)}
+            onDragLeave={() => setDropTarget(prev => (prev === status ? null : prev))}
+            onDrop={(e) => handleDrop(e, status)}
+          >
+            <div className="board-column-header">
+              <div className="board-column-title">
+                <span>{formatStatusLabel(status)}</span>
+                <span className="board-column-count">{totals.count}</span>
+              </div>
+              <div className="board-column-total">{formatPrice(totals.totalPrice)}</div>
+              {revenueLabel && <div className="board-column-revenue">{revenueLabel}</div>}
+              {draggedLead && columnState === 'valid-target' && (
+                <div className="board-column-hint">
+                  {getTransition(draggedLead, status).weight}% • {getTransition(draggedLead, status).description}
+                </div>
+              )}
+            </div>
+
+            <div className="board-column-cards">
+              {columnLeads.map(lead => (
+                <div
+                  key={lead.id}
+                  className={`board-card ${draggedLead?.id === lead.id ? 'dragging' : ''} ${savingLeadIds.has(lead.id) ? 'updating' : ''} ${highlightedLeadIds.has(lead.id) ? 'lead-updated' : ''}`}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, lead)}
+                  onDragEnd={handleDragEnd}
+                >
+                  <div className="board-card-address">
+                    {lead.property?.street_address || 'Property Address'}
+                  </div>
+                  <div className="board-card-location">
+                    {lead.property?.city}{lead.property?.city && lead.property?.state ? ', ' : ''}{lead.property?.state}
+                  </div>
+                  <div className="board-card-footer">
+                    <span className="board-card-price">
+                      {lead.listing?.price ? formatPrice(lead.listing.price) : 'Price N/A'}
+                    </span>
+                    {onTimelineClick && (
+                      <button
+                        className="board-card-activity"
+                        onClick={() => onTimelineClick(lead)}
+                        title="View activity"
+                      >
+                        Activity
+                      </button>
+                    )}
+                  </div>
+                  <div className="board-card-agent">{lead.agent?.full_name || 'Unknown agent'}</div>
+                </div>
+              ))}
+
+              {totals.count > columnLeads.length && (
+                <div className="board-column-more">
+                  +{totals.count - columnLeads.length} more not loaded
+                </div>
+              )}
+            </div>
+          </div>
+        )
+      })}
+
+      <TransitionReasonModal
+        isOpen={!!pendingMove}
+        onClose={() => setPendingMove(null)}
+        onConfirm={(reason) => moveLead(pendingMove.lead, pendingMove.status, reason)}
+        fromStatus={pendingMove?.lead.status}
+        toStatus={pendingMove?.status}
+        subject={pendingMove?.lead.property?.street_address}
+      />
+    </div>
+  )
+}
+
+export default LeadsBoard
@@ -1,14 +1,39 @@
 import ImageCarousel from './ImageCarousel'
 import StatusDropdown from './StatusDropdown'
+import LeadSortSelect from './LeadSortSelect'
+import ReminderBadge from './ReminderBadge'
+import DealBadge from './DealBadge'
+import ShootBadge from './ShootBadge'
+import LeadScoreBadge from './LeadScoreBadge'
+import { INVOICEABLE_STATUSES } from '../lib/invoices'
 import { format_number } from '../lib/generic_functions'
 
 const ListingsGrid = ({
   leads,
+  activeTab = 'active',
   onSMSClick,
   onDeleteLead,
   onArchiveLead,
-  onStatusUpdate,
-  onImageClick
+  onUnarchiveLead,
+  onRestoreLead,
+  onPermanentDeleteLead,
+  onStatusChange,
+  onImageClick,
+  onTimelineClick,
+  onReminderClick,
+  onNotesClick,
+  onDealClick,
+  onShootClick,
+  onScoreClick,
+  onInvoicesClick,
+  noteCounts = {},
+  selectionMode = false,
+  selectedLeadIds = new Set(),
+  highlightedLeadIds = new Set(),
+  onToggleSelect,
+  sort,
+  onSortChange,
+  virtualList = null
 }) => {
   const getPlaceholderImage = () => {
     return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA4MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjgwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjRjhGOUZBIi8+CjxwYXRoIGQ9Ik0zMiAyNEwyNCAzMkgzMlYzNkg0OFYzMkg1NkwzMiAyNFoiIGZpbGw9IiM2QzdTN0QiLz4KPC9zdmc+Cg=='
@@ -36,153 +61,292 @@ const ListingsGrid = ({
   }
 
   return (
-    <div className="listings-grid">
-      {leads.map((lead) => (
-        <div key={lead.id} className="listing-card">
-          {/* Property Image with Overlay Wrapper */}
-          <div className="card-image-wrapper" style={{ position: 'relative'}}>
-            <div className="card-image-container" style={{ position: 'relative' }}>
-              <ImageCarousel
-                imageUrls={
-                  lead.listing?.image_urls ||
-                  lead.property?.image_urls ||
-                  [lead.property?.image_url].filter(Boolean) ||
-                  []
-                }
-                width="100%"
-                height="200px"
-                fallbackImage={getPlaceholderImage()}
-                alt={`Property at ${lead.property?.street_address}`}
-                className="card-image"
-                onImageClick={onImageClick}
-              />
-            </div>
+    <>
+      {onSortChange && (
+        <LeadSortSelect sort={sort} onSortChange={onSortChange} className="listings-sort" />
+      )}
+      <div className="listings-grid" ref={virtualList?.containerRef}>
+        {virtualList?.paddingTop > 0 && (
+          <div className="virtual-spacer" style={{ height: virtualList.paddingTop }} aria-hidden="true" />
+        )}
+        {(virtualList ? virtualList.visibleItems : leads).map((lead) => (
+          <div
+            key={lead.id}
+            ref={virtualList?.measureRef}
+            data-virtual-key={lead.id}
+            className={`listing-card ${selectedLeadIds.has(lead.id) ? 'selected' : ''} ${highlightedLeadIds.has(lead.id) ? 'lead-updated' : ''}`}
+          >
+            {/* Property Image with Overlay Wrapper */}
+            <div className="card-image-wrapper" style={{ position: 'relative'}}>
+              <div className="card-image-container" style={{ position: 'relative' }}>
+                <ImageCarousel
+                  imageUrls={
+                    lead.listing?.image_urls ||
+                    lead.property?.image_urls ||
+                    [lead.property?.image_url].filter(Boolean) ||
+                    []
+                  }
+                  width="100%"
+                  height="200px"
+                  fallbackImage={getPlaceholderImage()}
+                  alt={`Property at ${lead.property?.street_address}`}
+                  className="card-image"
+                  onImageClick={onImageClick}
+                />
+              </div>
 
-            {/* Status Dropdown - Top Left */}
-            <div className="card-status-overlay" style={{ position: 'absolute', top: 8, left: 8, zIndex: 100 }}>
-              <StatusDropdown
-                lead={lead}
-                onStatusUpdate={onStatusUpdate}
-              />
-            </div>
+              {/* Selection Checkbox - Bottom Left */}
+              {selectionMode && (
+                <label className="card-select-overlay">
+                  <input
+                    type="checkbox"
+                    checked={selectedLeadIds.has(lead.id)}
+                    onChange={() => onToggleSelect(lead.id)}
+                    aria-label={`Select ${lead.property?.street_address}`}
+                  />
+                </label>
+              )}
 
-            {/* Action Buttons - Top Right */}
-            <div className="card-actions-overlay" style={{ position: 'absolute', top: 8, right: 8, zIndex: 100 }}>
-              <button
-                className="action-btn sms-btn"
-                onClick={() => onSMSClick(lead)}
-                title="Send SMS to agent"
-              >
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-                </svg>
-              </button>
-              <button
-                className="action-btn archive-btn"
-                onClick={() => onArchiveLead(lead.id)}
-                title="Archive lead"
-              >
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <path d="M3 9a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V9z"></path>
-                  <path d="M3 9V7a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v2"></path>
-                  <line x1="9" y1="12" x2="15" y2="12"></line>
-                </svg>
-              </button>
-              <button
-                className="action-btn delete-btn"
-                onClick={() => onDeleteLead(lead.id)}
-                title="Delete lead"
-              >
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <line x1="18" y1="6" x2="6" y2="18"></line>
-                  <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-              </button>
-            </div>
-          </div>
+              {/* Status Dropdown - Top Left */}
+              <div className="card-status-overlay" style={{ position: 'absolute', top: 8, left: 8, zIndex: 100 }}>
+                <StatusDropdown
+                  lead={lead}
+                  onStatusChange={onStatusChange}
+                />
+                <ReminderBadge lead={lead} onClick={onReminderClick ? () => onReminderClick(lead) : undefined} />
+                <DealBadge lead={lead} onClick={onDealClick ? () => onDealClick(lead) : undefined} />
+                <ShootBadge lead={lead} onClick={onShootClick ? () => onShootClick(lead) : undefined} />
+                <LeadScoreBadge lead={lead} onClick={onScoreClick ? () => onScoreClick(lead) : undefined} />
+              </div>
 
-          {/* Property Info */}
-          <div className="card-content">
-            {/* Price */}
-            <div className="card-price">
-              {formatPrice(lead.listing?.price)}
+              {/* Action Buttons - Top Right */}
+              <div className="card-actions-overlay" style={{ position: 'absolute', top: 8, right: 8, zIndex: 100 }}>
+                {activeTab !== 'trash' && (
+                  <button
+                    className="action-btn sms-btn"
+                    onClick={() => onSMSClick(lead)}
+                    title="Send SMS to agent"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                    </svg>
+                  </button>
+                )}
+                <button
+                  className="action-btn timeline-btn"
+                  onClick={() => onTimelineClick(lead)}
+                  title="View activity"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10"></circle>
+                    <polyline points="12,6 12,12 16,14"></polyline>
+                  </svg>
+                </button>
+                {onNotesClick && (
+                  <button
+                    className="action-btn notes-btn"
+                    onClick={() => onNotesClick(lead)}
+                    title="Notes"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+                      <polyline points="14,2 14,8 20,8"></polyline>
+                      <line x1="8" y1="13" x2="16" y2="13"></line>
+                      <line x1="8" y1="17" x2="13" y2="17"></line>
+                    </svg>
+                    {noteCounts[lead.id] > 0 && (
+                      <span className="action-btn-count">{noteCounts[lead.id]}</span>
+                    )}
+                  </button>
+                )}
+                {activeTab !== 'trash' && onInvoicesClick && INVOICEABLE_STATUSES.includes(lead.status) && (
+                  <button
+                    className="action-btn invoice-btn"
+                    onClick={() => onInvoicesClick(lead)}
+                    title="Invoices"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M4 2v20l3-2 3 2 3-2 3 2 3-2 1 .7V2l-1 .7-3-2-3 2-3-2-3 2-3-2z"></path>
+                      <line x1="8" y1="9" x2="16" y2="9"></line>
+                      <line x1="8" y1="13" x2="16" y2="13"></line>
+                    </svg>
+                  </button>
+                )}
+                {activeTab !== 'trash' && onDealClick && (
+                  <button
+                    className="action-btn deal-btn"
+                    onClick={() => onDealClick(lead)}
+                    title="Deal value"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <line x1="12" y1="1" x2="12" y2="23"></line>
+                      <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>
+                    </svg>
+                  </button>
+                )}
+                {activeTab !== 'trash' && onReminderClick && (
+                  <button
+                    className={`action-btn reminder-btn ${lead.next_action_at ? 'has-reminder' : ''}`}
+                    onClick={() => onReminderClick(lead)}
+                    title={lead.next_action_at ? 'Edit follow-up reminder' : 'Set follow-up reminder'}
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+                      <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+                    </svg>
+                  </button>
+                )}
+                {activeTab === 'active' && (
+                  <button
+                    className="action-btn archive-btn"
+                    onClick={() => onArchiveLead(lead.id)}
+                    title="Archive lead"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M3 9a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V9z"></path>
+                      <path d="M3 9V7a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v2"></path>
+                      <line x1="9" y1="12" x2="15" y2="12"></line>
+                    </svg>
+                  </button>
+                )}
+                {activeTab === 'archived' && (
+                  <button
+                    className="action-btn restore-btn"
+                    onClick={() => onUnarchiveLead(lead.id)}
+                    title="Move back to Current Leads"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="1,4 1,10 7,10"></polyline>
+                      <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                    </svg>
+                  </button>
+                )}
+                {activeTab === 'trash' ? (
+                  <>
+                    <button
+                      className="action-btn restore-btn"
+                      onClick={() => onRestoreLead(lead.id)}
+                      title="Restore lead"
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polyline points="1,4 1,10 7,10"></polyline>
+                        <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                      </svg>
+                    </button>
+                    <button
+                      className="action-btn delete-btn"
+                      onClick={() => onPermanentDeleteLead(lead.id)}
+                      title="Delete forever"
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polyline points="3,6 5,6 21,6"></polyline>
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                        <path d="M10 11v6"></path>
+                        <path d="M14 11v6"></path>
+                      </svg>
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    className="action-btn delete-btn"
+                    onClick={() => onDeleteLead(lead.id)}
+                    title="Move lead to trash"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <line x1="18" y1="6" x2="6" y2="18"></line>
+                      <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                  </button>
+                )}
+              </div>
             </div>
 
-            {/* Property Details */}
-            <div className="card-property-details">
-              <span className="card-beds-baths">
-                {formatBedBath(lead.property?.bedrooms, lead.property?.bathrooms)}
-              </span>
-              {lead.property?.year_built && (
-                <>
-                  <span className="card-separator">|</span>
-                  <span className="card-sqft">{formatSqft(lead.listing.metadata?.livingAreaValue)}</span>
-                </>
-              )}
-              {lead.property?.home_status && (
-                <>
-                  <span className="card-separator">|</span>
-                  <span className="card-status">{lead.listing.metadata?.homeStatus}</span>
-                </>
-              )}
-              {lead.property?.home_status && (
-                <>
-                  <span className="card-separator">|</span>
-                  <span className="card-status">{lead.property.home_status}</span>
-                </>
-              )}
-            </div>
+            {/* Property Info */}
+            <div className="card-content">
+              {/* Price */}
+              <div className="card-price">
+                {formatPrice(lead.listing?.price)}
+              </div>
 
-            {/* Address */}
-            <div className="card-address mt-auto" style={{marginBottom: '0px'}}>
-              <div
-                style={{
-                  display: "flex",
-                  flexDirection: "row",
-                  alignItems: "baseline", // <-- align text bottoms, not boxes
-                  gap: "12px",
-                  flexWrap: "wrap",
-                }}
-              >
-                {lead.property?.street_address && (
-                  <div className="card-street" style={{ color: "#555" }}>
-                    {lead.property.street_address} {lead.property?.city}, {lead.property?.state} {lead.property?.zipcode}
-                  </div>
+              {/* Property Details */}
+              <div className="card-property-details">
+                <span className="card-beds-baths">
+                  {formatBedBath(lead.property?.bedrooms, lead.property?.bathrooms)}
+                </span>
+                {lead.property?.year_built && (
+                  <>
+                    <span className="card-separator">|</span>
+                    <span className="card-sqft">{formatSqft(lead.listing.metadata?.livingAreaValue)}</span>
+                  </>
+                )}
+                {lead.property?.home_status && (
+                  <>
+                    <span className="card-separator">|</span>
+                    <span className="card-status">{lead.listing.metadata?.homeStatus}</span>
+                  </>
+                )}
+                {lead.property?.home_status && (
+                  <>
+                    <span className="card-separator">|</span>
+                    <span className="card-status">{lead.property.home_status}</span>
+                  </>
                 )}
               </div>
-            </div>
 
-            {/* Agent & Broker Info */}
-            <div className="card-agent-info" style={{ paddingTop: '0px' }}>
-              {lead.agent && (
-                <div className="agent-details">
-                  <div className="agent-name">{lead.agent.full_name}</div>
-                  {lead.agent.phone_number && (
-                    <div className="agent-contact">
-                      <a href={`tel:${lead.agent.phone_number}`} className="phone-link">
-                        {format_number(lead.agent.phone_number)}
-                      </a>
-                    </div>
-                  )}
-                  {lead.agent.email && (
-                    <div className="agent-contact">
-                      <a href={`mailto:${lead.agent.email}`} className="email-link">
-                        {lead.agent.email}
-                      </a>
-                    </div>
-                  )}
-                  {lead.agent.license_number && (
-                    <div className="agent-license">
-                      DRE# {lead.agent.license_number}
+              {/* Address */}
+              <div className="card-address mt-auto" style={{marginBottom: '0px'}}>
+                <div
+                  style={{
+                    display: "flex",
+                    flexDirection: "row",
+                    alignItems: "baseline", // <-- align text bottoms, not boxes
+                    gap: "12px",
+                    flexWrap: "wrap",
+                  }}
+                >
+                  {lead.property?.street_address && (
+                    <div className="card-street" style={{ color: "#555" }}>
+                      {lead.property.street_address} {lead.property?.city}, {lead.property?.state} {lead.property?.zipcode}
                     </div>
                   )}
                 </div>
-              )}
+              </div>
+
+              {/* Agent & Broker Info */}
+              <div className="card-agent-info" style={{ paddingTop: '0px' }}>
+                {lead.agent && (
+                  <div className="agent-details">
+                    <div className="agent-name">{lead.agent.full_name}</div>
+                    {lead.agent.phone_number && (
+                      <div className="agent-contact">
+                        <a href={`tel:${lead.agent.phone_number}`} className="phone-link">
+                          {format_number(lead.agent.phone_number)}
+                        </a>
+                      </div>
+                    )}
+                    {lead.agent.email && (
+                      <div className="agent-contact">
+                        <a href={`mailto:${lead.agent.email}`} className="email-link">
+                          {lead.agent.email}
+                        </a>
+                      </div>
+                    )}
+                    {lead.agent.license_number && (
+                      <div className="agent-license">
+                        DRE# {lead.agent.license_number}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
             </div>
           </div>
-        </div>
-      ))}
-    </div>
+        ))}
+        {virtualList?.paddingBottom > 0 && (
+          <div className="virtual-spacer" style={{ height: virtualList.paddingBottom }} aria-hidden="true" />
+        )}
+      </div>
+    </>
   )
 }
 
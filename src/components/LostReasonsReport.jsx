@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react'
+import { getLostReasonsReport } from '../api/reasons'
+import { safeAPICall } from '../api/index'
+import { LOST_REPORT_PERIODS, formatReason } from '../lib/lead-reasons'
+
+const RANGES = [
+  { label: 'Last 90 days', days: 90 },
+  { label: 'Last 6 months', days: 182 },
+  { label: 'Last 12 months', days: 365 },
+  { label: 'All time', days: null }
+]
+
+// Reason columns shown in the breakdown tables; the rest are folded into "Other reasons"
+const MAX_REASON_COLUMNS = 5
+
+const LostReasonsReport = () => {
+  const [period, setPeriod] = useState('month')
+  const [rangeDays, setRangeDays] = useState(182)
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadReport()
+  }, [period, rangeDays])
+
+  const loadReport = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const since = rangeDays ? new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000).toISOString() : null
+      const secureGetReport = safeAPICall(getLostReasonsReport, 'LostReasonsReport.loadReport')
+      const result = await secureGetReport({ period, since })
+
+      if (result.success) {
+        setReport(result.data)
+      } else {
+        setError(result.error?.message || 'Failed to load lost reasons')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading lost reasons:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatPercent = (count) => {
+    return report.total > 0 ? `${Math.round((count / report.total) * 100)}%` : '0%'
+  }
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  }
+
+  const renderBreakdown = (title, groups, columns) => {
+    const columnCodes = columns.map(reason => reason.code)
+
+    return (
+      <section className="lost-breakdown">
+        <h4>{title}</h4>
+        <table className="import-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Lost</th>
+              {columns.map(reason => (
+                <th key={reason.code}>{reason.label}</th>
+              ))}
+              {report.reasons.length > columns.length && <th>Other reasons</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(group => {
+              const otherCount = Object.entries(group.reasons)
+                .filter(([code]) => !columnCodes.includes(code))
+                .reduce((sum, [, count]) => sum + count, 0)
+
+              return (
+                <tr key={group.key}>
+                  <td>{group.label}</td>
+                  <td><strong>{group.total}</strong></td>
+                  {columns.map(reason => (
+                    <td key={reason.code}>{group.reasons[reason.code] || ''}</td>
+                  ))}
+                  {report.reasons.length > columns.length && <td>{otherCount || ''}</td>}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </section>
+    )
+  }
+
+  const columns = report ? report.reasons.slice(0, MAX_REASON_COLUMNS) : []
+  const commentedLosses = report ? report.losses.filter(loss => loss.reason_comment).slice(0, 20) : []
+
+  return (
+    <div className="lost-reasons">
+      <div className="follow-up-header">
+        <h2 className="page-title">Lost Reasons</h2>
+        <div className="follow-up-actions">
+          <select className="status-filter-select" value={rangeDays || ''} onChange={(e) => setRangeDays(e.target.value ? Number(e.target.value) : null)}>
+            {RANGES.map(range => (
+              <option key={range.label} value={range.days || ''}>{range.label}</option>
+            ))}
+          </select>
+          <select className="status-filter-select" value={period} onChange={(e) => setPeriod(e.target.value)}>
+            {Object.entries(LOST_REPORT_PERIODS).map(([key, label]) => (
+              <option key={key} value={key}>By {label.toLowerCase()}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && <div className="loading">Loading lost reasons...</div>}
+
+      {!loading && error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadReport}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && report && report.total === 0 && (
+        <div className="no-data">No leads were closed as lost in this period.</div>
+      )}
+
+      {!loading && !error && report && report.total > 0 && (
+        <>
+          <section className="lost-breakdown">
+            <h4>{report.total} lost leads</h4>
+            <ul className="lost-reason-bars">
+              {report.reasons.map(reason => (
+                <li key={reason.code}>
+                  <span className="lost-reason-label">{reason.label}</span>
+                  <span className="lost-reason-bar">
+                    <span style={{ width: formatPercent(reason.count) }}></span>
+                  </span>
+                  <span className="lost-reason-count">{reason.count} ({formatPercent(reason.count)})</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          {renderBreakdown(`By ${LOST_REPORT_PERIODS[report.period].toLowerCase()}`, report.byPeriod, columns)}
+          {renderBreakdown('By agent', report.byAgent, columns)}
+          {renderBreakdown('By price band', report.byPriceBand, columns)}
+
+          {commentedLosses.length > 0 && (
+            <section className="lost-breakdown">
+              <h4>Recent comments</h4>
+              <ul className="lost-comments">
+                {commentedLosses.map(loss => (
+                  <li key={loss.lead.id}>
+                    <div className="follow-up-address">{loss.lead.property?.street_address || 'Property Address'}</div>
+                    <div className="timeline-meta">
+                      {formatDate(loss.lost_at)} • {formatReason(loss.reason_code)} • {loss.lead.agent?.full_name || 'Unknown agent'}
+                    </div>
+                    <div>{loss.reason_comment}</div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LostReasonsReport
@@ -0,0 +1,56 @@
+import { useOfflineSync } from '../hooks/useOfflineSync'
+
+const OfflineStatusBar = () => {
+  const { isOnline, queuedCount, syncing, lastReport, syncNow, dismissReport } = useOfflineSync()
+
+  const pendingLabel = `${queuedCount} change${queuedCount === 1 ? '' : 's'}`
+  const problems = lastReport ? [...lastReport.conflicts, ...lastReport.failed] : []
+
+  return (
+    <>
+      {!isOnline && (
+        <div className="offline-status-bar offline">
+          <strong>You're offline.</strong>
+          {' '}Leads and templates are shown as last loaded on this device.
+          {queuedCount > 0 && ` ${pendingLabel} will be sent when you're back online.`}
+        </div>
+      )}
+
+      {isOnline && queuedCount > 0 && (
+        <div className="offline-status-bar pending">
+          {syncing ? `Sending ${pendingLabel} made offline...` : `${pendingLabel} made offline not sent yet.`}
+          {!syncing && (
+            <button className="note-action-btn" onClick={syncNow}>
+              Send now
+            </button>
+          )}
+        </div>
+      )}
+
+      {lastReport && (
+        <div className={`offline-status-bar ${problems.length > 0 ? 'conflict' : 'synced'}`}>
+          <div className="offline-report-summary">
+            <span>
+              Sent {lastReport.synced.length} offline change{lastReport.synced.length === 1 ? '' : 's'}
+              {problems.length > 0 && `; ${problems.length} could not be applied`}.
+            </span>
+            <button className="note-action-btn" onClick={dismissReport}>
+              Dismiss
+            </button>
+          </div>
+          {problems.length > 0 && (
+            <ul className="offline-report-problems">
+              {problems.map(entry => (
+                <li key={entry.id}>
+                  <strong>{entry.label}</strong>: {entry.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default OfflineStatusBar
@@ -1,5 +1,12 @@
-import { useState, useEffect } from 'react'
-import { getPropertyLeads, LEAD_STATUS_VALUES } from '../api/properties'
+import { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import {
+  getPropertyLeads,
+  getPropertyLeadStatusSummary,
+  bulkUpdatePropertyLeads,
+  getTrashSettings,
+  LEAD_STATUS_VALUES
+} from '../api/properties'
 import { safeAPICall } from '../api/index'
 import SMSHandler from './SMS/SMSHandler'
 import PendingSMSModal from './SMS/PendingSMSModal'
@@ -7,11 +14,63 @@ import SMSButton from './SMS/SMSButton'
 import ImageCarousel from './ImageCarousel'
 import StatusDropdown from './StatusDropdown'
 import ListingsGrid from './ListingsGrid'
+import LeadsBoard from './LeadsBoard'
+import LeadTimelineModal from './LeadTimelineModal'
+import LeadReminderModal from './LeadReminderModal'
+import LeadNotesModal from './LeadNotesModal'
+import ExportLeadsModal from './ExportLeadsModal'
+import ImportLeadsWizard from './ImportLeadsWizard'
+import ReminderBadge from './ReminderBadge'
+import LeadFiltersPanel from './LeadFiltersPanel'
+import LeadSortSelect from './LeadSortSelect'
+import { saveLeadView } from '../api/views'
+import { getLeadNoteCounts } from '../api/notes'
+import { EMPTY_LEAD_FILTERS, countActiveFilters, viewToSearchParams, searchParamsToView, isSameView } from '../lib/lead-views'
+import { viewToLeadQuery } from '../lib/lead-query'
 import { format_number, createPhoneCallLink, createSMSLink, isValidPhoneNumber, format_dre } from '../lib/generic_functions'
 import { StatusTransitionsProvider, useStatusTransitions } from '../contexts/StatusTransitionsContext'
+import { LOST_STATUS } from '../lib/lead-reasons'
+import TransitionReasonModal from './TransitionReasonModal'
+import LeadDealModal from './LeadDealModal'
+import LeadInvoicesModal from './LeadInvoicesModal'
+import { INVOICEABLE_STATUSES } from '../lib/invoices'
+import DealBadge from './DealBadge'
+import { DEAL_STATUSES, sumLeadRevenue, formatMoney } from '../lib/lead-deals'
+import ShootScheduleModal from './ShootScheduleModal'
+import ShootBadge from './ShootBadge'
+import { SHOOT_STATUSES } from '../lib/shoot-schedule'
+import LeadScoreBadge from './LeadScoreBadge'
+import LeadScoreModal from './LeadScoreModal'
+import { getLeadScoreSettings, refreshLeadScores, SCORE_REFRESH_HOURS } from '../api/scoring'
+import { useLeadRealtime, hasLeadChanged, couldMatchLeadQuery, applyLeadChange } from '../hooks/useLeadRealtime'
+import { useLeadMutations } from '../hooks/useLeadMutations'
+import { useVirtualList } from '../hooks/useVirtualList'
+import { OFFLINE_SYNC_COMPLETE_EVENT } from '../api/offline'
 
-const PropertyLeadsContent = () => {
-  const [activeTab, setActiveTab] = useState('active')
+// The board shows every column at once, so it loads a larger page than the table
+const TABLE_PAGE_SIZE = 20
+const BOARD_PAGE_SIZE = 100
+
+// Scrolling fetches larger pages as they come into view; quiet reloads refetch the pages of the
+// loaded list that changed, in the largest pages getPropertyLeads allows
+const SCROLL_PAGE_SIZE = 50
+const SCROLL_RELOAD_PAGE_SIZE = 100
+
+// Heights assumed for table rows and grid cards that have not been rendered yet
+const TABLE_ROW_ESTIMATE = 150
+const GRID_CARD_ESTIMATE = 440
+
+const LEAD_BROWSE_MODE_KEY = 'leadBrowseMode'
+
+const getLeadKey = (lead) => lead.id
+
+// How long leads changed by someone else stay highlighted
+const LEAD_HIGHLIGHT_MS = 4000
+
+const PropertyLeadsContent = ({ onViewSaved, onRemindersChange }) => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [initialView] = useState(() => searchParamsToView(searchParams))
+  const [activeTab, setActiveTab] = useState(initialView.tab)
   const [leads, setLeads] = useState([])
   const [pagination, setPagination] = useState({
     page: 1,
@@ -21,17 +80,142 @@ const PropertyLeadsContent = () => {
     hasNextPage: false,
     hasPrevPage: false
   })
-  const [statusFilter, setStatusFilter] = useState(null)
+  const [statusFilter, setStatusFilter] = useState(initialView.status)
+  const [filters, setFilters] = useState(initialView.filters)
+  const [showFilters, setShowFilters] = useState(countActiveFilters(initialView.filters) > 0)
+  const [sort, setSort] = useState(initialView.sort)
+  const [layout, setLayout] = useState('table')
+  const [browseMode, setBrowseMode] = useState(() => (localStorage.getItem(LEAD_BROWSE_MODE_KEY) === 'scroll' ? 'scroll' : 'pages'))
+  const [hasMoreLeads, setHasMoreLeads] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState('')
+  const [revenue, setRevenue] = useState(null)
+  const [statusSummary, setStatusSummary] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [isTemplateModalOpen, setIsTemplateModalOpen] = useState(false)
   const [currentLead, setCurrentLead] = useState(null)
+  const [timelineLead, setTimelineLead] = useState(null)
+  const [reminderLead, setReminderLead] = useState(null)
+  const [notesLead, setNotesLead] = useState(null)
+  const [dealLead, setDealLead] = useState(null)
+  const [shootLead, setShootLead] = useState(null)
+  const [scoreLead, setScoreLead] = useState(null)
+  const [pendingDealLead, setPendingDealLead] = useState(null)
+  const [invoicesLead, setInvoicesLead] = useState(null)
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false)
+  const [isImportWizardOpen, setIsImportWizardOpen] = useState(false)
+  const [noteCounts, setNoteCounts] = useState({})
+  const [selectedLeadIds, setSelectedLeadIds] = useState(new Set())
+  const [selectionMode, setSelectionMode] = useState(false)
+  const [bulkStatus, setBulkStatus] = useState('')
+  const [bulkProcessing, setBulkProcessing] = useState(false)
+  const [isBulkReasonOpen, setIsBulkReasonOpen] = useState(false)
+  const [trashRetentionDays, setTrashRetentionDays] = useState(null)
+  const [cachedAt, setCachedAt] = useState(null)
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768)
-  const { loadTransitionsForLeads } = useStatusTransitions()
+  const [highlightedLeadIds, setHighlightedLeadIds] = useState(new Set())
+  const highlightTimers = useRef(new Map())
+  // Bumped by every load of the list, so pages fetched for an earlier list are dropped
+  const leadsRequestId = useRef(0)
+  const loadingMoreRef = useRef(false)
+  const { loadTransitionsForLeads, refreshTransitionsForLeads, cacheVersion } = useStatusTransitions()
+  const {
+    changeLeadStatus,
+    archiveLead,
+    unarchiveLead,
+    deleteLead,
+    restoreTrashedLead,
+    permanentlyDeleteLead,
+    mutationErrors,
+    dismissMutationError
+  } = useLeadMutations({
+    leads,
+    setLeads,
+    isLeadInView: (lead) => !statusFilter || lead.status === statusFilter
+  })
+
+  const currentView = { tab: activeTab, status: statusFilter, filters, sort }
+
+  // The board has its own columns to scroll, so it always pages
+  const isScrolling = browseMode === 'scroll' && (isMobile || layout !== 'board')
+  const isLeadModalOpen = Boolean(
+    isTemplateModalOpen || currentLead || timelineLead || reminderLead || notesLead || dealLead ||
+    shootLead || scoreLead || invoicesLead || isExportModalOpen || isImportWizardOpen || isBulkReasonOpen
+  )
+
+  const leadList = useVirtualList({
+    items: leads,
+    getKey: getLeadKey,
+    estimateSize: isMobile ? GRID_CARD_ESTIMATE : TABLE_ROW_ESTIMATE,
+    enabled: isScrolling,
+    onEndReached: () => loadMoreLeads()
+  })
 
   useEffect(() => {
-    loadLeads(activeTab, 1, statusFilter) // Reset to page 1 when tab or filter changes
-  }, [activeTab, statusFilter])
+    loadLeads(activeTab, 1, statusFilter, filters, sort) // Reset to page 1 when tab, filters, sort, layout or browsing change
+  }, [activeTab, statusFilter, filters, sort, layout, browseMode])
+
+  useEffect(() => {
+    localStorage.setItem(LEAD_BROWSE_MODE_KEY, browseMode)
+  }, [browseMode])
+
+  // The retention window shown on the Trash tab; expired leads are purged by the daily Worker run
+  useEffect(() => {
+    if (activeTab !== 'trash' || trashRetentionDays !== null) return
+
+    const loadTrashSettings = async () => {
+      const secureGetTrashSettings = safeAPICall(getTrashSettings, 'PropertyLeads.loadTrashSettings')
+      const result = await secureGetTrashSettings()
+      if (result.success) {
+        setTrashRetentionDays(result.data.retention_days)
+      } else {
+        console.error('Failed to load trash settings:', result.error)
+      }
+    }
+
+    loadTrashSettings()
+  }, [activeTab])
+
+  // Modals can remove or resize leads above the one in view, and the list can scroll behind
+  // them; put the lead that was at the top of the screen back where it was once they close
+  useEffect(() => {
+    if (isLeadModalOpen) {
+      leadList.saveScrollPosition()
+    } else {
+      leadList.restoreScrollPosition()
+    }
+  }, [isLeadModalOpen])
+
+  useEffect(() => {
+    refreshStaleScores()
+  }, [])
+
+  // Reload transitions for the visible leads after lead_transitions is edited
+  useEffect(() => {
+    if (cacheVersion > 0 && leads.length > 0) {
+      loadTransitionsForLeads(leads.map(lead => lead.id))
+    }
+  }, [cacheVersion])
+
+  // Mirror the current view in the URL so it can be bookmarked or shared
+  useEffect(() => {
+    const nextParams = viewToSearchParams(currentView)
+    if (nextParams.toString() !== searchParams.toString()) {
+      setSearchParams(nextParams, { replace: true })
+    }
+  }, [activeTab, statusFilter, filters, sort])
+
+  // Apply views opened from the sidebar or a shared link while this page is already open
+  useEffect(() => {
+    const urlView = searchParamsToView(searchParams)
+    if (!isSameView(urlView, currentView)) {
+      setActiveTab(urlView.tab)
+      setStatusFilter(urlView.status)
+      setFilters(urlView.filters)
+      setSort(urlView.sort)
+    }
+  }, [searchParams])
 
   useEffect(() => {
     const handleResize = () => {
@@ -42,41 +226,86 @@ const PropertyLeadsContent = () => {
     return () => window.removeEventListener('resize', handleResize)
   }, [])
 
-  const loadLeads = async (tabStatus, page = pagination.page, filterStatus = statusFilter) => {
-    setLoading(true)
-    setError('')
+  useEffect(() => {
+    const timers = highlightTimers.current
+    return () => timers.forEach(timer => clearTimeout(timer))
+  }, [])
+
+  // Changes made offline may have been skipped as conflicts, so show what the server kept
+  useEffect(() => {
+    const handleSyncComplete = (event) => {
+      const { synced, conflicts, failed } = event.detail
+      const leadIds = [...new Set([...synced, ...conflicts, ...failed].map(entry => entry.leadId))]
+      loadLeads(activeTab, pagination.page, statusFilter, filters, sort, { quiet: true, leadIds })
+    }
+
+    window.addEventListener(OFFLINE_SYNC_COMPLETE_EVENT, handleSyncComplete)
+    return () => window.removeEventListener(OFFLINE_SYNC_COMPLETE_EVENT, handleSyncComplete)
+  }, [activeTab, pagination.page, statusFilter, filters, sort, layout])
+
+  // Keep the list in step with edits made by teammates or in other tabs
+  useLeadRealtime({ onChanges: (changes) => handleRemoteLeadChanges(changes) })
+
+  // getPropertyLeads options for a tab, status filter, filters and sort, without the page; the
+  // export route maps views the same way (see lib/lead-query)
+  const buildLeadQuery = (tabStatus, filterStatus, leadFilters, leadSort) => {
+    return viewToLeadQuery({ tab: tabStatus, status: filterStatus, filters: leadFilters, sort: leadSort })
+  }
+
+  // Quiet reloads (for realtime changes) keep the current list and selection on screen while
+  // fetching, and mark the given leads as changed once they arrive. When scrolling, a full load
+  // starts over from the top and a quiet one fetches every lead loaded so far again.
+  const loadLeads = async (tabStatus, page = pagination.page, filterStatus = statusFilter, leadFilters = filters, leadSort = sort, reloadOptions = {}) => {
+    const { quiet = false, highlightIds = [], leadIds = highlightIds } = reloadOptions
+    leadsRequestId.current += 1
+
+    if (!quiet) {
+      setLoading(true)
+      setError('')
+    }
 
     try {
       const secureGetLeads = safeAPICall(getPropertyLeads, 'PropertyLeads.loadLeads')
       let result
 
       const options = {
-        page,
-        limit: 20
+        ...buildLeadQuery(tabStatus, filterStatus, leadFilters, leadSort),
+        page: isScrolling ? 1 : page,
+        limit: isScrolling ? SCROLL_PAGE_SIZE : layout === 'board' ? BOARD_PAGE_SIZE : TABLE_PAGE_SIZE
       }
 
-      if (tabStatus === 'active') {
-        // For active tab: get all leads where is_active = true (with optional status filter)
-        options.isActive = true
-        if (filterStatus) {
-          options.status = filterStatus
-        }
-      } else if (tabStatus === 'archived') {
-        // For archived tab: get all leads where is_active = false (with optional status filter)
-        options.isActive = false
-        if (filterStatus) {
-          options.status = filterStatus
-        }
-      } else {
-        // For any specific status filter
-        options.status = tabStatus
+      if (isScrolling && quiet) {
+        await refreshLoadedLeads(options, leadIds, highlightIds)
+        return
       }
 
       result = await secureGetLeads(options)
 
+      if (layout === 'board') {
+        loadStatusSummary({ ...leadFilters, isActive: options.isActive ?? null, isDeleted: Boolean(options.isDeleted) })
+      }
+
       if (result.success) {
         const leadsData = result.data.leads || result.data // Handle both new and old response formats
+
+        // Leads removed elsewhere can leave the last page empty; step back to the new last page
+        const lastPage = result.data.pagination?.totalPages || 1
+        if (quiet && !isScrolling && leadsData.length === 0 && page > lastPage) {
+          return loadLeads(tabStatus, lastPage, filterStatus, leadFilters, leadSort, reloadOptions)
+        }
+
         setLeads(leadsData)
+        setRevenue(result.data.revenue || null)
+        setCachedAt(result.data.cachedAt || null)
+        setHasMoreLeads(Boolean(result.data.pagination?.hasNextPage))
+        setLoadMoreError('')
+        if (quiet) {
+          const loadedIds = new Set(leadsData.map(lead => lead.id))
+          setSelectedLeadIds(prev => new Set([...prev].filter(id => loadedIds.has(id))))
+          highlightLeads(highlightIds.filter(id => loadedIds.has(id)))
+        } else {
+          setSelectedLeadIds(new Set()) // Selection only applies to the page it was made on
+        }
         if (result.data.pagination) {
           setPagination(result.data.pagination)
         }
@@ -86,21 +315,307 @@ const PropertyLeadsContent = () => {
           const leadIds = leadsData.map(lead => lead.id)
           console.log('PropertyLeads: Loading transitions for', leadIds.length, 'leads:', leadIds)
           loadTransitionsForLeads(leadIds)
+          loadNoteCounts(leadIds)
         }
+      } else if (quiet) {
+        console.error('API Error refreshing leads:', result.error)
       } else {
         const errorMessage = result.error?.message || 'Failed to load property leads'
         setError(errorMessage)
         console.error('API Error loading leads:', result.error)
       }
     } catch (err) {
-      // Fallback error handling for unexpected errors
-      setError('An unexpected error occurred. Please try again.')
-      console.error('Unexpected error loading leads:', err)
+      if (quiet) {
+        console.error('Unexpected error refreshing leads:', err)
+      } else {
+        // Fallback error handling for unexpected errors
+        setError('An unexpected error occurred. Please try again.')
+        console.error('Unexpected error loading leads:', err)
+      }
+    } finally {
+      if (!quiet) {
+        setLoading(false)
+      }
+    }
+  }
+
+  // Quiet reloads while scrolling refetch only the pages of the loaded list that hold the changed
+  // leads, plus the first page for leads that aren't loaded yet, and splice them in. Refetching
+  // the whole scrolled list would cost a request per page (and note counts for each) on every
+  // change and run into the client rate limit.
+  const refreshLoadedLeads = async (options, leadIds, highlightIds) => {
+    const requestId = leadsRequestId.current
+    const secureGetLeads = safeAPICall(getPropertyLeads, 'PropertyLeads.refreshLoadedLeads')
+    const loadedIndexes = new Map(leads.map((lead, index) => [lead.id, index]))
+    const pages = leadIds.length > 0
+      ? [...new Set(leadIds.map(id => (
+          loadedIndexes.has(id) ? Math.floor(loadedIndexes.get(id) / SCROLL_RELOAD_PAGE_SIZE) + 1 : 1
+        )))].sort((a, b) => a - b)
+      : [1]
+    const fetchedPages = new Map()
+    let result
+
+    for (const page of pages) {
+      result = await secureGetLeads({ ...options, page, limit: SCROLL_RELOAD_PAGE_SIZE })
+      if (!result.success) {
+        console.error('API Error refreshing leads:', result.error)
+        return
+      }
+      fetchedPages.set(page, result.data.leads)
+    }
+
+    // The view changed or was reloaded while these pages were on their way
+    if (requestId !== leadsRequestId.current) return
+
+    // Leads that moved out of a refetched page are dropped; a lead that moved up from the next
+    // page into it is then shown twice, so only its first copy is kept
+    setLeads(prevLeads => {
+      const pageCount = Math.max(1, Math.ceil(prevLeads.length / SCROLL_RELOAD_PAGE_SIZE))
+      const shownIds = new Set()
+      const nextLeads = []
+
+      for (let page = 1; page <= pageCount; page++) {
+        const start = (page - 1) * SCROLL_RELOAD_PAGE_SIZE
+        const pageLeads = fetchedPages.get(page) || prevLeads.slice(start, start + SCROLL_RELOAD_PAGE_SIZE)
+        pageLeads.forEach(lead => {
+          if (shownIds.has(lead.id)) return
+          shownIds.add(lead.id)
+          nextLeads.push(lead)
+        })
+      }
+
+      return nextLeads
+    })
+    setCachedAt(result.data.cachedAt || null)
+    setRevenue(result.data.revenue || null)
+    setPagination(prev => ({ ...prev, total: result.data.pagination?.total ?? prev.total }))
+    if (pages.at(-1) >= Math.ceil(leads.length / SCROLL_RELOAD_PAGE_SIZE)) {
+      setHasMoreLeads(Boolean(result.data.pagination?.hasNextPage))
+    }
+
+    const refetchedLeads = [...fetchedPages.values()].flat()
+    const refetchedIds = new Set(refetchedLeads.map(lead => lead.id))
+    const removedIds = new Set(leads
+      .filter((lead, index) => fetchedPages.has(Math.floor(index / SCROLL_RELOAD_PAGE_SIZE) + 1) && !refetchedIds.has(lead.id))
+      .map(lead => lead.id))
+    setSelectedLeadIds(prev => new Set([...prev].filter(id => !removedIds.has(id))))
+    highlightLeads(highlightIds.filter(id => refetchedIds.has(id)))
+
+    if (refetchedLeads.length > 0) {
+      const ids = [...refetchedIds]
+      loadTransitionsForLeads(ids)
+      loadNoteCounts(ids, { append: true })
+    }
+  }
+
+  // Appends the next page while scrolling. Leads removed from the list since it was loaded move
+  // later ones up a page on the server, so the page is worked out from what is loaded now, and
+  // leads already shown are skipped.
+  const loadMoreLeads = async () => {
+    if (!isScrolling || !hasMoreLeads || loading || loadingMoreRef.current) return
+
+    const requestId = leadsRequestId.current
+    const loadedIds = new Set(leads.map(lead => lead.id))
+    const options = buildLeadQuery(activeTab, statusFilter, filters, sort)
+
+    loadingMoreRef.current = true
+    setLoadingMore(true)
+    setLoadMoreError('')
+
+    try {
+      const secureGetLeads = safeAPICall(getPropertyLeads, 'PropertyLeads.loadMoreLeads')
+      let page = Math.floor(leads.length / SCROLL_PAGE_SIZE) + 1
+      let newLeads = []
+      let result
+
+      do {
+        result = await secureGetLeads({ ...options, page, limit: SCROLL_PAGE_SIZE })
+        if (!result.success) break
+
+        newLeads = result.data.leads.filter(lead => !loadedIds.has(lead.id))
+        page += 1
+      } while (newLeads.length === 0 && result.data.pagination?.hasNextPage)
+
+      // The view changed or was reloaded while this page was on its way
+      if (requestId !== leadsRequestId.current) return
+
+      if (!result.success) {
+        setLoadMoreError(result.error?.message || 'Failed to load more leads')
+        console.error('API Error loading more leads:', result.error)
+        return
+      }
+
+      setLeads(prevLeads => {
+        const shownIds = new Set(prevLeads.map(lead => lead.id))
+        return [...prevLeads, ...newLeads.filter(lead => !shownIds.has(lead.id))]
+      })
+      setPagination(result.data.pagination)
+      setRevenue(result.data.revenue || null)
+      setHasMoreLeads(Boolean(result.data.pagination?.hasNextPage))
+
+      // One transitions and note count request per fetched page
+      if (newLeads.length > 0) {
+        const leadIds = newLeads.map(lead => lead.id)
+        loadTransitionsForLeads(leadIds)
+        loadNoteCounts(leadIds, { append: true })
+      }
+    } catch (err) {
+      setLoadMoreError('An unexpected error occurred. Please try again.')
+      console.error('Unexpected error loading more leads:', err)
     } finally {
-      setLoading(false)
+      loadingMoreRef.current = false
+      setLoadingMore(false)
+    }
+  }
+
+  const highlightLeads = (leadIds) => {
+    if (leadIds.length === 0) return
+
+    setHighlightedLeadIds(prev => new Set([...prev, ...leadIds]))
+
+    leadIds.forEach(leadId => {
+      clearTimeout(highlightTimers.current.get(leadId))
+      highlightTimers.current.set(leadId, setTimeout(() => {
+        highlightTimers.current.delete(leadId)
+        setHighlightedLeadIds(prev => {
+          const next = new Set(prev)
+          next.delete(leadId)
+          return next
+        })
+      }, LEAD_HIGHLIGHT_MS))
+    })
+  }
+
+  // Updates to loaded leads that stay in the list are applied to them as they arrive. The list is
+  // sorted, filtered and paginated by the server, so only leads that may join or leave it reload
+  // the page in place.
+  const handleRemoteLeadChanges = (changes) => {
+    if (loading) return
+
+    const loadedLeads = new Map(leads.map(lead => [lead.id, lead]))
+    const query = buildLeadQuery(activeTab, statusFilter, filters, sort)
+    const updates = new Map()
+    const shownChanges = []
+    const reloadIds = []
+
+    changes.forEach(change => {
+      const lead = loadedLeads.get(change.leadId)
+      const shown = hasLeadChanged(change, lead, query)
+
+      if (lead && change.type === 'UPDATE' && couldMatchLeadQuery(change.row, query)) {
+        updates.set(change.leadId, change.row)
+        if (shown) shownChanges.push(change)
+      } else if (shown) {
+        reloadIds.push(change.leadId)
+      }
+    })
+
+    if (updates.size > 0) {
+      updates.forEach((row, leadId) => {
+        const lead = loadedLeads.get(leadId)
+        moveRevenueDeal(lead.deal, applyLeadChange(lead, row).deal)
+      })
+
+      setLeads(prevLeads => prevLeads.map(lead => (
+        updates.has(lead.id) ? applyLeadChange(lead, updates.get(lead.id)) : lead
+      )))
+
+      shownChanges.forEach(change => {
+        const lead = loadedLeads.get(change.leadId)
+        if (change.row.status && change.row.status !== lead.status) {
+          moveSummaryLead(lead.listing?.price || 0, lead.status, change.row.status)
+        }
+      })
+
+      // Moves allowed from a lead's status depend on the status, so cached ones are stale now
+      refreshTransitionsForLeads(shownChanges.map(change => change.leadId))
+      highlightLeads(shownChanges.map(change => change.leadId))
+    }
+
+    if (reloadIds.length > 0) {
+      loadLeads(activeTab, pagination.page, statusFilter, filters, sort, { quiet: true, highlightIds: reloadIds })
+    }
+  }
+
+  // Days on market changes every day, so scores older than SCORE_REFRESH_HOURS are recalculated
+  // server-side in the background and the current page reloaded once to show them
+  const refreshStaleScores = async () => {
+    const secureGetSettings = safeAPICall(getLeadScoreSettings, 'PropertyLeads.refreshStaleScores')
+    const settings = await secureGetSettings()
+
+    if (!settings.success) {
+      console.error('Failed to load score settings:', settings.error)
+      return
+    }
+
+    const scoredAt = settings.data.scored_at ? new Date(settings.data.scored_at).getTime() : 0
+    if (Date.now() - scoredAt < SCORE_REFRESH_HOURS * 60 * 60 * 1000) {
+      return
+    }
+
+    const secureRefresh = safeAPICall(refreshLeadScores, 'PropertyLeads.refreshStaleScores')
+    const result = await secureRefresh()
+
+    if (!result.success) {
+      console.error('Failed to refresh lead scores:', result.error)
+      return
+    }
+
+    if (result.data.updated > 0) {
+      loadLeads(activeTab, pagination.page, statusFilter, filters, sort)
+    }
+  }
+
+  const loadStatusSummary = async (summaryOptions) => {
+    const secureGetSummary = safeAPICall(getPropertyLeadStatusSummary, 'PropertyLeads.loadStatusSummary')
+    const result = await secureGetSummary(summaryOptions)
+
+    if (result.success) {
+      setStatusSummary(result.data)
+    } else {
+      // The board falls back to totals from the loaded leads
+      console.error('Failed to load lead status summary:', result.error)
+      setStatusSummary(null)
     }
   }
 
+  const handleLayoutChange = (newLayout) => {
+    if (newLayout === 'board') {
+      setStatusFilter(null) // Board columns already split leads by status
+    }
+    setLayout(newLayout)
+  }
+
+  const moveSummaryLead = (price, fromStatus, toStatus) => {
+    setStatusSummary(prev => {
+      if (!prev || !prev[fromStatus] || !prev[toStatus]) return prev
+      return {
+        ...prev,
+        [fromStatus]: {
+          count: Math.max(0, prev[fromStatus].count - 1),
+          totalPrice: Math.max(0, prev[fromStatus].totalPrice - price)
+        },
+        [toStatus]: {
+          count: prev[toStatus].count + 1,
+          totalPrice: prev[toStatus].totalPrice + price
+        }
+      }
+    })
+  }
+
+  // Column totals move with the card, and move back if the save fails
+  const handleBoardStatusChange = async (lead, newStatus, reason) => {
+    const price = lead.listing?.price || 0
+
+    moveSummaryLead(price, lead.status, newStatus)
+    const result = await handleStatusChange(lead, newStatus, reason)
+    if (!result.success) {
+      moveSummaryLead(price, newStatus, lead.status)
+    }
+
+    return result
+  }
+
   const handleTabChange = (status) => {
     setActiveTab(status)
     setStatusFilter(null) // Reset status filter when changing tabs
@@ -110,9 +625,71 @@ const PropertyLeadsContent = () => {
     setStatusFilter(status)
   }
 
+  const handleApplyFilters = (newFilters) => {
+    setFilters(newFilters)
+  }
+
+  const handleResetFilters = () => {
+    setFilters(EMPTY_LEAD_FILTERS)
+  }
+
+  const handleSaveView = async () => {
+    const name = window.prompt('Name this view (for example "Irvine > $1M, prospects"):')
+    if (!name || !name.trim()) {
+      return
+    }
+
+    try {
+      const secureSaveView = safeAPICall(saveLeadView, 'PropertyLeads.handleSaveView')
+      const result = await secureSaveView(name, currentView)
+
+      if (result.success) {
+        if (onViewSaved) {
+          onViewSaved(result.data)
+        }
+      } else {
+        throw new Error(result.error?.message || 'Failed to save view')
+      }
+    } catch (error) {
+      console.error('Error saving view:', error)
+      alert('Failed to save view. Please try again.')
+    }
+  }
+
+  const handleCopyViewLink = async () => {
+    const url = `${window.location.origin}/listings/leads?${viewToSearchParams(currentView).toString()}`
+
+    try {
+      await navigator.clipboard.writeText(url)
+      alert('Link to this view copied to clipboard.')
+    } catch (error) {
+      console.error('Error copying view link:', error)
+      window.prompt('Copy this link to share the view:', url)
+    }
+  }
+
+  const handleLeadsImported = (report) => {
+    if (report.created + report.merged > 0) {
+      loadLeads(activeTab, 1, statusFilter, filters, sort)
+    }
+  }
+
+  const handleSortChange = (newSort) => {
+    setSort(newSort)
+  }
+
+  // Clicking a header sorts descending first, then toggles direction
+  const handleHeaderSort = (sortBy) => {
+    if (sort.sortBy === sortBy) {
+      setSort({ sortBy, sortDir: sort.sortDir === 'desc' ? 'asc' : 'desc' })
+    } else {
+      setSort({ sortBy, sortDir: 'desc' })
+    }
+  }
+
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= pagination.totalPages) {
-      loadLeads(activeTab, newPage, statusFilter)
+      loadLeads(activeTab, newPage, statusFilter, filters, sort)
     }
   }
 
@@ -141,6 +718,101 @@ const PropertyLeadsContent = () => {
     setIsTemplateModalOpen(true)
   }
 
+  const handleTimelineClick = (lead) => {
+    setTimelineLead(lead)
+  }
+
+  const handleCloseTimeline = () => {
+    setTimelineLead(null)
+  }
+
+  // Counts for a page replace the previous page's, while scrolling they add to what is loaded
+  const loadNoteCounts = async (leadIds, { append = false } = {}) => {
+    const secureGetNoteCounts = safeAPICall(getLeadNoteCounts, 'PropertyLeads.loadNoteCounts')
+    const result = await secureGetNoteCounts(leadIds)
+
+    if (result.success) {
+      setNoteCounts(prev => (append ? { ...prev, ...result.data } : result.data))
+    } else {
+      console.error('Failed to load note counts:', result.error)
+    }
+  }
+
+  const handleNotesClick = (lead) => {
+    setNotesLead(lead)
+  }
+
+  const handleNotesChange = (leadId, count) => {
+    setNoteCounts(prev => ({ ...prev, [leadId]: count }))
+  }
+
+  const handleReminderClick = (lead) => {
+    setReminderLead(lead)
+  }
+
+  const handleReminderUpdate = (leadId, reminder) => {
+    setLeads(prevLeads => prevLeads.map(lead =>
+      lead.id === leadId
+        ? { ...lead, next_action_at: reminder?.next_action_at || null, next_action_note: reminder?.next_action_note || null }
+        : lead
+    ))
+
+    if (onRemindersChange) {
+      onRemindersChange()
+    }
+  }
+
+  const handleDealClick = (lead) => {
+    setDealLead(lead)
+  }
+
+  const handleInvoicesClick = (lead) => {
+    setInvoicesLead(lead)
+  }
+
+  // Revenue totals cover every lead matching the filters, so edits to loaded deals move them by
+  // the difference rather than waiting for the next load
+  const moveRevenueDeal = (fromDeal, toDeal) => {
+    const before = sumLeadRevenue([{ deal: fromDeal }])
+    const after = sumLeadRevenue([{ deal: toDeal }])
+    setRevenue(prev => prev && {
+      quoted: prev.quoted + after.quoted - before.quoted,
+      booked: prev.booked + after.booked - before.booked,
+      received: prev.received + after.received - before.received,
+      dealCount: prev.dealCount + after.dealCount - before.dealCount
+    })
+  }
+
+  const handleDealUpdate = (leadId, deal) => {
+    const lead = leads.find(item => item.id === leadId)
+    if (lead) {
+      moveRevenueDeal(lead.deal, deal)
+    }
+
+    setLeads(prevLeads => prevLeads.map(lead =>
+      lead.id === leadId ? { ...lead, deal } : lead
+    ))
+  }
+
+  const handleShootClick = (lead) => {
+    setShootLead(lead)
+  }
+
+  const handleShootUpdate = (leadId, shoot) => {
+    setLeads(prevLeads => prevLeads.map(lead =>
+      lead.id === leadId ? { ...lead, shoot } : lead
+    ))
+  }
+
+  // A booking asks for the deal numbers once the shoot form is done with
+  const handleCloseShootModal = () => {
+    setShootLead(null)
+    if (pendingDealLead) {
+      setDealLead(pendingDealLead)
+      setPendingDealLead(null)
+    }
+  }
+
   const handleCloseTemplateModal = () => {
     setIsTemplateModalOpen(false)
     setCurrentLead(null)
@@ -182,47 +854,165 @@ const PropertyLeadsContent = () => {
     // No need to reload - the status has been updated locally and filtered
   }
 
-  const handleArchiveLead = async (leadId) => {
-    if (!window.confirm('Are you sure you want to archive this lead?')) {
+  // Status changes made by hand also ask for the shoot details and deal numbers that become
+  // known at that stage
+  const openStageModals = (lead, newStatus) => {
+    if (SHOOT_STATUSES.includes(newStatus)) {
+      setShootLead({ ...lead, status: newStatus })
+      if (DEAL_STATUSES.includes(newStatus)) {
+        setPendingDealLead({ ...lead, status: newStatus })
+      }
+    } else if (DEAL_STATUSES.includes(newStatus)) {
+      setDealLead({ ...lead, status: newStatus })
+    }
+  }
+
+  // For status changes another component has already saved
+  const handleLeadStatusChange = (leadId, newStatus) => {
+    handleStatusUpdate(leadId, newStatus)
+
+    const lead = leads.find(l => l.id === leadId)
+    if (lead) {
+      openStageModals(lead, newStatus)
+    }
+  }
+
+  // Status changes from the dropdown and board show at once and are saved in the background;
+  // the stage forms only open once the server has accepted the change
+  const handleStatusChange = async (lead, newStatus, reason) => {
+    const result = await changeLeadStatus(lead, newStatus, reason)
+    if (result.success) {
+      openStageModals(lead, newStatus)
+    }
+    return result
+  }
+
+  // Leads moved to another tab leave the list right away and come back if the save fails
+  const handleArchiveLead = (leadId) => {
+    const lead = leads.find(l => l.id === leadId)
+    if (!lead || !window.confirm('Are you sure you want to archive this lead?')) {
       return
     }
 
-    try {
-      const { archivePropertyLead } = await import('../api/properties')
-      const secureArchiveLead = safeAPICall(archivePropertyLead, 'PropertyLeads.handleArchiveLead')
-      const result = await secureArchiveLead(leadId)
+    archiveLead(lead)
+  }
 
-      if (result.success) {
-        // Always remove from current view when archived, regardless of tab
-        setLeads(prevLeads => prevLeads.filter(lead => lead.id !== leadId))
+  const handleDeleteLead = (leadId) => {
+    const lead = leads.find(l => l.id === leadId)
+    if (!lead || !window.confirm('Move this lead to the trash? You can restore it from the Trash tab.')) {
+      return
+    }
+
+    deleteLead(lead)
+  }
+
+  const handleUnarchiveLead = (leadId) => {
+    const lead = leads.find(l => l.id === leadId)
+    if (lead) {
+      unarchiveLead(lead)
+    }
+  }
+
+  const handleRestoreLead = (leadId) => {
+    const lead = leads.find(l => l.id === leadId)
+    if (lead) {
+      restoreTrashedLead(lead)
+    }
+  }
+
+  const handlePermanentDeleteLead = (leadId) => {
+    const lead = leads.find(l => l.id === leadId)
+    if (!lead || !window.confirm('Are you sure you want to permanently delete this lead? This action cannot be undone.')) {
+      return
+    }
+
+    permanentlyDeleteLead(lead)
+  }
+
+  const handleToggleLeadSelection = (leadId) => {
+    setSelectedLeadIds(prev => {
+      const newSet = new Set(prev)
+      if (newSet.has(leadId)) {
+        newSet.delete(leadId)
       } else {
-        throw new Error(result.error || 'Failed to archive lead')
+        newSet.add(leadId)
       }
-    } catch (error) {
-      console.error('Error archiving lead:', error)
-      alert('Failed to archive lead. Please try again.')
+      return newSet
+    })
+  }
+
+  const handleToggleSelectAll = () => {
+    if (leads.length > 0 && selectedLeadIds.size === leads.length) {
+      setSelectedLeadIds(new Set())
+    } else {
+      setSelectedLeadIds(new Set(leads.map(lead => lead.id)))
     }
   }
 
-  const handleDeleteLead = async (leadId) => {
-    if (!window.confirm('Are you sure you want to permanently delete this lead? This action cannot be undone.')) {
+  const handleToggleSelectionMode = () => {
+    setSelectionMode(prev => !prev)
+    setSelectedLeadIds(new Set())
+  }
+
+  const handleBulkAction = async (action, reason = null) => {
+    const leadIds = [...selectedLeadIds]
+    if (leadIds.length === 0 || bulkProcessing) return
+    if (action === 'status' && !bulkStatus) return
+
+    // Closing leads as lost asks for a reason instead of a plain confirmation
+    if (action === 'status' && bulkStatus === LOST_STATUS && !reason) {
+      setIsBulkReasonOpen(true)
       return
     }
 
+    const confirmMessages = {
+      status: `Change the status of ${leadIds.length} leads to ${bulkStatus ? formatStatusLabel(bulkStatus) : ''}?`,
+      archive: `Are you sure you want to archive ${leadIds.length} leads?`,
+      restore: `Move ${leadIds.length} leads back to Current Leads?`,
+      delete: `Move ${leadIds.length} leads to the trash?`,
+      untrash: `Restore ${leadIds.length} leads from the trash?`,
+      purge: `Are you sure you want to permanently delete ${leadIds.length} leads? This action cannot be undone.`
+    }
+
+    if (!reason && !window.confirm(confirmMessages[action])) {
+      return
+    }
+
+    setBulkProcessing(true)
     try {
-      const { deletePropertyLead } = await import('../api/properties')
-      const secureDeleteLead = safeAPICall(deletePropertyLead, 'PropertyLeads.handleDeleteLead')
-      const result = await secureDeleteLead(leadId)
+      const secureBulkUpdate = safeAPICall(bulkUpdatePropertyLeads, 'PropertyLeads.handleBulkAction')
+      const result = await secureBulkUpdate(leadIds, action, { status: bulkStatus, ...reason })
 
-      if (result.success) {
-        // Remove the lead from local state
-        setLeads(prevLeads => prevLeads.filter(lead => lead.id !== leadId))
+      if (!result.success) {
+        throw new Error(result.error?.message || `Failed to ${action} leads`)
+      }
+
+      const succeededIds = new Set(
+        result.data.results
+          .filter(leadResult => leadResult.success)
+          .map(leadResult => leadResult.lead_id)
+      )
+
+      if (action === 'status') {
+        succeededIds.forEach(leadId => handleStatusUpdate(leadId, bulkStatus))
+        setBulkStatus('')
       } else {
-        throw new Error(result.error || 'Failed to delete lead')
+        // Every other action moves the leads out of the current tab
+        setLeads(prevLeads => prevLeads.filter(lead => !succeededIds.has(lead.id)))
+      }
+
+      // Keep failed leads selected so they can be retried
+      setSelectedLeadIds(new Set(leadIds.filter(leadId => !succeededIds.has(leadId))))
+
+      if (result.data.failed > 0) {
+        alert(`${result.data.failed} of ${leadIds.length} leads could not be updated. They are still selected so you can try again.`)
       }
     } catch (error) {
-      console.error('Error deleting lead:', error)
-      alert('Failed to delete lead. Please try again.')
+      console.error('Error applying bulk action:', error)
+      alert(`Failed to ${action} the selected leads. Please try again.`)
+    } finally {
+      setBulkProcessing(false)
+      setIsBulkReasonOpen(false)
     }
   }
 
@@ -259,6 +1049,22 @@ const PropertyLeadsContent = () => {
     )
   }
 
+  const SortableHeader = ({ sortBy, children }) => {
+    const isSorted = sort.sortBy === sortBy
+    return (
+      <th
+        className={`sortable-header ${isSorted ? 'sorted' : ''}`}
+        onClick={() => handleHeaderSort(sortBy)}
+        aria-sort={isSorted ? (sort.sortDir === 'asc' ? 'ascending' : 'descending') : 'none'}
+      >
+        {children}
+        <span className="sort-indicator">
+          {isSorted ? (sort.sortDir === 'asc' ? '▲' : '▼') : '↕'}
+        </span>
+      </th>
+    )
+  }
+
   if (loading) {
     return (
       <div>
@@ -286,35 +1092,244 @@ const PropertyLeadsContent = () => {
         >
           Archived
         </button>
+        <button
+          className={`tab ${activeTab === 'trash' ? 'active' : ''}`}
+          onClick={() => handleTabChange('trash')}
+        >
+          Trash
+        </button>
       </div>
 
+      {cachedAt && (
+        <div className="trash-notice cached-leads-notice">
+          No connection: showing leads as loaded on this device{' '}
+          {new Date(cachedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}.
+          Status changes and archives are saved on the device and sent when you're back online.
+        </div>
+      )}
+
+      {mutationErrors.map(mutationError => (
+        <div key={mutationError.id} className="trash-notice lead-mutation-error" role="alert">
+          <span>{mutationError.message}</span>
+          <button className="note-action-btn" onClick={() => dismissMutationError(mutationError.id)}>
+            Dismiss
+          </button>
+        </div>
+      ))}
+
+      {activeTab === 'trash' && trashRetentionDays && (
+        <div className="trash-notice">
+          Leads in the trash are permanently deleted {trashRetentionDays} days after they were deleted.
+        </div>
+      )}
+
       {/* Filter Controls */}
       <div className="filter-controls">
         <div className="filter-group">
-          <label htmlFor="status-filter">Filter by Status:</label>
-          <select
-            id="status-filter"
-            value={statusFilter || ''}
-            onChange={(e) => handleStatusFilterChange(e.target.value || null)}
-            className="status-filter-select"
+          {layout !== 'board' && (
+            <>
+              <label htmlFor="status-filter">Filter by Status:</label>
+              <select
+                id="status-filter"
+                value={statusFilter || ''}
+                onChange={(e) => handleStatusFilterChange(e.target.value || null)}
+                className="status-filter-select"
+              >
+                <option value="">All Statuses</option>
+                {LEAD_STATUS_VALUES.map(status => (
+                  <option key={status} value={status}>
+                    {formatStatusLabel(status)}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+          <button
+            className={`filters-toggle-btn ${showFilters ? 'open' : ''}`}
+            onClick={() => setShowFilters(prev => !prev)}
+            aria-expanded={showFilters}
           >
-            <option value="">All Statuses</option>
-            {LEAD_STATUS_VALUES.map(status => (
-              <option key={status} value={status}>
-                {formatStatusLabel(status)}
-              </option>
-            ))}
-          </select>
+            More Filters
+            {countActiveFilters(filters) > 0 && (
+              <span className="filters-count">{countActiveFilters(filters)}</span>
+            )}
+          </button>
         </div>
 
+        {!isMobile && (
+          <LeadSortSelect sort={sort} onSortChange={handleSortChange} />
+        )}
+
+        {!isMobile && (
+          <div className="layout-toggle" role="group" aria-label="Layout">
+            <button
+              className={`layout-toggle-btn ${layout === 'table' ? 'active' : ''}`}
+              onClick={() => handleLayoutChange('table')}
+            >
+              Table
+            </button>
+            <button
+              className={`layout-toggle-btn ${layout === 'board' ? 'active' : ''}`}
+              onClick={() => handleLayoutChange('board')}
+            >
+              Board
+            </button>
+          </div>
+        )}
+
+        {(isMobile || layout !== 'board') && (
+          <div className="layout-toggle" role="group" aria-label="Browse leads">
+            <button
+              className={`layout-toggle-btn ${browseMode === 'pages' ? 'active' : ''}`}
+              onClick={() => setBrowseMode('pages')}
+              title="Show leads a page at a time"
+            >
+              Pages
+            </button>
+            <button
+              className={`layout-toggle-btn ${browseMode === 'scroll' ? 'active' : ''}`}
+              onClick={() => setBrowseMode('scroll')}
+              title="Load more leads as you scroll"
+            >
+              Scroll
+            </button>
+          </div>
+        )}
+
+        <div className="view-actions">
+          <button className="view-action-btn" onClick={handleSaveView} title="Save this combination of tab, filters and sort">
+            Save View
+          </button>
+          <button className="view-action-btn" onClick={handleCopyViewLink} title="Copy a link to this view">
+            Share
+          </button>
+          <button className="view-action-btn" onClick={() => setIsExportModalOpen(true)} title="Download every lead in this view">
+            Export
+          </button>
+          <button className="view-action-btn" onClick={() => setIsImportWizardOpen(true)} title="Create leads from a CSV of listings">
+            Import
+          </button>
+        </div>
+
+        {isMobile && leads.length > 0 && (
+          <button
+            className={`selection-mode-btn ${selectionMode ? 'active' : ''}`}
+            onClick={handleToggleSelectionMode}
+          >
+            {selectionMode ? 'Done' : 'Select'}
+          </button>
+        )}
+
         {/* Results Count */}
         {!loading && !error && (
           <div className="results-info">
-            Showing {((pagination.page - 1) * pagination.limit) + 1}-{Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} leads
+            {isScrolling
+              ? `Showing ${leads.length} of ${pagination.total} leads`
+              : `Showing ${((pagination.page - 1) * pagination.limit) + 1}-${Math.min(pagination.page * pagination.limit, pagination.total)} of ${pagination.total} leads`}
           </div>
         )}
       </div>
 
+      {showFilters && (
+        <LeadFiltersPanel
+          filters={filters}
+          onApply={handleApplyFilters}
+          onReset={handleResetFilters}
+        />
+      )}
+
+      {/* Bulk Actions */}
+      {selectedLeadIds.size > 0 && (
+        <div className="bulk-actions-bar">
+          <span className="bulk-selection-count">{selectedLeadIds.size} selected</span>
+          {activeTab !== 'trash' && (
+            <div className="bulk-status-group">
+              <select
+                value={bulkStatus}
+                onChange={(e) => setBulkStatus(e.target.value)}
+                className="status-filter-select"
+                disabled={bulkProcessing}
+              >
+                <option value="">Change status to...</option>
+                {LEAD_STATUS_VALUES.map(status => (
+                  <option key={status} value={status}>
+                    {formatStatusLabel(status)}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="bulk-action-btn"
+                onClick={() => handleBulkAction('status')}
+                disabled={!bulkStatus || bulkProcessing}
+              >
+                Apply
+              </button>
+            </div>
+          )}
+          {activeTab === 'active' && (
+            <button
+              className="bulk-action-btn archive"
+              onClick={() => handleBulkAction('archive')}
+              disabled={bulkProcessing}
+            >
+              Archive
+            </button>
+          )}
+          {activeTab === 'archived' && (
+            <button
+              className="bulk-action-btn restore"
+              onClick={() => handleBulkAction('restore')}
+              disabled={bulkProcessing}
+            >
+              Unarchive
+            </button>
+          )}
+          {activeTab === 'trash' ? (
+            <>
+              <button
+                className="bulk-action-btn restore"
+                onClick={() => handleBulkAction('untrash')}
+                disabled={bulkProcessing}
+              >
+                Restore
+              </button>
+              <button
+                className="bulk-action-btn delete"
+                onClick={() => handleBulkAction('purge')}
+                disabled={bulkProcessing}
+              >
+                Delete Forever
+              </button>
+            </>
+          ) : (
+            <button
+              className="bulk-action-btn delete"
+              onClick={() => handleBulkAction('delete')}
+              disabled={bulkProcessing}
+            >
+              Delete
+            </button>
+          )}
+          <button
+            className="bulk-action-btn clear"
+            onClick={() => setSelectedLeadIds(new Set())}
+            disabled={bulkProcessing}
+          >
+            Clear
+          </button>
+          {bulkProcessing && <div className="spinner small"></div>}
+        </div>
+      )}
+
+      {!error && revenue?.dealCount > 0 && (
+        <div className="deal-revenue-summary">
+          <span>Deals matching these filters:</span>
+          <span>Quoted <strong>{formatMoney(revenue.quoted)}</strong></span>
+          <span>Booked <strong>{formatMoney(revenue.booked)}</strong></span>
+          <span>Received <strong>{formatMoney(revenue.received)}</strong></span>
+        </div>
+      )}
+
       <div className="leads-container">
         {error && (
           <div className="no-data">{error}</div>
@@ -329,27 +1344,80 @@ const PropertyLeadsContent = () => {
             <ListingsGrid
               leads={leads}
               onSMSClick={handleSMSClick}
+              activeTab={activeTab}
               onDeleteLead={handleDeleteLead}
               onArchiveLead={handleArchiveLead}
-              onStatusUpdate={handleStatusUpdate}
+              onUnarchiveLead={handleUnarchiveLead}
+              onRestoreLead={handleRestoreLead}
+              onPermanentDeleteLead={handlePermanentDeleteLead}
+              onStatusChange={handleStatusChange}
               onImageClick={handleImageClick}
+              onTimelineClick={handleTimelineClick}
+              onReminderClick={handleReminderClick}
+              onNotesClick={handleNotesClick}
+              onDealClick={handleDealClick}
+              onShootClick={handleShootClick}
+              onScoreClick={setScoreLead}
+              onInvoicesClick={handleInvoicesClick}
+              noteCounts={noteCounts}
+              selectionMode={selectionMode}
+              selectedLeadIds={selectedLeadIds}
+              highlightedLeadIds={highlightedLeadIds}
+              onToggleSelect={handleToggleLeadSelection}
+              sort={sort}
+              onSortChange={handleSortChange}
+              virtualList={isScrolling ? leadList : null}
+            />
+          ) : layout === 'board' ? (
+            <LeadsBoard
+              leads={leads}
+              summary={statusSummary}
+              highlightedLeadIds={highlightedLeadIds}
+              onStatusChange={handleBoardStatusChange}
+              onTimelineClick={handleTimelineClick}
             />
           ) : (
             <table className="leads-table">
               <thead>
                 <tr>
+                  <th className="select-column">
+                    <input
+                      type="checkbox"
+                      checked={leads.length > 0 && selectedLeadIds.size === leads.length}
+                      onChange={handleToggleSelectAll}
+                      aria-label={isScrolling ? 'Select all loaded leads' : 'Select all leads on this page'}
+                    />
+                  </th>
                   <th>Property</th>
-                  <th>Details</th>
-                  <th>Price</th>
+                  <SortableHeader sortBy="bedrooms">Details</SortableHeader>
+                  <SortableHeader sortBy="price">Price</SortableHeader>
                   <th>Agent</th>
                   <th>Broker</th>
-                  <th>Status</th>
+                  <SortableHeader sortBy="suggested_weight">Status</SortableHeader>
                   <th>Actions</th>
                 </tr>
               </thead>
-              <tbody>
-                {leads.map((lead) => (
-                  <tr key={lead.id}>
+              <tbody ref={leadList.containerRef}>
+                {leadList.paddingTop > 0 && (
+                  <tr className="virtual-spacer" aria-hidden="true">
+                    <td colSpan={8} style={{ height: leadList.paddingTop }}></td>
+                  </tr>
+                )}
+                {leadList.visibleItems.map((lead) => (
+                  <tr
+                    key={lead.id}
+                    ref={leadList.measureRef}
+                    data-virtual-key={lead.id}
+                    className={`${selectedLeadIds.has(lead.id) ? 'selected' : ''} ${highlightedLeadIds.has(lead.id) ? 'lead-updated' : ''}`}
+                  >
+                    <td className="select-column">
+                      <input
+                        type="checkbox"
+                        checked={selectedLeadIds.has(lead.id)}
+                        onChange={() => handleToggleLeadSelection(lead.id)}
+                        aria-label={`Select ${lead.property.street_address}`}
+                      />
+                    </td>
                     <td>
                       <ImageCarousel
                         imageUrls={
@@ -418,53 +1486,206 @@ const PropertyLeadsContent = () => {
                     <td>
                       <StatusDropdown
                         lead={lead}
-                        onStatusUpdate={handleStatusUpdate}
+                        onStatusChange={handleStatusChange}
                       />
+                      <ReminderBadge lead={lead} onClick={() => handleReminderClick(lead)} />
+                      <DealBadge lead={lead} onClick={() => handleDealClick(lead)} />
+                      <ShootBadge lead={lead} onClick={() => handleShootClick(lead)} />
+                      <LeadScoreBadge lead={lead} onClick={() => setScoreLead(lead)} />
                     </td>
                     <td>
                       <div className="action-buttons">
+                        {activeTab !== 'trash' && (
+                          <button
+                            className="action-btn sms-btn"
+                            onClick={() => handleSMSClick(lead)}
+                            title="Send SMS to agent"
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                            </svg>
+                          </button>
+                        )}
                         <button
-                          className="action-btn sms-btn"
-                          onClick={() => handleSMSClick(lead)}
-                          title="Send SMS to agent"
-                        >
-                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-                          </svg>
-                        </button>
-                        <button
-                          className="action-btn archive-btn"
-                          onClick={() => handleArchiveLead(lead.id)}
-                          title="Archive lead"
+                          className="action-btn timeline-btn"
+                          onClick={() => handleTimelineClick(lead)}
+                          title="View activity"
                         >
                           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <path d="M3 9a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V9z"></path>
-                            <path d="M3 9V7a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v2"></path>
-                            <line x1="9" y1="12" x2="15" y2="12"></line>
+                            <circle cx="12" cy="12" r="10"></circle>
+                            <polyline points="12,6 12,12 16,14"></polyline>
                           </svg>
                         </button>
                         <button
-                          className="action-btn delete-btn"
-                          onClick={() => handleDeleteLead(lead.id)}
-                          title="Delete lead permanently"
+                          className="action-btn notes-btn"
+                          onClick={() => handleNotesClick(lead)}
+                          title="Notes"
                         >
                           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <line x1="18" y1="6" x2="6" y2="18"></line>
-                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+                            <polyline points="14,2 14,8 20,8"></polyline>
+                            <line x1="8" y1="13" x2="16" y2="13"></line>
+                            <line x1="8" y1="17" x2="13" y2="17"></line>
                           </svg>
+                          {noteCounts[lead.id] > 0 && (
+                            <span className="action-btn-count">{noteCounts[lead.id]}</span>
+                          )}
                         </button>
+                        {activeTab !== 'trash' && INVOICEABLE_STATUSES.includes(lead.status) && (
+                          <button
+                            className="action-btn invoice-btn"
+                            onClick={() => handleInvoicesClick(lead)}
+                            title="Invoices"
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M4 2v20l3-2 3 2 3-2 3 2 3-2 1 .7V2l-1 .7-3-2-3 2-3-2-3 2-3-2z"></path>
+                              <line x1="8" y1="9" x2="16" y2="9"></line>
+                              <line x1="8" y1="13" x2="16" y2="13"></line>
+                            </svg>
+                          </button>
+                        )}
+                        {activeTab !== 'trash' && (SHOOT_STATUSES.includes(lead.status) || lead.shoot?.shoot_date) && (
+                          <button
+                            className="action-btn shoot-btn"
+                            onClick={() => handleShootClick(lead)}
+                            title={lead.shoot?.shoot_date ? 'Edit shoot' : 'Schedule shoot'}
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+                              <line x1="16" y1="2" x2="16" y2="6"></line>
+                              <line x1="8" y1="2" x2="8" y2="6"></line>
+                              <line x1="3" y1="10" x2="21" y2="10"></line>
+                            </svg>
+                          </button>
+                        )}
+                        {activeTab !== 'trash' && (
+                          <button
+                            className="action-btn deal-btn"
+                            onClick={() => handleDealClick(lead)}
+                            title="Deal value"
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <line x1="12" y1="1" x2="12" y2="23"></line>
+                              <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>
+                            </svg>
+                          </button>
+                        )}
+                        {activeTab !== 'trash' && (
+                          <button
+                            className={`action-btn reminder-btn ${lead.next_action_at ? 'has-reminder' : ''}`}
+                            onClick={() => handleReminderClick(lead)}
+                            title={lead.next_action_at ? 'Edit follow-up reminder' : 'Set follow-up reminder'}
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+                              <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+                            </svg>
+                          </button>
+                        )}
+                        {activeTab === 'active' && (
+                          <button
+                            className="action-btn archive-btn"
+                            onClick={() => handleArchiveLead(lead.id)}
+                            title="Archive lead"
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M3 9a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V9z"></path>
+                              <path d="M3 9V7a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v2"></path>
+                              <line x1="9" y1="12" x2="15" y2="12"></line>
+                            </svg>
+                          </button>
+                        )}
+                        {activeTab === 'archived' && (
+                          <button
+                            className="action-btn restore-btn"
+                            onClick={() => handleUnarchiveLead(lead.id)}
+                            title="Move back to Current Leads"
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <polyline points="1,4 1,10 7,10"></polyline>
+                              <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                            </svg>
+                          </button>
+                        )}
+                        {activeTab === 'trash' ? (
+                          <>
+                            <button
+                              className="action-btn restore-btn"
+                              onClick={() => handleRestoreLead(lead.id)}
+                              title="Restore lead"
+                            >
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polyline points="1,4 1,10 7,10"></polyline>
+                                <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                              </svg>
+                            </button>
+                            <button
+                              className="action-btn delete-btn"
+                              onClick={() => handlePermanentDeleteLead(lead.id)}
+                              title="Delete forever"
+                            >
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polyline points="3,6 5,6 21,6"></polyline>
+                                <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                                <path d="M10 11v6"></path>
+                                <path d="M14 11v6"></path>
+                              </svg>
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            className="action-btn delete-btn"
+                            onClick={() => handleDeleteLead(lead.id)}
+                            title="Move lead to trash"
+                          >
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <line x1="18" y1="6" x2="6" y2="18"></line>
+                              <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
                 ))}
+                {leadList.paddingBottom > 0 && (
+                  <tr className="virtual-spacer" aria-hidden="true">
+                    <td colSpan={8} style={{ height: leadList.paddingBottom }}></td>
+                  </tr>
+                )}
               </tbody>
             </table>
           )
         )}
       </div>
 
+      {/* Infinite Scroll Status */}
+      {!loading && !error && isScrolling && leads.length > 0 && (
+        <div className="infinite-scroll-status">
+          {loadingMore ? (
+            <>
+              <div className="spinner small"></div>
+              <span>Loading more leads...</span>
+            </>
+          ) : loadMoreError ? (
+            <>
+              <span>{loadMoreError}</span>
+              <button className="pagination-btn" onClick={loadMoreLeads}>
+                Try again
+              </button>
+            </>
+          ) : hasMoreLeads ? (
+            <button className="pagination-btn" onClick={loadMoreLeads}>
+              Load more
+            </button>
+          ) : (
+            <span>All {leads.length} leads loaded</span>
+          )}
+        </div>
+      )}
+
       {/* Pagination Controls */}
-      {!loading && !error && pagination.totalPages > 1 && (
+      {!loading && !error && !isScrolling && pagination.totalPages > 1 && (
         <div className="pagination-controls">
           <button
             className="pagination-btn"
@@ -512,6 +1733,76 @@ const PropertyLeadsContent = () => {
         currentLead={currentLead}
         onSMSComplete={handleSMSComplete}
         onStatusUpdate={handleStatusUpdate}
+        onReminderUpdate={handleReminderUpdate}
+      />
+
+      <LeadTimelineModal
+        isOpen={!!timelineLead}
+        onClose={handleCloseTimeline}
+        lead={timelineLead}
+      />
+
+      <ExportLeadsModal
+        isOpen={isExportModalOpen}
+        onClose={() => setIsExportModalOpen(false)}
+        view={currentView}
+        total={pagination.total}
+      />
+
+      <ImportLeadsWizard
+        isOpen={isImportWizardOpen}
+        onClose={() => setIsImportWizardOpen(false)}
+        onImported={handleLeadsImported}
+      />
+
+      <LeadInvoicesModal
+        isOpen={!!invoicesLead}
+        onClose={() => setInvoicesLead(null)}
+        lead={invoicesLead}
+        onStatusUpdate={handleLeadStatusChange}
+      />
+
+      <LeadDealModal
+        isOpen={!!dealLead}
+        onClose={() => setDealLead(null)}
+        lead={dealLead}
+        onDealUpdate={handleDealUpdate}
+      />
+
+      <LeadScoreModal
+        isOpen={!!scoreLead}
+        onClose={() => setScoreLead(null)}
+        lead={scoreLead}
+      />
+
+      <ShootScheduleModal
+        isOpen={!!shootLead}
+        onClose={handleCloseShootModal}
+        lead={shootLead}
+        onShootUpdate={handleShootUpdate}
+      />
+
+      <TransitionReasonModal
+        isOpen={isBulkReasonOpen}
+        onClose={() => setIsBulkReasonOpen(false)}
+        onConfirm={(reason) => handleBulkAction('status', reason)}
+        toStatus={LOST_STATUS}
+        subject={`${selectedLeadIds.size} selected leads`}
+        saving={bulkProcessing}
+      />
+
+      <LeadNotesModal
+        isOpen={!!notesLead}
+        onClose={() => setNotesLead(null)}
+        lead={notesLead}
+        onNotesChange={handleNotesChange}
+      />
+
+      <LeadReminderModal
+        isOpen={!!reminderLead}
+        onClose={() => setReminderLead(null)}
+        lead={reminderLead}
+        onReminderUpdate={handleReminderUpdate}
       />
 
       {/* This modal checks for pending SMS confirmations on page load */}
@@ -520,10 +1811,10 @@ const PropertyLeadsContent = () => {
   )
 }
 
-const PropertyLeads = () => {
+const PropertyLeads = ({ onViewSaved, onRemindersChange }) => {
   return (
     <StatusTransitionsProvider>
-      <PropertyLeadsContent />
+      <PropertyLeadsContent onViewSaved={onViewSaved} onRemindersChange={onRemindersChange} />
     </StatusTransitionsProvider>
   )
 }
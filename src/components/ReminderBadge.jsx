@@ -0,0 +1,31 @@
+import { getReminderState, formatReminderDate } from '../lib/reminders'
+
+const REMINDER_LABELS = {
+  overdue: 'Overdue',
+  due_today: 'Due today'
+}
+
+const ReminderBadge = ({ lead, showUpcoming = false, onClick }) => {
+  const state = getReminderState(lead?.next_action_at)
+
+  if (!state || (state === 'upcoming' && !showUpcoming)) {
+    return null
+  }
+
+  const label = REMINDER_LABELS[state] || formatReminderDate(lead.next_action_at)
+  const title = lead.next_action_note
+    ? `${formatReminderDate(lead.next_action_at)}: ${lead.next_action_note}`
+    : `Follow up ${formatReminderDate(lead.next_action_at)}`
+
+  return (
+    <span
+      className={`reminder-badge ${state} ${onClick ? 'clickable' : ''}`}
+      title={title}
+      onClick={onClick}
+    >
+      {label}
+    </span>
+  )
+}
+
+export default ReminderBadge
@@ -55,7 +55,9 @@ const PendingSMSModal = () => {
     try {
       // Update both status and metadata since user confirmed contact
       const secureSetStatus = safeAPICall(setPropertyLeadStatus, 'PendingSMSModal.updateStatus')
-      const statusResult = await secureSetStatus(pendingData.leadId, 'contacted')
+      const statusResult = await secureSetStatus(pendingData.leadId, 'contacted', {
+        templateUsed: pendingData.templateName || null
+      })
 
       // Also update metadata to mark as messaged
       const updatedMetadata = {
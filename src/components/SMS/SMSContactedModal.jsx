@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { updatePropertyLeadMetadata, setPropertyLeadStatus } from '../../api/properties'
 import { safeAPICall } from '../../api/index'
+import LeadReminderModal from '../LeadReminderModal'
 
 const PENDING_SMS_KEY = 'pendingSMSConfirmation'
 
@@ -11,9 +12,17 @@ const SMSContactedModal = ({
   lead,
   template,
   onSMSSent,
-  onStatusUpdate
+  onStatusUpdate,
+  onReminderUpdate
 }) => {
   const [statusUpdateLoading, setStatusUpdateLoading] = useState(false)
+  const [showReminderPrompt, setShowReminderPrompt] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) {
+      setShowReminderPrompt(false)
+    }
+  }, [isOpen])
 
   // Execute SMS immediately when modal opens
   useEffect(() => {
@@ -92,7 +101,9 @@ const SMSContactedModal = ({
     try {
       // Update both status and metadata since user confirmed contact
       const secureSetStatus = safeAPICall(setPropertyLeadStatus, 'SMSContactedModal.updateStatus')
-      const statusResult = await secureSetStatus(workingLead.id, 'contacted')
+      const statusResult = await secureSetStatus(workingLead.id, 'contacted', {
+        templateUsed: template?.name || null
+      })
 
       // Also update metadata to mark as messaged
       const updatedMetadata = {
@@ -119,7 +130,9 @@ const SMSContactedModal = ({
 
         // Clear localStorage since status was successfully updated
         localStorage.removeItem(PENDING_SMS_KEY)
-        onClose()
+
+        // Offer a follow-up reminder before closing; the reminder modal closes this one
+        setShowReminderPrompt(true)
       } else {
         console.error('Failed to update lead status:', statusResult.data?.error || statusResult.error)
         alert('Failed to update lead status. Please update manually.')
@@ -162,6 +175,19 @@ const SMSContactedModal = ({
 
   if (!isOpen || !smsDetails || !workingLead) return null
 
+  if (showReminderPrompt) {
+    return (
+      <LeadReminderModal
+        isOpen={true}
+        onClose={onClose}
+        lead={workingLead}
+        title="Set a Follow-up?"
+        defaultNote="Follow up if no reply"
+        onReminderUpdate={onReminderUpdate}
+      />
+    )
+  }
+
   console.log('SMSContactedModal is rendering!')
 
   return (
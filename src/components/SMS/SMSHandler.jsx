@@ -10,7 +10,8 @@ const SMSHandler = ({
   onClosePreviewModal,
   currentLead,
   onSMSComplete,
-  onStatusUpdate
+  onStatusUpdate,
+  onReminderUpdate
 }) => {
   const [isPreviewModalOpen, setIsPreviewModalOpen] = useState(false)
   const [isContactedModalOpen, setIsContactedModalOpen] = useState(false)
@@ -132,6 +133,7 @@ const SMSHandler = ({
         template={selectedTemplate}
         onSMSSent={handleSMSSent}
         onStatusUpdate={onStatusUpdate}
+        onReminderUpdate={onReminderUpdate}
       />
 
       {error && (
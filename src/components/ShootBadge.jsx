@@ -0,0 +1,21 @@
+import { describeShoot } from '../lib/shoot-schedule'
+
+const ShootBadge = ({ lead, onClick }) => {
+  const label = describeShoot(lead?.shoot)
+
+  if (!label) {
+    return null
+  }
+
+  return (
+    <span
+      className={`shoot-badge ${onClick ? 'clickable' : ''}`}
+      title="Edit shoot"
+      onClick={onClick}
+    >
+      {label}
+    </span>
+  )
+}
+
+export default ShootBadge
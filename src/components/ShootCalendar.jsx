@@ -0,0 +1,337 @@
+import { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { getScheduledShoots, updateLeadShoot } from '../api/shoots'
+import { safeAPICall } from '../api/index'
+import ShootScheduleModal from './ShootScheduleModal'
+import ShootFeedModal from './ShootFeedModal'
+import {
+  CALENDAR_VIEWS,
+  CALENDAR_DAY_START_HOUR,
+  CALENDAR_DAY_END_HOUR,
+  toDateKey,
+  parseDateKey,
+  isValidDateKey,
+  getCalendarRange,
+  shiftCalendarAnchor,
+  formatCalendarTitle,
+  formatShootWindow,
+  rescheduleShoot,
+  groupShootsByDate,
+  timeToMinutes
+} from '../lib/shoot-schedule'
+
+// Shoots listed in a month cell before the rest collapse into "+N more"
+const MAX_MONTH_CELL_SHOOTS = 3
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const ShootCalendar = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  // Links from the calendar feed open ?date=YYYY-MM-DD&lead=<id> on that day with the shoot open
+  const [linkedLeadId, setLinkedLeadId] = useState(() => searchParams.get('lead'))
+  const [view, setView] = useState(() => (isValidDateKey(searchParams.get('date')) ? 'day' : 'week'))
+  const [anchor, setAnchor] = useState(() => (isValidDateKey(searchParams.get('date')) ? searchParams.get('date') : toDateKey(new Date())))
+  const [shoots, setShoots] = useState([])
+  const [unscheduled, setUnscheduled] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [savingLeadId, setSavingLeadId] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  const [editingEntry, setEditingEntry] = useState(null)
+  const [isFeedModalOpen, setIsFeedModalOpen] = useState(false)
+  const draggedEntry = useRef(null)
+
+  const range = getCalendarRange(view, anchor)
+  const today = toDateKey(new Date())
+
+  useEffect(() => {
+    loadShoots()
+  }, [view, anchor])
+
+  const loadShoots = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const { start, end } = getCalendarRange(view, anchor)
+      const secureGetShoots = safeAPICall(getScheduledShoots, 'ShootCalendar.loadShoots')
+      const result = await secureGetShoots({ from: start, to: end })
+
+      if (result.success) {
+        setShoots(result.data.shoots)
+        setUnscheduled(result.data.unscheduled)
+
+        if (linkedLeadId) {
+          const linked = [...result.data.shoots, ...result.data.unscheduled].find(entry => entry.lead_id === linkedLeadId)
+          if (linked) {
+            setEditingEntry(linked)
+          }
+          setLinkedLeadId(null)
+          setSearchParams({}, { replace: true })
+        }
+      } else {
+        setError(result.error?.message || 'Failed to load shoots')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading shoots:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Keeps the local lists in step with a saved shoot without refetching the range
+  const applyShoot = (entry, shoot) => {
+    const updated = { ...entry, shoot }
+    const inRange = shoot.shoot_date && shoot.shoot_date >= range.start && shoot.shoot_date <= range.end
+
+    setShoots(prev => {
+      const others = prev.filter(e => e.lead_id !== entry.lead_id)
+      return inRange ? [...others, updated] : others
+    })
+    setUnscheduled(prev => {
+      const others = prev.filter(e => e.lead_id !== entry.lead_id)
+      return shoot.shoot_date ? others : [updated, ...others]
+    })
+  }
+
+  const handleDragStart = (e, entry) => {
+    draggedEntry.current = entry
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', entry.lead_id)
+  }
+
+  const handleDragEnd = () => {
+    draggedEntry.current = null
+    setDropTarget(null)
+  }
+
+  const handleDragOver = (e, targetKey) => {
+    if (!draggedEntry.current) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+    if (dropTarget !== targetKey) {
+      setDropTarget(targetKey)
+    }
+  }
+
+  const handleDrop = async (e, dateKey, startTime = null) => {
+    e.preventDefault()
+    const entry = draggedEntry.current
+    draggedEntry.current = null
+    setDropTarget(null)
+
+    if (!entry) return
+
+    const changes = rescheduleShoot(entry.shoot, dateKey, startTime)
+    const unchanged = Object.entries(changes).every(([key, value]) => entry.shoot[key] === value)
+    if (unchanged) return
+
+    // Move the card right away and put it back if the save fails
+    const previousShoots = shoots
+    const previousUnscheduled = unscheduled
+    applyShoot(entry, { ...entry.shoot, ...changes })
+
+    setSavingLeadId(entry.lead_id)
+    try {
+      const secureUpdateShoot = safeAPICall(updateLeadShoot, 'ShootCalendar.handleDrop')
+      const result = await secureUpdateShoot(entry.lead_id, changes)
+
+      if (result.success) {
+        applyShoot(entry, result.data)
+      } else {
+        throw new Error(result.error?.message || 'Failed to reschedule shoot')
+      }
+    } catch (err) {
+      console.error('Error rescheduling shoot:', err)
+      setShoots(previousShoots)
+      setUnscheduled(previousUnscheduled)
+      alert(`Failed to reschedule shoot: ${err.message}`)
+    } finally {
+      setSavingLeadId(null)
+    }
+  }
+
+  const openDay = (dateKey) => {
+    setView('day')
+    setAnchor(dateKey)
+  }
+
+  const formatStatusLabel = (status) => {
+    return status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
+  }
+
+  const renderEntry = (entry, compact = false) => {
+    const timeWindow = formatShootWindow(entry.shoot)
+
+    return (
+      <div
+        key={entry.lead_id}
+        className={`shoot-entry status-${entry.status} ${savingLeadId === entry.lead_id ? 'saving' : ''}`}
+        draggable={savingLeadId !== entry.lead_id}
+        onDragStart={(e) => handleDragStart(e, entry)}
+        onDragEnd={handleDragEnd}
+        onClick={() => setEditingEntry(entry)}
+        title={[entry.street_address, timeWindow, formatStatusLabel(entry.status)].filter(Boolean).join(' • ')}
+      >
+        {timeWindow && <span className="shoot-entry-time">{compact ? timeWindow.split(' – ')[0] : timeWindow}</span>}
+        <span className="shoot-entry-address">{entry.street_address || 'Property Address'}</span>
+        {!compact && entry.shoot.shoot_lockbox && (
+          <span className="shoot-entry-detail">Lockbox: {entry.shoot.shoot_lockbox}</span>
+        )}
+      </div>
+    )
+  }
+
+  const shootsByDate = groupShootsByDate(shoots)
+
+  const renderDayView = () => {
+    const entries = shootsByDate.get(anchor) || []
+    const untimed = entries.filter(entry => !entry.shoot.shoot_window_start)
+    const hours = []
+    for (let hour = CALENDAR_DAY_START_HOUR; hour <= CALENDAR_DAY_END_HOUR; hour++) {
+      hours.push(hour)
+    }
+
+    // Shoots outside the visible hours are shown in the first or last row
+    const hourOf = (entry) => {
+      const hour = Math.floor(timeToMinutes(entry.shoot.shoot_window_start) / 60)
+      return Math.min(Math.max(hour, CALENDAR_DAY_START_HOUR), CALENDAR_DAY_END_HOUR)
+    }
+
+    return (
+      <div className="shoot-day-view">
+        <div
+          className={`shoot-hour-row ${dropTarget === 'untimed' ? 'drop-target' : ''}`}
+          onDragOver={(e) => handleDragOver(e, 'untimed')}
+          onDrop={(e) => handleDrop(e, anchor)}
+        >
+          <div className="shoot-hour-label">Any time</div>
+          <div className="shoot-hour-entries">{untimed.map(entry => renderEntry(entry))}</div>
+        </div>
+        {hours.map(hour => {
+          const time = `${String(hour).padStart(2, '0')}:00`
+          const hourEntries = entries.filter(entry => entry.shoot.shoot_window_start && hourOf(entry) === hour)
+
+          return (
+            <div
+              key={hour}
+              className={`shoot-hour-row ${dropTarget === time ? 'drop-target' : ''}`}
+              onDragOver={(e) => handleDragOver(e, time)}
+              onDrop={(e) => handleDrop(e, anchor, time)}
+            >
+              <div className="shoot-hour-label">{`${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`}</div>
+              <div className="shoot-hour-entries">{hourEntries.map(entry => renderEntry(entry))}</div>
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+
+  const renderDayCell = (dateKey, compact) => {
+    const entries = shootsByDate.get(dateKey) || []
+    const visible = compact ? entries.slice(0, MAX_MONTH_CELL_SHOOTS) : entries
+    const date = parseDateKey(dateKey)
+    const outsideMonth = view === 'month' && date.getMonth() !== parseDateKey(anchor).getMonth()
+
+    return (
+      <div
+        key={dateKey}
+        className={`shoot-day-cell ${dateKey === today ? 'today' : ''} ${outsideMonth ? 'outside-month' : ''} ${dropTarget === dateKey ? 'drop-target' : ''}`}
+        onDragOver={(e) => handleDragOver(e, dateKey)}
+        onDrop={(e) => handleDrop(e, dateKey)}
+      >
+        <button className="shoot-day-number" onClick={() => openDay(dateKey)} title="Open day">
+          {view === 'week' ? `${WEEKDAY_LABELS[date.getDay()]} ${date.getDate()}` : date.getDate()}
+        </button>
+        {visible.map(entry => renderEntry(entry, compact))}
+        {entries.length > visible.length && (
+          <button className="shoot-more-btn" onClick={() => openDay(dateKey)}>
+            +{entries.length - visible.length} more
+          </button>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="shoot-calendar">
+      <div className="follow-up-header">
+        <h2 className="page-title">Shoot Calendar</h2>
+        <div className="follow-up-actions">
+          <button className="pagination-btn" onClick={() => setAnchor(shiftCalendarAnchor(view, anchor, -1))}>
+            Previous
+          </button>
+          <button className="pagination-btn" onClick={() => setAnchor(today)}>
+            Today
+          </button>
+          <button className="pagination-btn" onClick={() => setAnchor(shiftCalendarAnchor(view, anchor, 1))}>
+            Next
+          </button>
+          <select className="status-filter-select" value={view} onChange={(e) => setView(e.target.value)}>
+            {CALENDAR_VIEWS.map(option => (
+              <option key={option} value={option}>{formatStatusLabel(option)}</option>
+            ))}
+          </select>
+          <button className="pagination-btn" onClick={() => setIsFeedModalOpen(true)}>
+            Subscribe
+          </button>
+        </div>
+      </div>
+
+      <h3 className="shoot-calendar-title">{formatCalendarTitle(view, anchor)}</h3>
+
+      {error && (
+        <div className="error-state">
+          <p className="error-message">{error}</p>
+          <button className="retry-btn" onClick={loadShoots}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!error && (
+        <div className={`shoot-calendar-body ${loading ? 'loading-dim' : ''}`}>
+          <div className="shoot-calendar-main">
+            {view === 'day' && renderDayView()}
+
+            {view !== 'day' && (
+              <>
+                {view === 'month' && (
+                  <div className="shoot-weekday-row">
+                    {WEEKDAY_LABELS.map(label => <div key={label}>{label}</div>)}
+                  </div>
+                )}
+                <div className={`shoot-grid ${view}`}>
+                  {range.days.map(dateKey => renderDayCell(dateKey, view === 'month'))}
+                </div>
+              </>
+            )}
+          </div>
+
+          <aside className="shoot-unscheduled">
+            <h4>Needs a date</h4>
+            <p className="timeline-meta">Drag a booked lead onto a day to schedule it.</p>
+            {unscheduled.length === 0 && <div className="no-data">Every booked lead has a shoot date.</div>}
+            {unscheduled.map(entry => renderEntry(entry))}
+          </aside>
+        </div>
+      )}
+
+      <ShootScheduleModal
+        isOpen={!!editingEntry}
+        onClose={() => setEditingEntry(null)}
+        lead={editingEntry ? { id: editingEntry.lead_id, status: editingEntry.status, street_address: editingEntry.street_address, shoot: editingEntry.shoot } : null}
+        onShootUpdate={(leadId, shoot) => applyShoot(editingEntry, shoot)}
+      />
+
+      <ShootFeedModal
+        isOpen={isFeedModalOpen}
+        onClose={() => setIsFeedModalOpen(false)}
+      />
+    </div>
+  )
+}
+
+export default ShootCalendar
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react'
+import { getShootCalendarFeed, resetShootCalendarFeed } from '../api/shoots'
+import { safeAPICall } from '../api/index'
+
+const ShootFeedModal = ({ isOpen, onClose }) => {
+  const [feed, setFeed] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [resetting, setResetting] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      loadFeed()
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  const loadFeed = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const secureGetFeed = safeAPICall(getShootCalendarFeed, 'ShootFeedModal.loadFeed')
+      const result = await secureGetFeed()
+
+      if (result.success) {
+        setFeed(result.data)
+      } else {
+        setError(result.error?.message || 'Failed to load calendar link')
+      }
+    } catch (err) {
+      console.error('Unexpected error loading calendar feed:', err)
+      setError('An unexpected error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url)
+      alert('Calendar link copied.')
+    } catch (err) {
+      console.error('Error copying calendar link:', err)
+      window.prompt('Copy the calendar link:', feed.url)
+    }
+  }
+
+  const handleReset = async () => {
+    if (!window.confirm('Reset the calendar link? Phones subscribed with the current link will stop receiving shoots until they subscribe again.')) {
+      return
+    }
+
+    setResetting(true)
+    try {
+      const secureResetFeed = safeAPICall(resetShootCalendarFeed, 'ShootFeedModal.handleReset')
+      const result = await secureResetFeed()
+
+      if (result.success) {
+        setFeed(result.data)
+      } else {
+        throw new Error(result.error?.message || 'Failed to reset calendar link')
+      }
+    } catch (err) {
+      console.error('Error resetting calendar feed:', err)
+      alert(`Failed to reset calendar link: ${err.message}`)
+    } finally {
+      setResetting(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="lead-notes-overlay" onClick={onClose}>
+      <div className="lead-notes-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Subscribe to Shoots</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <p className="timeline-meta">
+            Add this link as a calendar subscription on a phone or in Google Calendar ("From URL").
+            Booked shoots appear with the address, agent phone, lockbox and access notes, and stay in
+            sync when they are rescheduled. Anyone with the link can see your shoots.
+          </p>
+
+          {loading && <div className="loading">Loading calendar link...</div>}
+
+          {!loading && error && (
+            <div className="error-state">
+              <p className="error-message">{error}</p>
+              <button className="retry-btn" onClick={loadFeed}>
+                Retry
+              </button>
+            </div>
+          )}
+
+          {!loading && !error && feed && (
+            <div className="reminder-field">
+              <label htmlFor="shoot-feed-url">Calendar link</label>
+              <input id="shoot-feed-url" type="text" value={feed.url} readOnly onFocus={(e) => e.target.select()} />
+              <div className="note-actions">
+                <a className="note-action-btn" href={feed.url.replace(/^https?:/, 'webcal:')}>
+                  Open in calendar app
+                </a>
+                <button className="note-action-btn primary" onClick={handleCopy}>
+                  Copy link
+                </button>
+                <button className="note-action-btn delete" onClick={handleReset} disabled={resetting}>
+                  {resetting ? 'Resetting...' : 'Reset link'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="no-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ShootFeedModal
@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react'
+import { updateLeadShoot } from '../api/shoots'
+import { safeAPICall } from '../api/index'
+import {
+  SHOOT_DURATIONS,
+  DEFAULT_SHOOT_DURATION,
+  SHOOT_WINDOW_PRESETS,
+  MAX_ACCESS_NOTES_LENGTH,
+  MAX_LOCKBOX_LENGTH,
+  pickShootFields
+} from '../lib/shoot-schedule'
+
+const ShootScheduleModal = ({ isOpen, onClose, lead, onShootUpdate }) => {
+  const [values, setValues] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && lead) {
+      const shoot = pickShootFields(lead.shoot)
+      setValues({
+        shoot_date: shoot.shoot_date || '',
+        shoot_window_start: shoot.shoot_window_start || '',
+        shoot_window_end: shoot.shoot_window_end || '',
+        shoot_duration_minutes: String(shoot.shoot_duration_minutes || DEFAULT_SHOOT_DURATION),
+        shoot_access_notes: shoot.shoot_access_notes || '',
+        shoot_lockbox: shoot.shoot_lockbox || ''
+      })
+    }
+  }, [isOpen, lead?.id])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  if (!isOpen || !lead) return null
+
+  const setValue = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    if (values.shoot_window_start && values.shoot_window_end && values.shoot_window_end < values.shoot_window_start) {
+      alert('The arrival window cannot end before it starts.')
+      return
+    }
+
+    const changes = {}
+    Object.entries(values).forEach(([key, value]) => {
+      changes[key] = typeof value === 'string' && value.trim() === '' ? null : value
+    })
+
+    setSaving(true)
+    try {
+      const secureUpdateShoot = safeAPICall(updateLeadShoot, 'ShootScheduleModal.handleSave')
+      const result = await secureUpdateShoot(lead.id, changes)
+
+      if (result.success) {
+        if (onShootUpdate) {
+          onShootUpdate(lead.id, result.data)
+        }
+        onClose()
+      } else {
+        throw new Error(result.error?.message || 'Failed to save shoot')
+      }
+    } catch (error) {
+      console.error('Error saving shoot:', error)
+      alert(`Failed to save shoot: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="lead-reminder-overlay" onClick={onClose}>
+      <form className="lead-reminder-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSave}>
+        <div className="modal-header">
+          <h3>Schedule Shoot</h3>
+          <button type="button" className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            <strong>{lead.property?.street_address || lead.street_address || 'Property Address'}</strong>
+            {lead.agent?.full_name && (
+              <>
+                <br />
+                {lead.agent.full_name}
+              </>
+            )}
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="shoot-date">Shoot date</label>
+            <input
+              id="shoot-date"
+              type="date"
+              value={values.shoot_date || ''}
+              onChange={(e) => setValue('shoot_date', e.target.value)}
+              disabled={saving}
+            />
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="shoot-window-start">Arrival window</label>
+            <div className="shoot-window-inputs">
+              <input
+                id="shoot-window-start"
+                type="time"
+                value={values.shoot_window_start || ''}
+                onChange={(e) => setValue('shoot_window_start', e.target.value)}
+                disabled={saving}
+              />
+              <span>to</span>
+              <input
+                type="time"
+                aria-label="Arrival window end"
+                value={values.shoot_window_end || ''}
+                onChange={(e) => setValue('shoot_window_end', e.target.value)}
+                disabled={saving}
+              />
+            </div>
+            <div className="shoot-window-presets">
+              {SHOOT_WINDOW_PRESETS.map(preset => (
+                <button
+                  key={preset.label}
+                  type="button"
+                  className="note-action-btn"
+                  onClick={() => setValues(prev => ({ ...prev, shoot_window_start: preset.start, shoot_window_end: preset.end }))}
+                  disabled={saving}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="shoot-duration">Duration on site</label>
+            <select
+              id="shoot-duration"
+              value={values.shoot_duration_minutes || ''}
+              onChange={(e) => setValue('shoot_duration_minutes', e.target.value)}
+              disabled={saving}
+            >
+              {SHOOT_DURATIONS.map(minutes => (
+                <option key={minutes} value={String(minutes)}>
+                  {minutes < 60 ? `${minutes} min` : `${minutes / 60} hr`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="shoot-lockbox">Lockbox</label>
+            <input
+              id="shoot-lockbox"
+              type="text"
+              maxLength={MAX_LOCKBOX_LENGTH}
+              value={values.shoot_lockbox || ''}
+              onChange={(e) => setValue('shoot_lockbox', e.target.value)}
+              placeholder="e.g. Front door, code 4821"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="shoot-access-notes">Access notes</label>
+            <textarea
+              id="shoot-access-notes"
+              rows={3}
+              maxLength={MAX_ACCESS_NOTES_LENGTH}
+              value={values.shoot_access_notes || ''}
+              onChange={(e) => setValue('shoot_access_notes', e.target.value)}
+              placeholder="Gate code, parking, pets, who lets us in..."
+              disabled={saving}
+            />
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="no-btn" onClick={onClose} disabled={saving}>
+            Schedule Later
+          </button>
+          <button type="submit" className="yes-btn" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Shoot'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default ShootScheduleModal
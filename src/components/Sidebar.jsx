@@ -1,6 +1,18 @@
 import { useState } from 'react'
+import { viewToSearchParams } from '../lib/lead-views'
 
-const Sidebar = ({ activeSection, onSectionChange, isOpen = true, isMobile = false, onClose }) => {
+const Sidebar = ({
+  activeSection,
+  onSectionChange,
+  isOpen = true,
+  isMobile = false,
+  onClose,
+  savedViews = [],
+  dueReminderCount = 0,
+  activeViewQuery = null,
+  onOpenView,
+  onDeleteView
+}) => {
   const [expandedSections, setExpandedSections] = useState(['listings']) // Listings expanded by default
 
   const handleSectionChange = (section) => {
@@ -10,6 +22,22 @@ const Sidebar = ({ activeSection, onSectionChange, isOpen = true, isMobile = fal
     }
   }
 
+  const handleOpenView = (savedView) => {
+    onOpenView(savedView)
+    if (isMobile && onClose) {
+      onClose()
+    }
+  }
+
+  const handleDeleteView = (e, savedView) => {
+    e.stopPropagation() // Don't open the view being deleted
+    onDeleteView(savedView)
+  }
+
+  const isViewActive = (savedView) => {
+    return activeViewQuery !== null && viewToSearchParams(savedView.view).toString() === activeViewQuery
+  }
+
   const toggleSection = (section) => {
     setExpandedSections(prev =>
       prev.includes(section)
@@ -60,7 +88,7 @@ const Sidebar = ({ activeSection, onSectionChange, isOpen = true, isMobile = fal
           {expandedSections.includes('listings') && (
             <div className="nav-submenu">
               <div
-                className={`nav-link ${activeSection === 'listings/leads' ? 'active' : ''}`}
+                className={`nav-link ${activeSection === 'listings/leads' && !savedViews.some(isViewActive) ? 'active' : ''}`}
                 onClick={() => handleSectionChange('listings/leads')}
               >
                 <div className="nav-link-spacer"></div>
@@ -72,10 +100,93 @@ const Sidebar = ({ activeSection, onSectionChange, isOpen = true, isMobile = fal
                   Leads
                 </div>
               </div>
+              {savedViews.map(savedView => (
+                <div
+                  key={savedView.id}
+                  className={`nav-link saved-view-link ${isViewActive(savedView) ? 'active' : ''}`}
+                  onClick={() => handleOpenView(savedView)}
+                  title={savedView.name}
+                >
+                  <div className="nav-link-spacer"></div>
+                  <div className="nav-link-content">
+                    <svg className="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polygon points="22,3 2,3 10,12.46 10,19 14,21 14,12.46"></polygon>
+                    </svg>
+                    <span className="saved-view-name">{savedView.name}</span>
+                  </div>
+                  {onDeleteView && (
+                    <button
+                      className="saved-view-delete"
+                      onClick={(e) => handleDeleteView(e, savedView)}
+                      aria-label={`Delete saved view ${savedView.name}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              ))}
             </div>
           )}
         </div>
 
+        <div className="nav-item">
+          <div
+            className={`nav-link ${activeSection === 'follow-ups' ? 'active' : ''}`}
+            onClick={() => handleSectionChange('follow-ups')}
+          >
+            <svg className="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+              <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+            </svg>
+            Due Today
+            {dueReminderCount > 0 && (
+              <span className="nav-count-badge">{dueReminderCount}</span>
+            )}
+          </div>
+        </div>
+
+        <div className="nav-item">
+          <div
+            className={`nav-link ${activeSection === 'duplicates' ? 'active' : ''}`}
+            onClick={() => handleSectionChange('duplicates')}
+          >
+            <svg className="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+              <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+            </svg>
+            Duplicates
+          </div>
+        </div>
+
+        <div className="nav-item">
+          <div
+            className={`nav-link ${activeSection === 'calendar' ? 'active' : ''}`}
+            onClick={() => handleSectionChange('calendar')}
+          >
+            <svg className="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+              <line x1="16" y1="2" x2="16" y2="6"></line>
+              <line x1="8" y1="2" x2="8" y2="6"></line>
+              <line x1="3" y1="10" x2="21" y2="10"></line>
+            </svg>
+            Shoot Calendar
+          </div>
+        </div>
+
+        <div className="nav-item">
+          <div
+            className={`nav-link ${activeSection === 'lost-reasons' ? 'active' : ''}`}
+            onClick={() => handleSectionChange('lost-reasons')}
+          >
+            <svg className="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="20" x2="18" y2="10"></line>
+              <line x1="12" y1="20" x2="12" y2="4"></line>
+              <line x1="6" y1="20" x2="6" y2="14"></line>
+            </svg>
+            Lost Reasons
+          </div>
+        </div>
+
         <div className="nav-item">
           <div
             className={`nav-link ${activeSection === 'directory' ? 'active' : ''}`}
@@ -103,7 +214,10 @@ const Sidebar = ({ activeSection, onSectionChange, isOpen = true, isMobile = fal
         </div>
 
         <div className="nav-item">
-          <div className="nav-link">
+          <div
+            className={`nav-link ${activeSection === 'settings' ? 'active' : ''}`}
+            onClick={() => handleSectionChange('settings')}
+          >
             <svg className="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <circle cx="12" cy="12" r="3"></circle>
               <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1 1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"></path>
@@ -1,16 +1,20 @@
 import { useState, useEffect, useRef } from 'react'
 import { createPortal } from 'react-dom'
-import { getLeadTransitionsBatch, setPropertyLeadStatus, LEAD_STATUS_VALUES } from '../api/properties'
+import { getLeadTransitionsBatch, LEAD_STATUS_VALUES } from '../api/properties'
 import { safeAPICall } from '../api/index'
 import { useStatusTransitions } from '../contexts/StatusTransitionsContext'
+import { requiresTransitionReason } from '../lib/lead-reasons'
+import TransitionReasonModal from './TransitionReasonModal'
 
 // No longer using local cache - using StatusTransitionsContext instead
 
-const StatusDropdown = ({ lead, onStatusUpdate }) => {
+// Status changes are handed to onStatusChange, which shows them right away and saves them in the
+// background (see hooks/useLeadMutations), so the dropdown never waits on the network
+const StatusDropdown = ({ lead, onStatusChange }) => {
   const [isOpen, setIsOpen] = useState(false)
   const [statusOptions, setStatusOptions] = useState([])
   const [loading, setLoading] = useState(false)
-  const [updating, setUpdating] = useState(false)
+  const [savingCount, setSavingCount] = useState(0)
   const [suggestedStatus, setSuggestedStatus] = useState(null)
   const [suggestionWeight, setSuggestionWeight] = useState(null)
   const [dropdownDirection, setDropdownDirection] = useState('down')
@@ -20,6 +24,7 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
   const [touchStart, setTouchStart] = useState(null)
   const [touchEnd, setTouchEnd] = useState(null)
   const [isScrolling, setIsScrolling] = useState(false)
+  const [pendingOption, setPendingOption] = useState(null)
   const { getTransitionsForLead, isLeadLoading } = useStatusTransitions()
 
   // Load all status options when component mounts or lead ID changes
@@ -27,7 +32,7 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
     if (lead?.id) {
       loadStatusOptions()
     }
-  }, [lead?.id, getTransitionsForLead])
+  }, [lead?.id, lead?.status, getTransitionsForLead])
 
   // Listen for when batch loading completes for this lead
   useEffect(() => {
@@ -239,33 +244,23 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
     }
   }
 
-  const handleStatusChange = async (newStatus, statusOption) => {
-    if (newStatus === lead.status || updating) return
+  const handleStatusChange = (newStatus, statusOption, reason = null) => {
+    if (newStatus === lead.status) return
 
-    console.log('StatusDropdown: Attempting to change status from', lead.status, 'to', newStatus, 'for lead', lead.id)
-    setUpdating(true)
-    try {
-      const secureSetStatus = safeAPICall(setPropertyLeadStatus, 'StatusDropdown.setStatus')
-      const result = await secureSetStatus(lead.id, newStatus)
+    // Closing as lost and off-path moves are only saved once a reason is picked
+    if (!reason && requiresTransitionReason(newStatus, statusOption?.isValid)) {
+      setPendingOption(statusOption || { to_status: newStatus, isValid: false })
+      setIsOpen(false)
+      return
+    }
 
-      console.log('StatusDropdown: API result:', result)
+    console.log('StatusDropdown: Changing status from', lead.status, 'to', newStatus, 'for lead', lead.id)
+    setIsOpen(false)
+    setPendingOption(null)
 
-      if (result.success) {
-        console.log('StatusDropdown: Status update successful, calling onStatusUpdate')
-        // Notify parent component of the status change
-        if (onStatusUpdate) {
-          onStatusUpdate(lead.id, newStatus)
-        }
-        setIsOpen(false)
-      } else {
-        console.error('Failed to update status:', result.error)
-        alert('Failed to update status. Please try again.')
-      }
-    } catch (error) {
-      console.error('Error updating status:', error)
-      alert('An error occurred while updating status.')
-    } finally {
-      setUpdating(false)
+    if (onStatusChange) {
+      setSavingCount(count => count + 1)
+      onStatusChange(lead, newStatus, reason).finally(() => setSavingCount(count => count - 1))
     }
   }
 
@@ -356,7 +351,7 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
   return (
     <div className={`status-dropdown-container ${dropdownDirection === 'up' ? 'dropdown-up' : ''}`} ref={dropdownRef}>
       <button
-        className={`status-current ${isOpen ? 'open' : ''}`}
+        className={`status-current ${isOpen ? 'open' : ''} ${savingCount > 0 ? 'saving' : ''}`}
         onClick={(e) => {
           e.preventDefault()
           e.stopPropagation()
@@ -368,7 +363,7 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
           setIsOpen(!isOpen)
         }}
         style={{ backgroundColor: getStatusColor(lead.status) }}
-        disabled={updating}
+        title={savingCount > 0 ? 'Saving...' : undefined}
       >
         <span className="status-label">
           {formatStatusLabel(lead.status)}
@@ -397,7 +392,6 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
                   } ${option.isValid ? 'valid-transition' : 'manual-transition'}`}
                   data-status={option.to_status}
                   onClick={() => handleStatusChange(option.to_status, option)}
-                  disabled={updating}
                 >
                   <div className="transition-content">
                     <span className="transition-status">
@@ -421,11 +415,14 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
         </div>
       )}
 
-      {updating && (
-        <div className="status-updating-overlay">
-          <div className="spinner"></div>
-        </div>
-      )}
+      <TransitionReasonModal
+        isOpen={!!pendingOption}
+        onClose={() => setPendingOption(null)}
+        onConfirm={(reason) => handleStatusChange(pendingOption.to_status, pendingOption, reason)}
+        fromStatus={lead.status}
+        toStatus={pendingOption?.to_status}
+        subject={lead.property?.street_address}
+      />
 
       {/* Mobile Overlay - using portal to avoid clipping */}
       {isOpen && isMobile && (() => {
@@ -508,11 +505,6 @@ const StatusDropdown = ({ lead, onStatusUpdate }) => {
                       e.stopPropagation()
                       handleTouchEnd(e, option)
                     }}
-                    disabled={updating}
-                    style={{
-                      opacity: updating ? 0.5 : 1,
-                      cursor: updating ? 'not-allowed' : 'pointer'
-                    }}
                   >
                     <div className="transition-content">
                       <span className="transition-status">
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import { LOST_STATUS, MAX_REASON_COMMENT_LENGTH, getReasonOptions } from '../lib/lead-reasons'
+
+/**
+ * Asks why a lead is being closed as lost or moved off the usual pipeline path.
+ * Rendered in a portal because StatusDropdown lives inside cards and table cells.
+ * onConfirm receives { reasonCode, reasonComment } and does the status change itself.
+ */
+const TransitionReasonModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  fromStatus,
+  toStatus,
+  subject,
+  saving = false
+}) => {
+  const [reasonCode, setReasonCode] = useState('')
+  const [reasonComment, setReasonComment] = useState('')
+
+  useEffect(() => {
+    if (isOpen) {
+      setReasonCode('')
+      setReasonComment('')
+    }
+  }, [isOpen, toStatus])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && !saving) {
+        onClose()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose, saving])
+
+  const formatStatusLabel = (status) => {
+    return status
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ')
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (!reasonCode) {
+      alert('Pick a reason first.')
+      return
+    }
+
+    onConfirm({ reasonCode, reasonComment: reasonComment.trim() })
+  }
+
+  if (!isOpen || !toStatus) return null
+
+  const isLost = toStatus === LOST_STATUS
+  const options = getReasonOptions(toStatus)
+
+  return createPortal(
+    <div className="transition-reason-overlay" onClick={saving ? undefined : onClose}>
+      <form className="transition-reason-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="modal-header">
+          <h3>{isLost ? 'Why was this lead lost?' : 'Why skip the usual path?'}</h3>
+          <button type="button" className="close-btn" onClick={onClose} disabled={saving}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <div className="lead-info">
+            {subject && <><strong>{subject}</strong><br /></>}
+            {fromStatus ? `${formatStatusLabel(fromStatus)} → ` : 'Move to '}{formatStatusLabel(toStatus)}
+          </div>
+
+          <div className="transition-reason-options">
+            {Object.entries(options).map(([code, label]) => (
+              <label key={code} className={`transition-reason-option ${reasonCode === code ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="transition-reason"
+                  value={code}
+                  checked={reasonCode === code}
+                  onChange={() => setReasonCode(code)}
+                  disabled={saving}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="reminder-field">
+            <label htmlFor="transition-reason-comment">Comment (optional)</label>
+            <textarea
+              id="transition-reason-comment"
+              rows={3}
+              maxLength={MAX_REASON_COMMENT_LENGTH}
+              value={reasonComment}
+              onChange={(e) => setReasonComment(e.target.value)}
+              placeholder={isLost ? 'e.g. Agent said our turnaround was too slow' : 'e.g. Booked over the phone'}
+              disabled={saving}
+            />
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="no-btn" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" className="yes-btn" disabled={saving || !reasonCode}>
+            {saving ? 'Saving...' : `Move to ${formatStatusLabel(toStatus)}`}
+          </button>
+        </div>
+      </form>
+    </div>,
+    document.body
+  )
+}
+
+export default TransitionReasonModal
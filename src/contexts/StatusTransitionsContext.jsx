@@ -1,6 +1,7 @@
-import { createContext, useContext, useState, useCallback } from 'react'
+import { createContext, useContext, useState, useCallback, useEffect } from 'react'
 import { getLeadTransitionsBatch } from '../api/properties'
 import { safeAPICall } from '../api/index'
+import { LEAD_TRANSITIONS_CHANGED_EVENT, LEAD_TRANSITIONS_VERSION_KEY } from '../lib/lead-transitions'
 
 const StatusTransitionsContext = createContext()
 
@@ -16,6 +17,8 @@ export const StatusTransitionsProvider = ({ children }) => {
   const [transitionsCache, setTransitionsCache] = useState(new Map())
   const [loadingBatch, setLoadingBatch] = useState(false)
   const [loadingLeadIds, setLoadingLeadIds] = useState(new Set())
+  // Bumped whenever the cache is cleared so consumers know to reload transitions
+  const [cacheVersion, setCacheVersion] = useState(0)
 
   const loadTransitionsForLeads = useCallback(async (leadIds) => {
     if (!leadIds || leadIds.length === 0) {
@@ -44,17 +47,17 @@ export const StatusTransitionsProvider = ({ children }) => {
       const result = await secureGetTransitions(uncachedLeadIds)
 
       if (result.success) {
-        const newTransitions = new Map(transitionsCache)
+        // Merge into the latest cache, since batches for other pages may have finished meanwhile
+        setTransitionsCache(prev => {
+          const newTransitions = new Map(prev)
 
-        // Add each lead's transitions to the cache
-        Object.entries(result.data).forEach(([leadId, transitions]) => {
-          // console.log('StatusTransitionsContext: Mapping lead', leadId, 'to', transitions.length, 'transitions')
-          newTransitions.set(leadId, transitions)
-        })
+          // Add each lead's transitions to the cache
+          Object.entries(result.data).forEach(([leadId, transitions]) => {
+            newTransitions.set(leadId, transitions)
+          })
 
-        setTransitionsCache(newTransitions)
-        // console.log('StatusTransitionsContext: Loaded transitions for', Object.keys(result.data).length, 'leads')
-        // console.log('StatusTransitionsContext: Total cache size now:', newTransitions.size)
+          return newTransitions
+        })
       } else {
         console.error('Failed to load status transitions batch:', result.error)
       }
@@ -81,16 +84,63 @@ export const StatusTransitionsProvider = ({ children }) => {
     return loadingLeadIds.has(leadId)
   }, [loadingLeadIds])
 
+  // Reloads transitions for leads whose status changed elsewhere (another user or tab), replacing
+  // what is cached for them
+  const refreshTransitionsForLeads = useCallback(async (leadIds) => {
+    if (!leadIds || leadIds.length === 0) {
+      return
+    }
+
+    try {
+      const secureGetTransitions = safeAPICall(getLeadTransitionsBatch, 'StatusTransitions.refreshLeads')
+      const result = await secureGetTransitions(leadIds)
+
+      if (result.success) {
+        setTransitionsCache(prev => {
+          const newTransitions = new Map(prev)
+          leadIds.forEach(leadId => {
+            newTransitions.set(leadId, result.data[leadId] || [])
+          })
+          return newTransitions
+        })
+      } else {
+        console.error('Failed to refresh status transitions:', result.error)
+      }
+    } catch (error) {
+      console.error('Error refreshing status transitions:', error)
+    }
+  }, [])
+
   const clearCache = useCallback(() => {
     setTransitionsCache(new Map())
     setLoadingLeadIds(new Set())
+    setCacheVersion(version => version + 1)
   }, [])
 
+  // Drop cached transitions when lead_transitions is edited, in this tab or another one
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === LEAD_TRANSITIONS_VERSION_KEY) {
+        clearCache()
+      }
+    }
+
+    window.addEventListener(LEAD_TRANSITIONS_CHANGED_EVENT, clearCache)
+    window.addEventListener('storage', handleStorage)
+
+    return () => {
+      window.removeEventListener(LEAD_TRANSITIONS_CHANGED_EVENT, clearCache)
+      window.removeEventListener('storage', handleStorage)
+    }
+  }, [clearCache])
+
   const value = {
     loadTransitionsForLeads,
+    refreshTransitionsForLeads,
     getTransitionsForLead,
     isLeadLoading,
     clearCache,
+    cacheVersion,
     loadingBatch
   }
 
@@ -0,0 +1,149 @@
+import { useState, useRef, useCallback } from 'react'
+import {
+  setPropertyLeadStatus,
+  archivePropertyLead,
+  unarchivePropertyLead,
+  deletePropertyLead,
+  restoreDeletedPropertyLead,
+  permanentlyDeletePropertyLead
+} from '../api/properties'
+import { safeAPICall } from '../api/index'
+import { useStatusTransitions } from '../contexts/StatusTransitionsContext'
+import { runLeadMutation, restoreLead } from '../lib/lead-mutations'
+
+const formatStatusLabel = (status) => {
+  return status
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+const describeLead = (lead) => lead.property?.street_address || 'this lead'
+
+/**
+ * Optimistic status, archive and trash actions for a list of leads (see lib/lead-mutations).
+ * Failed saves put the lead back and add an error explaining what was undone, for the list to
+ * show until it is dismissed.
+ * @param {Object} options - Hook options
+ * @param {Array<Object>} options.leads - Leads currently shown
+ * @param {Function} options.setLeads - State setter of the list
+ * @param {Function} options.isLeadInView - (lead) => whether a lead still belongs in the list after
+ *   its status changed (default: always)
+ * @returns {Object} { changeLeadStatus, archiveLead, unarchiveLead, deleteLead, restoreTrashedLead,
+ *   permanentlyDeleteLead }, each resolving to a
+ *   safeAPICall style result once the change is saved or rolled back, plus mutationErrors
+ *   ([{ id, message }] for undone changes) and dismissMutationError(id)
+ */
+export const useLeadMutations = ({ leads, setLeads, isLeadInView = () => true }) => {
+  const { refreshTransitionsForLeads } = useStatusTransitions()
+  const [mutationErrors, setMutationErrors] = useState([])
+  const errorCount = useRef(0)
+
+  const dismissMutationError = useCallback((id) => {
+    setMutationErrors(prev => prev.filter(mutationError => mutationError.id !== id))
+  }, [])
+
+  const mutate = (lead, { kind, fields, apply, commit, failureMessage }) => {
+    const index = leads.findIndex(item => item.id === lead.id)
+
+    return runLeadMutation(lead.id, {
+      kind,
+      apply: () => setLeads(apply),
+      commit,
+      rollback: (error) => {
+        setLeads(prevLeads => restoreLead(prevLeads, lead, index, fields))
+        errorCount.current += 1
+        setMutationErrors(prev => [...prev, {
+          id: errorCount.current,
+          message: `${failureMessage}: ${error?.message || 'the server did not respond'}. The change has been undone.`
+        }])
+      }
+    })
+  }
+
+  const changeLeadStatus = async (lead, status, reason = null) => {
+    const result = await mutate(lead, {
+      kind: 'status',
+      fields: ['status', 'updated_at'],
+      apply: (prevLeads) => prevLeads
+        .map(item => item.id === lead.id ? { ...item, status, updated_at: new Date().toISOString() } : item)
+        .filter(item => item.id !== lead.id || isLeadInView(item)),
+      commit: async () => {
+        const secureSetStatus = safeAPICall(setPropertyLeadStatus, 'useLeadMutations.changeLeadStatus')
+        const result = await secureSetStatus(lead.id, status, reason || {})
+
+        // The RPC reports refused moves in its payload rather than as an error
+        if (result.success && result.data?.success === false) {
+          return { success: false, error: { message: result.data.error || result.data.message || 'the move was refused' } }
+        }
+
+        return result
+      },
+      failureMessage: `Couldn't move ${describeLead(lead)} from ${formatStatusLabel(lead.status)} to ${formatStatusLabel(status)}`
+    })
+
+    // Allowed moves depend on the status, so the cached ones are out of date now
+    if (result.success) {
+      refreshTransitionsForLeads([lead.id])
+    }
+
+    return result
+  }
+
+  const removeLead = (lead, { commit, failureMessage }) => {
+    return mutate(lead, {
+      kind: 'visibility',
+      fields: [],
+      apply: (prevLeads) => prevLeads.filter(item => item.id !== lead.id),
+      commit,
+      failureMessage
+    })
+  }
+
+  const archiveLead = (lead) => {
+    return removeLead(lead, {
+      commit: () => safeAPICall(archivePropertyLead, 'useLeadMutations.archiveLead')(lead.id),
+      failureMessage: `Couldn't archive ${describeLead(lead)}`
+    })
+  }
+
+  // Unarchived leads belong to the Current Leads tab, so they leave the Archived list
+  const unarchiveLead = (lead) => {
+    return removeLead(lead, {
+      commit: () => safeAPICall(unarchivePropertyLead, 'useLeadMutations.unarchiveLead')(lead.id),
+      failureMessage: `Couldn't unarchive ${describeLead(lead)}`
+    })
+  }
+
+  const deleteLead = (lead) => {
+    return removeLead(lead, {
+      commit: () => safeAPICall(deletePropertyLead, 'useLeadMutations.deleteLead')(lead.id),
+      failureMessage: `Couldn't move ${describeLead(lead)} to the trash`
+    })
+  }
+
+  const restoreTrashedLead = (lead) => {
+    return removeLead(lead, {
+      commit: () => safeAPICall(restoreDeletedPropertyLead, 'useLeadMutations.restoreTrashedLead')(lead.id),
+      failureMessage: `Couldn't restore ${describeLead(lead)} from the trash`
+    })
+  }
+
+  const permanentlyDeleteLead = (lead) => {
+    return removeLead(lead, {
+      commit: () => safeAPICall(permanentlyDeletePropertyLead, 'useLeadMutations.permanentlyDeleteLead')(lead.id),
+      failureMessage: `Couldn't permanently delete ${describeLead(lead)}`
+    })
+  }
+
+  return {
+    changeLeadStatus,
+    archiveLead,
+    unarchiveLead,
+    deleteLead,
+    restoreTrashedLead,
+    permanentlyDeleteLead,
+    mutationErrors,
+    dismissMutationError
+  }
+}
@@ -0,0 +1,130 @@
+import { useEffect, useRef } from 'react'
+import { supabase } from '../lib/supabase'
+import { withLeadDetails } from '../api/properties'
+
+// Changes arriving this close together (bulk edits, imports, rescoring) are handled as one batch
+const LEAD_CHANGE_BATCH_MS = 500
+
+// Columns that change where a lead shows up or what can be done with it
+const WATCHED_LEAD_FIELDS = ['status', 'is_active', 'deleted_at']
+
+let channelCount = 0
+
+/**
+ * Checks whether a lead row can show up in a list loaded with the given query. Only the columns
+ * on property_leads itself are compared; listing filters can't be checked from a realtime row.
+ * @param {Object} row - property_leads row from a realtime change
+ * @param {Object} query - getPropertyLeads options of the list ({ isActive, isDeleted, status })
+ * @returns {boolean} False when the row is certainly outside the list
+ */
+export const couldMatchLeadQuery = (row, query = {}) => {
+  if (Boolean(query.isDeleted) !== Boolean(row.deleted_at)) {
+    return false
+  }
+
+  if (typeof query.isActive === 'boolean' && 'is_active' in row && row.is_active !== query.isActive) {
+    return false
+  }
+
+  return !query.status || !('status' in row) || row.status === query.status
+}
+
+/**
+ * Checks whether a realtime change tells us something the loaded copy of the lead does not show
+ * yet. Echoes of our own edits, and writes to columns the list does not show, compare equal.
+ * Leads that are not loaded only count when the change may bring them into the list.
+ * @param {Object} change - Change from useLeadRealtime: { type, leadId, row }
+ * @param {Object} lead - Loaded lead, or undefined when the lead is not in the list
+ * @param {Object} query - getPropertyLeads options the list was loaded with
+ * @returns {boolean} True if the list should show this change
+ */
+export const hasLeadChanged = (change, lead, query) => {
+  if (!lead) {
+    // Deletes only carry the id, so they can't be checked
+    return change.type === 'DELETE' || couldMatchLeadQuery(change.row, query)
+  }
+
+  if (change.type !== 'UPDATE') {
+    return true
+  }
+
+  return WATCHED_LEAD_FIELDS.some(field =>
+    field in change.row && (change.row[field] ?? null) !== (lead[field] ?? null)
+  )
+}
+
+/**
+ * Applies the row of a realtime UPDATE to the loaded copy of the lead. Only the lead's own
+ * columns change; the listing and property it was loaded with are kept.
+ * @param {Object} lead - Loaded lead
+ * @param {Object} row - property_leads row from the change
+ * @returns {Object} Updated copy of the lead
+ */
+export const applyLeadChange = (lead, row) => {
+  const columns = Object.fromEntries(Object.entries(row).filter(([key]) => key in lead))
+  return withLeadDetails({ ...lead, ...columns }, row)
+}
+
+/**
+ * Subscribes to realtime changes on property_leads, so edits made by teammates or in other tabs
+ * show up without a reload. Row level security decides which changes reach the user, the same
+ * as for queries.
+ * @param {Object} options - Hook options
+ * @param {Function} options.onChanges - Called with a batch of changes, one per lead:
+ *   [{ type: 'INSERT' | 'UPDATE' | 'DELETE', leadId, row }] where row is null for deletes
+ * @param {boolean} options.enabled - Whether to stay subscribed (default: true)
+ */
+export const useLeadRealtime = ({ onChanges, enabled = true }) => {
+  // Always call the latest handler so it sees the current page and filters
+  const onChangesRef = useRef(onChanges)
+  onChangesRef.current = onChanges
+
+  useEffect(() => {
+    if (!enabled) return
+
+    const pendingChanges = new Map()
+    let batchTimer = null
+
+    const flushChanges = () => {
+      batchTimer = null
+      const changes = Array.from(pendingChanges.values())
+      pendingChanges.clear()
+      onChangesRef.current(changes)
+    }
+
+    const handleChange = (payload) => {
+      const leadId = payload.new?.id || payload.old?.id
+      if (!leadId) return
+
+      // A lead added and then edited within one batch is still new to us
+      const previous = pendingChanges.get(leadId)
+      pendingChanges.set(leadId, {
+        type: previous?.type === 'INSERT' && payload.eventType === 'UPDATE' ? 'INSERT' : payload.eventType,
+        leadId,
+        row: payload.eventType === 'DELETE' ? null : payload.new
+      })
+
+      if (!batchTimer) {
+        batchTimer = setTimeout(flushChanges, LEAD_CHANGE_BATCH_MS)
+      }
+    }
+
+    // Each subscriber gets its own channel so unmounting one does not close the others
+    channelCount += 1
+    const channel = supabase
+      .channel(`property-leads-${channelCount}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'property_leads' }, handleChange)
+      .subscribe((status, error) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error('[useLeadRealtime] Subscription failed:', error || status)
+        }
+      })
+
+    return () => {
+      if (batchTimer) {
+        clearTimeout(batchTimer)
+      }
+      supabase.removeChannel(channel)
+    }
+  }, [enabled])
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  replayQueuedMutations,
+  getQueuedMutationCount,
+  OFFLINE_QUEUE_CHANGED_EVENT,
+  OFFLINE_SYNC_COMPLETE_EVENT
+} from '../api/offline'
+
+// While changes are waiting, retry this often in case the browser missed coming back online
+const RETRY_INTERVAL_MS = 30000
+
+/**
+ * Tracks the connection and the offline queue, and sends queued changes when the connection
+ * returns (see api/offline)
+ * @returns {Object} { isOnline, queuedCount, syncing, lastReport, syncNow, dismissReport }
+ */
+export const useOfflineSync = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine)
+  const [queuedCount, setQueuedCount] = useState(0)
+  const [syncing, setSyncing] = useState(false)
+  const [lastReport, setLastReport] = useState(null)
+
+  const refreshQueuedCount = useCallback(async () => {
+    setQueuedCount(await getQueuedMutationCount())
+  }, [])
+
+  const syncNow = useCallback(async () => {
+    if (!navigator.onLine) return
+
+    setSyncing(true)
+    try {
+      await replayQueuedMutations()
+    } catch (error) {
+      console.error('[useOfflineSync] Error sending queued changes:', error)
+    } finally {
+      setSyncing(false)
+      refreshQueuedCount()
+    }
+  }, [refreshQueuedCount])
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true)
+      syncNow()
+    }
+    const handleOffline = () => setIsOnline(false)
+    const handleSyncComplete = (e) => setLastReport(e.detail)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    window.addEventListener(OFFLINE_QUEUE_CHANGED_EVENT, refreshQueuedCount)
+    window.addEventListener(OFFLINE_SYNC_COMPLETE_EVENT, handleSyncComplete)
+
+    // Send anything left over from an earlier visit
+    syncNow()
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+      window.removeEventListener(OFFLINE_QUEUE_CHANGED_EVENT, refreshQueuedCount)
+      window.removeEventListener(OFFLINE_SYNC_COMPLETE_EVENT, handleSyncComplete)
+    }
+  }, [syncNow, refreshQueuedCount])
+
+  useEffect(() => {
+    if (queuedCount === 0 || !isOnline) return
+
+    const interval = setInterval(syncNow, RETRY_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [queuedCount, isOnline, syncNow])
+
+  const dismissReport = useCallback(() => setLastReport(null), [])
+
+  return {
+    isOnline,
+    queuedCount,
+    syncing,
+    lastReport,
+    syncNow,
+    dismissReport
+  }
+}
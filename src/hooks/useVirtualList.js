@@ -0,0 +1,224 @@
+import { useState, useEffect, useLayoutEffect, useMemo, useRef, useCallback } from 'react'
+
+/**
+ * Finds the item at a vertical position within the list
+ * @param {Array<number>} offsets - Top of each item, followed by the total height
+ * @param {number} y - Position in px from the top of the list
+ * @returns {number} Index of the item covering y, clamped to the list
+ */
+const findItemAt = (offsets, y) => {
+  let low = 0
+  let high = offsets.length - 2
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (offsets[middle] <= y) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+
+  return Math.max(0, low)
+}
+
+/**
+ * Finds the element that scrolls the list: the dashboard content pane on wide screens, the page
+ * itself on phones
+ * @param {Element} element - List element
+ * @returns {Element|Window} Scrolling ancestor
+ */
+const findScrollParent = (element) => {
+  for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+    const { overflowY } = window.getComputedStyle(node)
+    if (/auto|scroll|overlay/.test(overflowY) && node.scrollHeight > node.clientHeight) {
+      return node
+    }
+  }
+  return window
+}
+
+/**
+ * Renders only the items of a long list that are on or near the screen, with spacers standing
+ * in for the rest. Items are measured as they render, so they may differ in height; ones not
+ * rendered yet count as estimateSize. Works with whichever element scrolls the page.
+ * @param {Object} options - Hook options
+ * @param {Array} options.items - Every loaded item
+ * @param {Function} options.getKey - (item) => stable key; should not change between renders
+ * @param {number} options.estimateSize - Height in px assumed for items not measured yet
+ * @param {number} options.overscan - Extra px rendered above and below the screen (default: 800)
+ * @param {boolean} options.enabled - When false every item is rendered (default: true)
+ * @param {Function} options.onEndReached - Called when the last item comes within the overscan
+ * @returns {Object} { containerRef, measureRef, visibleItems, paddingTop, paddingBottom,
+ *   saveScrollPosition, restoreScrollPosition }. containerRef goes on the element holding the
+ *   items, measureRef on each rendered item along with data-virtual-key={getKey(item)}.
+ */
+export const useVirtualList = ({ items, getKey, estimateSize, overscan = 800, enabled = true, onEndReached }) => {
+  const containerRef = useRef(null)
+  // Measured heights by key, kept per estimate since a different layout comes with its own
+  const sizes = useMemo(() => new Map(), [estimateSize])
+  const sizesRef = useRef(sizes)
+  sizesRef.current = sizes
+  const observerRef = useRef(null)
+  const anchorRef = useRef(null)
+  // Row gap of the container (grids), read whenever items are measured
+  const gapRef = useRef(0)
+  const [sizesVersion, setSizesVersion] = useState(0)
+  const [range, setRange] = useState({ start: 0, end: 0 })
+
+  // Always call the latest handler so it sees the current list
+  const onEndReachedRef = useRef(onEndReached)
+  onEndReachedRef.current = onEndReached
+
+  // Top of each item within the list, followed by the total height. Measured sizes include the
+  // container's row gap, so grids and tables add up the same way.
+  const offsets = useMemo(() => {
+    const result = [0]
+    items.forEach((item, index) => {
+      result.push(result[index] + (sizes.get(String(getKey(item))) ?? estimateSize))
+    })
+    return result
+  }, [items, sizes, sizesVersion, estimateSize])
+
+  const updateRange = useCallback(() => {
+    const container = containerRef.current
+    if (!container || items.length === 0) return
+
+    const top = container.getBoundingClientRect().top
+    const start = findItemAt(offsets, -top - overscan)
+    const end = Math.min(items.length, findItemAt(offsets, window.innerHeight - top + overscan) + 1)
+
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }))
+  }, [offsets, items.length, overscan])
+
+  const updateRangeRef = useRef(updateRange)
+  updateRangeRef.current = updateRange
+
+  // After every render, since the list may have mounted or moved; unchanged ranges don't re-render
+  useLayoutEffect(() => {
+    if (enabled) {
+      updateRange()
+    }
+  })
+
+  // Listening in the capture phase catches scrolling of any ancestor, whichever one it is
+  useEffect(() => {
+    if (!enabled) return
+
+    let frame = null
+    const handleScroll = () => {
+      if (frame !== null) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        updateRangeRef.current()
+      })
+    }
+
+    document.addEventListener('scroll', handleScroll, { capture: true, passive: true })
+    window.addEventListener('resize', handleScroll)
+
+    return () => {
+      cancelAnimationFrame(frame)
+      document.removeEventListener('scroll', handleScroll, { capture: true })
+      window.removeEventListener('resize', handleScroll)
+    }
+  }, [enabled])
+
+  useEffect(() => {
+    return () => observerRef.current?.disconnect()
+  }, [])
+
+  useEffect(() => {
+    if (enabled && items.length > 0 && range.end >= items.length) {
+      onEndReachedRef.current?.()
+    }
+  }, [enabled, range.end, items.length])
+
+  const measureRef = useCallback((element) => {
+    if (!element || typeof ResizeObserver === 'undefined') return
+
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => {
+        const container = containerRef.current
+        const gap = container ? parseFloat(window.getComputedStyle(container).rowGap) || 0 : 0
+        gapRef.current = gap
+        let changed = false
+
+        entries.forEach(entry => {
+          const key = entry.target.dataset.virtualKey
+          const size = entry.target.offsetHeight + gap
+          if (key && size > gap && sizesRef.current.get(key) !== size) {
+            sizesRef.current.set(key, size)
+            changed = true
+          }
+        })
+
+        if (changed) {
+          setSizesVersion(version => version + 1)
+        }
+      })
+    }
+
+    const observer = observerRef.current
+    observer.observe(element)
+    return () => observer.unobserve(element)
+  }, [])
+
+  /**
+   * Remembers which item is at the top of the screen and where, e.g. before opening a modal
+   */
+  const saveScrollPosition = useCallback(() => {
+    const container = containerRef.current
+    if (!enabled || !container || items.length === 0) return
+
+    const top = container.getBoundingClientRect().top
+    const index = findItemAt(offsets, -top)
+    anchorRef.current = { key: String(getKey(items[index])), screenTop: top + offsets[index] }
+  }, [enabled, items, offsets])
+
+  /**
+   * Scrolls the item saved by saveScrollPosition back to where it was, even if items above it
+   * were removed or changed size in the meantime
+   */
+  const restoreScrollPosition = useCallback(() => {
+    const anchor = anchorRef.current
+    const container = containerRef.current
+    anchorRef.current = null
+    if (!enabled || !anchor || !container) return
+
+    const index = items.findIndex(item => String(getKey(item)) === anchor.key)
+    if (index === -1) return
+
+    const drift = container.getBoundingClientRect().top + offsets[index] - anchor.screenTop
+    if (Math.abs(drift) >= 1) {
+      findScrollParent(container).scrollBy(0, drift)
+    }
+  }, [enabled, items, offsets])
+
+  if (!enabled) {
+    return {
+      containerRef,
+      measureRef: undefined,
+      visibleItems: items,
+      paddingTop: 0,
+      paddingBottom: 0,
+      saveScrollPosition,
+      restoreScrollPosition
+    }
+  }
+
+  const start = Math.min(range.start, items.length)
+  const end = Math.min(Math.max(range.end, start), items.length)
+  const gap = gapRef.current
+
+  return {
+    containerRef,
+    measureRef,
+    visibleItems: items.slice(start, end),
+    // The spacers sit in the layout like items, so each is followed or preceded by one gap
+    paddingTop: Math.max(0, offsets[start] - gap),
+    paddingBottom: Math.max(0, offsets[items.length] - offsets[end] - gap),
+    saveScrollPosition,
+    restoreScrollPosition
+  }
+}
@@ -1,5 +1,11 @@
 import { Hono } from 'hono'
+import { cors } from 'hono/cors'
 import { createClient } from '@supabase/supabase-js'
+import { runLeadAging } from './lib/lead-aging'
+import { getTrashRetentionDays, purgeExpiredLeads } from './lib/lead-trash'
+import { renderInvoiceHtml } from './lib/invoices'
+import { pickShootFields, SHOOT_FIELD_KEYS, addDaysToKey, toDateKey } from './lib/shoot-schedule'
+import { renderShootFeed, SHOOT_FEED_PAST_DAYS, MAX_SHOOT_FEED_EVENTS } from './lib/shoot-feed'
 
 const app = new Hono()
 
@@ -972,6 +978,195 @@ app.get('/api/property-leads', async (c) => {
   }
 })
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Printable invoice linked from the lead's Invoices dialog. The share token in the link is the
+// only credential, so the same link can be sent to the agent; lookups need the service role key.
+app.get('/invoices/:invoice_id', async (c) => {
+  const invoiceId = c.req.param('invoice_id')
+  const token = c.req.query('token') || ''
+
+  if (!UUID_PATTERN.test(invoiceId) || !UUID_PATTERN.test(token)) {
+    return c.text('Invoice not found', 404)
+  }
+
+  try {
+    const supabase = createClient(c.env.SUPABASE_URL, c.env.SUPABASE_SERVICE_ROLE_KEY)
+
+    const { data: invoice, error } = await supabase
+      .from('lead_invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .eq('share_token', token)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Supabase error loading invoice:', error)
+      return c.text('Failed to load invoice', 500)
+    }
+
+    if (!invoice) {
+      return c.text('Invoice not found', 404)
+    }
+
+    c.header('Cache-Control', 'private, no-store')
+    return c.html(renderInvoiceHtml(invoice))
+  } catch (error) {
+    console.error('Invoice error:', error)
+    return c.text('Failed to load invoice', 500)
+  }
+})
+
+// Shoot calendar subscription for phone calendars (Settings > Calendar > Add subscription).
+// Like invoice links, the feed token in the path is the only credential, so it is looked up
+// with the service role key; resetting the token in the app revokes old subscriptions.
+app.get('/calendar/:token/shoots.ics', async (c) => {
+  const token = c.req.param('token')
+
+  if (!UUID_PATTERN.test(token)) {
+    return c.text('Calendar not found', 404)
+  }
+
+  try {
+    const supabase = createClient(c.env.SUPABASE_URL, c.env.SUPABASE_SERVICE_ROLE_KEY)
+
+    const { data: feed, error: feedError } = await supabase
+      .from('shoot_calendar_feeds')
+      .select('user_id')
+      .eq('token', token)
+      .maybeSingle()
+
+    if (feedError) {
+      console.error('Supabase error loading calendar feed:', feedError)
+      return c.text('Failed to load calendar', 500)
+    }
+
+    if (!feed) {
+      return c.text('Calendar not found', 404)
+    }
+
+    const { data: leads, error: leadsError } = await supabase
+      .from('property_leads')
+      .select(`id, status, is_active, deleted_at, updated_at, ${SHOOT_FIELD_KEYS.join(', ')}, listings(metadata, agents!listings_temp_agent_id_fkey(first_name, last_name, phone_number))`)
+      .eq('user_id', feed.user_id)
+      .gte('shoot_date', addDaysToKey(toDateKey(new Date()), -SHOOT_FEED_PAST_DAYS))
+      .order('shoot_date', { ascending: true })
+      .limit(MAX_SHOOT_FEED_EVENTS)
+
+    if (leadsError) {
+      console.error('Supabase error loading shoots:', leadsError)
+      return c.text('Failed to load calendar', 500)
+    }
+
+    const entries = (leads || []).map(lead => {
+      const address = lead.listings?.metadata?.address || {}
+      const agent = lead.listings?.agents || {}
+
+      return {
+        lead_id: lead.id,
+        status: lead.status,
+        is_active: lead.is_active,
+        deleted_at: lead.deleted_at,
+        updated_at: lead.updated_at,
+        shoot: pickShootFields(lead),
+        address: {
+          street_address: address.streetAddress || null,
+          city: address.city || null,
+          state: address.state || null,
+          zipcode: address.zipcode || null
+        },
+        agent: {
+          full_name: `${agent.first_name || ''} ${agent.last_name || ''}`.trim() || null,
+          phone_number: agent.phone_number || null
+        }
+      }
+    })
+
+    // The dashboard may be served from another origin than this Worker
+    const appUrl = c.env.APP_URL || new URL(c.req.url).origin
+    const ics = renderShootFeed(entries, {
+      getLeadUrl: (entry) => `${appUrl}/calendar?date=${entry.shoot.shoot_date}&lead=${entry.lead_id}`
+    })
+
+    return c.body(ics, 200, {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="shoots.ics"',
+      'Cache-Control': 'private, max-age=300'
+    })
+  } catch (error) {
+    console.error('Calendar feed error:', error)
+    return c.text('Failed to load calendar', 500)
+  }
+})
+
 app.get('/api/', (c) => c.json({ name: 'PropertyScout API' }))
 
-export default app
+// How long deleted leads stay in the trash, shown on the dashboard's Trash tab. The dashboard
+// may be served from another origin (VITE_WORKER_URL), hence CORS.
+app.get('/api/trash', cors({ origin: '*', allowMethods: ['GET'] }), (c) => {
+  return c.json({
+    success: true,
+    data: { retention_days: getTrashRetentionDays(c.env) }
+  })
+})
+
+// Runs every user's enabled lead aging rules (see [triggers] in wrangler.toml).
+// Needs SUPABASE_SERVICE_ROLE_KEY since there is no user session on a cron run.
+const runScheduledLeadAging = async (env) => {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY)
+
+  const { data: rules, error } = await supabase
+    .from('lead_aging_rules')
+    .select('user_id')
+    .eq('enabled', true)
+
+  if (error) {
+    console.error('Supabase error loading lead aging rules:', error)
+    return
+  }
+
+  const userIds = [...new Set((rules || []).map(rule => rule.user_id))]
+  const failedUsers = []
+
+  for (const userId of userIds) {
+    try {
+      const summary = await runLeadAging(supabase, userId, { serviceRole: true })
+      console.log(`Lead aging for ${userId}: ${summary.applied} applied, ${summary.failed} failed of ${summary.matched} matched`)
+
+      if (summary.failed > 0) {
+        const errors = [...new Set(summary.results.filter(result => !result.success).map(result => result.error))]
+        console.error(`Lead aging failed for ${summary.failed} leads of ${userId}:`, errors.join('; '))
+        failedUsers.push(userId)
+      }
+    } catch (agingError) {
+      console.error(`Error running lead aging for ${userId}:`, agingError)
+      failedUsers.push(userId)
+    }
+  }
+
+  // Every user still gets their run; failing the invocation afterwards flags it in the cron logs
+  if (failedUsers.length > 0) {
+    throw new Error(`Lead aging failed for ${failedUsers.length} of ${userIds.length} users: ${failedUsers.join(', ')}`)
+  }
+}
+
+// Permanently deletes every user's trashed leads past TRASH_RETENTION_DAYS (see wrangler.toml)
+const runScheduledTrashPurge = async (env) => {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY)
+  const retentionDays = getTrashRetentionDays(env)
+
+  const summary = await purgeExpiredLeads(supabase, { retentionDays })
+  console.log(`Trash purge: ${summary.purged} purged, ${summary.failed} failed (retention ${retentionDays} days)`)
+
+  if (summary.failed > 0) {
+    throw new Error(`Trash purge failed for ${summary.failed} leads: ${summary.errors.join('; ')}`)
+  }
+}
+
+export default {
+  fetch: app.fetch,
+  scheduled: (event, env, ctx) => {
+    ctx.waitUntil(runScheduledLeadAging(env))
+    ctx.waitUntil(runScheduledTrashPurge(env))
+  }
+}
@@ -173,6 +173,10 @@ export const createAutoRefreshClient = (client) => {
     }
   }
 
+  // Realtime methods live on the client's prototype, so the spread above does not copy them
+  enhancedClient.channel = client.channel.bind(client)
+  enhancedClient.removeChannel = client.removeChannel.bind(client)
+
   return enhancedClient
 }
 
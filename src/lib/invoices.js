@@ -0,0 +1,197 @@
+import { format_dre, format_number } from './generic_functions'
+
+/**
+ * Invoice helpers shared by the invoices API and the Worker's printable invoice route.
+ * lead_invoices rows keep a snapshot of what was billed (bill_to, property, line_items) so an
+ * invoice never changes when the lead, agent or deal is edited later.
+ */
+
+export const INVOICE_STATUSES = ['draft', 'sent', 'paid']
+
+// Leads can be invoiced once the photos are delivered
+export const INVOICEABLE_STATUSES = ['delivered', 'paid', 'closed_won']
+
+export const INVOICE_DUE_DAYS = 14
+export const MAX_INVOICE_LINE_ITEMS = 20
+export const DEFAULT_LINE_ITEM_DESCRIPTION = 'Real estate photography'
+
+/**
+ * Builds an invoice number such as INV-2024-0042
+ * @param {number} sequence - Per-user invoice counter, starting at 1
+ * @param {string|Date} issuedAt - Issue date
+ * @returns {string} Invoice number
+ */
+export const formatInvoiceNumber = (sequence, issuedAt) => {
+  return `INV-${new Date(issuedAt).getFullYear()}-${String(sequence).padStart(4, '0')}`
+}
+
+/**
+ * Snapshots the billing details of a lead for a new invoice
+ * @param {Object} lead - Lead with property, agent, broker and deal (see getPropertyLeads)
+ * @returns {Object} { bill_to, property, line_items } for a lead_invoices row
+ */
+export const buildInvoiceFromLead = (lead) => {
+  const deal = lead.deal || {}
+  const amount = deal.final_amount ?? deal.quoted_price ?? 0
+
+  return {
+    bill_to: {
+      agent_name: lead.agent?.full_name || null,
+      agent_email: lead.agent?.email || null,
+      agent_phone: lead.agent?.phone_number || null,
+      agent_license: lead.agent?.license_number || null,
+      broker_name: lead.broker?.name || null,
+      broker_phone: lead.broker?.phone_number || null
+    },
+    property: {
+      street_address: lead.property?.street_address || null,
+      city: lead.property?.city || null,
+      state: lead.property?.state || null,
+      zipcode: lead.property?.zipcode || null
+    },
+    line_items: [
+      { description: deal.quoted_package || DEFAULT_LINE_ITEM_DESCRIPTION, amount: Number(amount) || 0 }
+    ]
+  }
+}
+
+/**
+ * Adds up invoice line items
+ * @param {Array<Object>} lineItems - { description, amount } rows
+ * @returns {number} Total in dollars, rounded to cents
+ */
+export const getInvoiceTotal = (lineItems = []) => {
+  const cents = lineItems.reduce((sum, item) => sum + Math.round((Number(item.amount) || 0) * 100), 0)
+  return cents / 100
+}
+
+/**
+ * Formats an invoice amount with cents
+ * @param {number} amount - Amount in dollars
+ * @returns {string} e.g. "$1,250.00"
+ */
+export const formatInvoiceAmount = (amount) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(Number(amount) || 0)
+}
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+const formatInvoiceDate = (timestamp) => {
+  if (!timestamp) return ''
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+}
+
+/**
+ * Renders a printable invoice page. "Save as PDF" is left to the browser's print dialog.
+ * @param {Object} invoice - lead_invoices row
+ * @returns {string} Complete HTML document
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const billTo = invoice.bill_to || {}
+  const property = invoice.property || {}
+  const issuer = invoice.issuer || {}
+  const lineItems = invoice.line_items || []
+
+  const billToLines = [
+    billTo.agent_name,
+    billTo.agent_license && format_dre(billTo.agent_license),
+    billTo.broker_name,
+    billTo.agent_phone && format_number(billTo.agent_phone, 'US'),
+    billTo.agent_email
+  ].filter(Boolean)
+
+  const propertyLines = [
+    property.street_address,
+    [property.city, [property.state, property.zipcode].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+  ].filter(Boolean)
+
+  const rows = lineItems.map(item => `
+          <tr>
+            <td>${escapeHtml(item.description)}</td>
+            <td class="amount">${formatInvoiceAmount(item.amount)}</td>
+          </tr>`).join('')
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Invoice ${escapeHtml(invoice.invoice_number)}</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #212529; max-width: 760px; margin: 40px auto; padding: 0 24px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 32px; }
+    h1 { margin: 0; font-size: 32px; letter-spacing: 1px; }
+    .status { display: inline-block; margin-top: 8px; padding: 2px 10px; border-radius: 10px; font-size: 12px; font-weight: 600; text-transform: uppercase; background: #e9ecef; }
+    .status.paid { background: #d1e7dd; color: #0f5132; }
+    .meta { text-align: right; font-size: 14px; line-height: 1.6; }
+    .parties { display: flex; gap: 48px; margin-bottom: 32px; font-size: 14px; line-height: 1.6; }
+    .parties h2 { margin: 0 0 4px; font-size: 12px; text-transform: uppercase; color: #6c757d; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { padding: 10px 8px; border-bottom: 1px solid #dee2e6; text-align: left; }
+    th { font-size: 12px; text-transform: uppercase; color: #6c757d; }
+    .amount { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: 700; font-size: 16px; border-bottom: none; }
+    .notes { margin-top: 32px; font-size: 14px; white-space: pre-wrap; color: #495057; }
+    .print-btn { margin-top: 32px; padding: 10px 20px; border: none; border-radius: 6px; background: #007bff; color: white; font-size: 14px; cursor: pointer; }
+    @media print { .print-btn { display: none; } body { margin: 0 auto; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>INVOICE</h1>
+      <span class="status ${escapeHtml(invoice.status)}">${escapeHtml(invoice.status)}</span>
+    </div>
+    <div class="meta">
+      <div><strong>${escapeHtml(invoice.invoice_number)}</strong></div>
+      <div>Issued ${escapeHtml(formatInvoiceDate(invoice.issued_at))}</div>
+      ${invoice.due_at ? `<div>Due ${escapeHtml(formatInvoiceDate(invoice.due_at))}</div>` : ''}
+      ${invoice.paid_at ? `<div>Paid ${escapeHtml(formatInvoiceDate(invoice.paid_at))}</div>` : ''}
+    </div>
+  </header>
+
+  <section class="parties">
+    ${issuer.name || issuer.email ? `<div>
+      <h2>From</h2>
+      ${[issuer.name, issuer.email].filter(Boolean).map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+    </div>` : ''}
+    <div>
+      <h2>Bill to</h2>
+      ${billToLines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+    </div>
+    <div>
+      <h2>Property</h2>
+      ${propertyLines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+    </div>
+  </section>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="amount">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td>Total</td>
+        <td class="amount">${formatInvoiceAmount(invoice.total)}</td>
+      </tr>
+    </tfoot>
+  </table>
+
+  ${invoice.notes ? `<div class="notes">${escapeHtml(invoice.notes)}</div>` : ''}
+
+  <button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>`
+}
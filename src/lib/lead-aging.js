@@ -0,0 +1,303 @@
+// Imported with its extension because dev-server.js loads this file directly in Node
+import { LOST_STATUS, AGED_OUT_REASON_CODE } from './lead-reasons.js'
+import { toHistoryParam } from './lead-history.js'
+
+/**
+ * Lead aging rules engine shared by the aging route (functions/api/lead.js, dev-server.js)
+ * and the scheduled Worker (src/index.js). Takes a Supabase client instead of importing one
+ * so it runs with either a user-scoped client or the service-role client used by the cron.
+ *
+ * A rule looks like { name, from_status, basis, days, action, to_status, enabled }:
+ *   basis 'status_age' - days since the lead last changed status
+ *   basis 'lead_age'   - days since the lead was created
+ *   action 'status'    - move to to_status through set_property_lead_status (or
+ *                        set_property_lead_status_for_user on the service-role client)
+ *   action 'archive'   - archive the lead, like PATCH /api/lead/:lead_id/archive
+ */
+
+export const AGING_RULE_COLUMNS = 'id, name, from_status, basis, days, action, to_status, enabled, position, created_at'
+
+export const AGING_BASES = {
+  status_age: 'with no status change for',
+  lead_age: 'older than'
+}
+
+export const AGING_ACTIONS = ['status', 'archive']
+
+// Candidate leads fetched and applied per page; a run pages through all of them
+const AGING_PAGE_SIZE = 500
+const HISTORY_CHUNK_SIZE = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatStatusLabel = (status) => {
+  return String(status || '')
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+/**
+ * Describes a rule in plain words, e.g. "Contacted with no status change for 14 days → Closed Lost"
+ * @param {Object} rule - Aging rule
+ * @returns {string} Rule description
+ */
+export const describeAgingRule = (rule) => {
+  const outcome = rule.action === 'archive' ? 'Archive' : formatStatusLabel(rule.to_status)
+  return `${formatStatusLabel(rule.from_status)} ${AGING_BASES[rule.basis] || ''} ${rule.days} days → ${outcome}`
+}
+
+/**
+ * Validates a rule before it is saved
+ * @param {Object} rule - Aging rule
+ * @param {Array<string>} statuses - Valid lead statuses
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+export const validateAgingRule = (rule, statuses) => {
+  if (!statuses.includes(rule.from_status)) return 'Choose the status the rule applies to'
+  if (!AGING_BASES[rule.basis]) return 'Choose how the age is measured'
+  if (!Number.isInteger(Number(rule.days)) || Number(rule.days) < 1 || Number(rule.days) > 3650) {
+    return 'Days must be a whole number between 1 and 3650'
+  }
+  if (!AGING_ACTIONS.includes(rule.action)) return 'Choose what the rule does'
+  if (rule.action === 'status') {
+    if (!statuses.includes(rule.to_status)) return 'Choose the status to move leads to'
+    if (rule.to_status === rule.from_status) return 'The new status must differ from the current one'
+  }
+  return null
+}
+
+/**
+ * Latest of a lead's created_at and updated_at. Stands in for the last status change of leads
+ * with no status history, e.g. ones moved before history was recorded; updated_at is at least
+ * as recent as that move, so such a lead is never aged from further back than it could be.
+ * @param {Object} lead - Lead with created_at and updated_at
+ * @returns {string} Timestamp
+ */
+const getLastTouched = (lead) => {
+  if (!lead.updated_at) return lead.created_at
+  return new Date(lead.updated_at) > new Date(lead.created_at) ? lead.updated_at : lead.created_at
+}
+
+/**
+ * Finds which rule applies to each lead. Rules are checked in order and the first match wins.
+ * @param {Array<Object>} rules - Enabled aging rules in priority order
+ * @param {Array<Object>} leads - Leads with id, status, created_at, updated_at
+ * @param {Map<string, string>} lastStatusChangeByLead - Lead ID to timestamp of its last status change;
+ *   leads missing from it are measured from getLastTouched
+ * @param {Date} now - Evaluation time
+ * @returns {Array<Object>} Matches of { lead, rule, ageDays }
+ */
+export const findAgingMatches = (rules, leads, lastStatusChangeByLead, now = new Date()) => {
+  const matches = []
+
+  leads.forEach(lead => {
+    for (const rule of rules) {
+      if (rule.from_status !== lead.status) continue
+
+      const since = rule.basis === 'status_age'
+        ? lastStatusChangeByLead.get(lead.id) || getLastTouched(lead)
+        : lead.created_at
+      const ageDays = Math.floor((now.getTime() - new Date(since).getTime()) / DAY_MS)
+
+      if (ageDays >= Number(rule.days)) {
+        matches.push({ lead, rule, ageDays })
+        break
+      }
+    }
+  })
+
+  return matches
+}
+
+/**
+ * Loads when each lead last changed status through the get_last_status_changes RPC, which
+ * returns one row per lead (the newest property_lead_history entry whose from_status differs
+ * from its to_status) so a chunk never runs into the API's row limit
+ * @param {Object} client - Supabase client
+ * @param {Array<string>} leadIds - Lead IDs
+ * @returns {Promise<Map<string, string>>} Lead ID to timestamp
+ */
+const loadLastStatusChanges = async (client, leadIds) => {
+  const lastChange = new Map()
+
+  for (let i = 0; i < leadIds.length; i += HISTORY_CHUNK_SIZE) {
+    const { data, error } = await client.rpc('get_last_status_changes', {
+      p_lead_ids: leadIds.slice(i, i + HISTORY_CHUNK_SIZE)
+    })
+
+    if (error) {
+      throw new Error(`Failed to fetch lead history: ${error.message}`)
+    }
+
+    for (const entry of data || []) {
+      lastChange.set(entry.lead_id, entry.changed_at)
+    }
+  }
+
+  return lastChange
+}
+
+/**
+ * Applies one match: a status change or an archive, recorded in the lead history by the same
+ * RPC. The RPCs check the lead against auth.uid(), which the service-role client doesn't have,
+ * so cron runs use their _for_user variants: the same checks against p_user_id, granted to
+ * service_role only, returning the same way.
+ * @param {Object} client - Supabase client
+ * @param {string} userId - Lead owner
+ * @param {Object} match - { lead, rule }
+ * @param {boolean} serviceRole - Whether client is the service-role client
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+const applyAgingMatch = async (client, userId, { lead, rule }, serviceRole) => {
+  const owner = serviceRole ? { p_user_id: userId } : {}
+  const history = toHistoryParam({
+    action: 'aging_rule',
+    metadataDiff: {
+      aging_rule: { from: null, to: rule.name || describeAgingRule(rule) },
+      ...(rule.action === 'archive' ? { is_active: { from: true, to: false } } : {})
+    },
+    reasonCode: rule.action === 'status' && rule.to_status === LOST_STATUS ? AGED_OUT_REASON_CODE : null
+  })
+
+  if (rule.action === 'status') {
+    const { data, error } = await client.rpc(serviceRole ? 'set_property_lead_status_for_user' : 'set_property_lead_status', {
+      ...owner,
+      p_lead_id: lead.id,
+      p_new_status: rule.to_status,
+      p_history: history
+    })
+
+    if (error || data?.success === false) {
+      return error?.message || data?.error || 'Failed to update status'
+    }
+  } else {
+    const { data, error } = await client.rpc(serviceRole ? 'update_property_lead_fields_for_user' : 'update_property_lead_fields', {
+      ...owner,
+      p_lead_id: lead.id,
+      p_changes: { is_active: false },
+      p_history: history
+    })
+
+    if (error || !data) {
+      return error?.message || 'Failed to archive lead'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Evaluates a user's enabled aging rules against their active leads and, unless dryRun,
+ * applies them. Candidates are read a page at a time, ordered by created_at and id, and each
+ * page is applied before the next is read.
+ * @param {Object} client - Supabase client allowed to read and update the user's leads
+ * @param {string} userId - User whose rules run
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {Date} options.now - Evaluation time (default: now)
+ * @param {boolean} options.serviceRole - client is the service-role client, with no user session
+ * @returns {Promise<Object>} { rules, evaluated, matched, applied, failed, results }
+ */
+export const runLeadAging = async (client, userId, { dryRun = false, now = new Date(), serviceRole = false } = {}) => {
+  const { data: rules, error: rulesError } = await client
+    .from('lead_aging_rules')
+    .select(AGING_RULE_COLUMNS)
+    .eq('user_id', userId)
+    .eq('enabled', true)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true })
+
+  if (rulesError) {
+    throw new Error(`Failed to fetch aging rules: ${rulesError.message}`)
+  }
+
+  const summary = { rules: (rules || []).length, evaluated: 0, matched: 0, applied: 0, failed: 0, results: [] }
+  if (summary.rules === 0) {
+    return summary
+  }
+
+  // No rule can match a lead younger than the shortest rule, whichever basis it uses
+  const minDays = Math.min(...rules.map(rule => Number(rule.days)))
+  const createdBefore = new Date(now.getTime() - minDays * DAY_MS).toISOString()
+  const fromStatuses = [...new Set(rules.map(rule => rule.from_status))]
+  const needsHistory = rules.some(rule => rule.basis === 'status_age')
+
+  // Last lead of the previous page; the keyset stays valid while leads change status or archive
+  let cursor = null
+
+  while (true) {
+    let query = client
+      .from('property_leads')
+      .select('id, zpid, status, created_at, updated_at, listings(metadata)')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .is('deleted_at', null)
+      .in('status', fromStatuses)
+      .lt('created_at', createdBefore)
+
+    if (cursor) {
+      query = query.or(`created_at.gt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.gt.${cursor.id})`)
+    }
+
+    const { data: leads, error: leadsError } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(AGING_PAGE_SIZE)
+
+    if (leadsError) {
+      throw new Error(`Failed to fetch leads: ${leadsError.message}`)
+    }
+
+    const candidates = leads || []
+    if (candidates.length === 0) {
+      break
+    }
+
+    summary.evaluated += candidates.length
+    cursor = candidates[candidates.length - 1]
+
+    const lastStatusChangeByLead = needsHistory
+      ? await loadLastStatusChanges(client, candidates.map(lead => lead.id))
+      : new Map()
+
+    const matches = findAgingMatches(rules, candidates, lastStatusChangeByLead, now)
+    summary.matched += matches.length
+
+    for (const match of matches) {
+      const result = {
+        lead_id: match.lead.id,
+        zpid: match.lead.zpid || null,
+        street_address: match.lead.listings?.metadata?.address?.streetAddress || null,
+        status: match.lead.status,
+        age_days: match.ageDays,
+        rule_id: match.rule.id,
+        rule: match.rule.name || describeAgingRule(match.rule),
+        action: match.rule.action,
+        to_status: match.rule.action === 'status' ? match.rule.to_status : null
+      }
+
+      if (dryRun) {
+        summary.results.push(result)
+        continue
+      }
+
+      let error
+      try {
+        error = await applyAgingMatch(client, userId, match, serviceRole)
+      } catch (applyError) {
+        console.error(`Error applying aging rule to lead ${match.lead.id}:`, applyError)
+        error = 'Internal server error'
+      }
+
+      if (error) {
+        summary.failed++
+        summary.results.push({ ...result, success: false, error })
+      } else {
+        summary.applied++
+        summary.results.push({ ...result, success: true })
+      }
+    }
+  }
+
+  return summary
+}
@@ -0,0 +1,121 @@
+/**
+ * Deal value helpers. Deal fields are typed columns on property_leads, each filled in at the
+ * pipeline stage where the number becomes known:
+ *   proposal_sent - quoted_package, quoted_price
+ *   booked        - final_amount
+ *   paid          - amount_received, payment_method
+ */
+
+export const PAYMENT_METHODS = {
+  zelle: 'Zelle',
+  venmo: 'Venmo',
+  check: 'Check',
+  credit_card: 'Credit card',
+  ach: 'Bank transfer',
+  cash: 'Cash',
+  other: 'Other'
+}
+
+export const DEAL_FIELDS = [
+  { key: 'quoted_package', label: 'Quoted package', type: 'text', status: 'proposal_sent' },
+  { key: 'quoted_price', label: 'Quoted price', type: 'money', status: 'proposal_sent' },
+  { key: 'final_amount', label: 'Final amount', type: 'money', status: 'booked' },
+  { key: 'amount_received', label: 'Amount received', type: 'money', status: 'paid' },
+  { key: 'payment_method', label: 'Payment method', type: 'payment_method', status: 'paid' }
+]
+
+export const DEAL_FIELD_KEYS = DEAL_FIELDS.map(field => field.key)
+
+// Statuses that ask for deal details when a lead moves into them
+export const DEAL_STATUSES = [...new Set(DEAL_FIELDS.map(field => field.status))]
+
+export const MAX_DEAL_AMOUNT = 1000000
+
+/**
+ * Deal fields that apply to a lead in the given status: every field from its stage and earlier
+ * @param {string} status - Lead status
+ * @param {Array<string>} statuses - All statuses in pipeline order (LEAD_STATUS_VALUES)
+ * @returns {Array<Object>} DEAL_FIELDS entries
+ */
+export const getDealFieldsForStatus = (status, statuses) => {
+  const index = statuses.indexOf(status)
+  return DEAL_FIELDS.filter(field => statuses.indexOf(field.status) <= index)
+}
+
+/**
+ * Picks the deal fields out of a lead or row, with null for anything unset
+ * @param {Object} source - Lead, property_leads row or form values
+ * @returns {Object} Deal keyed by DEAL_FIELD_KEYS
+ */
+export const pickDealFields = (source = {}) => {
+  const deal = {}
+  DEAL_FIELD_KEYS.forEach(key => {
+    const value = source?.[key]
+    deal[key] = value === undefined || value === '' ? null : value
+  })
+  return deal
+}
+
+/**
+ * Whether any deal field has a value
+ * @param {Object} deal - Deal object
+ * @returns {boolean} True if the deal has data
+ */
+export const hasDealData = (deal) => {
+  return !!deal && DEAL_FIELD_KEYS.some(key => deal[key] !== null && deal[key] !== undefined)
+}
+
+/**
+ * Formats a dollar amount without cents
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted amount, e.g. "$1,250"
+ */
+export const formatMoney = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(Number(amount) || 0)
+}
+
+/**
+ * One-line description of the furthest stage a deal has reached
+ * @param {Object} deal - Deal object
+ * @returns {string|null} e.g. "Paid $450 • Zelle", "Booked $450", "Quoted $400 • Standard", or null
+ */
+export const describeDeal = (deal) => {
+  if (!hasDealData(deal)) return null
+
+  if (deal.amount_received !== null && deal.amount_received !== undefined) {
+    const method = PAYMENT_METHODS[deal.payment_method]
+    return `Paid ${formatMoney(deal.amount_received)}${method ? ` • ${method}` : ''}`
+  }
+
+  if (deal.final_amount !== null && deal.final_amount !== undefined) {
+    return `Booked ${formatMoney(deal.final_amount)}`
+  }
+
+  if (deal.quoted_price !== null && deal.quoted_price !== undefined) {
+    return `Quoted ${formatMoney(deal.quoted_price)}${deal.quoted_package ? ` • ${deal.quoted_package}` : ''}`
+  }
+
+  return deal.quoted_package ? `Quoted ${deal.quoted_package}` : null
+}
+
+/**
+ * Sums deal values across leads
+ * @param {Array<Object>} leads - Leads with a deal object
+ * @returns {Object} { quoted, booked, received, dealCount } in dollars
+ */
+export const sumLeadRevenue = (leads = []) => {
+  return leads.reduce((totals, lead) => {
+    const deal = lead.deal || {}
+    return {
+      quoted: totals.quoted + (Number(deal.quoted_price) || 0),
+      booked: totals.booked + (Number(deal.final_amount) || 0),
+      received: totals.received + (Number(deal.amount_received) || 0),
+      dealCount: totals.dealCount + (hasDealData(deal) ? 1 : 0)
+    }
+  }, { quoted: 0, booked: 0, received: 0, dealCount: 0 })
+}
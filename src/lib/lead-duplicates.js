@@ -0,0 +1,148 @@
+import { buildAddressKey } from './lead-import'
+
+/**
+ * Duplicate lead helpers
+ * Two leads are duplicates when they point at the same property, or when the same agent
+ * lists the same street address under different zpids (a relisted home).
+ */
+
+// Pipeline order used to keep the most advanced status when merging.
+// closed_lost ranks lowest so a relisted home reopens rather than staying lost.
+const STATUS_RANK = [
+  'closed_lost', 'prospect_found', 'contacted', 'responded', 'proposal_sent',
+  'booked', 'shoot_completed', 'delivered', 'paid', 'closed_won'
+]
+
+export const DUPLICATE_REASONS = {
+  same_property: 'Same property',
+  same_agent_address: 'Same agent and address, different zpid'
+}
+
+/**
+ * Compares two statuses by pipeline position
+ * @param {string} a - Lead status
+ * @param {string} b - Lead status
+ * @returns {number} Positive when a is further along than b
+ */
+export const compareLeadStatus = (a, b) => STATUS_RANK.indexOf(a) - STATUS_RANK.indexOf(b)
+
+/**
+ * Groups leads that refer to the same home
+ * @param {Array<Object>} leads - Leads from get_property_leads_paginated
+ * @returns {Array<Object>} Groups of { key, reasons, leads } with at least two leads, oldest lead first
+ */
+export const findDuplicateLeadGroups = (leads) => {
+  // Union-find over lead indexes so chains (A~B by property, B~C by agent+address) form one group
+  const parent = leads.map((_, index) => index)
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]]
+      index = parent[index]
+    }
+    return index
+  }
+
+  const reasonsByRoot = new Map()
+  const linkBy = (keyFn, reason) => {
+    const firstIndexByKey = new Map()
+
+    leads.forEach((lead, index) => {
+      const key = keyFn(lead)
+      if (!key) return
+
+      if (!firstIndexByKey.has(key)) {
+        firstIndexByKey.set(key, index)
+        return
+      }
+
+      const rootA = find(firstIndexByKey.get(key))
+      const rootB = find(index)
+      const reasons = new Set([
+        ...(reasonsByRoot.get(rootA) || []),
+        ...(reasonsByRoot.get(rootB) || []),
+        reason
+      ])
+      parent[rootB] = rootA
+      reasonsByRoot.set(rootA, reasons)
+    })
+  }
+
+  linkBy(lead => lead.property?.id || null, 'same_property')
+  linkBy(lead => {
+    const license = lead.agent?.license_number
+    const addressKey = buildAddressKey(lead.property?.street_address, lead.property?.zipcode)
+    return license && addressKey ? `${license}|${addressKey}` : null
+  }, 'same_agent_address')
+
+  const groups = new Map()
+  leads.forEach((lead, index) => {
+    const root = find(index)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(lead)
+  })
+
+  return [...groups.entries()]
+    .filter(([, groupLeads]) => groupLeads.length > 1)
+    .map(([root, groupLeads]) => ({
+      key: groupLeads.map(lead => lead.id).sort().join(','),
+      reasons: [...(reasonsByRoot.get(root) || [])],
+      leads: [...groupLeads].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    }))
+}
+
+/**
+ * Suggests which lead to keep: the most advanced status, then the oldest lead
+ * @param {Array<Object>} leads - Leads in a duplicate group
+ * @returns {Object} Lead to keep
+ */
+export const pickPrimaryLead = (leads) => {
+  return [...leads].sort((a, b) =>
+    compareLeadStatus(b.status, a.status) || new Date(a.created_at) - new Date(b.created_at)
+  )[0]
+}
+
+/**
+ * Combines the fields of merged leads into the values the surviving lead should get
+ * @param {Object} primary - Lead being kept
+ * @param {Array<Object>} duplicates - Leads being merged into it
+ * @returns {Object} { status, metadata, is_active, next_action_at, next_action_note }
+ */
+export const mergeLeadFields = (primary, duplicates) => {
+  const all = [primary, ...duplicates]
+
+  const status = all.reduce(
+    (best, lead) => (compareLeadStatus(lead.status, best) > 0 ? lead.status : best),
+    primary.status
+  )
+
+  // Message history: add up counts and keep the most recent message details
+  const latestMessaged = all
+    .filter(lead => lead.metadata?.last_message_date)
+    .sort((a, b) => new Date(b.metadata.last_message_date) - new Date(a.metadata.last_message_date))[0]
+
+  const metadata = {
+    ...duplicates.reduce((combined, lead) => ({ ...combined, ...(lead.metadata || {}) }), {}),
+    ...(primary.metadata || {}),
+    messaged: all.some(lead => lead.metadata?.messaged),
+    message_count: all.reduce((sum, lead) => sum + (Number(lead.metadata?.message_count) || 0), 0),
+    last_message_date: latestMessaged?.metadata.last_message_date || null,
+    last_template_used: latestMessaged?.metadata.last_template_used || primary.metadata?.last_template_used || null,
+    merged_lead_ids: [
+      ...(primary.metadata?.merged_lead_ids || []),
+      ...duplicates.map(lead => lead.id)
+    ]
+  }
+
+  // Keep the soonest pending follow-up
+  const nextAction = all
+    .filter(lead => lead.next_action_at)
+    .sort((a, b) => new Date(a.next_action_at) - new Date(b.next_action_at))[0]
+
+  return {
+    status,
+    metadata,
+    is_active: all.some(lead => lead.is_active),
+    next_action_at: nextAction?.next_action_at || null,
+    next_action_note: nextAction?.next_action_note || null
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Lead export helpers shared by the export route (functions/api/lead.js, dev-server.js)
+ * and the column picker in PropertyLeads. Kept free of browser and Supabase imports so it
+ * runs in the Worker, in Node and in the app.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'xlsx']
+
+// Leads fetched from get_property_leads_paginated per round trip while exporting
+export const EXPORT_CHUNK_SIZE = 500
+
+export const LEAD_EXPORT_COLUMNS = [
+  { key: 'street_address', label: 'Street Address', group: 'Property', value: lead => lead.property?.street_address },
+  { key: 'city', label: 'City', group: 'Property', value: lead => lead.property?.city },
+  { key: 'state', label: 'State', group: 'Property', value: lead => lead.property?.state },
+  { key: 'zipcode', label: 'Zip Code', group: 'Property', value: lead => lead.property?.zipcode },
+  { key: 'bedrooms', label: 'Bedrooms', group: 'Property', value: lead => lead.property?.bedrooms },
+  { key: 'bathrooms', label: 'Bathrooms', group: 'Property', value: lead => lead.property?.bathrooms },
+  { key: 'home_type', label: 'Home Type', group: 'Property', value: lead => lead.property?.home_type },
+  { key: 'year_built', label: 'Year Built', group: 'Property', value: lead => lead.property?.year_built },
+  { key: 'price', label: 'Listing Price', group: 'Listing', value: lead => lead.listing?.price },
+  { key: 'living_area', label: 'Living Area (sqft)', group: 'Listing', value: lead => lead.listing?.metadata?.livingAreaValue },
+  { key: 'agent_name', label: 'Agent Name', group: 'Agent', value: lead => lead.agent?.full_name },
+  { key: 'agent_phone', label: 'Agent Phone', group: 'Agent', value: lead => lead.agent?.phone_number },
+  { key: 'agent_email', label: 'Agent Email', group: 'Agent', value: lead => lead.agent?.email },
+  { key: 'agent_license', label: 'Agent License', group: 'Agent', value: lead => lead.agent?.license_number },
+  { key: 'broker_name', label: 'Broker Name', group: 'Broker', value: lead => lead.broker?.name },
+  { key: 'broker_phone', label: 'Broker Phone', group: 'Broker', value: lead => lead.broker?.phone_number },
+  { key: 'status', label: 'Status', group: 'Lead', value: lead => lead.status },
+  { key: 'is_active', label: 'Active', group: 'Lead', value: lead => (lead.is_active === false ? 'No' : 'Yes') },
+  { key: 'created_at', label: 'Created', group: 'Lead', value: lead => lead.created_at },
+  { key: 'updated_at', label: 'Updated', group: 'Lead', value: lead => lead.updated_at },
+  { key: 'next_action_at', label: 'Next Follow-up', group: 'Lead', value: lead => lead.next_action_at },
+  { key: 'next_action_note', label: 'Follow-up Note', group: 'Lead', value: lead => lead.next_action_note },
+  { key: 'messaged', label: 'Messaged', group: 'Metadata', value: lead => (lead.metadata?.messaged ? 'Yes' : 'No') },
+  { key: 'message_count', label: 'Message Count', group: 'Metadata', value: lead => lead.metadata?.message_count || 0 },
+  { key: 'last_message_date', label: 'Last Message', group: 'Metadata', value: lead => lead.metadata?.last_message_date },
+  { key: 'last_template_used', label: 'Last Template', group: 'Metadata', value: lead => lead.metadata?.last_template_used },
+  { key: 'metadata', label: 'Metadata (JSON)', group: 'Metadata', value: lead => (lead.metadata ? JSON.stringify(lead.metadata) : '') },
+  { key: 'lead_id', label: 'Lead ID', group: 'Lead', value: lead => lead.id }
+]
+
+export const DEFAULT_EXPORT_COLUMN_KEYS = [
+  'street_address', 'city', 'state', 'zipcode', 'price',
+  'agent_name', 'agent_phone', 'agent_email', 'broker_name',
+  'status', 'last_message_date', 'next_action_at'
+]
+
+/**
+ * Resolves a comma-separated list of column keys, ignoring unknown keys
+ * @param {string} keys - Column keys, e.g. "street_address,price,status"
+ * @returns {Array<Object>} Column definitions in the requested order
+ */
+export const resolveExportColumns = (keys) => {
+  const requested = String(keys || DEFAULT_EXPORT_COLUMN_KEYS.join(','))
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+
+  return requested
+    .map(key => LEAD_EXPORT_COLUMNS.find(column => column.key === key))
+    .filter(Boolean)
+}
+
+/**
+ * Iterates every lead matching the RPC parameters, one chunk at a time. A short chunk doesn't end
+ * the iteration, since the API may return fewer rows than asked for; only an empty one does.
+ * @param {Function} fetchChunk - async (offset, limit) => Array of leads
+ * @returns {AsyncGenerator<Array>} Chunks of leads until the result set is exhausted
+ */
+export async function* iterateLeadChunks(fetchChunk) {
+  let offset = 0
+
+  while (true) {
+    const leads = await fetchChunk(offset, EXPORT_CHUNK_SIZE)
+    if (!leads || leads.length === 0) return
+
+    yield leads
+    offset += leads.length
+  }
+}
+
+/**
+ * Returns the cell values of a lead for the given columns
+ * @param {Object} lead - Lead from get_property_leads_paginated
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {Array} Cell values
+ */
+export const leadToRow = (lead, columns) => {
+  return columns.map(column => {
+    const value = column.value(lead)
+    return value === null || value === undefined ? '' : value
+  })
+}
+
+/**
+ * Formats one CSV line. Text starting with =, +, - or @ is prefixed with a quote
+ * so spreadsheet apps don't evaluate it as a formula.
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line including the trailing CRLF
+ */
+export const toCsvLine = (values) => {
+  return values.map(value => {
+    let text = String(value)
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`
+    }
+    if (/[",\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`
+    }
+    return text
+  }).join(',') + '\r\n'
+}
+
+// XLSX writer: a minimal single-sheet workbook in an uncompressed ZIP container
+
+const escapeXml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+}
+
+const columnLetter = (index) => {
+  let letter = ''
+  let n = index + 1
+  while (n > 0) {
+    const remainder = (n - 1) % 26
+    letter = String.fromCharCode(65 + remainder) + letter
+    n = Math.floor((n - 1) / 26)
+  }
+  return letter
+}
+
+const toSheetRow = (values, rowIndex) => {
+  const cells = values.map((value, columnIndex) => {
+    const ref = `${columnLetter(columnIndex)}${rowIndex}`
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`
+    }
+    if (value === '') {
+      return ''
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+  })
+  return `<row r="${rowIndex}">${cells.join('')}</row>`
+}
+
+let crcTable = null
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+const buildZip = (files) => {
+  const encoder = new TextEncoder()
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name)
+    const data = encoder.encode(content)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(8, 0, true) // stored, no compression
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, nameBytes.length, true)
+    central.setUint32(42, offset, true)
+    centralParts.push(new Uint8Array(central.buffer), nameBytes)
+
+    offset += 30 + nameBytes.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  parts.forEach(part => {
+    output.set(part, position)
+    position += part.length
+  })
+  return output
+}
+
+/**
+ * Builds an XLSX workbook with a single "Leads" sheet
+ * @param {Array<Object>} columns - Column definitions (used for the header row)
+ * @param {Array<Array>} rows - Cell values per lead, from leadToRow
+ * @returns {Uint8Array} XLSX file contents
+ */
+export const buildXlsx = (columns, rows) => {
+  const sheetRows = [
+    toSheetRow(columns.map(column => column.label), 1),
+    ...rows.map((values, index) => toSheetRow(values, index + 2))
+  ]
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Leads" sheetId="1" r:id="rId1"/></sheets>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>'
+    }
+  ])
+}
@@ -0,0 +1,48 @@
+/**
+ * Lead history written by the database. Every RPC that changes a lead takes a p_history argument
+ * and inserts the property_lead_history row in the same transaction as the change, so a lead
+ * never changes without its history row, nor gets a row for a change that failed. The RPC fills
+ * in from_status and to_status from the lead before and after the change, and changed_by and
+ * changed_by_email from the session (p_user_id and null for the _for_user variants the
+ * service-role client calls). A null p_history records nothing.
+ *
+ * RPCs taking p_history:
+ *   set_property_lead_status(_for_user) - status changes
+ *   set_property_lead                   - status and metadata writes
+ *   update_property_lead_fields(_for_user)
+ *                                       - (p_lead_id, p_changes, p_history) sets the columns in
+ *                                         p_changes (is_active, deleted_at, deal, shoot and
+ *                                         reminder columns) and updated_at; returns the updated
+ *                                         row, or null when the lead isn't found or isn't the
+ *                                         caller's
+ *   delete_property_lead(_for_user)     - the history row outlives the lead it describes
+ *   merge_property_leads                - recorded on the kept lead
+ *   import_property_lead                - recorded on the lead it creates or merges into, not
+ *                                         when the listing is already tracked
+ *   create_lead_invoice(p_invoice, p_history)
+ *                                       - inserts the lead_invoices row and returns it
+ */
+
+/**
+ * Builds the p_history argument of a lead RPC
+ * @param {Object} entry - History entry
+ * @param {string} entry.action - Action name (status_change, metadata_update, ...)
+ * @param {Object} entry.metadataDiff - Result of diffMetadata (optional)
+ * @param {string} entry.templateUsed - Message template name involved in the change (optional)
+ * @param {string} entry.reasonCode - Why the status changed, see lib/lead-reasons (optional)
+ * @param {string} entry.reasonComment - Free-text detail for the reason (optional)
+ * @returns {Object} p_history value
+ */
+export const toHistoryParam = ({
+  action,
+  metadataDiff = null,
+  templateUsed = null,
+  reasonCode = null,
+  reasonComment = null
+}) => ({
+  action,
+  metadata_diff: metadataDiff,
+  template_used: templateUsed,
+  reason_code: reasonCode,
+  reason_comment: reasonComment
+})
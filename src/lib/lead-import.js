@@ -0,0 +1,256 @@
+/**
+ * Lead import helpers shared by the import wizard and the import route
+ * (functions/api/lead.js, dev-server.js). Kept free of browser and Supabase imports.
+ */
+
+export const MAX_IMPORT_ROWS = 1000
+
+// Fields a spreadsheet column can be mapped to. Aliases drive the automatic mapping step.
+export const IMPORT_FIELDS = [
+  { key: 'zpid', label: 'Zillow ID (zpid)', aliases: ['zpid', 'zillow id', 'zillow_id'] },
+  { key: 'street_address', label: 'Street Address', aliases: ['street address', 'address', 'street', 'street_address', 'property address'] },
+  { key: 'city', label: 'City', aliases: ['city'] },
+  { key: 'state', label: 'State', aliases: ['state', 'st'] },
+  { key: 'zipcode', label: 'Zip Code', aliases: ['zip', 'zipcode', 'zip code', 'postal code', 'postal_code'] },
+  { key: 'price', label: 'List Price', aliases: ['price', 'list price', 'listing price', 'list_price'] },
+  { key: 'bedrooms', label: 'Bedrooms', aliases: ['bedrooms', 'beds', 'bd'] },
+  { key: 'bathrooms', label: 'Bathrooms', aliases: ['bathrooms', 'baths', 'ba'] },
+  { key: 'home_type', label: 'Home Type', aliases: ['home type', 'home_type', 'property type', 'type'] },
+  { key: 'year_built', label: 'Year Built', aliases: ['year built', 'year_built', 'built'] },
+  { key: 'image_url', label: 'Photo URL', aliases: ['image', 'image url', 'photo', 'photo url', 'image_url'] },
+  { key: 'agent_name', label: 'Agent Name', aliases: ['agent', 'agent name', 'listing agent', 'list agent full name'] },
+  { key: 'agent_phone', label: 'Agent Phone', aliases: ['agent phone', 'phone', 'list agent phone'] },
+  { key: 'agent_email', label: 'Agent Email', aliases: ['agent email', 'email', 'list agent email'] },
+  { key: 'agent_license', label: 'Agent License (DRE)', aliases: ['agent license', 'license', 'dre', 'dre #', 'license number'] },
+  { key: 'broker_name', label: 'Broker', aliases: ['broker', 'brokerage', 'broker name', 'list office name', 'office'] }
+]
+
+const NUMERIC_FIELDS = ['price', 'bedrooms', 'bathrooms', 'year_built']
+
+// USPS-style abbreviations so "123 North Main Street" and "123 N Main St." dedupe together
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  drive: 'dr',
+  road: 'rd',
+  lane: 'ln',
+  court: 'ct',
+  circle: 'cir',
+  place: 'pl',
+  terrace: 'ter',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  way: 'way',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+  northeast: 'ne',
+  northwest: 'nw',
+  southeast: 'se',
+  southwest: 'sw',
+  apartment: 'unit',
+  apt: 'unit',
+  suite: 'unit',
+  ste: 'unit'
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+ * @param {string} text - CSV file contents
+ * @returns {Object} { headers, rows } where rows are arrays of strings
+ */
+export const parseCsv = (text) => {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''))
+  const [headers = [], ...rows] = nonEmpty
+
+  return {
+    headers: headers.map(header => header.trim()),
+    rows
+  }
+}
+
+/**
+ * Guesses which CSV column feeds each import field
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Map of import field keys to header indexes (missing when no match)
+ */
+export const autoMapColumns = (headers) => {
+  const normalizedHeaders = headers.map(header => header.toLowerCase().replace(/[_\s]+/g, ' ').trim())
+  const mapping = {}
+
+  IMPORT_FIELDS.forEach(field => {
+    const index = normalizedHeaders.findIndex(header =>
+      field.aliases.some(alias => alias.replace(/_/g, ' ') === header)
+    )
+    if (index !== -1 && !Object.values(mapping).includes(index)) {
+      mapping[field.key] = index
+    }
+  })
+
+  return mapping
+}
+
+/**
+ * Applies a column mapping to parsed CSV rows
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @param {Object} mapping - Map of import field keys to header indexes
+ * @returns {Array<Object>} Import rows keyed by IMPORT_FIELDS keys
+ */
+export const applyColumnMapping = (rows, mapping) => {
+  return rows.map(row => {
+    const mapped = {}
+    Object.entries(mapping).forEach(([key, index]) => {
+      if (index !== null && index !== undefined && index !== '') {
+        mapped[key] = (row[Number(index)] || '').trim()
+      }
+    })
+    return mapped
+  })
+}
+
+/**
+ * Cleans one import row: trims text, parses numbers and normalizes the zpid
+ * @param {Object} row - Import row
+ * @returns {Object} Cleaned row with only IMPORT_FIELDS keys
+ */
+export const cleanImportRow = (row = {}) => {
+  const cleaned = {}
+
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const raw = row[key]
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      cleaned[key] = null
+      return
+    }
+
+    if (NUMERIC_FIELDS.includes(key)) {
+      const number = Number(String(raw).replace(/[$,\s]/g, ''))
+      cleaned[key] = Number.isFinite(number) ? number : null
+    } else {
+      cleaned[key] = String(raw).trim().slice(0, 500)
+    }
+  })
+
+  if (cleaned.zpid) {
+    cleaned.zpid = cleaned.zpid.replace(/\D/g, '') || null
+  }
+  if (cleaned.zipcode) {
+    cleaned.zipcode = cleaned.zipcode.slice(0, 5)
+  }
+  if (cleaned.state) {
+    cleaned.state = cleaned.state.toUpperCase()
+  }
+
+  return cleaned
+}
+
+/**
+ * Normalizes a street address for duplicate detection
+ * @param {string} streetAddress - Street address as typed
+ * @returns {string} Lowercase address with punctuation removed and common words abbreviated
+ */
+export const normalizeStreetAddress = (streetAddress) => {
+  return String(streetAddress || '')
+    .toLowerCase()
+    .replace(/[.,#]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ')
+}
+
+/**
+ * Builds the address dedupe key for a row
+ * @param {string} streetAddress - Street address
+ * @param {string} zipcode - Zip code
+ * @returns {string|null} Key like "123 n main st|94105", or null without an address
+ */
+export const buildAddressKey = (streetAddress, zipcode) => {
+  const normalized = normalizeStreetAddress(streetAddress)
+  if (!normalized) return null
+  return `${normalized}|${String(zipcode || '').slice(0, 5)}`
+}
+
+/**
+ * Decides what the import does with each row. Rows are matched to existing records by
+ * zpid first, then by normalized street address; repeats within the file are skipped.
+ * @param {Array<Object>} rows - Cleaned import rows (see cleanImportRow)
+ * @param {Object} existing - { listingsByZpid: Map<zpid, listing>, propertiesByAddressKey: Map<key, property> }
+ * @returns {Array<Object>} One plan entry per row: { row_number, row, action, reason, property_id }
+ */
+export const planLeadImport = (rows, { listingsByZpid = new Map(), propertiesByAddressKey = new Map() } = {}) => {
+  const seenZpids = new Map()
+  const seenAddressKeys = new Map()
+
+  return rows.map((row, index) => {
+    // Row numbers match the spreadsheet, where row 1 is the header
+    const rowNumber = index + 2
+    const addressKey = buildAddressKey(row.street_address, row.zipcode)
+    const entry = { row_number: rowNumber, row, action: 'create', reason: null, property_id: null }
+
+    if (!row.zpid && !addressKey) {
+      return { ...entry, action: 'skip', reason: 'Missing zpid and street address' }
+    }
+
+    const duplicateOf = (row.zpid && seenZpids.get(row.zpid)) || (addressKey && seenAddressKeys.get(addressKey))
+    if (duplicateOf) {
+      return { ...entry, action: 'skip', reason: `Duplicate of row ${duplicateOf}` }
+    }
+
+    if (row.zpid) seenZpids.set(row.zpid, rowNumber)
+    if (addressKey) seenAddressKeys.set(addressKey, rowNumber)
+
+    const existingListing = row.zpid ? listingsByZpid.get(row.zpid) : null
+    if (existingListing) {
+      return { ...entry, action: 'merge', reason: 'Listing with this zpid already exists', property_id: existingListing.property_id }
+    }
+
+    const existingProperty = addressKey ? propertiesByAddressKey.get(addressKey) : null
+    if (existingProperty) {
+      return { ...entry, action: 'merge', reason: 'Property with this address already exists', property_id: existingProperty.id }
+    }
+
+    return entry
+  })
+}
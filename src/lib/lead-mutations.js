@@ -0,0 +1,102 @@
+/**
+ * Optimistic lead mutations. A change is shown in the list right away and saved in the
+ * background; changes to the same lead are saved one after another in the order they were made,
+ * so a quick status change followed by an archive cannot reach the server the other way round.
+ * When a save fails its change is rolled back, and any later change of the same kind still
+ * waiting for that lead is dropped since it was built on top of the one that failed.
+ */
+
+// Tail of the save queue of each lead with saves pending
+const leadQueues = new Map()
+
+// Failures per lead and kind of change; a queued change is dropped when this moved on
+const failureCounts = new Map()
+
+/**
+ * Runs an optimistic mutation of a lead
+ * @param {string} leadId - Lead ID
+ * @param {Object} mutation - Mutation steps
+ * @param {string} mutation.kind - Kind of change ('status', 'visibility', ...)
+ * @param {Function} mutation.apply - Shows the change right away
+ * @param {Function} mutation.commit - Saves the change; resolves to a safeAPICall result
+ * @param {Function} mutation.rollback - (error) => undoes what apply did
+ * @returns {Promise<Object>} safeAPICall style result, with skipped: true when the change was
+ *   dropped because an earlier one failed. Never rejects.
+ */
+export const runLeadMutation = (leadId, { kind, apply, commit, rollback }) => {
+  const failureKey = `${leadId}:${kind}`
+  const failuresBefore = failureCounts.get(failureKey) || 0
+
+  apply()
+
+  const previous = leadQueues.get(leadId) || Promise.resolve()
+  const run = previous.then(async () => {
+    if ((failureCounts.get(failureKey) || 0) !== failuresBefore) {
+      return { success: false, skipped: true }
+    }
+
+    let result
+    try {
+      result = await commit()
+    } catch (error) {
+      result = { success: false, error: { message: error.message } }
+    }
+
+    if (!result.success) {
+      failureCounts.set(failureKey, failuresBefore + 1)
+      try {
+        rollback(result.error)
+      } catch (error) {
+        console.error('Error rolling back lead change:', error)
+      }
+    }
+
+    return result
+  })
+
+  leadQueues.set(leadId, run)
+  run.then(() => {
+    if (leadQueues.get(leadId) === run) {
+      leadQueues.delete(leadId)
+    }
+  })
+
+  return run
+}
+
+/**
+ * Checks whether a lead has changes still being saved
+ * @param {string} leadId - Lead ID
+ * @returns {boolean} True while saves are pending
+ */
+export const isLeadMutationPending = (leadId) => leadQueues.has(leadId)
+
+/**
+ * Puts a lead back the way it was before an optimistic change
+ * @param {Array<Object>} leads - Current list
+ * @param {Object} snapshot - Lead as it was before the change
+ * @param {number} index - Position the lead had in the list (-1 when it was not in it)
+ * @param {Array<string>} fields - Fields the change touched
+ * @returns {Array<Object>} List with the lead restored; a lead the change removed goes back to
+ *   its old position
+ */
+export const restoreLead = (leads, snapshot, index, fields) => {
+  if (leads.some(lead => lead.id === snapshot.id)) {
+    return leads.map(lead => {
+      if (lead.id !== snapshot.id) return lead
+      const restored = { ...lead }
+      fields.forEach(field => {
+        restored[field] = snapshot[field]
+      })
+      return restored
+    })
+  }
+
+  if (index < 0) {
+    return leads
+  }
+
+  const restored = [...leads]
+  restored.splice(Math.min(index, restored.length), 0, snapshot)
+  return restored
+}
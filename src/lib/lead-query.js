@@ -0,0 +1,138 @@
+/**
+ * Maps lead list queries to get_property_leads_paginated parameters. Shared by the API functions
+ * (api/properties, api/reasons, api/duplicates), the lead routes (functions/api/lead.js,
+ * dev-server.js) and lead scoring, so a view lists the same leads wherever it is used.
+ */
+
+// Imported with its extension because dev-server.js loads this file directly in Node
+import { validateInput } from './validation.js'
+
+// Constants for lead status validation
+export const LEAD_STATUS_VALUES = [
+  'prospect_found', 'contacted', 'responded', 'proposal_sent',
+  'booked', 'shoot_completed', 'delivered', 'paid',
+  'closed_won', 'closed_lost'
+]
+
+export const HOME_TYPE_VALUES = [
+  'SINGLE_FAMILY', 'CONDO', 'TOWNHOUSE', 'MULTI_FAMILY',
+  'APARTMENT', 'MANUFACTURED', 'LOT'
+]
+
+// Sort keys accepted by get_property_leads_paginated
+export const LEAD_SORT_FIELDS = [
+  'price', 'created_at', 'updated_at', 'last_message_date',
+  'bedrooms', 'suggested_weight', 'next_action_at', 'lead_score'
+]
+
+const SORT_DIRECTIONS = ['asc', 'desc']
+
+/**
+ * Maps a lead view (see lib/lead-views.js) to getPropertyLeads options, without the page
+ * @param {Object} view - Lead view ({ tab, status, filters, sort })
+ * @returns {Object} Query options: filters, sort, and isActive / isDeleted / status for the tab
+ */
+export const viewToLeadQuery = (view) => {
+  const options = {
+    ...(view.filters || {}),
+    sortBy: view.sort?.sortBy || null,
+    sortDir: view.sort?.sortDir || 'desc'
+  }
+
+  if (view.tab === 'active') {
+    // For active tab: get all leads where is_active = true (with optional status filter)
+    options.isActive = true
+  } else if (view.tab === 'trash') {
+    // For trash tab: list deleted leads
+    options.isDeleted = true
+  } else if (view.tab === 'archived') {
+    // For archived tab: get all leads where is_active = false (with optional status filter)
+    options.isActive = false
+  } else {
+    // For any specific status filter
+    options.status = view.tab
+    return options
+  }
+
+  if (view.status) {
+    options.status = view.status
+  }
+
+  return options
+}
+
+/**
+ * Validates the optional lead filters and maps them to get_property_leads_paginated parameters
+ * @param {Object} filters - Filter values (see _getPropertyLeads options in api/properties)
+ * @returns {Object} RPC parameters, with null for every filter that is not set
+ */
+export const buildLeadFilterParams = (filters = {}) => {
+  const zipcodes = Array.isArray(filters.zipcodes)
+    ? filters.zipcodes
+    : String(filters.zipcodes || '').split(',')
+  const validZipcodes = zipcodes
+    .map(zip => String(zip || '').trim())
+    .filter(Boolean)
+    .map(zip => validateInput.string(zip, { maxLength: 10, pattern: /^\d{5}(-\d{4})?$/ }))
+
+  return {
+    p_city: validateInput.string(filters.city, { maxLength: 100 }) || null,
+    p_zipcodes: validZipcodes.length > 0 ? validZipcodes : null,
+    p_min_price: validateInput.number(filters.minPrice, { min: 0 }),
+    p_max_price: validateInput.number(filters.maxPrice, { min: 0 }),
+    p_min_bedrooms: validateInput.number(filters.minBedrooms, { min: 0, integer: true }),
+    p_min_bathrooms: validateInput.number(filters.minBathrooms, { min: 0 }),
+    p_home_type: validateInput.enum(filters.homeType, HOME_TYPE_VALUES, false),
+    p_min_year_built: validateInput.number(filters.minYearBuilt, { min: 1700, max: 2100, integer: true }),
+    p_max_year_built: validateInput.number(filters.maxYearBuilt, { min: 1700, max: 2100, integer: true }),
+    p_agent_license: validateInput.string(filters.agentLicense, { maxLength: 20 }) || null,
+    p_broker_name: validateInput.string(filters.brokerName, { maxLength: 200 }) || null,
+    p_created_after: validateInput.date(filters.createdAfter, false, { day: 'start' }),
+    p_created_before: validateInput.date(filters.createdBefore, false, { day: 'end' }),
+    p_next_action_before: validateInput.date(filters.dueBefore),
+    p_min_score: validateInput.number(filters.minScore, { min: 0, max: 100, integer: true }),
+    // New leads have no score until the next scoring run; they are pending rather than below
+    // the minimum, so the score filter keeps leads whose lead_score is null
+    p_include_unscored: true
+  }
+}
+
+/**
+ * Resolves the created date filters of a view to timestamps in the browser's timezone, so a
+ * route that runs elsewhere (see api/properties export) reads the days the user picked
+ * @param {Object} filters - Lead filter values
+ * @returns {Object} Filters with createdAfter / createdBefore as ISO timestamps
+ */
+export const resolveLeadFilterDates = (filters = {}) => {
+  return {
+    ...filters,
+    createdAfter: validateInput.date(filters.createdAfter, false, { day: 'start' }) || '',
+    createdBefore: validateInput.date(filters.createdBefore, false, { day: 'end' }) || ''
+  }
+}
+
+/**
+ * Validates a lead query and maps it to get_property_leads_paginated parameters
+ * @param {Object} query - getPropertyLeads options without page and limit: status, isActive,
+ *   isDeleted, sortBy, sortDir and the filters
+ * @returns {Object} RPC parameters without p_limit / p_offset
+ */
+export const buildLeadQueryParams = (query = {}) => {
+  const {
+    status = null,
+    isActive = null,
+    isDeleted = false,
+    sortBy = null,
+    sortDir = 'desc',
+    ...filters
+  } = query
+
+  return {
+    p_status: status ? validateInput.enum(status, LEAD_STATUS_VALUES, false) : null,
+    p_is_active: isActive !== null && isActive !== undefined ? Boolean(isActive) : null,
+    p_is_deleted: Boolean(isDeleted),
+    ...buildLeadFilterParams(filters),
+    p_sort_by: validateInput.enum(sortBy, LEAD_SORT_FIELDS, false),
+    p_sort_dir: validateInput.enum(sortDir, SORT_DIRECTIONS, false) || 'desc'
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Reason codes recorded with status changes that need explaining: moving a lead to closed_lost,
+ * and "Manual status change" moves that have no lead_transitions row. Reasons are stored on the
+ * property_lead_history entry (reason_code, reason_comment) and feed the lost reasons report.
+ */
+
+// Imported with its extension because dev-server.js loads this file directly in Node
+import { validateInput } from './validation.js'
+
+export const LOST_STATUS = 'closed_lost'
+
+export const LOST_REASONS = {
+  price: 'Price too high',
+  competitor: 'Went with another photographer',
+  no_response: 'Agent stopped responding',
+  off_market: 'Listing sold or pulled',
+  timing: 'Timing did not work',
+  diy: 'Agent shoots their own photos',
+  not_a_fit: 'Not a fit for our services',
+  other: 'Other'
+}
+
+export const OFF_PATH_REASONS = {
+  handled_elsewhere: 'Steps happened outside the app',
+  correction: 'Correcting a mistake',
+  agent_request: 'Agent asked for it',
+  reopened: 'Reopening the lead',
+  other: 'Other'
+}
+
+// Recorded by the aging rules runner; never offered in the reason picker
+export const AGED_OUT_REASON_CODE = 'aged_out'
+
+// Labels for every code that can appear in history, including automatic ones
+export const REASON_LABELS = {
+  ...OFF_PATH_REASONS,
+  ...LOST_REASONS,
+  [AGED_OUT_REASON_CODE]: 'Closed by an aging rule',
+  unknown: 'No reason recorded'
+}
+
+export const MAX_REASON_COMMENT_LENGTH = 500
+
+export const LOST_REPORT_PERIODS = {
+  week: 'Week',
+  month: 'Month',
+  quarter: 'Quarter'
+}
+
+// Upper bounds are exclusive; the last band is open-ended
+export const PRICE_BANDS = [
+  { key: 'under_250k', label: 'Under $250K', max: 250000 },
+  { key: '250k_500k', label: '$250K – $500K', max: 500000 },
+  { key: '500k_1m', label: '$500K – $1M', max: 1000000 },
+  { key: '1m_2m', label: '$1M – $2M', max: 2000000 },
+  { key: 'over_2m', label: '$2M+', max: Infinity }
+]
+
+/**
+ * Whether a status change must be explained before it is saved
+ * @param {string} toStatus - New status
+ * @param {boolean} isValid - Whether lead_transitions lists the move (StatusDropdown option.isValid)
+ * @returns {boolean} True if a reason code is required
+ */
+export const requiresTransitionReason = (toStatus, isValid) => {
+  return toStatus === LOST_STATUS || !isValid
+}
+
+/**
+ * Reason codes to offer for a status change
+ * @param {string} toStatus - New status
+ * @returns {Object} Map of code to label
+ */
+export const getReasonOptions = (toStatus) => {
+  return toStatus === LOST_STATUS ? LOST_REASONS : OFF_PATH_REASONS
+}
+
+/**
+ * Validates the reason given for a status change. Moving a lead to closed_lost always needs one;
+ * off-path changes are prompted for in the UI but may also come from automations without one.
+ * @param {string} status - New status
+ * @param {string} reasonCode - Reason code
+ * @param {string} reasonComment - Optional free-text detail
+ * @returns {Object} { reasonCode, reasonComment }, null when not given
+ */
+export const validateStatusReason = (status, reasonCode, reasonComment) => {
+  if (status === LOST_STATUS && !reasonCode) {
+    throw new Error('A reason is required to close a lead as lost')
+  }
+
+  const validReasonCode = validateInput.enum(reasonCode, Object.keys(getReasonOptions(status)), false)
+
+  return {
+    reasonCode: validReasonCode || null,
+    reasonComment: validReasonCode
+      ? validateInput.string(reasonComment, { maxLength: MAX_REASON_COMMENT_LENGTH }) || null
+      : null
+  }
+}
+
+/**
+ * Label for a recorded reason code
+ * @param {string} code - Reason code
+ * @returns {string} Human readable reason
+ */
+export const formatReason = (code) => {
+  return REASON_LABELS[code || 'unknown'] || code
+}
+
+/**
+ * Finds the price band a listing price falls in
+ * @param {number} price - Listing price
+ * @returns {Object|null} PRICE_BANDS entry, or null if the price is unknown
+ */
+export const getPriceBand = (price) => {
+  const value = Number(price)
+  if (!price || Number.isNaN(value)) return null
+  return PRICE_BANDS.find(band => value < band.max)
+}
+
+/**
+ * Buckets a date into a report period
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} period - One of LOST_REPORT_PERIODS keys
+ * @returns {string} Sortable period key, e.g. "2024-03", "2024-Q1" or the week's Monday "2024-03-11"
+ */
+export const getPeriodKey = (timestamp, period) => {
+  const date = new Date(timestamp)
+  const year = date.getFullYear()
+  const month = date.getMonth()
+
+  if (period === 'quarter') {
+    return `${year}-Q${Math.floor(month / 3) + 1}`
+  }
+
+  if (period === 'week') {
+    const monday = new Date(year, month, date.getDate() - ((date.getDay() + 6) % 7))
+    return [
+      monday.getFullYear(),
+      String(monday.getMonth() + 1).padStart(2, '0'),
+      String(monday.getDate()).padStart(2, '0')
+    ].join('-')
+  }
+
+  return `${year}-${String(month + 1).padStart(2, '0')}`
+}
+
+const addToGroup = (groups, key, label, reasonCode) => {
+  if (!groups.has(key)) {
+    groups.set(key, { key, label, total: 0, reasons: {} })
+  }
+  const group = groups.get(key)
+  group.total += 1
+  group.reasons[reasonCode] = (group.reasons[reasonCode] || 0) + 1
+}
+
+/**
+ * Summarizes why leads were lost
+ * @param {Array<Object>} losses - { lead, reason_code, reason_comment, lost_at } per lost lead
+ * @param {string} period - One of LOST_REPORT_PERIODS keys
+ * @returns {Object} { total, reasons, byPeriod, byAgent, byPriceBand }; reasons are sorted by count
+ *   and each group is { key, label, total, reasons: { code: count } }
+ */
+export const summarizeLostReasons = (losses, period = 'month') => {
+  const reasonCounts = {}
+  const byPeriod = new Map()
+  const byAgent = new Map()
+  const byPriceBand = new Map()
+
+  for (const loss of losses) {
+    const reasonCode = loss.reason_code || 'unknown'
+    reasonCounts[reasonCode] = (reasonCounts[reasonCode] || 0) + 1
+
+    const periodKey = getPeriodKey(loss.lost_at, period)
+    addToGroup(byPeriod, periodKey, periodKey, reasonCode)
+
+    const agent = loss.lead.agent
+    addToGroup(
+      byAgent,
+      agent?.license_number || agent?.full_name || 'unknown',
+      agent?.full_name || 'Unknown agent',
+      reasonCode
+    )
+
+    const band = getPriceBand(loss.lead.listing?.price)
+    addToGroup(byPriceBand, band?.key || 'unknown', band?.label || 'Unknown price', reasonCode)
+  }
+
+  const bandOrder = PRICE_BANDS.map(band => band.key)
+
+  return {
+    total: losses.length,
+    reasons: Object.entries(reasonCounts)
+      .map(([code, count]) => ({ code, label: formatReason(code), count }))
+      .sort((a, b) => b.count - a.count),
+    byPeriod: [...byPeriod.values()].sort((a, b) => b.key.localeCompare(a.key)),
+    byAgent: [...byAgent.values()].sort((a, b) => b.total - a.total),
+    byPriceBand: [...byPriceBand.values()].sort((a, b) => {
+      const indexA = bandOrder.indexOf(a.key)
+      const indexB = bandOrder.indexOf(b.key)
+      return (indexA === -1 ? bandOrder.length : indexA) - (indexB === -1 ? bandOrder.length : indexB)
+    })
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * Lead scoring. Each lead gets a 0–100 score saying how much it is worth our time, built from
+ * weighted factors that each rate the lead between 0 and 1:
+ *   price          - pricier listings book bigger packages
+ *   home_type      - houses book more often than lots or manufactured homes
+ *   bedrooms       - more rooms, more photos to sell
+ *   photos         - listings with few photos need us most
+ *   agent_history  - how the agent's other leads went (responses and wins)
+ *   days_on_market - fresh listings are still deciding on marketing
+ * Scores are stored on property_leads (lead_score, lead_score_factors) so the leads list can sort
+ * and filter by them; runLeadScoring recalculates them server-side, behind the scoring route
+ * (functions/api/lead.js, dev-server.js) that api/scoring calls.
+ */
+
+// Imported with their extension because dev-server.js loads this file directly in Node
+import { buildLeadQueryParams } from './lead-query.js'
+import { iterateLeadChunks } from './lead-export.js'
+
+export const SCORE_FACTORS = [
+  { key: 'price', label: 'Listing price' },
+  { key: 'home_type', label: 'Home type' },
+  { key: 'bedrooms', label: 'Bedrooms' },
+  { key: 'photos', label: 'Listing photos' },
+  { key: 'agent_history', label: 'Agent history' },
+  { key: 'days_on_market', label: 'Days on market' }
+]
+
+export const SCORE_FACTOR_KEYS = SCORE_FACTORS.map(factor => factor.key)
+
+export const DEFAULT_SCORE_WEIGHTS = {
+  price: 20,
+  home_type: 10,
+  bedrooms: 10,
+  photos: 20,
+  agent_history: 25,
+  days_on_market: 15
+}
+
+export const MAX_SCORE_WEIGHT = 100
+
+// Score bands used for badges and the score filter shortcuts
+export const SCORE_BANDS = [
+  { key: 'hot', label: 'Hot', min: 70 },
+  { key: 'warm', label: 'Warm', min: 40 },
+  { key: 'cold', label: 'Cold', min: 0 }
+]
+
+// An agent's other leads that got this far count as a response or a win
+const RESPONDED_STATUSES = ['responded', 'proposal_sent']
+const WON_STATUSES = ['booked', 'shoot_completed', 'delivered', 'paid', 'closed_won']
+
+const HOME_TYPE_VALUES = {
+  SINGLE_FAMILY: 1,
+  TOWNHOUSE: 0.8,
+  MULTI_FAMILY: 0.7,
+  CONDO: 0.7,
+  APARTMENT: 0.4,
+  MANUFACTURED: 0.3,
+  LOT: 0.1
+}
+
+const PRICE_FLOOR = 300000
+const PRICE_CEILING = 2000000
+const FEW_PHOTOS = 5
+const MANY_PHOTOS = 30
+const FRESH_LISTING_DAYS = 3
+const STALE_LISTING_DAYS = 60
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const STORED_SCORE_CHUNK_SIZE = 200
+// Scores written per set_lead_scores call, each a single UPDATE statement
+const SCORE_WRITE_CHUNK_SIZE = 500
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1)
+
+/**
+ * Fills in and bounds a set of factor weights
+ * @param {Object} weights - Weights keyed by SCORE_FACTOR_KEYS (missing keys use the defaults)
+ * @returns {Object} Integer weights between 0 and MAX_SCORE_WEIGHT for every factor
+ */
+export const normalizeScoreWeights = (weights = {}) => {
+  const normalized = {}
+  SCORE_FACTOR_KEYS.forEach(key => {
+    const value = Number(weights?.[key])
+    normalized[key] = Number.isFinite(value)
+      ? Math.min(Math.max(Math.round(value), 0), MAX_SCORE_WEIGHT)
+      : DEFAULT_SCORE_WEIGHTS[key]
+  })
+  return normalized
+}
+
+/**
+ * Photos of a lead's listing
+ * @param {Object} lead - Lead from get_property_leads_paginated
+ * @returns {Array<string>} Image URLs
+ */
+const getLeadPhotos = (lead) => {
+  return lead.listing?.image_urls || lead.property?.image_urls || []
+}
+
+/**
+ * Tallies how each agent's leads went, for the agent_history factor
+ * @param {Array<Object>} leads - Every lead of the user
+ * @returns {Map<string, Object>} Agent license to { leads, responses, wins, byLead } where byLead
+ *   remembers each lead's own contribution so it can be left out of its own score
+ */
+export const buildAgentHistory = (leads = []) => {
+  const history = new Map()
+
+  leads.forEach(lead => {
+    const license = lead.agent?.license_number
+    if (!license) return
+
+    if (!history.has(license)) {
+      history.set(license, { leads: 0, responses: 0, wins: 0, byLead: new Map() })
+    }
+
+    const won = WON_STATUSES.includes(lead.status)
+    const responded = won || RESPONDED_STATUSES.includes(lead.status)
+    const agent = history.get(license)
+    agent.leads += 1
+    agent.responses += responded ? 1 : 0
+    agent.wins += won ? 1 : 0
+    agent.byLead.set(lead.id, { responded, won })
+  })
+
+  return history
+}
+
+const scorePrice = (lead) => {
+  const price = Number(lead.listing?.price)
+  if (!price) return { value: 0.3, detail: 'No price listed' }
+
+  // Log scale so the jump from $300k to $600k counts as much as $1M to $2M
+  const value = clamp(Math.log(price / PRICE_FLOOR) / Math.log(PRICE_CEILING / PRICE_FLOOR))
+  return { value: Math.max(value, 0.1), detail: `$${Math.round(price).toLocaleString('en-US')}` }
+}
+
+const scoreHomeType = (lead) => {
+  const homeType = lead.property?.home_type
+  if (!homeType || HOME_TYPE_VALUES[homeType] === undefined) {
+    return { value: 0.5, detail: 'Unknown home type' }
+  }
+
+  return { value: HOME_TYPE_VALUES[homeType], detail: homeType.replace(/_/g, ' ').toLowerCase() }
+}
+
+const scoreBedrooms = (lead) => {
+  const raw = lead.property?.bedrooms
+  const bedrooms = Number(raw)
+  if (raw === null || raw === undefined || !Number.isFinite(bedrooms)) {
+    return { value: 0.3, detail: 'Bedrooms unknown' }
+  }
+
+  return { value: clamp(bedrooms / 5), detail: `${bedrooms} bed` }
+}
+
+const scorePhotos = (lead) => {
+  const count = getLeadPhotos(lead).length
+  const value = count <= FEW_PHOTOS
+    ? 1
+    : clamp(1 - (count - FEW_PHOTOS) / (MANY_PHOTOS - FEW_PHOTOS) * 0.9)
+
+  return { value, detail: `${count} photo${count === 1 ? '' : 's'}` }
+}
+
+const scoreAgentHistory = (lead, { agentHistory }) => {
+  const license = lead.agent?.license_number
+  const agent = license ? agentHistory?.get(license) : null
+  const own = agent?.byLead.get(lead.id)
+
+  // Only the agent's other listings count
+  const others = agent ? agent.leads - (own ? 1 : 0) : 0
+  if (others === 0) {
+    return { value: 0.3, detail: 'No other leads with this agent' }
+  }
+
+  const responses = agent.responses - (own?.responded ? 1 : 0)
+  const wins = agent.wins - (own?.won ? 1 : 0)
+  const value = clamp(0.1 + 0.4 * (responses / others) + 0.25 * Math.min(wins, 2))
+
+  return {
+    value,
+    detail: `${responses} of ${others} other lead${others === 1 ? '' : 's'} responded, ${wins} won`
+  }
+}
+
+const scoreDaysOnMarket = (lead, { now }) => {
+  // Zillow's own count when the listing has one, otherwise the days since we found the lead
+  const daysOnZillow = lead.listing?.metadata?.daysOnZillow
+  const days = daysOnZillow !== null && daysOnZillow !== undefined && Number.isFinite(Number(daysOnZillow))
+    ? Number(daysOnZillow)
+    : Math.floor((now - new Date(lead.created_at).getTime()) / DAY_MS)
+
+  if (!Number.isFinite(days)) {
+    return { value: 0.5, detail: 'Listing date unknown' }
+  }
+
+  const value = days <= FRESH_LISTING_DAYS
+    ? 1
+    : clamp(1 - (days - FRESH_LISTING_DAYS) / (STALE_LISTING_DAYS - FRESH_LISTING_DAYS) * 0.9)
+
+  return { value, detail: `${days} day${days === 1 ? '' : 's'} on market` }
+}
+
+const FACTOR_SCORERS = {
+  price: scorePrice,
+  home_type: scoreHomeType,
+  bedrooms: scoreBedrooms,
+  photos: scorePhotos,
+  agent_history: scoreAgentHistory,
+  days_on_market: scoreDaysOnMarket
+}
+
+/**
+ * Scores a lead
+ * @param {Object} lead - Lead from get_property_leads_paginated
+ * @param {Object} options - Scoring options
+ * @param {Object} options.weights - Factor weights (see normalizeScoreWeights)
+ * @param {Map} options.agentHistory - Result of buildAgentHistory over all of the user's leads
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} { score, factors } where factors is a list of
+ *   { key, label, weight, value, points, detail } and points add up to the score
+ */
+export const scoreLead = (lead, options = {}) => {
+  const { agentHistory = new Map(), now = Date.now() } = options
+  const weights = normalizeScoreWeights(options.weights)
+  const totalWeight = SCORE_FACTOR_KEYS.reduce((sum, key) => sum + weights[key], 0)
+
+  const factors = SCORE_FACTORS.map(factor => {
+    const key = factor.key
+    const { value, detail } = FACTOR_SCORERS[key](lead, { agentHistory, now })
+    const points = totalWeight > 0 ? (weights[key] / totalWeight) * value * 100 : 0
+
+    return {
+      key,
+      label: factor.label,
+      weight: weights[key],
+      value: Math.round(value * 100) / 100,
+      points: Math.round(points * 10) / 10,
+      detail
+    }
+  })
+
+  const score = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0))
+
+  return { score: Math.min(Math.max(score, 0), 100), factors }
+}
+
+/**
+ * Band a score falls into
+ * @param {number} score - Lead score
+ * @returns {Object|null} SCORE_BANDS entry, or null when the lead has no score yet
+ */
+export const getScoreBand = (score) => {
+  if (score === null || score === undefined) return null
+  return SCORE_BANDS.find(band => score >= band.min) || SCORE_BANDS[SCORE_BANDS.length - 1]
+}
+
+/**
+ * Loads the stored scores of leads so unchanged ones can be skipped
+ * @param {Object} client - Supabase client
+ * @param {Array<string>} leadIds - Lead IDs
+ * @returns {Promise<Map<string, Object>>} Lead ID to { lead_score, lead_score_factors }
+ */
+const loadStoredScores = async (client, leadIds) => {
+  const stored = new Map()
+
+  for (let i = 0; i < leadIds.length; i += STORED_SCORE_CHUNK_SIZE) {
+    const { data, error } = await client
+      .from('property_leads')
+      .select('id, lead_score, lead_score_factors')
+      .in('id', leadIds.slice(i, i + STORED_SCORE_CHUNK_SIZE))
+
+    if (error) {
+      throw new Error(`Failed to fetch lead scores: ${error.message}`)
+    }
+
+    for (const row of data || []) {
+      stored.set(row.id, row)
+    }
+  }
+
+  return stored
+}
+
+/**
+ * Recalculates and stores the score of every lead of a user (active and archived). Changed
+ * scores are written with the set_lead_scores RPC, which takes [{ id, score, factors }] and
+ * updates lead_score, lead_score_factors and lead_scored_at of the caller's leads in one
+ * statement, so the list gets one burst of realtime changes rather than one per lead.
+ * @param {Object} client - Supabase client scoped to the user's session
+ * @param {string} userId - User whose leads are scored
+ * @param {Object} options - Run options
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Promise<Object>} { scored, updated, scored_at }
+ */
+export const runLeadScoring = async (client, userId, { now = Date.now() } = {}) => {
+  const { data: settings, error: settingsError } = await client
+    .from('lead_score_settings')
+    .select('weights')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (settingsError) {
+    throw new Error(`Failed to fetch score settings: ${settingsError.message}`)
+  }
+
+  const weights = normalizeScoreWeights(settings?.weights)
+  // Active and archived leads
+  const rpcParams = buildLeadQueryParams()
+
+  const fetchChunk = async (offset, limit) => {
+    const { data, error } = await client.rpc('get_property_leads_paginated', {
+      ...rpcParams,
+      p_limit: limit,
+      p_offset: offset
+    })
+
+    if (error) {
+      throw new Error(`Failed to fetch property leads: ${error.message}`)
+    }
+
+    return data?.leads || []
+  }
+
+  const leads = []
+  for await (const chunk of iterateLeadChunks(fetchChunk)) {
+    leads.push(...chunk)
+  }
+
+  const agentHistory = buildAgentHistory(leads)
+  const stored = await loadStoredScores(client, leads.map(lead => lead.id))
+  const scoredAt = new Date(now).toISOString()
+
+  const changed = leads
+    .map(lead => ({ id: lead.id, ...scoreLead(lead, { weights, agentHistory, now }) }))
+    .filter(result => {
+      const previous = stored.get(result.id)
+      return !previous ||
+        previous.lead_score !== result.score ||
+        JSON.stringify(previous.lead_score_factors) !== JSON.stringify(result.factors)
+    })
+
+  for (let i = 0; i < changed.length; i += SCORE_WRITE_CHUNK_SIZE) {
+    const { error } = await client.rpc('set_lead_scores', {
+      p_scores: changed.slice(i, i + SCORE_WRITE_CHUNK_SIZE),
+      p_scored_at: scoredAt
+    })
+
+    if (error) {
+      throw new Error(`Failed to save lead scores: ${error.message}`)
+    }
+  }
+
+  const { error: runError } = await client
+    .from('lead_score_settings')
+    .upsert(
+      { user_id: userId, weights, scored_at: scoredAt, updated_at: scoredAt },
+      { onConflict: 'user_id' }
+    )
+
+  if (runError) {
+    throw new Error(`Failed to record scoring run: ${runError.message}`)
+  }
+
+  return { scored: leads.length, updated: changed.length, scored_at: scoredAt }
+}
@@ -0,0 +1,61 @@
+/**
+ * Lead transition helpers for the pipeline editor and StatusTransitionsContext.
+ * lead_transitions rows are { from_status, to_status, weight, description }; weight is the
+ * suggestion strength in percent shown by StatusDropdown.
+ */
+
+// Fired (and mirrored to localStorage for other tabs) whenever lead_transitions is edited
+export const LEAD_TRANSITIONS_CHANGED_EVENT = 'lead-transitions-changed'
+export const LEAD_TRANSITIONS_VERSION_KEY = 'leadTransitionsVersion'
+
+export const PIPELINE_START_STATUS = 'prospect_found'
+export const TERMINAL_STATUSES = ['closed_won', 'closed_lost']
+
+/**
+ * Tells every StatusTransitionsProvider, in this tab and others, to drop its cache
+ */
+export const notifyLeadTransitionsChanged = () => {
+  try {
+    localStorage.setItem(LEAD_TRANSITIONS_VERSION_KEY, String(Date.now()))
+  } catch (error) {
+    console.error('Error broadcasting transition change:', error)
+  }
+  window.dispatchEvent(new Event(LEAD_TRANSITIONS_CHANGED_EVENT))
+}
+
+/**
+ * Finds statuses that no chain of transitions reaches from the start of the pipeline
+ * @param {Array<Object>} transitions - lead_transitions rows
+ * @param {Array<string>} statuses - All lead statuses
+ * @param {string} start - Status new leads begin in
+ * @returns {Array<string>} Unreachable statuses in pipeline order
+ */
+export const findUnreachableStatuses = (transitions, statuses, start = PIPELINE_START_STATUS) => {
+  const reached = new Set([start])
+  const queue = [start]
+
+  while (queue.length > 0) {
+    const status = queue.shift()
+    transitions
+      .filter(transition => transition.from_status === status && !reached.has(transition.to_status))
+      .forEach(transition => {
+        reached.add(transition.to_status)
+        queue.push(transition.to_status)
+      })
+  }
+
+  return statuses.filter(status => !reached.has(status))
+}
+
+/**
+ * Finds non-terminal statuses with no way out, where leads would get stuck
+ * @param {Array<Object>} transitions - lead_transitions rows
+ * @param {Array<string>} statuses - All lead statuses
+ * @returns {Array<string>} Dead-end statuses in pipeline order
+ */
+export const findDeadEndStatuses = (transitions, statuses) => {
+  return statuses.filter(status =>
+    !TERMINAL_STATUSES.includes(status) &&
+    !transitions.some(transition => transition.from_status === status)
+  )
+}
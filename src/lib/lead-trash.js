@@ -0,0 +1,84 @@
+/**
+ * Trash retention shared by the scheduled Worker (src/index.js), which purges expired leads
+ * every day, and the routes that tell the dashboard how long leads stay in the trash.
+ */
+
+// Imported with its extension because dev-server.js loads this file directly in Node
+import { toHistoryParam } from './lead-history.js'
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+// Expired leads fetched and purged per page
+const PURGE_PAGE_SIZE = 200
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Number of days deleted leads stay in the trash before they are purged
+ * @param {Object} env - Worker env (or process.env) holding TRASH_RETENTION_DAYS
+ * @returns {number} Retention window in days, at least 1
+ */
+export const getTrashRetentionDays = (env) => {
+  return Math.max(1, parseInt(env?.TRASH_RETENTION_DAYS) || DEFAULT_TRASH_RETENTION_DAYS)
+}
+
+/**
+ * Permanently deletes every user's trashed leads that are past the retention window.
+ * delete_property_lead checks the lead against auth.uid(), which the service-role client
+ * doesn't have, so this goes through delete_property_lead_for_user: the same delete for the
+ * lead's owner given as p_user_id, granted to service_role only.
+ * @param {Object} client - Service-role Supabase client
+ * @param {Object} options - Purge options
+ * @param {number} options.retentionDays - Retention window in days
+ * @param {Date} options.now - Purge time (default: now)
+ * @returns {Promise<Object>} { purged, failed, errors }
+ */
+export const purgeExpiredLeads = async (client, { retentionDays, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString()
+  const summary = { purged: 0, failed: 0, errors: [] }
+
+  // Paged by id so leads that fail to delete aren't fetched again
+  let lastId = null
+
+  while (true) {
+    let query = client
+      .from('property_leads')
+      .select('id, user_id')
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', cutoff)
+
+    if (lastId) {
+      query = query.gt('id', lastId)
+    }
+
+    const { data: expiredLeads, error: lookupError } = await query
+      .order('id', { ascending: true })
+      .limit(PURGE_PAGE_SIZE)
+
+    if (lookupError) {
+      throw new Error(`Failed to look up expired leads: ${lookupError.message}`)
+    }
+
+    if (!expiredLeads || expiredLeads.length === 0) {
+      break
+    }
+
+    lastId = expiredLeads[expiredLeads.length - 1].id
+
+    for (const lead of expiredLeads) {
+      const { error } = await client.rpc('delete_property_lead_for_user', {
+        p_user_id: lead.user_id,
+        p_lead_id: lead.id,
+        p_history: toHistoryParam({ action: 'purged' })
+      })
+
+      if (error) {
+        summary.failed++
+        summary.errors.push(`${lead.id}: ${error.message}`)
+      } else {
+        summary.purged++
+      }
+    }
+  }
+
+  return summary
+}
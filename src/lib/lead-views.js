@@ -0,0 +1,111 @@
+/**
+ * Lead view helpers
+ * A "view" is the combination of tab, status filter, lead filters and sort shown in PropertyLeads.
+ * Views are stored per user and encoded in the /listings/leads URL so they can be shared.
+ */
+
+export const LEAD_TABS = ['active', 'archived', 'trash']
+
+export const EMPTY_LEAD_FILTERS = {
+  city: '',
+  zipcodes: '',
+  minPrice: '',
+  maxPrice: '',
+  minBedrooms: '',
+  minBathrooms: '',
+  homeType: '',
+  minYearBuilt: '',
+  maxYearBuilt: '',
+  agentLicense: '',
+  brokerName: '',
+  createdAfter: '',
+  createdBefore: '',
+  minScore: ''
+}
+
+export const DEFAULT_LEAD_SORT = { sortBy: null, sortDir: 'desc' }
+
+export const DEFAULT_LEAD_VIEW = {
+  tab: 'active',
+  status: null,
+  filters: EMPTY_LEAD_FILTERS,
+  sort: DEFAULT_LEAD_SORT
+}
+
+/**
+ * Counts how many lead filters currently have a value
+ * @param {Object} filters - Lead filter values
+ * @returns {number} Number of active filters
+ */
+export const countActiveFilters = (filters) => {
+  return Object.values(filters || {}).filter(value => value !== '' && value !== null && value !== undefined).length
+}
+
+/**
+ * Encodes a lead view as URL search params, omitting anything left at its default
+ * @param {Object} view - Lead view ({ tab, status, filters, sort })
+ * @returns {URLSearchParams} Search params for /listings/leads
+ */
+export const viewToSearchParams = (view = {}) => {
+  const params = new URLSearchParams()
+
+  if (view.tab && view.tab !== DEFAULT_LEAD_VIEW.tab) {
+    params.set('tab', view.tab)
+  }
+
+  if (view.status) {
+    params.set('status', view.status)
+  }
+
+  Object.keys(EMPTY_LEAD_FILTERS).forEach(key => {
+    const value = view.filters?.[key]
+    if (value !== '' && value !== null && value !== undefined) {
+      params.set(key, value)
+    }
+  })
+
+  if (view.sort?.sortBy) {
+    params.set('sort', `${view.sort.sortBy}:${view.sort.sortDir || 'desc'}`)
+  }
+
+  return params
+}
+
+/**
+ * Decodes a lead view from URL search params, falling back to defaults for missing values
+ * @param {URLSearchParams} params - Search params from /listings/leads
+ * @returns {Object} Lead view ({ tab, status, filters, sort })
+ */
+export const searchParamsToView = (params) => {
+  const tab = params.get('tab')
+  const filters = { ...EMPTY_LEAD_FILTERS }
+
+  Object.keys(EMPTY_LEAD_FILTERS).forEach(key => {
+    if (params.has(key)) {
+      filters[key] = params.get(key)
+    }
+  })
+
+  let sort = DEFAULT_LEAD_SORT
+  if (params.get('sort')) {
+    const [sortBy, sortDir] = params.get('sort').split(':')
+    sort = { sortBy, sortDir: sortDir === 'asc' ? 'asc' : 'desc' }
+  }
+
+  return {
+    tab: LEAD_TABS.includes(tab) ? tab : DEFAULT_LEAD_VIEW.tab,
+    status: params.get('status') || null,
+    filters,
+    sort
+  }
+}
+
+/**
+ * Checks whether two lead views would show the same leads
+ * @param {Object} a - First lead view
+ * @param {Object} b - Second lead view
+ * @returns {boolean} True if both encode to the same URL
+ */
+export const isSameView = (a, b) => {
+  return viewToSearchParams(a).toString() === viewToSearchParams(b).toString()
+}
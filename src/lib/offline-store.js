@@ -0,0 +1,143 @@
+/**
+ * IndexedDB storage for offline use: the last responses of read calls (leads, templates, SMS
+ * details) and the queue of changes made without a connection (see api/offline).
+ */
+
+const DB_NAME = 'propertyscout-offline'
+const DB_VERSION = 1
+const CACHE_STORE = 'cache'
+const QUEUE_STORE = 'mutations'
+
+let databasePromise = null
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const database = request.result
+        if (!database.objectStoreNames.contains(CACHE_STORE)) {
+          database.createObjectStore(CACHE_STORE, { keyPath: 'key' })
+        }
+        if (!database.objectStoreNames.contains(QUEUE_STORE)) {
+          database.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true })
+        }
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      // Let the next call try again, e.g. after the user allows storage
+      databasePromise = null
+      throw error
+    })
+  }
+
+  return databasePromise
+}
+
+/**
+ * Runs one request against a store and resolves once its transaction has committed
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<any>} Result of the request
+ */
+const runRequest = async (storeName, mode, operation) => {
+  const database = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Reads a cached response
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { key, group, value, saved_at } or null
+ */
+export const readCachedValue = async (key) => {
+  return (await runRequest(CACHE_STORE, 'readonly', store => store.get(key))) || null
+}
+
+/**
+ * Lists the cached responses of a group, newest first
+ * @param {string} group - Cache group ('leads', 'templates', ...)
+ * @returns {Promise<Array<Object>>} Cache entries
+ */
+export const listCachedValues = async (group) => {
+  const entries = await runRequest(CACHE_STORE, 'readonly', store => store.getAll())
+  return entries
+    .filter(entry => entry.group === group)
+    .sort((a, b) => b.saved_at.localeCompare(a.saved_at))
+}
+
+/**
+ * Caches a response, keeping only the newest entries of its group
+ * @param {string} group - Cache group
+ * @param {string} key - Cache key
+ * @param {any} value - Response to keep (must be structured-cloneable)
+ * @param {number} limit - Entries kept for the group
+ */
+export const writeCachedValue = async (group, key, value, limit) => {
+  await runRequest(CACHE_STORE, 'readwrite', store => store.put({
+    key,
+    group,
+    value,
+    saved_at: new Date().toISOString()
+  }))
+
+  const entries = await listCachedValues(group)
+  const expired = entries.slice(limit)
+  if (expired.length > 0) {
+    const database = await openDatabase()
+    const transaction = database.transaction(CACHE_STORE, 'readwrite')
+    expired.forEach(entry => transaction.objectStore(CACHE_STORE).delete(entry.key))
+  }
+}
+
+/**
+ * Adds a change to the offline queue
+ * @param {Object} entry - Queue entry (see api/offline)
+ * @returns {Promise<number>} Queue entry ID
+ */
+export const addQueuedMutation = (entry) => {
+  return runRequest(QUEUE_STORE, 'readwrite', store => store.add(entry))
+}
+
+/**
+ * Lists queued changes in the order they were made
+ * @returns {Promise<Array<Object>>} Queue entries
+ */
+export const listQueuedMutations = async () => {
+  const entries = await runRequest(QUEUE_STORE, 'readonly', store => store.getAll())
+  return entries.sort((a, b) => a.id - b.id)
+}
+
+/**
+ * Removes a change from the offline queue
+ * @param {number} id - Queue entry ID
+ */
+export const removeQueuedMutation = (id) => {
+  return runRequest(QUEUE_STORE, 'readwrite', store => store.delete(id))
+}
+
+/**
+ * Deletes everything stored for offline use (on sign-out, so the next user of the device does
+ * not see the previous user's leads)
+ */
+export const clearOfflineData = async () => {
+  await runRequest(CACHE_STORE, 'readwrite', store => store.clear())
+  await runRequest(QUEUE_STORE, 'readwrite', store => store.clear())
+}
@@ -0,0 +1,89 @@
+/**
+ * Follow-up reminder helpers
+ * Reminders are stored on property_leads as next_action_at / next_action_note.
+ */
+
+// Reminders picked from a date input are due at 9am local time on that day
+const REMINDER_HOUR = 9
+
+const startOfDay = (date) => {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+/**
+ * Returns the last millisecond of the given day
+ * @param {Date} now - Reference date (default: current time)
+ * @returns {Date} End of that day in local time
+ */
+export const getEndOfToday = (now = new Date()) => {
+  const end = new Date(now)
+  end.setHours(23, 59, 59, 999)
+  return end
+}
+
+/**
+ * Classifies a reminder relative to today
+ * @param {string} nextActionAt - Reminder timestamp
+ * @param {Date} now - Reference date (default: current time)
+ * @returns {string|null} 'overdue', 'due_today', 'upcoming', or null if no reminder is set
+ */
+export const getReminderState = (nextActionAt, now = new Date()) => {
+  if (!nextActionAt) return null
+
+  const dueAt = new Date(nextActionAt)
+  if (dueAt < startOfDay(now)) return 'overdue'
+  if (dueAt <= getEndOfToday(now)) return 'due_today'
+  return 'upcoming'
+}
+
+/**
+ * Formats a reminder timestamp as YYYY-MM-DD for a date input
+ * @param {string|Date} value - Reminder timestamp
+ * @returns {string} Local date string, or '' if no value
+ */
+export const toDateInputValue = (value) => {
+  if (!value) return ''
+
+  const date = new Date(value)
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Converts a YYYY-MM-DD date input value to the reminder timestamp for that day
+ * @param {string} value - Date input value
+ * @returns {string|null} ISO timestamp, or null if no value
+ */
+export const fromDateInputValue = (value) => {
+  if (!value) return null
+
+  const [year, month, day] = value.split('-').map(Number)
+  return new Date(year, month - 1, day, REMINDER_HOUR).toISOString()
+}
+
+/**
+ * Returns the date input value a number of days from today
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD date string
+ */
+export const daysFromToday = (days) => {
+  const date = new Date()
+  date.setDate(date.getDate() + days)
+  return toDateInputValue(date)
+}
+
+/**
+ * Formats a reminder timestamp for display, e.g. "Thu, Oct 23"
+ * @param {string} nextActionAt - Reminder timestamp
+ * @returns {string} Short date label
+ */
+export const formatReminderDate = (nextActionAt) => {
+  return new Date(nextActionAt).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  })
+}
@@ -0,0 +1,14 @@
+/**
+ * Registers the service worker built from src/sw.js, which lets the dashboard be installed and
+ * open offline. Only production builds have one; the dev server serves modules straight from
+ * source and a cached shell would get in the way.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error)
+    })
+  })
+}
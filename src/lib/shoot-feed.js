@@ -0,0 +1,154 @@
+import { format_number } from './generic_functions'
+import { formatShootWindow, addDaysToKey, timeToMinutes, minutesToTime, isValidTime } from './shoot-schedule'
+
+/**
+ * iCalendar (RFC 5545) feed of scheduled shoots, served by the Worker at
+ * /calendar/:token/shoots.ics for phone calendar subscriptions. Each lead keeps one event
+ * with a stable UID, so a rescheduled shoot moves in the subscriber's calendar and a lost or
+ * archived lead shows as cancelled instead of leaving a stale event behind.
+ */
+
+// Past shoots kept in the feed so recent history stays visible on the phone
+export const SHOOT_FEED_PAST_DAYS = 90
+export const MAX_SHOOT_FEED_EVENTS = 1000
+
+const CANCELLED_STATUSES = ['closed_lost']
+const UID_DOMAIN = 'propertyscout'
+
+const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let currentOctets = 0
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length
+    const limit = parts.length === 0 ? 75 : 74
+    if (currentOctets + octets > limit) {
+      parts.push(current)
+      current = ''
+      currentOctets = 0
+    }
+    current += char
+    currentOctets += octets
+  }
+  parts.push(current)
+
+  return parts.join('\r\n ')
+}
+
+const formatUtcTimestamp = (timestamp) => {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+const formatDateValue = (dateKey) => dateKey.replace(/-/g, '')
+
+const formatLocalDateTime = (dateKey, time) => `${formatDateValue(dateKey)}T${time.replace(':', '')}00`
+
+/**
+ * Stable event UID for a lead's shoot
+ * @param {string} leadId - Lead ID
+ * @returns {string} UID
+ */
+export const getShootEventUid = (leadId) => `shoot-${leadId}@${UID_DOMAIN}`
+
+/**
+ * Builds the lines of one VEVENT
+ * @param {Object} entry - Feed row: { lead_id, status, is_active, deleted_at, updated_at, shoot,
+ *   address: { street_address, city, state, zipcode }, agent: { full_name, phone_number } }
+ * @param {Object} options - { leadUrl, now }
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildShootEvent = (entry, { leadUrl, now }) => {
+  const { shoot, address = {}, agent = {} } = entry
+  const cancelled = CANCELLED_STATUSES.includes(entry.status) || entry.is_active === false || !!entry.deleted_at
+  const updatedAt = entry.updated_at || now
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getShootEventUid(entry.lead_id)}`,
+    `DTSTAMP:${formatUtcTimestamp(now)}`,
+    `LAST-MODIFIED:${formatUtcTimestamp(updatedAt)}`,
+    // Seconds since the epoch only ever grow, which is all SEQUENCE needs
+    `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`
+  ]
+
+  // Times are wall-clock for the property, written as floating local times
+  if (isValidTime(shoot.shoot_window_start)) {
+    const start = timeToMinutes(shoot.shoot_window_start)
+    const duration = Number(shoot.shoot_duration_minutes) || 60
+    const endMinutes = start + duration
+    const endDate = endMinutes >= 24 * 60 ? addDaysToKey(shoot.shoot_date, 1) : shoot.shoot_date
+    lines.push(`DTSTART:${formatLocalDateTime(shoot.shoot_date, shoot.shoot_window_start)}`)
+    lines.push(`DTEND:${formatLocalDateTime(endDate, minutesToTime(endMinutes % (24 * 60)))}`)
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(shoot.shoot_date)}`)
+    lines.push(`DTEND;VALUE=DATE:${formatDateValue(addDaysToKey(shoot.shoot_date, 1))}`)
+  }
+
+  const location = [
+    address.street_address,
+    address.city,
+    [address.state, address.zipcode].filter(Boolean).join(' ')
+  ].filter(Boolean).join(', ')
+
+  const description = [
+    formatShootWindow(shoot) && `Arrival window: ${formatShootWindow(shoot)}`,
+    agent.full_name && `Agent: ${agent.full_name}`,
+    agent.phone_number && `Agent phone: ${format_number(agent.phone_number, 'US')}`,
+    shoot.shoot_lockbox && `Lockbox: ${shoot.shoot_lockbox}`,
+    shoot.shoot_access_notes && `Access notes: ${shoot.shoot_access_notes}`,
+    leadUrl && `Lead: ${leadUrl}`
+  ].filter(Boolean).join('\n')
+
+  lines.push(`SUMMARY:${escapeText(`${cancelled ? 'Cancelled: ' : ''}Shoot - ${address.street_address || 'Property'}`)}`)
+  if (location) lines.push(`LOCATION:${escapeText(location)}`)
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`)
+  if (leadUrl) lines.push(`URL:${leadUrl}`)
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`)
+  lines.push('END:VEVENT')
+
+  return lines
+}
+
+/**
+ * Renders the shoot feed
+ * @param {Array<Object>} entries - Feed rows (see buildShootEvent)
+ * @param {Object} options - Render options
+ * @param {Function} options.getLeadUrl - (entry) => link back to the lead in the app
+ * @param {string|Date} options.now - Generation time (default: now)
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+export const renderShootFeed = (entries, options = {}) => {
+  const { getLeadUrl = () => null, now = new Date() } = options
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PropertyScout//Shoot Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:PropertyScout Shoots',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ]
+
+  entries
+    .filter(entry => entry.shoot?.shoot_date)
+    .forEach(entry => {
+      lines.push(...buildShootEvent(entry, { leadUrl: getLeadUrl(entry), now }))
+    })
+
+  lines.push('END:VCALENDAR')
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,298 @@
+/**
+ * Shoot scheduling helpers. A booked lead's shoot is kept in typed columns on property_leads:
+ *   shoot_date             - 'YYYY-MM-DD', the local day of the shoot
+ *   shoot_window_start/end - 'HH:MM' arrival window
+ *   shoot_duration_minutes - expected time on site
+ *   shoot_access_notes     - gate codes, parking, who lets us in
+ *   shoot_lockbox          - lockbox location and code
+ * Dates and times are wall-clock values for the property's area, so they are never shifted
+ * through UTC.
+ */
+
+export const SHOOT_FIELD_KEYS = [
+  'shoot_date',
+  'shoot_window_start',
+  'shoot_window_end',
+  'shoot_duration_minutes',
+  'shoot_access_notes',
+  'shoot_lockbox'
+]
+
+// Statuses that ask for the shoot details when a lead moves into them
+export const SHOOT_STATUSES = ['booked']
+
+// Leads whose shoot still needs a date; shown beside the calendar so they can be dragged onto a day
+export const UNSCHEDULED_SHOOT_STATUSES = ['booked']
+
+export const SHOOT_DURATIONS = [30, 45, 60, 90, 120, 180, 240]
+export const DEFAULT_SHOOT_DURATION = 60
+export const MAX_SHOOT_DURATION = 720
+
+export const MAX_ACCESS_NOTES_LENGTH = 1000
+export const MAX_LOCKBOX_LENGTH = 200
+
+// Common arrival windows offered as shortcuts in the booking form
+export const SHOOT_WINDOW_PRESETS = [
+  { label: 'Morning', start: '08:00', end: '12:00' },
+  { label: 'Midday', start: '11:00', end: '14:00' },
+  { label: 'Afternoon', start: '13:00', end: '17:00' },
+  { label: 'Twilight', start: '17:00', end: '20:00' }
+]
+
+export const CALENDAR_VIEWS = ['day', 'week', 'month']
+
+// Hours shown as rows in the day view
+export const CALENDAR_DAY_START_HOUR = 6
+export const CALENDAR_DAY_END_HOUR = 21
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Picks the shoot fields out of a lead or row, with null for anything unset
+ * @param {Object} source - Lead, property_leads row or form values
+ * @returns {Object} Shoot keyed by SHOOT_FIELD_KEYS
+ */
+export const pickShootFields = (source = {}) => {
+  const shoot = {}
+  SHOOT_FIELD_KEYS.forEach(key => {
+    const value = source?.[key]
+    shoot[key] = value === undefined || value === '' ? null : value
+  })
+
+  // Postgres time columns come back as HH:MM:SS
+  if (shoot.shoot_window_start) shoot.shoot_window_start = shoot.shoot_window_start.slice(0, 5)
+  if (shoot.shoot_window_end) shoot.shoot_window_end = shoot.shoot_window_end.slice(0, 5)
+
+  return shoot
+}
+
+/**
+ * Whether a shoot has a date
+ * @param {Object} shoot - Shoot object
+ * @returns {boolean} True if scheduled
+ */
+export const isShootScheduled = (shoot) => {
+  return !!shoot?.shoot_date
+}
+
+/**
+ * Checks a 'YYYY-MM-DD' date key
+ * @param {string} value - Value to check
+ * @returns {boolean} True if it names a real calendar day
+ */
+export const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false
+  return toDateKey(parseDateKey(value)) === value
+}
+
+/**
+ * Checks an 'HH:MM' 24-hour time
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+export const isValidTime = (value) => {
+  return typeof value === 'string' && TIME_PATTERN.test(value)
+}
+
+/**
+ * Converts 'HH:MM' to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Converts minutes after midnight to 'HH:MM', clamped to the same day
+ * @param {number} total - Minutes
+ * @returns {string} Time string
+ */
+export const minutesToTime = (total) => {
+  const clamped = Math.min(Math.max(Math.round(total), 0), 23 * 60 + 59)
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`
+}
+
+/**
+ * Local calendar day of a Date as 'YYYY-MM-DD'
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+export const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Parses a date key as local midnight
+ * @param {string} key - 'YYYY-MM-DD'
+ * @returns {Date} Date
+ */
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Adds days to a date key
+ * @param {string} key - 'YYYY-MM-DD'
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} Date key
+ */
+export const addDaysToKey = (key, days) => {
+  const date = parseDateKey(key)
+  date.setDate(date.getDate() + days)
+  return toDateKey(date)
+}
+
+/**
+ * Days covered by a calendar view. Weeks start on Sunday; the month view pads to whole weeks.
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} anchor - Any day inside the period, 'YYYY-MM-DD'
+ * @returns {Object} { start, end, days } with inclusive start/end keys and every day key in between
+ */
+export const getCalendarRange = (view, anchor) => {
+  const anchorDate = parseDateKey(anchor)
+  let start = anchor
+  let end = anchor
+
+  if (view === 'week') {
+    start = addDaysToKey(anchor, -anchorDate.getDay())
+    end = addDaysToKey(start, 6)
+  } else if (view === 'month') {
+    const first = toDateKey(new Date(anchorDate.getFullYear(), anchorDate.getMonth(), 1))
+    const last = toDateKey(new Date(anchorDate.getFullYear(), anchorDate.getMonth() + 1, 0))
+    start = addDaysToKey(first, -parseDateKey(first).getDay())
+    end = addDaysToKey(last, 6 - parseDateKey(last).getDay())
+  }
+
+  const days = []
+  for (let day = start; day <= end; day = addDaysToKey(day, 1)) {
+    days.push(day)
+  }
+
+  return { start, end, days }
+}
+
+/**
+ * Moves a calendar anchor one period forward or back
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} anchor - Current anchor, 'YYYY-MM-DD'
+ * @param {number} direction - 1 or -1
+ * @returns {string} New anchor
+ */
+export const shiftCalendarAnchor = (view, anchor, direction) => {
+  if (view === 'month') {
+    const date = parseDateKey(anchor)
+    return toDateKey(new Date(date.getFullYear(), date.getMonth() + direction, 1))
+  }
+
+  return addDaysToKey(anchor, view === 'week' ? 7 * direction : direction)
+}
+
+/**
+ * Heading for a calendar period
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} anchor - Current anchor, 'YYYY-MM-DD'
+ * @returns {string} e.g. "March 2025", "Mar 2 – Mar 8, 2025" or "Tuesday, March 4, 2025"
+ */
+export const formatCalendarTitle = (view, anchor) => {
+  const date = parseDateKey(anchor)
+
+  if (view === 'month') {
+    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  }
+
+  if (view === 'week') {
+    const { start, end } = getCalendarRange('week', anchor)
+    const format = (key) => parseDateKey(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    return `${format(start)} – ${format(end)}, ${parseDateKey(end).getFullYear()}`
+  }
+
+  return date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+}
+
+/**
+ * Formats an 'HH:MM' time for display
+ * @param {string} time - Time string
+ * @returns {string} e.g. "9:30 AM"
+ */
+export const formatShootTime = (time) => {
+  if (!isValidTime(time)) return ''
+  const minutes = timeToMinutes(time)
+  const hours = Math.floor(minutes / 60)
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`
+}
+
+/**
+ * Formats a shoot's arrival window
+ * @param {Object} shoot - Shoot object
+ * @returns {string} e.g. "9:00 AM – 11:00 AM", "9:00 AM" or "" when no time is set
+ */
+export const formatShootWindow = (shoot) => {
+  const start = formatShootTime(shoot?.shoot_window_start)
+  const end = formatShootTime(shoot?.shoot_window_end)
+  if (start && end) return `${start} – ${end}`
+  return start || end
+}
+
+/**
+ * One-line description of a shoot
+ * @param {Object} shoot - Shoot object
+ * @returns {string|null} e.g. "Tue, Mar 4 • 9:00 AM – 11:00 AM", or null when unscheduled
+ */
+export const describeShoot = (shoot) => {
+  if (!isShootScheduled(shoot)) return null
+
+  const day = parseDateKey(shoot.shoot_date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+  const timeWindow = formatShootWindow(shoot)
+  return timeWindow ? `${day} • ${timeWindow}` : day
+}
+
+/**
+ * Fields to save when a shoot is dragged to another day or time. The arrival window keeps its
+ * length; without a new start time only the date changes.
+ * @param {Object} shoot - Shoot object
+ * @param {string} dateKey - New day, 'YYYY-MM-DD'
+ * @param {string} startTime - New window start, 'HH:MM' (optional)
+ * @returns {Object} Shoot fields to update
+ */
+export const rescheduleShoot = (shoot, dateKey, startTime = null) => {
+  const changes = { shoot_date: dateKey }
+
+  if (!isValidTime(startTime)) {
+    return changes
+  }
+
+  changes.shoot_window_start = startTime
+  if (isValidTime(shoot?.shoot_window_start) && isValidTime(shoot?.shoot_window_end)) {
+    const length = timeToMinutes(shoot.shoot_window_end) - timeToMinutes(shoot.shoot_window_start)
+    changes.shoot_window_end = minutesToTime(timeToMinutes(startTime) + Math.max(length, 0))
+  } else {
+    changes.shoot_window_end = null
+  }
+
+  return changes
+}
+
+/**
+ * Groups scheduled shoots by day, each day sorted by window start
+ * @param {Array<Object>} shoots - Entries from getScheduledShoots
+ * @returns {Map<string, Array<Object>>} Shoots keyed by 'YYYY-MM-DD'
+ */
+export const groupShootsByDate = (shoots = []) => {
+  const byDate = new Map()
+
+  shoots.forEach(entry => {
+    const key = entry.shoot.shoot_date
+    if (!byDate.has(key)) byDate.set(key, [])
+    byDate.get(key).push(entry)
+  })
+
+  byDate.forEach(entries => {
+    entries.sort((a, b) => (a.shoot.shoot_window_start || '99:99').localeCompare(b.shoot.shoot_window_start || '99:99'))
+  })
+
+  return byDate
+}
@@ -0,0 +1,145 @@
+/**
+ * Input validation utilities, shared by the API functions (re-exported from api/auth) and the
+ * lead routes (functions/api/lead.js, dev-server.js)
+ */
+export const validateInput = {
+  /**
+   * Validates string input
+   * @param {any} value - Value to validate
+   * @param {Object} options - Validation options
+   * @returns {string} Sanitized string
+   */
+  string: (value, options = {}) => {
+    const { required = false, minLength = 0, maxLength = 1000, pattern = null } = options
+
+    if (value === null || value === undefined) {
+      if (required) {
+        throw new Error('String value is required')
+      }
+      return ''
+    }
+
+    const strValue = String(value).trim()
+
+    if (required && !strValue) {
+      throw new Error('String value cannot be empty')
+    }
+
+    if (strValue.length < minLength) {
+      throw new Error(`String must be at least ${minLength} characters`)
+    }
+
+    if (strValue.length > maxLength) {
+      throw new Error(`String cannot exceed ${maxLength} characters`)
+    }
+
+    if (pattern && !pattern.test(strValue)) {
+      throw new Error('String format is invalid')
+    }
+
+    return strValue
+  },
+
+  /**
+   * Validates enum values
+   * @param {any} value - Value to validate
+   * @param {Array} allowedValues - Array of allowed values
+   * @param {boolean} required - Whether value is required
+   * @returns {string} Validated enum value
+   */
+  enum: (value, allowedValues, required = true) => {
+    if (!value && !required) {
+      return null
+    }
+
+    if (!allowedValues.includes(value)) {
+      throw new Error(`Value must be one of: ${allowedValues.join(', ')}`)
+    }
+
+    return value
+  },
+
+  /**
+   * Validates numeric input
+   * @param {any} value - Value to validate
+   * @param {Object} options - Validation options
+   * @returns {number|null} Parsed number, or null when empty and not required
+   */
+  number: (value, options = {}) => {
+    const { required = false, min = null, max = null, integer = false } = options
+
+    if (value === null || value === undefined || value === '') {
+      if (required) {
+        throw new Error('Number value is required')
+      }
+      return null
+    }
+
+    const numValue = Number(value)
+
+    if (!Number.isFinite(numValue)) {
+      throw new Error('Value must be a valid number')
+    }
+
+    if (integer && !Number.isInteger(numValue)) {
+      throw new Error('Value must be a whole number')
+    }
+
+    if (min !== null && numValue < min) {
+      throw new Error(`Number must be at least ${min}`)
+    }
+
+    if (max !== null && numValue > max) {
+      throw new Error(`Number cannot exceed ${max}`)
+    }
+
+    return numValue
+  },
+
+  /**
+   * Validates date input
+   * @param {any} value - Date, timestamp or date string to validate
+   * @param {boolean} required - Whether date is required
+   * @param {Object} options - Validation options
+   * @param {string} options.day - 'start' or 'end' to read a date-only value (YYYY-MM-DD) as that
+   *   day in local time: its first moment, or the first moment of the next day for exclusive
+   *   upper bounds. Without it a date-only value is UTC midnight, as Date parses it.
+   * @returns {string|null} ISO 8601 date string
+   */
+  date: (value, required = false, options = {}) => {
+    if (!value && !required) {
+      return null
+    }
+
+    const dayMatch = options.day && typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    const dateValue = dayMatch
+      ? new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]) + (options.day === 'end' ? 1 : 0))
+      : new Date(value)
+
+    if (Number.isNaN(dateValue.getTime())) {
+      throw new Error('Invalid date format')
+    }
+
+    return dateValue.toISOString()
+  },
+
+  /**
+   * Validates UUID format
+   * @param {string} value - UUID string to validate
+   * @param {boolean} required - Whether UUID is required
+   * @returns {string} Validated UUID
+   */
+  uuid: (value, required = true) => {
+    if (!value && !required) {
+      return null
+    }
+
+    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+
+    if (!uuidPattern.test(value)) {
+      throw new Error('Invalid UUID format')
+    }
+
+    return value
+  }
+}
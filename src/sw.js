@@ -0,0 +1,215 @@
+/**
+ * Service worker for the installed dashboard. Built by the service-worker plugin in
+ * vite.config.js, which fills in the app shell files and the build version below.
+ *
+ *   App shell      - precached on install and served cache-first, so the dashboard opens
+ *                    without a connection (lead data comes from the offline cache in api/offline)
+ *   Navigations    - network first, falling back to the cached index page
+ *   Listing images - the cross-origin photos shown by ImageCarousel/ImageModal, cache-first in
+ *                    their own cache with the oldest evicted past MAX_IMAGE_BYTES/MAX_IMAGE_ENTRIES
+ *
+ * API, auth and calendar feed requests are never cached here.
+ */
+
+const PRECACHE_FILES = self.__PRECACHE_FILES || []
+const BUILD_VERSION = self.__BUILD_VERSION || 'dev'
+
+const SHELL_CACHE = `propertyscout-shell-${BUILD_VERSION}`
+const IMAGE_CACHE = 'propertyscout-listing-images-v1'
+
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024
+const MAX_IMAGE_ENTRIES = 500
+// Photos larger than this are shown but not kept
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024
+
+const SIZE_HEADER = 'X-Cache-Size'
+const CACHED_AT_HEADER = 'X-Cached-At'
+
+const NETWORK_ONLY_PATHS = [/^\/api\//, /^\/calendar\//, /\.ics$/]
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_FILES))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('propertyscout-shell-') && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+
+  if (url.origin === self.location.origin) {
+    if (NETWORK_ONLY_PATHS.some(pattern => pattern.test(url.pathname))) return
+
+    if (request.mode === 'navigate') {
+      event.respondWith(handleNavigation(request))
+    } else if (isShellFile(url)) {
+      event.respondWith(cacheFirst(request))
+    }
+    return
+  }
+
+  if (request.destination === 'image' && url.protocol === 'https:') {
+    event.respondWith(handleListingImage(event))
+  }
+})
+
+const isShellFile = (url) => {
+  return PRECACHE_FILES.includes(url.pathname) || url.pathname.startsWith('/assets/')
+}
+
+/**
+ * Loads a page from the network, falling back to the app shell so client-side routes open
+ * offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    // Cached as '/' since Pages redirects /index.html there
+    const cached = await caches.match('/', { cacheName: SHELL_CACHE })
+    if (cached) return cached
+    throw error
+  }
+}
+
+/**
+ * Serves a shell file from the cache, fetching (and caching) it when missing, e.g. a lazily
+ * loaded chunk of a newer build
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} Cached or network response
+ */
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE })
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+// Bytes and age of each cached image, read from the cache once per worker start
+let imageIndexPromise = null
+// Evictions run one at a time so concurrent image loads don't double-count
+let trimQueue = Promise.resolve()
+// Image hosts that refused a CORS fetch since the worker started
+const opaqueImageHosts = new Set()
+
+const loadImageIndex = () => {
+  if (!imageIndexPromise) {
+    imageIndexPromise = (async () => {
+      const cache = await caches.open(IMAGE_CACHE)
+      const index = new Map()
+
+      for (const request of await cache.keys()) {
+        const response = await cache.match(request)
+        if (!response) continue
+        index.set(request.url, {
+          size: Number(response.headers.get(SIZE_HEADER)) || 0,
+          cachedAt: Number(response.headers.get(CACHED_AT_HEADER)) || 0
+        })
+      }
+
+      return index
+    })().catch(error => {
+      imageIndexPromise = null
+      throw error
+    })
+  }
+
+  return imageIndexPromise
+}
+
+/**
+ * Serves a listing photo from the image cache, or fetches and keeps it. Photos are fetched with
+ * CORS so their size is known; hosts that don't allow CORS get a plain (opaque) fetch that is
+ * shown but not cached, since its size can't be counted.
+ * @param {FetchEvent} event - Fetch event of a cross-origin image
+ * @returns {Promise<Response>} Image response
+ */
+const handleListingImage = async (event) => {
+  const { request } = event
+  const { host } = new URL(request.url)
+
+  const cache = await caches.open(IMAGE_CACHE)
+  const cached = await cache.match(request.url)
+  if (cached) return cached
+
+  if (opaqueImageHosts.has(host)) return fetch(request)
+
+  let response
+  try {
+    response = await fetch(request.url, { mode: 'cors', credentials: 'omit' })
+  } catch {
+    // A failed fetch while online means the host doesn't send CORS headers
+    if (self.navigator.onLine) opaqueImageHosts.add(host)
+    return fetch(request)
+  }
+
+  if (!response.ok) return response
+
+  const body = await response.blob()
+  if (body.size > 0 && body.size <= MAX_IMAGE_SIZE) {
+    const cachedAt = Date.now()
+    const headers = new Headers(response.headers)
+    headers.set(SIZE_HEADER, String(body.size))
+    headers.set(CACHED_AT_HEADER, String(cachedAt))
+
+    // Keep the worker alive until the image is stored and the cache trimmed
+    event.waitUntil(cache
+      .put(request.url, new Response(body, { status: response.status, statusText: response.statusText, headers }))
+      .then(() => trackImage(request.url, body.size, cachedAt))
+      .catch(error => console.warn('[sw] Could not cache listing image:', error)))
+  }
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers })
+}
+
+/**
+ * Records a newly cached image and evicts the oldest ones past the cache bounds
+ * @param {string} url - Image URL
+ * @param {number} size - Bytes stored
+ * @param {number} cachedAt - Timestamp stored
+ */
+const trackImage = (url, size, cachedAt) => {
+  trimQueue = trimQueue
+    .then(async () => {
+      const index = await loadImageIndex()
+      index.set(url, { size, cachedAt })
+
+      let totalBytes = 0
+      index.forEach(entry => { totalBytes += entry.size })
+      if (totalBytes <= MAX_IMAGE_BYTES && index.size <= MAX_IMAGE_ENTRIES) return
+
+      const cache = await caches.open(IMAGE_CACHE)
+      const oldestFirst = [...index.entries()].sort((a, b) => a[1].cachedAt - b[1].cachedAt)
+
+      for (const [oldUrl, entry] of oldestFirst) {
+        if (totalBytes <= MAX_IMAGE_BYTES && index.size <= MAX_IMAGE_ENTRIES) break
+        await cache.delete(oldUrl)
+        index.delete(oldUrl)
+        totalBytes -= entry.size
+      }
+    })
+    .catch(error => console.warn('[sw] Could not trim listing image cache:', error))
+
+  return trimQueue
+}
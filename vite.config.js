@@ -1,8 +1,49 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Files from public/ that belong to the app shell (the build output is added automatically)
+const SHELL_PUBLIC_FILES = [
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png'
+]
+
+/**
+ * Emits src/sw.js as /sw.js with the list of app shell files to precache and a version that
+ * changes whenever the build output does, so installed copies pick up new deploys
+ */
+const serviceWorker = () => ({
+  name: 'propertyscout-service-worker',
+  apply: 'build',
+  generateBundle(options, bundle) {
+    const builtFiles = Object.keys(bundle)
+      .filter(fileName => !fileName.endsWith('.map') && fileName !== 'index.html')
+      .map(fileName => `/${fileName}`)
+      .sort()
+
+    const precacheFiles = ['/', ...builtFiles, ...SHELL_PUBLIC_FILES]
+    const version = createHash('sha256').update(precacheFiles.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: [
+        `self.__PRECACHE_FILES = ${JSON.stringify(precacheFiles)}`,
+        `self.__BUILD_VERSION = ${JSON.stringify(version)}`,
+        '',
+        source
+      ].join('\n')
+    })
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 5173,
     open: true,
@@ -14,4 +55,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+})